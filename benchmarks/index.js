@@ -0,0 +1,113 @@
+'use strict';
+
+// compares the speed of parsing CSV against the regex-based parser from 1.0.1
+// run using "npm run benchmark"
+
+const salsacsv = require('..');
+const legacy = require('./legacy');
+const ordersData = require('../tests/data/orders');
+
+// the number of lines in each generated CSV string
+const LINE_COUNT = 100000;
+// the number of times each parser is run for each case
+const RUNS = 7;
+
+// builds a CSV string by calling the given function for each line
+const generateCSV = (getLine) => {
+    const lines = [];
+    
+    for (let i = 0; i < LINE_COUNT; i++) {
+        lines.push(getLine(i));
+    }
+    
+    return lines.join('\n');
+};
+// times a function, returning the number of milliseconds taken
+const time = (fn) => {
+    if (global.gc) {
+        // start each run with a clean heap so that runs are comparable
+        global.gc();
+    }
+    
+    const start = process.hrtime();
+    
+    fn();
+    
+    const [seconds, nanoseconds] = process.hrtime(start);
+    
+    return seconds * 1e3 + nanoseconds / 1e6;
+};
+const median = (values) => {
+    const sorted = values.slice().sort((a, b) => a - b);
+    
+    return sorted[Math.floor(sorted.length / 2)];
+};
+// runs both parsers on the CSV string, alternating between them
+const compare = (csv, columns, options) => {
+    const results = {
+        legacy: [],
+        current: []
+    };
+    
+    // warm up
+    legacy.fromCSV(csv, columns, options);
+    salsacsv.fromCSV(csv, columns, options);
+    
+    for (let i = 0; i < RUNS; i++) {
+        results.legacy.push(time(() => legacy.fromCSV(csv, columns, options)));
+        results.current.push(time(() => salsacsv.fromCSV(csv, columns, options)));
+    }
+    
+    return {
+        legacy: median(results.legacy),
+        current: median(results.current)
+    };
+};
+
+// cases with empty columns only measure how fast the text is read, as each line becomes an empty object
+const cases = [
+    {
+        name: 'Unquoted numbers',
+        columns: [],
+        csv: generateCSV((i) => {
+            return [i, i * 2, i * 3, i % 7, i % 13, (i / 3).toFixed(4), i * 11, 0].join(',');
+        })
+    },
+    {
+        name: 'Quoted text with escaped quotes',
+        columns: [],
+        csv: generateCSV((i) => {
+            return [
+                i,
+                `"Product ${i}, ""special"" edition"`,
+                '"Lorem ipsum dolor sit amet, consectetur adipiscing elit"',
+                `"${i % 2 ? 'Yes' : 'No'}"`
+            ].join(',');
+        })
+    },
+    {
+        name: 'Quoted cells with line breaks',
+        columns: [],
+        csv: generateCSV((i) => {
+            return `${i},"Line one\nLine two\r\nLine three",${i * 2}`;
+        })
+    },
+    {
+        name: 'Orders with columns',
+        columns: ordersData.columns,
+        csv: salsacsv.toCSV(Array.from({length: LINE_COUNT}, (value, i) => {
+            return ordersData.data[i % ordersData.data.length];
+        }), ordersData.columns)
+    }
+];
+
+console.log(`Parsing ${LINE_COUNT} lines, median of ${RUNS} runs${global.gc ? '' : ' (run with --expose-gc for steadier results)'}\n`);
+
+cases.forEach(({name, csv, columns}) => {
+    const {legacy, current} = compare(csv, columns);
+    const speedup = legacy / current;
+    
+    console.log(name);
+    console.log(`  1.0.1:   ${legacy.toFixed(1)} ms`);
+    console.log(`  current: ${current.toFixed(1)} ms (${speedup.toFixed(2)}x)`);
+});
@@ -0,0 +1,292 @@
+'use strict';
+
+// the regex-based parser from salsacsv 1.0.1, kept here as a baseline for comparison
+// only the functions used by fromCSV are included
+
+/**
+ * Helper function to detect a column.
+ * @param {*} column - Column to check.
+ * @returns {(Column|null)} Column object, or null if column is not valid.
+ * @private
+ */
+function detectColumn(column) {
+    const columnIsObject = Boolean(
+        typeof column === 'object' &&
+        // since typeof null is an object
+        column !== null
+    );
+    const columnIsString = Boolean(
+        typeof column === 'string'
+    );
+    
+    // the column is valid
+    if (columnIsString && column.length > 0) {
+        // convert column to an object so that we can use it in the same manner
+        return {
+            key: column
+        };
+    } else if (columnIsObject) {
+        // it is an object and it has a key
+        return column;
+    }
+    
+    return null;
+}
+
+/**
+ * Detects columns from a CSV string.
+ * @param {String} csvStr - CSV string.
+ * @param {Object} options - Options.
+ * @param {Boolean} [options.includeHeader] - Whether the CSV has a header or not.
+ * @param {String} [options.delimiter=','] - The delimiter of the CSV string.
+ * @returns {Column[]} Array of columns.
+ * @private
+ */
+function detectColumnsFromCSV(csvStr, options = {}) {
+    const {includeHeader} = options;
+    const delimiter = options.delimiter || ',';
+    const firstLine = csvStr.split('\n')[0];
+    // get first line
+    const split = csvToArray(firstLine, delimiter)[0] || [];
+    let columns;
+    
+    // first line is header values
+    if (includeHeader) {
+        columns = split;
+    } else {
+        // setup some column names
+        columns = split.map((value, i) => {
+            return `col${(i + 1)}`;
+        });
+    }
+    
+    return columns.map(detectColumn);
+}
+
+/**
+ * Converts a CSV string into an array of arrays where each line is split by its delimiter.
+ *
+ * @param {String} str - String to parse.
+ * @param {String} [delimiter=','] - Delimiter.
+ * @returns {Array[]} Array of arrays for each line in string.
+ * @private
+ */
+function csvToArray(str, delimiter = ',') {
+    // Source:
+    // https://www.bennadel.com/blog/1504-ask-ben-parsing-csv-strings-with-javascript-exec-regular-expression-command.htm
+    // https://gist.github.com/bennadel/9753411#file-code-1-htm 
+    // Create a regular expression to parse the CSV values
+    const objPattern = new RegExp(
+        (
+            // delimiters
+            `(\\${delimiter}|\\r?\\n|\\r|^)` +
+            // quoted fields
+            '(?:"([^"]*(?:""[^"]*)*)"|' +
+            // standard fields (numbers, dates, unqouted text fields)
+            `([^"\\${delimiter}\\r\\n]*))`
+        ),
+        'gi'
+    );
+    
+    // Create an array to hold our data. Give the array
+    // a default empty first row
+    let results = [[]];
+    // Create an array to hold our individual pattern
+    // matching groups
+    let matches = objPattern.exec(str);
+    
+    // Keep looping over the regular expression matches
+    // until we can no longer find a match
+    while (matches !== null) {
+        // Get the delimiter that was found
+        const matchedDelimiter = matches[1];
+        const hasRowDelimiter = Boolean(
+            matchedDelimiter.length > 0 &&
+            matchedDelimiter !== delimiter
+        );
+        let value;
+        
+        // Check to see if the given delimiter has a length
+        // (is not the start of string) and if it matches
+        // field delimiter. If id does not, then we know
+        // that this delimiter is a row delimiter
+        if (hasRowDelimiter) {
+            // Since we have reached a new row of data,
+            // add an empty row to our data array
+            results.push([]);
+        }
+        
+        // Now that we have our delimiter out of the way,
+        // let's check to see which kind of value we
+        // captured (quoted or unquoted)
+        if (matches[2]) {
+            // We found a quoted value. When we capture
+            // this value, unescape any double quotes
+            value = matches[2].replace(/""/g, '"');
+        } else {
+            // we found a non-quoted value
+            value = matches[3];
+        }
+        
+        // Now that we have our value string, let's add
+        // it to the data array
+        results[results.length - 1].push(value);
+        matches = objPattern.exec(str);
+    }
+    
+    // Return the parsed data
+    return results;
+}
+
+/**
+ * Converts a CSV string into objects.
+ * @param {String} csvStr - CSV string.
+ * @param {Column[]} [columns=[]] - An array containing columns.
+ * @param {Object} [options={}] - Parsing options.
+ * @param {Boolean} [options.includeHeader] - Whether the CSV has a header or not.
+ * @param {Boolean} [options.includeEmptyValues] - Whether to assign empty values to object or not.
+ * @param {String} [options.delimiter=','] - The delimiter of the CSV string.
+ * @returns {Object[]} Array of objects.
+ * @public
+ * @memberof salsacsv
+ * 
+ * @example
+ * fromCSV('"Name","Price"\n"Cat Chow",5.29', [
+ *     {
+ *         header: 'Name',
+ *         key: 'name'
+ *     },
+ *     {
+ *         header: 'Price',
+ *         key: 'price',
+ *         parser: (value) => Math.round(parseFloat(value) * 100)
+ *     }
+ * ], {
+ *     includeHeader: true
+ * });
+ * // { name: 'Cat Chow', price: 529 }
+ * @example
+ * // using no column definitions
+ * // there will be no type conversions if no parser is given, any returned values will be strings
+ * fromCSV('"Cat Chow",5.29');
+ * // { col1: 'Cat Chow', col2: '5.29' }
+ * @example
+ * // using no column definitions (use header as keys)
+ * fromCSV('"Name","Price"\n"Cat Chow",5.29', null, {
+ *     includeHeader: true
+ * });
+ * // { Name: 'Cat Chow', Price: '5.29' }
+ */
+function fromCSV(csvStr, columns, options = {}) {
+    if (typeof csvStr !== 'string') {
+        throw new Error('First argument is not a string');
+    }
+    
+    csvStr = csvStr
+        // clear lines that are empty
+        .replace(/\n{2,}/g, '\n')
+        // remove newlines at beginning and end of file
+        .replace(/(\n$|^\n)/, '');
+    
+    const {includeEmptyValues, includeHeader} = options;
+    const delimiter = options.delimiter || ',';
+    const startIndex = includeHeader ? 1 : 0;
+    const useDefaultColumns = Boolean(
+        // no columns given
+        !columns &&
+        // csv string is not empty
+        csvStr.length > 0
+    );
+    
+    if (useDefaultColumns) {
+        columns = detectColumnsFromCSV(csvStr, options);
+    } else {
+        // firstly, format columns into the proper format
+        columns = columns.map(detectColumn);
+    }
+    
+    // this will skip the first line if includeHeader is true
+    // convert the CSV string into an array of arrays for each line
+    const csvLines = csvToArray(csvStr, delimiter).slice(startIndex);
+    const getRow = (line, rowIndex) => {
+        const processColumn = (result, column, columnIndex) => {
+            const validColumn = Boolean(
+                column != null &&
+                column.key
+            );
+            
+            // column is not valid for taking value from
+            if (!validColumn) {
+                // skip this column
+                return result;
+            }
+            
+            // get the value from the line
+            const {key, required, parser, parseEmpty} = column;
+            let cellValue = line[columnIndex];
+            // can we parse the cell?
+            const canParse = Boolean(
+                // a value exists on the line
+                // this includes empty values
+                cellValue !== undefined &&
+                // parser is a function
+                typeof parser === 'function' &&
+                (
+                    // we allow parsing of empty values
+                    parseEmpty ||
+                    // value is not empty
+                    cellValue !== ''
+                )
+            );
+            
+            if (canParse) {
+                // parse value using parsing function
+                cellValue = parser(cellValue, {
+                    key,
+                    row: rowIndex + startIndex + 1,
+                    column: columnIndex
+                });
+            }
+            
+            // the cell value is empty
+            const isEmpty = Boolean (
+                // the value is null or undefined
+                cellValue == null ||
+                // the value is a blank string
+                cellValue === ''
+            );
+            // determine if the value can be assigned to the object
+            const canAssign = Boolean(
+                // we allow empty values
+                includeEmptyValues ||
+                !isEmpty
+            );
+            // there's an error in this column...
+            const hasError = (
+                required &&
+                isEmpty
+            );
+            
+            if (hasError) {
+                // throw the error that the value for this column is missing
+                throw new Error(`Required column ${key} is empty`);
+            } else if (canAssign) {
+                // we don't want to assign keys with empty values unless specified in options
+                result[key] = cellValue;
+            }
+            
+            return result;
+        };
+        // collect object from columns
+        const result = columns.reduce(processColumn, {});
+        
+        return result;
+    };
+    const rows = csvLines.map(getRow);
+    
+    return rows;
+}
+
+module.exports = {
+    fromCSV
+};
@@ -0,0 +1,380 @@
+#!/usr/bin/env node
+'use strict';
+
+// converts CSV to JSON or NDJSON and back again from the command line
+// run "salsacsv --help" for usage
+
+const fs = require('fs');
+const path = require('path');
+const {toCSV, fromCSV, validateRows} = require('..');
+
+const USAGE = `Usage: salsacsv [input] [options]
+
+Converts CSV to JSON or NDJSON, or JSON or NDJSON to CSV. Reads from stdin if no input file is
+given and writes to stdout if no output file is given.
+
+Options:
+  -c, --columns <module>       JS module exporting an array of columns, or an object with a
+                               columns property
+  -o, --output <file>          File to write to
+      --from <format>          Format of the input, either csv, json or ndjson, detected from
+                               the extension of the input file, or csv
+      --to <format>            Format of the output, either csv, json or ndjson, detected from
+                               the extension of the output file, or json when reading csv and
+                               csv otherwise
+  -d, --delimiter <delimiter>  Delimiter of the CSV, or "auto" to sniff it
+      --dialect <dialect>      Dialect of the CSV: rfc4180, excel, excel-tab or unix, which is
+                               excel-tab for .tsv files if no delimiter is given
+  -H, --header                 The CSV has a header, or write a header
+      --include-empty          Assign empty values to objects
+      --match-by <method>      Match columns to cells by position or header
+      --extra-headers <mode>   What to do with headers matching no column: ignore or error
+      --column-count <mode>    How lines with the wrong number of cells are handled: strict, pad
+                               or truncate
+      --extra-cells <key>      Key to assign cells past the last column to
+      --header-transform <name>
+                               Turn headers into keys using camelCase, snake_case, trim or
+                               lowercase when no columns are given
+      --duplicate-headers <mode>
+                               What to do with repeated headers: error, suffix or array
+      --infer-types            Infer the types of columns when no columns are given
+      --flatten                Flatten nested objects into columns when no columns are given
+      --no-unflatten           Do not build nested objects from keys which are paths
+      --quote <policy>         Quote values: auto, always or never
+      --no-sanitize-formulas   Do not neutralize values which would be read as formulas
+      --pretty                 Indent JSON output
+  -h, --help                   Show this help
+
+Exits with a code of 1 if any values are not valid, and 2 if the options are not valid.`;
+
+// the options which can be given, by name
+const OPTIONS = {
+    columns: {
+        alias: 'c',
+        takesValue: true
+    },
+    output: {
+        alias: 'o',
+        takesValue: true
+    },
+    from: {
+        takesValue: true,
+        values: ['csv', 'json', 'ndjson']
+    },
+    to: {
+        takesValue: true,
+        values: ['csv', 'json', 'ndjson']
+    },
+    delimiter: {
+        alias: 'd',
+        takesValue: true
+    },
+    dialect: {
+        takesValue: true
+    },
+    header: {
+        alias: 'H'
+    },
+    'include-empty': {},
+    'match-by': {
+        takesValue: true,
+        values: ['position', 'header']
+    },
+    'extra-headers': {
+        takesValue: true,
+        values: ['ignore', 'error']
+    },
+    'column-count': {
+        takesValue: true,
+        values: ['strict', 'pad', 'truncate']
+    },
+    'extra-cells': {
+        takesValue: true
+    },
+    'header-transform': {
+        takesValue: true,
+        values: ['camelCase', 'snake_case', 'trim', 'lowercase']
+    },
+    'duplicate-headers': {
+        takesValue: true,
+        values: ['error', 'suffix', 'array']
+    },
+    'infer-types': {},
+    flatten: {},
+    unflatten: {},
+    quote: {
+        takesValue: true,
+        values: ['auto', 'always', 'never']
+    },
+    'sanitize-formulas': {},
+    pretty: {},
+    help: {
+        alias: 'h'
+    }
+};
+// the formats of files by their extension
+const EXTENSION_FORMATS = {
+    '.csv': 'csv',
+    '.tsv': 'csv',
+    '.json': 'json',
+    '.ndjson': 'ndjson',
+    '.jsonl': 'ndjson'
+};
+// the dialects of CSV files by their extension, used when no delimiter or dialect is given
+const EXTENSION_DIALECTS = {
+    '.tsv': 'excel-tab'
+};
+// dates written by JSON.stringify
+const JSON_DATE_PATTERN = /^\d{4}-\d{2}-\d{2}T\d{2}:\d{2}:\d{2}\.\d{3}Z$/;
+
+// thrown for options which are not valid
+class UsageError extends Error {}
+
+// parses the command line arguments into an object of options by name, with the input file
+const parseArgs = (args) => {
+    const options = {};
+    const files = [];
+    const aliases = Object.keys(OPTIONS).reduce((aliases, name) => {
+        if (OPTIONS[name].alias) {
+            aliases[OPTIONS[name].alias] = name;
+        }
+        
+        return aliases;
+    }, {});
+    
+    for (let i = 0; i < args.length; i++) {
+        const arg = args[i];
+        
+        if (arg === '-' || !arg.startsWith('-')) {
+            files.push(arg);
+            continue;
+        }
+        
+        // options may be given as "--name=value"
+        const [flag, inlineValue] = arg.split(/=(.*)/s);
+        let name = flag.startsWith('--') ? flag.slice(2) : aliases[flag.slice(1)];
+        let value = true;
+        
+        if (name && name.startsWith('no-') && OPTIONS[name.slice(3)] && !OPTIONS[name.slice(3)].takesValue) {
+            name = name.slice(3);
+            value = false;
+        }
+        
+        const option = OPTIONS[name];
+        
+        if (!option) {
+            throw new UsageError(`Unknown option ${flag}`);
+        }
+        
+        if (option.takesValue) {
+            value = inlineValue !== undefined ? inlineValue : args[++i];
+            
+            if (value === undefined) {
+                throw new UsageError(`Option ${flag} requires a value`);
+            }
+            
+            if (option.values && !option.values.includes(value)) {
+                throw new UsageError(`Option ${flag} must be one of ${option.values.join(', ')}`);
+            }
+        } else if (inlineValue !== undefined) {
+            throw new UsageError(`Option ${flag} does not take a value`);
+        }
+        
+        options[name] = value;
+    }
+    
+    if (files.length > 1) {
+        throw new UsageError(`Unexpected argument ${files[1]}`);
+    }
+    
+    return Object.assign(options, {
+        input: files[0] === '-' ? undefined : files[0]
+    });
+};
+
+// gets the format of a file from its extension
+const getFormat = (file) => {
+    return file ? EXTENSION_FORMATS[path.extname(file).toLowerCase()] : undefined;
+};
+
+// gets the dialect of a CSV file from its extension
+const getDialect = (file) => {
+    return file ? EXTENSION_DIALECTS[path.extname(file).toLowerCase()] : undefined;
+};
+
+// loads the columns exported from a module
+const loadColumns = (file) => {
+    const exported = require(path.resolve(file));
+    const columns = Array.isArray(exported) ? exported : exported && exported.columns;
+    
+    if (!Array.isArray(columns)) {
+        throw new UsageError(`Column module ${file} does not export an array of columns`);
+    }
+    
+    return columns;
+};
+
+// reads the whole of a file, or stdin if no file is given
+const readInput = (file) => {
+    if (file) {
+        return Promise.resolve(fs.readFileSync(file, 'utf8'));
+    }
+    
+    return new Promise((resolve, reject) => {
+        let str = '';
+        
+        process.stdin.setEncoding('utf8');
+        process.stdin
+            .on('data', (chunk) => {
+                str += chunk;
+            })
+            .on('error', reject)
+            .on('end', () => resolve(str));
+    });
+};
+
+// reads objects from JSON or NDJSON, with dates written by JSON.stringify as dates
+const readObjects = (str, format) => {
+    const reviver = (key, value) => {
+        return typeof value === 'string' && JSON_DATE_PATTERN.test(value) ? new Date(value) : value;
+    };
+    
+    if (format === 'ndjson') {
+        return str.split(/\r?\n/).reduce((rows, line, index) => {
+            if (line.trim() === '') {
+                return rows;
+            }
+            
+            try {
+                rows.push(JSON.parse(line, reviver));
+            } catch (error) {
+                throw new Error(`Line ${index + 1} is not valid JSON: ${error.message}`);
+            }
+            
+            return rows;
+        }, []);
+    }
+    
+    const rows = JSON.parse(str, reviver);
+    
+    if (!Array.isArray(rows)) {
+        throw new Error('JSON input is not an array');
+    }
+    
+    return rows;
+};
+
+// writes objects as JSON or NDJSON
+const writeObjects = (rows, format, pretty) => {
+    if (format === 'ndjson') {
+        return rows.map((row) => JSON.stringify(row) + '\n').join('');
+    }
+    
+    return JSON.stringify(rows, null, pretty ? 4 : undefined) + '\n';
+};
+
+// formats a report of errors in cells
+const formatErrors = (errors, input) => {
+    const count = `${errors.length} ${errors.length === 1 ? 'error' : 'errors'}`;
+    
+    return [
+        `salsacsv: ${count} in ${input || 'stdin'}`,
+        ...errors.map((error) => `  ${error.message}`)
+    ].join('\n');
+};
+
+const run = async (args) => {
+    const options = parseArgs(args);
+    
+    if (options.help) {
+        console.log(USAGE);
+        
+        return 0;
+    }
+    
+    const from = options.from || getFormat(options.input) || 'csv';
+    const to = options.to || getFormat(options.output) || (from === 'csv' ? 'json' : 'csv');
+    
+    if (from !== 'csv' && to !== 'csv') {
+        throw new UsageError('Either the input or the output must be csv');
+    }
+    
+    const columns = options.columns ? loadColumns(options.columns) : undefined;
+    // the file which is CSV
+    const csvFile = from === 'csv' ? options.input : options.output;
+    const csvOptions = {
+        includeHeader: options.header,
+        includeEmptyValues: options['include-empty'],
+        delimiter: options.delimiter,
+        dialect: options.dialect || (options.delimiter ? undefined : getDialect(csvFile)),
+        matchBy: options['match-by'],
+        extraHeaders: options['extra-headers'],
+        columnCount: options['column-count'],
+        extraCells: options['extra-cells'],
+        headerTransform: options['header-transform'],
+        duplicateHeaders: options['duplicate-headers'],
+        inferTypes: options['infer-types'],
+        flatten: options.flatten,
+        unflatten: options.unflatten,
+        quote: options.quote,
+        sanitizeFormulas: options['sanitize-formulas']
+    };
+    
+    // leave out options which were not given so that defaults are used
+    Object.keys(csvOptions).forEach((key) => {
+        if (csvOptions[key] === undefined) {
+            delete csvOptions[key];
+        }
+    });
+    
+    const input = await readInput(options.input);
+    let output;
+    
+    if (from === 'csv') {
+        const {rows, errors} = fromCSV(input, columns, Object.assign({}, csvOptions, {
+            errorMode: 'collect'
+        }));
+        
+        if (errors.length > 0) {
+            console.error(formatErrors(errors, options.input));
+            
+            return 1;
+        }
+        
+        output = writeObjects(rows, to, options.pretty);
+    } else {
+        const rows = readObjects(input, from);
+        const errors = columns ? validateRows(rows, columns, csvOptions) : [];
+        
+        if (errors.length > 0) {
+            console.error(formatErrors(errors, options.input));
+            
+            return 1;
+        }
+        
+        output = toCSV(rows, columns, csvOptions) + '\n';
+    }
+    
+    if (options.output) {
+        fs.writeFileSync(options.output, output);
+    } else {
+        process.stdout.write(output);
+    }
+    
+    return 0;
+};
+
+run(process.argv.slice(2))
+    .then((code) => {
+        process.exitCode = code;
+    })
+    .catch((error) => {
+        console.error(`salsacsv: ${error.message}`);
+        
+        if (error instanceof UsageError) {
+            console.error('Run "salsacsv --help" for usage.');
+            process.exitCode = 2;
+        } else {
+            process.exitCode = 1;
+        }
+    });
@@ -4,36 +4,10 @@ const salsacsv = require('salsacsv');
 
 // helper functions for our data
 
-// converts a string to a date
-const toDate = (str) => new Date(str);
-// converts a date to a string to be inserted into CSV
-const toDateString = (date) => {
-    return [
-        date.getFullYear(),
-        date.getMonth() + 1,
-        date.getDate()
-    ].join('/');
-};
-// this will convert our currency value into an integer
-// e.g. 1.23 -> 123
-const toIntegerCurrency = (str) => {
-    return Math.round(parseFloat(str) * 100);
-};
-// reverse of toIntegerCurrency
-// this will convert our integer price value into a decimal number
-// e.g. 123 -> 1.23
-const toDecimalCurrency = (num) => {
-    const toDecimal = (value, precision) => {
-        let power = Math.pow(10, precision);
-        
-        return value / power;
-    };
-    
-    return toDecimal(num, 2);
-};
 // don't forget the sales tax!
+// the price is in cents, and the tax is returned in dollars
 const calculateTax = (tax, price) => {
-    return toDecimalCurrency(Math.round(price * tax));
+    return Math.round(price * tax) / 100;
 };
 
 const tax = 0.06;
@@ -44,8 +18,10 @@ const columns = [
         key: 'date',
         required: true,
         // when parsing from CSV the result should be the same as the original object
-        parser: toDate,
-        converter: toDateString
+        ...salsacsv.types.date({
+            format: 'YYYY/M/D',
+            timezone: 'local'
+        })
     },
     // no parsing needed
     {
@@ -57,9 +33,8 @@ const columns = [
         header: 'Price',
         key: 'price',
         required: true,
-        // when parsing from CSV the result should be the same as the original object
-        parser: toIntegerCurrency,
-        converter: toDecimalCurrency
+        // prices are stored in cents, e.g. 349 is written as 3.49
+        ...salsacsv.types.currency()
     },
     // this is a special column for CSV only to show the tax added to an item
     {
@@ -71,13 +46,12 @@ const columns = [
     // this is a special column for CSV-only to show the total of an item with tax
     {
         header: 'Total',
+        // this column is trusted to contain formulas, so they are not sanitized
+        formula: true,
         // this generates a spreadsheet formula to take the price cell and the tax cell
-        // and add them together
-        converter: (value, {row, column}) => {
-            let priceCell = salsacsv.cellLabel(row, column - 2);
-            let taxCell = salsacsv.cellLabel(row, column - 1);
-            
-            return `=${priceCell}+${taxCell}`;
+        // and add them together, finding the cells by the key or header of their column
+        converter: (value, {ref}) => {
+            return `=${ref('price')}+${ref('Tax')}`;
         }
     }
 ];
@@ -1,3 +1,4 @@
+/// <reference types="node" />
 export as namespace salsacsv;
 /**
  * An object describing the format of a column.
@@ -8,17 +9,45 @@ export type Column = {
      */
     header?: string;
     /**
-     * - The object key for this column.
+     * - Other headers which are matched to this column when matching columns by header.
+     */
+    aliases?: string[];
+    /**
+     * - The object key for this column, which can be a path to a nested value using dots and brackets, such as "customer.address.city" or "items[0].sku".
      */
     key?: string;
     /**
-     * - Indicates whether the value should be defined when getting value from CSV. Throws an error if the resulting value is null, undefined, or an empty string.
+     * - Indicates whether the value should be defined when getting value from CSV or validating objects. Throws an error if the resulting value is null, undefined, or an empty string.
      */
     required?: boolean;
     /**
      * - The function called to convert value to CSV.
      */
     converter?: Converter;
+    /**
+     * - How values of this column are quoted when writing CSV, either "auto" to quote values using the quoting of the dialect, "always" to quote every value, or "never" to only quote values which contain delimiters, quotes or line breaks.
+     */
+    quote?: string;
+    /**
+     * - Whether the values of this column are trusted to be formulas, which are not sanitized when writing CSV.
+     */
+    formula?: boolean;
+    /**
+     * - The number format of the cells of this column when writing XLSX, such as "#,##0.00" or "yyyy/m/d".
+     */
+    numberFormat?: string;
+    /**
+     * - The width of this column in characters, which is the width of its field in fixed-width text and its width when writing XLSX.
+     */
+    width?: number;
+    /**
+     * - The side of its field a value is placed on in fixed-width text, either "left" or "right", which also aligns the column in Markdown and HTML tables.
+     */
+    align?: string;
+    /**
+     * - The character fields are padded with in fixed-width text, which is removed from the side opposite the alignment when reading.
+     */
+    pad?: string;
     /**
      * - The function called to parse value from CSV. Will not be called unless parseEmpty is set to true.
      */
@@ -27,11 +56,190 @@ export type Column = {
      * - Whether to parse empty values or not.
      */
     parseEmpty?: boolean;
+    /**
+     * - The type that values must be, which is checked after parsing. Either "string", "number", "integer", "boolean" or "date".
+     */
+    type?: string;
+    /**
+     * - The minimum value.
+     */
+    min?: (number | Date);
+    /**
+     * - The maximum value.
+     */
+    max?: (number | Date);
+    /**
+     * - The minimum length of values.
+     */
+    minLength?: number;
+    /**
+     * - The maximum length of values.
+     */
+    maxLength?: number;
+    /**
+     * - A pattern that values must match.
+     */
+    pattern?: RegExp;
+    /**
+     * - The values which are allowed.
+     */
+    enum?: any[];
+    /**
+     * - Whether each value must be different from the values in every other row.
+     */
+    unique?: boolean;
+    /**
+     * - A function for checking values.
+     */
+    validate?: Validator;
+};
+/**
+ * An object describing how CSV is written and read.
+ */
+export type Dialect = {
+    /**
+     * - The delimiter between cells, which may be more than one character.
+     */
+    delimiter?: string;
+    /**
+     * - The character used to quote cells.
+     */
+    quote?: string;
+    /**
+     * - The character used to escape quotes inside of quoted cells, which is the quote character if not given. Quotes are escaped by doubling them when this is the quote character, otherwise this character escapes the character after it in both quoted and unquoted cells.
+     */
+    escape?: string;
+    /**
+     * - The line break written between lines. Any line break is accepted when reading.
+     */
+    lineTerminator?: string;
+    /**
+     * - Which values are quoted when writing. "strings" quotes strings which are not formulas or dates, "all" quotes every value, "nonnumeric" quotes every value which is not a number, "minimal" only quotes values containing special characters, and "none" never quotes values, escaping special characters with the escape character instead.
+     */
+    quoting?: string;
+};
+/**
+ * An object for writing rows in a format, which is created for the columns and options by the
+ * function given as the format option of format.
+ */
+export type Writer = {
+    /**
+     * - Function which takes the header of each column, which is empty for columns without one, and returns the header, or null if the format does not have one. It is only called when includeHeader is set.
+     */
+    header: (arg0: string[]) => (string | null);
+    /**
+     * - Function which takes the converted value of each cell in a row and the zero-based index of the row, and returns the row.
+     */
+    row: (arg0: any[], arg1: number) => string;
+    /**
+     * - Function which takes the rows and the header, which is null if there is none, and returns the text.
+     */
+    join: (arg0: string[], arg1: (string | null)) => string;
+};
+/**
+ * An object parsed from CSV using the given columns. Values are typed by the return types of the
+ * parsers of the columns, and are strings for columns without parsers. Values of columns which are
+ * not required may be missing. Keys which are paths to nested values are not expanded.
+ */
+export type Row<C extends Column> = { [K in NonNullable<Extract<C, {
+    required: true;
+}>["key"]>]: ColumnValue<Extract<C, {
+    key?: K;
+}>>; } & { [K in NonNullable<Exclude<C, {
+    required: true;
+}>["key"]>]?: ColumnValue<Extract<C, {
+    key?: K;
+}>>; };
+/**
+ * The type of the values of a column.
+ */
+export type ColumnValue<C extends Column> = C extends {
+    parser?: infer P;
+} ? (P extends (...args: any[]) => infer V ? (V extends Promise<infer U> ? U : V) : string) : string;
+/**
+ * What fromCSV returns, which is a result containing the rows and errors if errorMode is "collect".
+ */
+export type ParseOutput<C extends Column, E extends string> = E extends "collect" ? ParseResult<C> : Array<Row<C>>;
+/**
+ * The result of parsing CSV when errors are collected.
+ */
+export type ParseResult<C extends Column> = {
+    /**
+     * - Array of objects for the rows which had no errors.
+     */
+    rows: Array<Row<C>>;
+    /**
+     * - Array of errors for every cell which could not be parsed, in the order they appear.
+     */
+    errors: CellError[];
+};
+/**
+ * The result of writing fixed-width text when errors are collected.
+ */
+export type FixedWidthResult = {
+    /**
+     * - The fixed-width text of the rows which had no errors, and of rows with truncated values.
+     */
+    text: string;
+    /**
+     * - Array of errors for every value which could not be written or was truncated, in the order they appear.
+     */
+    errors: CellError[];
+};
+/**
+ * What toCSV returns, which is a buffer if an encoding is given.
+ */
+export type CSVOutput<E extends ("utf8" | "utf16le" | "windows-1252" | undefined)> = E extends undefined ? string : Buffer;
+/**
+ * A dialect detected by sniffing a CSV string.
+ */
+export type SniffedDialect = {
+    /**
+     * - The delimiter between cells.
+     */
+    delimiter: string;
+    /**
+     * - The character used to quote cells.
+     */
+    quote: string;
+    /**
+     * - The character used to escape quotes inside of quoted cells.
+     */
+    escape: string;
+    /**
+     * - The line break between lines.
+     */
+    lineTerminator: string;
+    /**
+     * - Whether the first line looks like a header.
+     */
+    hasHeader: boolean;
+};
+/**
+ * A column type from types, which can be spread into a column.
+ */
+export type ColumnType = {
+    /**
+     * - The function called to parse value from CSV.
+     */
+    parser: Parser;
+    /**
+     * - The function called to convert value to CSV.
+     */
+    converter: Converter;
+    /**
+     * - The type of values.
+     */
+    type?: string;
+    /**
+     * - The values which are allowed.
+     */
+    enum?: any[];
 };
 /**
  * Function to convert value to raw CSV.
  */
-export type Converter = (value?: string, details?: ConverterDetails) => string | number;
+export type Converter = (value?: string, details?: ConverterDetails) => (string | number | null | undefined | Promise<(string | number | null | undefined)>);
 /**
  * Converter details
  */
@@ -52,11 +260,19 @@ export type ConverterDetails = {
      * - Column number.
      */
     column?: number;
+    /**
+     * - Function which takes the key or header of a column and gives the label of its cell in this row, such as "C2". The label of another row is given when the options have a one-based "row" not including the header, or an "offset" from this row.
+     */
+    ref?: (arg0: string, arg1: any | undefined) => string;
+    /**
+     * - Function which takes the key or header of a column and gives the range of its cells in every row, such as "C2:C4". Ranges are not available when formatting streams.
+     */
+    range?: (arg0: string) => string;
 };
 /**
  * Function to parse value from raw CSV.
  */
-export type Parser = (value?: string, details?: ParserDetails) => any;
+export type Parser = (value: string, details?: ParserDetails) => any;
 /**
  * Parser details
  */
@@ -74,14 +290,68 @@ export type ParserDetails = {
      */
     column?: number;
 };
+/**
+ * Function to check a value against the rules of a column. Empty values are not checked.
+ */
+export type Validator = (value: any, details: ValidatorDetails) => (boolean | string | undefined);
+/**
+ * Details of a value which is being checked by a validator.
+ */
+export type ValidatorDetails = {
+    /**
+     * - The object the value belongs to.
+     */
+    obj: any;
+    /**
+     * - The key of the value in the object.
+     */
+    key: string;
+    /**
+     * - Row number.
+     */
+    row: number;
+    /**
+     * - Column number.
+     */
+    column: number;
+};
+/**
+ * Function to check an object parsed from a row against rules which involve more than one of its values.
+ */
+export type RowValidator = (obj: any, details: RowValidatorDetails) => (boolean | string | undefined);
+/**
+ * Details of a row which is being checked by a row validator.
+ */
+export type RowValidatorDetails = {
+    /**
+     * - Row number.
+     */
+    row: number;
+    /**
+     * - The raw cells of the row.
+     */
+    cells: string[];
+};
 /**
  * Converts an array of objects to a CSV string.
+ * @template {('utf8'|'utf16le'|'windows-1252'|undefined)} [E=undefined]
  * @param {Object[]} rows - Array of objects to form rows from.
  * @param {Column[]} columns - An array containing columns.
  * @param {Object} [options={}] - Parsing options.
  * @param {Boolean} [options.includeHeader] - Whether the CSV has a header or not, the first line will be skipped if this is set to true.
  * @param {String} [options.delimiter=','] - The delimiter for the CSV string.
- * @returns {String} CSV string.
+ * @param {(String|Dialect)} [options.dialect] - The dialect for the CSV string, either the name of one of the dialects or a dialect object. The delimiter option takes precedence over the delimiter of the dialect.
+ * @param {Boolean} [options.flatten] - Whether to flatten nested objects and arrays into columns with path keys, such as "customer.address.city" or "items[0].sku", when columns are not given.
+ * @param {Boolean} [options.sanitizeFormulas=true] - Whether to neutralize values which spreadsheet applications would read as formulas, such as "=HYPERLINK(...)", "+cmd" or SUM(...) prefixed with an at sign, by placing a single quote before them. Columns with formula set to true are not sanitized.
+ * @param {String} [options.quote='auto'] - How columns without their own quote setting are quoted, either "auto" to quote values using the quoting of the dialect, "always" to quote every value, or "never" to only quote values which contain delimiters, quotes or line breaks.
+ * @param {function(String): Boolean} [options.isLiteral=isSpreadsheetLiteral] - Function which checks whether a string is read as a value, such as a date, by spreadsheet applications. Strings which are literals are not quoted when the dialect quotes strings.
+ * @param {function(Object): (Object|null|undefined)} [options.beforeRow] - Function called with each object before it is written, which returns an object to write instead of it, or null to leave it out. Objects which are left out are not counted in row numbers.
+ * @param {Boolean} [options.validate] - Whether to check the objects against the rules of the columns before anything is written.
+ * @param {E} [options.encoding] - The encoding to write the CSV in, either "utf8", "utf16le" or "windows-1252". A buffer is returned when this is given.
+ * @param {Boolean} [options.bom] - Whether to start with a byte order mark, which spreadsheet applications such as Excel need to read UTF-8 and UTF-16 correctly. Windows-1252 does not have one.
+ * @param {Boolean} [options.sepLine] - Whether to start with a line such as "sep=,", which tells Excel what the delimiter is, and which fromCSV reads the delimiter from when its sepLine option is set.
+ * @returns {CSVOutput<E>} CSV string, or a buffer if an encoding is given.
+ * @throws {CellError} When validate is true and a value is not valid.
  * @public
  * @memberof salsacsv
  *
@@ -106,19 +376,254 @@ export type ParserDetails = {
  * });
  * // "Name","Price"\n"Cat Chow",5.29
  */
-export function toCSV(rows: any[], columns: Column[], options?: {
+export function toCSV<E extends ("utf8" | "utf16le" | "windows-1252" | undefined) = undefined>(rows: any[], columns: Column[], options?: {
     includeHeader?: boolean;
     delimiter?: string;
+    dialect?: (string | Dialect);
+    flatten?: boolean;
+    sanitizeFormulas?: boolean;
+    quote?: string;
+    isLiteral?: (arg0: string) => boolean;
+    beforeRow?: (arg0: any) => (any | null | undefined);
+    validate?: boolean;
+    encoding?: E;
+    bom?: boolean;
+    sepLine?: boolean;
+}): CSVOutput<E>;
+/**
+ * Converts an array of objects to text in the given format. Values are taken from objects using
+ * the columns in the same way as toCSV, with the same converters and headers, and are escaped for
+ * the format they are written in.
+ *
+ * The formats are "csv", "ndjson" for one JSON object per line, "markdown" for a Markdown table,
+ * and "html" for an HTML table. Other formats can be written by giving a function which creates a
+ * writer for them.
+ * @param {Object[]} rows - Array of objects to form rows from.
+ * @param {Column[]} [columns] - An array containing columns. Columns are detected from the objects if not given.
+ * @param {Object} [options={}] - Formatting options, which include the options of toCSV when writing CSV.
+ * @param {(String|function(Column[], Object): Writer)} [options.format='csv'] - The format, either "csv", "ndjson", "markdown" or "html", or a function which takes the columns and options and returns a writer.
+ * @param {Boolean} [options.includeHeader] - Whether to write the headers of the columns. Lines of NDJSON use headers as property names instead of keys when this is set, and Markdown tables have an empty header when it is not, as tables must have one.
+ * @param {Boolean} [options.flatten] - Whether to flatten nested objects and arrays into columns with path keys, such as "customer.address.city" or "items[0].sku", when columns are not given.
+ * @param {function(Object): (Object|null|undefined)} [options.beforeRow] - Function called with each object before it is written, which returns an object to write instead of it, or null to leave it out. Objects which are left out are not counted in row numbers.
+ * @param {Boolean} [options.validate] - Whether to check the objects against the rules of the columns before anything is written.
+ * @returns {String} The text.
+ * @throws {CellError} When validate is true and a value is not valid.
+ * @public
+ * @memberof salsacsv
+ *
+ * @example
+ * format([
+ *     {
+ *         name: 'Cat Chow',
+ *         price: 529
+ *     }
+ * ], [
+ *     {
+ *         header: 'Name',
+ *         key: 'name'
+ *     },
+ *     {
+ *         header: 'Price',
+ *         key: 'price',
+ *         align: 'right',
+ *         ...types.currency()
+ *     }
+ * ], {
+ *     format: 'markdown',
+ *     includeHeader: true
+ * });
+ * // | Name | Price |\n| --- | ---: |\n| Cat Chow | 5.29 |
+ */
+export function format(rows: any[], columns?: Column[], options?: {
+    format?: (string | ((arg0: Column[], arg1: any) => Writer));
+    includeHeader?: boolean;
+    flatten?: boolean;
+    beforeRow?: (arg0: any) => (any | null | undefined);
+    validate?: boolean;
 }): string;
+/**
+ * Converts an array of objects to a CSV string, waiting for converters which return promises. Up to
+ * the given number of converters are waited on at once, and they are given the same details as
+ * they are by toCSV.
+ * @template {('utf8'|'utf16le'|'windows-1252'|undefined)} [E=undefined]
+ * @param {Object[]} rows - Array of objects to form rows from.
+ * @param {Column[]} columns - An array containing columns.
+ * @param {Object} [options={}] - Parsing options.
+ * @param {Boolean} [options.includeHeader] - Whether the CSV has a header or not, the first line will be skipped if this is set to true.
+ * @param {String} [options.delimiter=','] - The delimiter for the CSV string.
+ * @param {(String|Dialect)} [options.dialect] - The dialect for the CSV string, either the name of one of the dialects or a dialect object. The delimiter option takes precedence over the delimiter of the dialect.
+ * @param {Boolean} [options.flatten] - Whether to flatten nested objects and arrays into columns with path keys, such as "customer.address.city" or "items[0].sku", when columns are not given.
+ * @param {Boolean} [options.sanitizeFormulas=true] - Whether to neutralize values which spreadsheet applications would read as formulas, such as "=HYPERLINK(...)", "+cmd" or SUM(...) prefixed with an at sign, by placing a single quote before them. Columns with formula set to true are not sanitized.
+ * @param {String} [options.quote='auto'] - How columns without their own quote setting are quoted, either "auto" to quote values using the quoting of the dialect, "always" to quote every value, or "never" to only quote values which contain delimiters, quotes or line breaks.
+ * @param {function(String): Boolean} [options.isLiteral=isSpreadsheetLiteral] - Function which checks whether a string is read as a value, such as a date, by spreadsheet applications. Strings which are literals are not quoted when the dialect quotes strings.
+ * @param {function(Object): (Object|null|undefined)} [options.beforeRow] - Function called with each object before it is written, which returns an object to write instead of it, or null to leave it out. Objects which are left out are not counted in row numbers.
+ * @param {Boolean} [options.validate] - Whether to check the objects against the rules of the columns before anything is written.
+ * @param {E} [options.encoding] - The encoding to write the CSV in, either "utf8", "utf16le" or "windows-1252". A buffer is returned when this is given.
+ * @param {Boolean} [options.bom] - Whether to start with a byte order mark, which spreadsheet applications such as Excel need to read UTF-8 and UTF-16 correctly. Windows-1252 does not have one.
+ * @param {Boolean} [options.sepLine] - Whether to start with a line such as "sep=,", which tells Excel what the delimiter is, and which fromCSV reads the delimiter from when its sepLine option is set.
+ * @param {Number} [options.concurrency=10] - The number of converters which can be waited on at once.
+ * @returns {Promise<CSVOutput<E>>} Promise resolving to the CSV string, or a buffer if an encoding is given.
+ * @throws {CellError} When validate is true and a value is not valid.
+ * @public
+ * @memberof salsacsv
+ *
+ * @example
+ * await toCSVAsync(orders, [
+ *     {
+ *         header: 'Product',
+ *         key: 'productId',
+ *         // look up the SKU of the product
+ *         converter: (value) => products.getSKU(value)
+ *     }
+ * ], {
+ *     includeHeader: true,
+ *     concurrency: 5
+ * });
+ * // "Product"\n"CC-1"
+ */
+export function toCSVAsync<E extends ("utf8" | "utf16le" | "windows-1252" | undefined) = undefined>(rows: any[], columns: Column[], options?: {
+    includeHeader?: boolean;
+    delimiter?: string;
+    dialect?: (string | Dialect);
+    flatten?: boolean;
+    sanitizeFormulas?: boolean;
+    quote?: string;
+    isLiteral?: (arg0: string) => boolean;
+    beforeRow?: (arg0: any) => (any | null | undefined);
+    validate?: boolean;
+    encoding?: E;
+    bom?: boolean;
+    sepLine?: boolean;
+    concurrency?: number;
+}): Promise<CSVOutput<E>>;
+/**
+ * Converts an array of objects to an XLSX workbook with one sheet. Values are taken from objects
+ * using the columns in the same way as toCSV, and numbers, booleans, dates and formulas from columns
+ * with formula set to true are written as cells of their own type rather than as text. Values of
+ * columns with a type of "date" are written as dates rather than using their converters.
+ * @param {Object[]} rows - Array of objects to form rows from.
+ * @param {Column[]} [columns] - An array containing columns. Columns are detected from the objects if not given.
+ * @param {Object} [options={}] - Formatting options.
+ * @param {Boolean} [options.includeHeader] - Whether to write a header in the first row.
+ * @param {String} [options.sheetName='Sheet1'] - The name of the sheet, which can have up to 31 characters and cannot contain any of []:*?/\.
+ * @param {String} [options.timezone='utc'] - The timezone dates are written in, either "local", "utc" or an offset such as "+02:00", as dates in spreadsheets do not have a timezone.
+ * @param {Boolean} [options.flatten] - Whether to flatten nested objects and arrays into columns with path keys, such as "customer.address.city" or "items[0].sku", when columns are not given.
+ * @param {function(Object): (Object|null|undefined)} [options.beforeRow] - Function called with each object before it is written, which returns an object to write instead of it, or null to leave it out.
+ * @param {Boolean} [options.validate] - Whether to check the objects against the rules of the columns before anything is written.
+ * @returns {Buffer} The XLSX file.
+ * @throws {CellError} When validate is true and a value is not valid.
+ * @public
+ * @memberof salsacsv
+ *
+ * @example
+ * const xlsx = toXLSX(orders, [
+ *     {
+ *         header: 'Date',
+ *         key: 'date',
+ *         numberFormat: 'yyyy/m/d',
+ *         ...types.date()
+ *     },
+ *     {
+ *         header: 'Price',
+ *         key: 'price',
+ *         numberFormat: '$#,##0.00',
+ *         width: 12,
+ *         ...types.currency()
+ *     },
+ *     {
+ *         header: 'Total',
+ *         formula: true,
+ *         converter: (value, {ref}) => `=${ref('price')}*1.06`
+ *     }
+ * ], {
+ *     includeHeader: true
+ * });
+ *
+ * fs.writeFileSync('orders.xlsx', xlsx);
+ */
+export function toXLSX(rows: any[], columns?: Column[], options?: {
+    includeHeader?: boolean;
+    sheetName?: string;
+    timezone?: string;
+    flatten?: boolean;
+    beforeRow?: (arg0: any) => (any | null | undefined);
+    validate?: boolean;
+}): Buffer;
+/**
+ * Converts an array of objects to fixed-width text, where each column is a field with the width of
+ * the column. Values are taken from objects using the columns in the same way as toCSV, and are
+ * padded to the width of their column.
+ * @param {Object[]} rows - Array of objects to form rows from.
+ * @param {Column[]} columns - An array containing columns, which each must have a width. Columns without a key are written as padding.
+ * @param {Object} [options={}] - Formatting options.
+ * @param {Boolean} [options.includeHeader] - Whether to write the headers of the columns in the first line, which are cut to the width of their column and padded with spaces.
+ * @param {String} [options.lineTerminator='\n'] - The text between lines.
+ * @param {String} [options.overflow='error'] - What to do with values which are longer than the width of their column, either "error" to raise a ValidationError with a rule of "width", or "truncate" to cut them to the width of their column. Truncation is silent unless errorMode is "collect", in which case each truncated value is reported with a ValidationError in the errors and its row is still written.
+ * @param {String} [options.errorMode='throw'] - What to do when a value cannot be written, either "throw" to throw the first error, or "collect" to return every error along with the text of the rows which had none.
+ * @param {function(Object): (Object|null|undefined)} [options.beforeRow] - Function called with each object before it is written, which returns an object to write instead of it, or null to leave it out.
+ * @param {Boolean} [options.validate] - Whether to check the objects against the rules of the columns before anything is written.
+ * @returns {(String|FixedWidthResult)} The fixed-width text, or a result containing the text and errors if errorMode is "collect".
+ * @throws {CellError} When a value is longer than the width of its column or contains a line break, and errorMode is "throw".
+ * @public
+ * @memberof salsacsv
+ *
+ * @example
+ * toFixedWidth([
+ *     {
+ *         account: '1234',
+ *         amount: 529
+ *     }
+ * ], [
+ *     {
+ *         key: 'account',
+ *         width: 8
+ *     },
+ *     {
+ *         key: 'amount',
+ *         width: 10,
+ *         align: 'right',
+ *         pad: '0'
+ *     }
+ * ]);
+ * // "1234    0000000529"
+ */
+export function toFixedWidth(rows: any[], columns: Column[], options?: {
+    includeHeader?: boolean;
+    lineTerminator?: string;
+    overflow?: string;
+    errorMode?: string;
+    beforeRow?: (arg0: any) => (any | null | undefined);
+    validate?: boolean;
+}): (string | FixedWidthResult);
 /**
  * Converts a CSV string into objects.
- * @param {String} csvStr - CSV string.
- * @param {Column[]} [columns=[]] - An array containing columns.
+ * @template {Column} C
+ * @template {String} E
+ * @param {(String|Buffer)} csvStr - CSV string, or a buffer which is decoded using the encoding option. A byte order mark at the start is removed.
+ * @param {C[]} [columns=[]] - An array containing columns.
  * @param {Object} [options={}] - Parsing options.
  * @param {Boolean} [options.includeHeader] - Whether the CSV has a header or not.
  * @param {Boolean} [options.includeEmptyValues] - Whether to assign empty values to object or not.
- * @param {String} [options.delimiter=','] - The delimiter of the CSV string.
- * @returns {Object[]} Array of objects.
+ * @param {String} [options.delimiter=','] - The delimiter of the CSV string. Use "auto" to sniff the dialect of the CSV string, which also sets includeHeader if it is not given. The delimiter is taken from the "sep=" line when sepLine is set and this is not given.
+ * @param {Boolean} [options.sepLine] - Whether the CSV string starts with a line such as "sep=,", which is written by toCSV when its sepLine option is set. The line is removed, and gives the delimiter if one is not given.
+ * @param {(String|Dialect)} [options.dialect] - The dialect of the CSV string, either the name of one of the dialects or a dialect object. The delimiter option takes precedence over the delimiter of the dialect.
+ * @param {String} [options.matchBy='position'] - How columns are matched to cells, either "position" to match columns to cells in the same order, or "header" to match the header and aliases of each column to the header line of the CSV string, ignoring case and whitespace. The first line is always read as the header when matching by header.
+ * @param {String} [options.extraHeaders='ignore'] - What to do with headers which do not match any column when matching by header, either "ignore" or "error".
+ * @param {Boolean} [options.unflatten] - Whether keys are paths to nested values, such as "customer.address.city" or "items[0].sku", which are built into nested objects. This is true by default when columns are given, and false when columns are taken from the header.
+ * @param {String} [options.columnCount='truncate'] - How lines with a different number of cells than there are columns are handled, or than there are headers when matching by header. Either "strict" to raise a ColumnCountError, "pad" to read missing cells as empty values, or "truncate" to ignore extra cells and leave values for missing cells out.
+ * @param {String} [options.extraCells] - The key to assign an array of any cells past the last column to, such as "_extra". Extra cells are ignored if this is not given.
+ * @param {(String|String[]|function(String, Number): String)} [options.headerTransform] - How headers are turned into keys when columns are taken from the header, either "camelCase", "snake_case", "trim" or "lowercase", an array of these which are applied in order, or a function which takes a header and its index and returns a key.
+ * @param {String} [options.duplicateHeaders] - What to do with headers which have the same key when columns are taken from the header, either "error" to throw an error, "suffix" to add a number to each repeated key such as "notes_2", or "array" to collect their values into an array. The last value is kept if this is not given.
+ * @param {function(String[], Number): (String[]|null|undefined)} [options.beforeRow] - Function called with the raw cells of each line and its one-based row number before they are parsed, which returns cells to parse instead of them, or null to skip the line.
+ * @param {function(Object, String[]): (Object|null|undefined)} [options.afterRow] - Function called with each object and the raw cells it was parsed from, which returns an object to use instead of it, or null to skip it.
+ * @param {RowValidator} [options.validateRow] - Function for checking each object against rules which involve more than one value, such as an end date being after a start date. It is called after the values of the object are checked and before afterRow.
+ * @param {Boolean} [options.inferTypes] - Whether to infer the types of columns when columns are not given, see inferColumns.
+ * @param {Number} [options.sampleSize=100] - The number of lines to look at when inferring types.
+ * @param {String} [options.encoding='auto'] - The encoding of a buffer, either "utf8", "utf16le" or "windows-1252". When this is "auto", the encoding is taken from the byte order mark, and buffers without one are read as UTF-16LE if most of their characters have a zero byte after them, as UTF-8, or as Windows-1252 if they are not valid UTF-8.
+ * @param {E} [options.errorMode='throw'] - What to do with errors in cells, either "throw" to throw the first error, or "collect" to return every error along with the rows that had none.
+ * @returns {ParseOutput<C, E>} Array of objects, or a result containing the rows and errors if errorMode is "collect".
+ * @throws {CSVSyntaxError} When the CSV string is malformed.
+ * @throws {CellError} When a cell cannot be parsed or breaks one of the rules of its column, and errorMode is "throw".
  * @public
  * @memberof salsacsv
  *
@@ -148,12 +653,564 @@ export function toCSV(rows: any[], columns: Column[], options?: {
  *     includeHeader: true
  * });
  * // { Name: 'Cat Chow', Price: '5.29' }
+ * @example
+ * // matching columns by header, in any order
+ * fromCSV('"Cost","Name"\n5.29,"Cat Chow"', [
+ *     {
+ *         header: 'Name',
+ *         key: 'name'
+ *     },
+ *     {
+ *         header: 'Price',
+ *         key: 'price',
+ *         aliases: ['Cost']
+ *     }
+ * ], {
+ *     matchBy: 'header'
+ * });
+ * // { name: 'Cat Chow', price: '5.29' }
+ * @example
+ * // collecting errors
+ * const {rows, errors} = fromCSV('"Name","Price"\n"Cat Chow",5.29\n,6.99', [
+ *     {
+ *         header: 'Name',
+ *         key: 'name',
+ *         required: true
+ *     },
+ *     {
+ *         header: 'Price',
+ *         key: 'price'
+ *     }
+ * ], {
+ *     includeHeader: true,
+ *     errorMode: 'collect'
+ * });
+ * // rows: [{ name: 'Cat Chow', price: '5.29' }]
+ * // errors: [RequiredError: Required column name is empty in cell A3]
+ */
+export function fromCSV<C extends Column, E extends string>(csvStr: (string | Buffer), columns?: C[], options?: {
+    includeHeader?: boolean;
+    includeEmptyValues?: boolean;
+    delimiter?: string;
+    sepLine?: boolean;
+    dialect?: (string | Dialect);
+    matchBy?: string;
+    extraHeaders?: string;
+    unflatten?: boolean;
+    columnCount?: string;
+    extraCells?: string;
+    headerTransform?: (string | string[] | ((arg0: string, arg1: number) => string));
+    duplicateHeaders?: string;
+    beforeRow?: (arg0: string[], arg1: number) => (string[] | null | undefined);
+    afterRow?: (arg0: any, arg1: string[]) => (any | null | undefined);
+    validateRow?: RowValidator;
+    inferTypes?: boolean;
+    sampleSize?: number;
+    encoding?: string;
+    errorMode?: E;
+}): ParseOutput<C, E>;
+/**
+ * Converts a CSV string into objects, waiting for parsers which return promises. Up to the given
+ * number of parsers are waited on at once, and they are given the same details as they are by
+ * fromCSV. Errors thrown or rejected by parsers are wrapped in a ParseError.
+ * @template {Column} C
+ * @template {String} E
+ * @param {(String|Buffer)} csvStr - CSV string, or a buffer which is decoded using the encoding option. A byte order mark at the start is removed.
+ * @param {C[]} [columns=[]] - An array containing columns.
+ * @param {Object} [options={}] - Parsing options.
+ * @param {Boolean} [options.includeHeader] - Whether the CSV has a header or not.
+ * @param {Boolean} [options.includeEmptyValues] - Whether to assign empty values to object or not.
+ * @param {String} [options.delimiter=','] - The delimiter of the CSV string. Use "auto" to sniff the dialect of the CSV string, which also sets includeHeader if it is not given. The delimiter is taken from the "sep=" line when sepLine is set and this is not given.
+ * @param {Boolean} [options.sepLine] - Whether the CSV string starts with a line such as "sep=,", which is written by toCSV when its sepLine option is set. The line is removed, and gives the delimiter if one is not given.
+ * @param {(String|Dialect)} [options.dialect] - The dialect of the CSV string, either the name of one of the dialects or a dialect object. The delimiter option takes precedence over the delimiter of the dialect.
+ * @param {String} [options.matchBy='position'] - How columns are matched to cells, either "position" to match columns to cells in the same order, or "header" to match the header and aliases of each column to the header line of the CSV string, ignoring case and whitespace. The first line is always read as the header when matching by header.
+ * @param {String} [options.extraHeaders='ignore'] - What to do with headers which do not match any column when matching by header, either "ignore" or "error".
+ * @param {Boolean} [options.unflatten] - Whether keys are paths to nested values, such as "customer.address.city" or "items[0].sku", which are built into nested objects. This is true by default when columns are given, and false when columns are taken from the header.
+ * @param {String} [options.columnCount='truncate'] - How lines with a different number of cells than there are columns are handled, or than there are headers when matching by header. Either "strict" to raise a ColumnCountError, "pad" to read missing cells as empty values, or "truncate" to ignore extra cells and leave values for missing cells out.
+ * @param {String} [options.extraCells] - The key to assign an array of any cells past the last column to, such as "_extra". Extra cells are ignored if this is not given.
+ * @param {(String|String[]|function(String, Number): String)} [options.headerTransform] - How headers are turned into keys when columns are taken from the header, either "camelCase", "snake_case", "trim" or "lowercase", an array of these which are applied in order, or a function which takes a header and its index and returns a key.
+ * @param {String} [options.duplicateHeaders] - What to do with headers which have the same key when columns are taken from the header, either "error" to throw an error, "suffix" to add a number to each repeated key such as "notes_2", or "array" to collect their values into an array. The last value is kept if this is not given.
+ * @param {function(String[], Number): (String[]|null|undefined)} [options.beforeRow] - Function called with the raw cells of each line and its one-based row number before they are parsed, which returns cells to parse instead of them, or null to skip the line.
+ * @param {function(Object, String[]): (Object|null|undefined)} [options.afterRow] - Function called with each object and the raw cells it was parsed from, which returns an object to use instead of it, or null to skip it.
+ * @param {RowValidator} [options.validateRow] - Function for checking each object against rules which involve more than one value, such as an end date being after a start date. It is called after the values of the object are checked and before afterRow.
+ * @param {Boolean} [options.inferTypes] - Whether to infer the types of columns when columns are not given, see inferColumns.
+ * @param {Number} [options.sampleSize=100] - The number of lines to look at when inferring types.
+ * @param {String} [options.encoding='auto'] - The encoding of a buffer, either "utf8", "utf16le" or "windows-1252". When this is "auto", the encoding is taken from the byte order mark, and buffers without one are read as UTF-16LE if most of their characters have a zero byte after them, as UTF-8, or as Windows-1252 if they are not valid UTF-8.
+ * @param {Number} [options.concurrency=10] - The number of parsers which can be waited on at once.
+ * @param {E} [options.errorMode='throw'] - What to do with errors in cells, either "throw" to reject with the first error, or "collect" to resolve with every error along with the rows that had none.
+ * @returns {Promise<ParseOutput<C, E>>} Promise resolving to an array of objects, or a result containing the rows and errors if errorMode is "collect".
+ * @throws {CSVSyntaxError} When the CSV string is malformed.
+ * @throws {CellError} When a cell cannot be parsed or breaks one of the rules of its column, and errorMode is "throw".
+ * @public
+ * @memberof salsacsv
+ *
+ * @example
+ * await fromCSVAsync('"SKU","Quantity"\n"CC-1",2', [
+ *     {
+ *         header: 'SKU',
+ *         key: 'productId',
+ *         // look up the ID of the product
+ *         parser: (value) => products.getId(value)
+ *     },
+ *     {
+ *         header: 'Quantity',
+ *         key: 'quantity',
+ *         parser: parseInt
+ *     }
+ * ], {
+ *     includeHeader: true,
+ *     concurrency: 5
+ * });
+ * // [{ productId: 4021, quantity: 2 }]
+ */
+export function fromCSVAsync<C extends Column, E extends string>(csvStr: (string | Buffer), columns?: C[], options?: {
+    includeHeader?: boolean;
+    includeEmptyValues?: boolean;
+    delimiter?: string;
+    sepLine?: boolean;
+    dialect?: (string | Dialect);
+    matchBy?: string;
+    extraHeaders?: string;
+    unflatten?: boolean;
+    columnCount?: string;
+    extraCells?: string;
+    headerTransform?: (string | string[] | ((arg0: string, arg1: number) => string));
+    duplicateHeaders?: string;
+    beforeRow?: (arg0: string[], arg1: number) => (string[] | null | undefined);
+    afterRow?: (arg0: any, arg1: string[]) => (any | null | undefined);
+    validateRow?: RowValidator;
+    inferTypes?: boolean;
+    sampleSize?: number;
+    encoding?: string;
+    concurrency?: number;
+    errorMode?: E;
+}): Promise<ParseOutput<C, E>>;
+/**
+ * Converts a sheet of an XLSX workbook into an array of objects, in the same way as fromCSV. Numbers,
+ * booleans and dates are given to parsers and assigned to objects as they are, rather than as
+ * text, and cells containing formulas give the value calculated when the workbook was last saved,
+ * or the formula starting with "=" if there is no value. Empty rows are skipped, and errors give
+ * the location of their cell in the sheet.
+ * @param {Buffer} buffer - The XLSX file.
+ * @param {Column[]} [columns] - An array containing columns. Columns are detected from the first row if not given.
+ * @param {Object} [options={}] - Parsing options.
+ * @param {(String|Number)} [options.sheet=0] - The name of the sheet to read, or its zero-based index.
+ * @param {String} [options.timezone='utc'] - The timezone dates are read in, either "local", "utc" or an offset such as "+02:00", as dates in spreadsheets do not have a timezone.
+ * @param {Boolean} [options.includeHeader] - Whether the sheet has a header or not, the first row will be skipped if this is set to true.
+ * @param {Boolean} [options.includeEmptyValues] - Whether to assign empty values to object or not.
+ * @param {String} [options.matchBy='position'] - How columns are matched to cells, either "position" to match each column to the cell at the same position, or "header" to match columns to cells using the header. The first row is always the header when matching by header.
+ * @param {String} [options.extraHeaders='ignore'] - What to do with headers which do not match a column when matching by header, either "ignore" or "error".
+ * @param {Boolean} [options.unflatten] - Whether keys are paths to nested values, such as "customer.address.city" or "items[0].sku". Defaults to true when columns are given, and false when columns are taken from the header.
+ * @param {String} [options.columnCount='truncate'] - How rows with a different number of cells than there are columns are handled, see fromCSV.
+ * @param {String} [options.extraCells] - The key to assign an array of the cells past the last column to.
+ * @param {(String|String[]|function(String, Number): String)} [options.headerTransform] - How headers are turned into keys when columns are taken from the header, see fromCSV.
+ * @param {String} [options.duplicateHeaders] - What to do with headers which have the same key when columns are taken from the header, see fromCSV.
+ * @param {String} [options.errorMode='throw'] - What to do when a value cannot be parsed, either "throw" to throw the first error, or "collect" to return every error along with the rows which had none.
+ * @param {function(Array, Number): (Array|null|undefined)} [options.beforeRow] - Function called with the cells of each row and its one-based row number before they are parsed, which returns cells to parse instead of them, or null to skip the row.
+ * @param {function(Object, Array): (Object|null|undefined)} [options.afterRow] - Function called with each object and the cells it was parsed from, which returns an object to use instead of it, or null to skip it.
+ * @param {RowValidator} [options.validateRow] - Function for checking each object against rules which involve more than one value. It is called after the values of the object are checked and before afterRow.
+ * @returns {(Object[]|ParseResult<Column>)} Array of objects, or an object with the rows and errors if errorMode is "collect".
+ * @throws {CellError} When a value cannot be parsed and errorMode is "throw".
+ * @public
+ * @memberof salsacsv
+ *
+ * @example
+ * fromXLSX(fs.readFileSync('orders.xlsx'), [
+ *     {
+ *         header: 'Date',
+ *         key: 'date',
+ *         required: true
+ *     },
+ *     {
+ *         header: 'Price',
+ *         key: 'price',
+ *         ...types.currency()
+ *     }
+ * ], {
+ *     sheet: 'Orders',
+ *     matchBy: 'header'
+ * });
+ * // [{ date: 2019-08-25T00:00:00.000Z, price: 349 }]
+ */
+export function fromXLSX(buffer: Buffer, columns?: Column[], options?: {
+    sheet?: (string | number);
+    timezone?: string;
+    includeHeader?: boolean;
+    includeEmptyValues?: boolean;
+    matchBy?: string;
+    extraHeaders?: string;
+    unflatten?: boolean;
+    columnCount?: string;
+    extraCells?: string;
+    headerTransform?: (string | string[] | ((arg0: string, arg1: number) => string));
+    duplicateHeaders?: string;
+    errorMode?: string;
+    beforeRow?: (arg0: any[], arg1: number) => (any[] | null | undefined);
+    afterRow?: (arg0: any, arg1: any[]) => (any | null | undefined);
+    validateRow?: RowValidator;
+}): (any[] | ParseResult<Column>);
+/**
+ * Converts fixed-width text into an array of objects, in the same way as fromCSV, where each column
+ * is a field with the width of the column. Padding is removed from values before they are parsed,
+ * and blank lines are skipped.
+ * @param {String} text - The fixed-width text.
+ * @param {Column[]} columns - An array containing columns, which each must have a width. Columns without a key are skipped.
+ * @param {Object} [options={}] - Parsing options.
+ * @param {Boolean} [options.includeHeader] - Whether the text has a header or not, the first line will be skipped if this is set to true.
+ * @param {Boolean} [options.includeEmptyValues] - Whether to assign empty values to object or not.
+ * @param {String} [options.lineLength='loose'] - How lines which are not as long as the widths of the columns added together are handled, either "strict" to raise a LineLengthError, or "loose" to read short lines as if they were padded and ignore text past the last column.
+ * @param {String} [options.extraCells] - The key to assign an array containing the text past the last column to.
+ * @param {Boolean} [options.unflatten=true] - Whether keys are paths to nested values, such as "customer.address.city" or "items[0].sku".
+ * @param {String} [options.errorMode='throw'] - What to do when a value cannot be parsed, either "throw" to throw the first error, or "collect" to return every error along with the rows which had none.
+ * @param {function(String[], Number): (String[]|null|undefined)} [options.beforeRow] - Function called with the values of the fields of each line and its one-based row number before they are parsed, which returns values to parse instead of them, or null to skip the line.
+ * @param {function(Object, String[]): (Object|null|undefined)} [options.afterRow] - Function called with each object and the values it was parsed from, which returns an object to use instead of it, or null to skip it.
+ * @param {RowValidator} [options.validateRow] - Function for checking each object against rules which involve more than one value. It is called after the values of the object are checked and before afterRow.
+ * @returns {(Object[]|ParseResult<Column>)} Array of objects, or an object with the rows and errors if errorMode is "collect".
+ * @throws {CellError} When a value cannot be parsed and errorMode is "throw".
+ * @public
+ * @memberof salsacsv
+ *
+ * @example
+ * fromFixedWidth('1234    0000000529', [
+ *     {
+ *         key: 'account',
+ *         width: 8
+ *     },
+ *     {
+ *         key: 'amount',
+ *         width: 10,
+ *         align: 'right',
+ *         pad: '0',
+ *         parser: parseInt
+ *     }
+ * ]);
+ * // [{ account: '1234', amount: 529 }]
  */
-export function fromCSV(csvStr: string, columns?: Column[], options?: {
+export function fromFixedWidth(text: string, columns: Column[], options?: {
     includeHeader?: boolean;
     includeEmptyValues?: boolean;
+    lineLength?: string;
+    extraCells?: string;
+    unflatten?: boolean;
+    errorMode?: string;
+    beforeRow?: (arg0: string[], arg1: number) => (string[] | null | undefined);
+    afterRow?: (arg0: any, arg1: string[]) => (any | null | undefined);
+    validateRow?: RowValidator;
+}): (any[] | ParseResult<Column>);
+/**
+ * Infers columns from a CSV string by looking at a sample of its lines. The type of each column is
+ * either an integer, a number, a boolean or an ISO 8601 date using types, or text. Empty values of
+ * typed columns, and of columns where every value in the sample is empty, are parsed as null.
+ *
+ * The columns can be given to fromCSV and toCSV, or changed and saved for later.
+ * @param {(String|Buffer)} csvStr - CSV string, or a buffer which is decoded using the encoding option. A byte order mark at the start is removed.
+ * @param {Object} [options={}] - Parsing options.
+ * @param {Boolean} [options.includeHeader] - Whether the CSV has a header or not. Headers are used as keys if it does.
+ * @param {String} [options.delimiter=','] - The delimiter of the CSV string. Use "auto" to sniff the dialect of the CSV string, which also sets includeHeader if it is not given. The delimiter is taken from the "sep=" line when sepLine is set and this is not given.
+ * @param {Boolean} [options.sepLine] - Whether the CSV string starts with a line such as "sep=,", which is written by toCSV when its sepLine option is set. The line is removed, and gives the delimiter if one is not given.
+ * @param {(String|Dialect)} [options.dialect] - The dialect of the CSV string, either the name of one of the dialects or a dialect object. The delimiter option takes precedence over the delimiter of the dialect.
+ * @param {(String|String[]|function(String, Number): String)} [options.headerTransform] - How headers are turned into keys, see fromCSV.
+ * @param {String} [options.duplicateHeaders] - What to do with headers which have the same key, see fromCSV.
+ * @param {Number} [options.sampleSize=100] - The number of lines to look at, not including the header.
+ * @param {String} [options.encoding='auto'] - The encoding of a buffer, either "utf8", "utf16le" or "windows-1252". When this is "auto", the encoding is taken from the byte order mark, and buffers without one are read as UTF-16LE if most of their characters have a zero byte after them, as UTF-8, or as Windows-1252 if they are not valid UTF-8.
+ * @returns {Column[]} Array of columns.
+ * @public
+ * @memberof salsacsv
+ *
+ * @example
+ * inferColumns('"Name","Price","In Stock"\n"Cat Chow",5.29,true', {
+ *     includeHeader: true
+ * });
+ * // [
+ * //     { header: 'Name', key: 'Name' },
+ * //     { header: 'Price', key: 'Price', type: 'number', parser: [Function], converter: [Function], parseEmpty: true },
+ * //     { header: 'In Stock', key: 'In Stock', type: 'boolean', parser: [Function], converter: [Function], parseEmpty: true }
+ * // ]
+ */
+export function inferColumns(csvStr: (string | Buffer), options?: {
+    includeHeader?: boolean;
     delimiter?: string;
-}): any[];
+    sepLine?: boolean;
+    dialect?: (string | Dialect);
+    headerTransform?: (string | string[] | ((arg0: string, arg1: number) => string));
+    duplicateHeaders?: string;
+    sampleSize?: number;
+    encoding?: string;
+}): Column[];
+/**
+ * Checks an array of objects against the rules of the given columns, such as required, type and max.
+ * The rows and columns of errors are for the CSV string which the objects would be converted into.
+ * @param {Object[]} rows - Array of objects to check.
+ * @param {Column[]} columns - An array containing columns.
+ * @param {Object} [options={}] - Options.
+ * @param {Boolean} [options.includeHeader] - Whether the CSV will have a header or not.
+ * @returns {CellError[]} Array of errors for every value which is not valid, which is empty if every value is valid.
+ * @public
+ * @memberof salsacsv
+ *
+ * @example
+ * validateRows([
+ *     {
+ *         name: 'Cat Chow',
+ *         price: -529
+ *     }
+ * ], [
+ *     {
+ *         header: 'Name',
+ *         key: 'name',
+ *         required: true
+ *     },
+ *     {
+ *         header: 'Price',
+ *         key: 'price',
+ *         type: 'integer',
+ *         min: 0
+ *     }
+ * ], {
+ *     includeHeader: true
+ * });
+ * // [ValidationError: Invalid value for column price in cell B2: must be at least 0]
+ */
+export function validateRows(rows: any[], columns: Column[], options?: {
+    includeHeader?: boolean;
+}): CellError[];
+/**
+ * Defines columns. The columns are returned as they are, but in TypeScript the key of each column and
+ * the return type of its parser are kept, which are used to type the rows returned by fromCSV. Each
+ * column must have a key.
+ * @template {String} K
+ * @template {Array<Column & {key: K}>} T
+ * @param {T} columns - Columns.
+ * @returns {T} The same columns.
+ * @public
+ * @memberof salsacsv
+ *
+ * @example
+ * const columns = defineColumns(
+ *     {
+ *         header: 'Name',
+ *         key: 'name',
+ *         required: true
+ *     },
+ *     {
+ *         header: 'Price',
+ *         key: 'price',
+ *         parser: parseFloat
+ *     }
+ * );
+ * const rows = fromCSV('"Name","Price"\n"Cat Chow",5.29', columns, {
+ *     includeHeader: true
+ * });
+ * // rows is typed as { name: string; price?: number; }[]
+ */
+export function defineColumns<K extends string, T extends Array<Column & {
+    key: K;
+}>>(...columns: T): T;
+/**
+ * Gets a JSON Schema describing the objects for the given columns, which can be used to validate
+ * them elsewhere. The schema reflects the type, min, max, minLength, maxLength, pattern and enum
+ * rules of each column, with columns that are required being required properties. The values of
+ * columns without a type are strings unless the column has a parser. Dates are strings in the
+ * date-time format, as they are in JSON.
+ * @param {Column[]} columns - An array containing columns.
+ * @param {Object} [options={}] - Options.
+ * @param {Boolean} [options.unflatten=true] - Whether keys are paths to nested values, such as "customer.address.city" or "items[0].sku", which are described as nested objects and arrays.
+ * @returns {Object} JSON Schema.
+ * @public
+ * @memberof salsacsv
+ *
+ * @example
+ * toJSONSchema([
+ *     {
+ *         header: 'Name',
+ *         key: 'name',
+ *         required: true
+ *     },
+ *     {
+ *         header: 'Price',
+ *         key: 'price',
+ *         type: 'number',
+ *         min: 0
+ *     }
+ * ]);
+ * // {
+ * //     $schema: 'http://json-schema.org/draft-07/schema#',
+ * //     type: 'object',
+ * //     properties: {
+ * //         name: { title: 'Name', type: 'string' },
+ * //         price: { title: 'Price', type: 'number', minimum: 0 }
+ * //     },
+ * //     required: ['name']
+ * // }
+ */
+export function toJSONSchema(columns: Column[], options?: {
+    unflatten?: boolean;
+}): any;
+/**
+ * Creates a transform stream which parses CSV text into objects. Buffers or strings are written
+ * to the stream and objects are read from it, using the same rules as fromCSV.
+ * @param {Column[]} [columns] - An array containing columns. Columns are detected from the first line if not given.
+ * @param {Object} [options={}] - Parsing options.
+ * @param {Boolean} [options.includeHeader] - Whether the CSV has a header or not.
+ * @param {Boolean} [options.includeEmptyValues] - Whether to assign empty values to object or not.
+ * @param {String} [options.delimiter=','] - The delimiter of the CSV string. Use "auto" to sniff the dialect of the CSV string, which also sets includeHeader if it is not given.
+ * @param {(String|Dialect)} [options.dialect] - The dialect of the CSV string, either the name of one of the dialects or a dialect object. The delimiter option takes precedence over the delimiter of the dialect.
+ * @param {String} [options.matchBy='position'] - How columns are matched to cells, either "position" to match columns to cells in the same order, or "header" to match the header and aliases of each column to the header line of the CSV string, ignoring case and whitespace. The first line is always read as the header when matching by header.
+ * @param {String} [options.extraHeaders='ignore'] - What to do with headers which do not match any column when matching by header, either "ignore" or "error".
+ * @param {Boolean} [options.unflatten] - Whether keys are paths to nested values, such as "customer.address.city" or "items[0].sku", which are built into nested objects. This is true by default when columns are given, and false when columns are taken from the header.
+ * @param {String} [options.columnCount='truncate'] - How lines with a different number of cells than there are columns are handled, or than there are headers when matching by header. Either "strict" to raise a ColumnCountError, "pad" to read missing cells as empty values, or "truncate" to ignore extra cells and leave values for missing cells out.
+ * @param {String} [options.extraCells] - The key to assign an array of any cells past the last column to, such as "_extra". Extra cells are ignored if this is not given.
+ * @param {(String|String[]|function(String, Number): String)} [options.headerTransform] - How headers are turned into keys when columns are taken from the header, either "camelCase", "snake_case", "trim" or "lowercase", an array of these which are applied in order, or a function which takes a header and its index and returns a key.
+ * @param {String} [options.duplicateHeaders] - What to do with headers which have the same key when columns are taken from the header, either "error" to throw an error, "suffix" to add a number to each repeated key such as "notes_2", or "array" to collect their values into an array. The last value is kept if this is not given.
+ * @param {function(String[], Number): (String[]|null|undefined)} [options.beforeRow] - Function called with the raw cells of each line and its one-based row number before they are parsed, which returns cells to parse instead of them, or null to skip the line.
+ * @param {function(Object, String[]): (Object|null|undefined)} [options.afterRow] - Function called with each object and the raw cells it was parsed from, which returns an object to use instead of it, or null to skip it.
+ * @param {RowValidator} [options.validateRow] - Function for checking each object against rules which involve more than one value, such as an end date being after a start date. It is called after the values of the object are checked and before afterRow.
+ * @param {String} [options.encoding='auto'] - The encoding of buffers, either "utf8", "utf16le" or "windows-1252". When this is "auto", the encoding is taken from the byte order mark at the start of the first buffer, and buffers without one are read as UTF-16LE if their first characters have a zero byte after them, or as UTF-8.
+ * @returns {Transform} Transform stream in object mode on its readable side.
+ * @public
+ * @memberof salsacsv
+ *
+ * @example
+ * fs.createReadStream('orders.csv')
+ *     .pipe(createParseStream(columns, {
+ *         includeHeader: true
+ *     }))
+ *     .on('data', (order) => {
+ *         console.log(order);
+ *     });
+ */
+export function createParseStream(columns?: Column[], options?: {
+    includeHeader?: boolean;
+    includeEmptyValues?: boolean;
+    delimiter?: string;
+    dialect?: (string | Dialect);
+    matchBy?: string;
+    extraHeaders?: string;
+    unflatten?: boolean;
+    columnCount?: string;
+    extraCells?: string;
+    headerTransform?: (string | string[] | ((arg0: string, arg1: number) => string));
+    duplicateHeaders?: string;
+    beforeRow?: (arg0: string[], arg1: number) => (string[] | null | undefined);
+    afterRow?: (arg0: any, arg1: string[]) => (any | null | undefined);
+    validateRow?: RowValidator;
+    encoding?: string;
+}): Transform;
+/**
+ * Parses CSV text from a readable stream or an iterable of Buffers or strings. Rows are only
+ * read from the source as they are consumed.
+ * @param {(AsyncIterable<(Buffer|String)>|Iterable<(Buffer|String)>)} readable - Readable stream or iterable of chunks.
+ * @param {Column[]} [columns] - An array containing columns. Columns are detected from the first line if not given.
+ * @param {Object} [options={}] - Parsing options.
+ * @param {Boolean} [options.includeHeader] - Whether the CSV has a header or not.
+ * @param {Boolean} [options.includeEmptyValues] - Whether to assign empty values to object or not.
+ * @param {String} [options.delimiter=','] - The delimiter of the CSV string. Use "auto" to sniff the dialect of the CSV string, which also sets includeHeader if it is not given.
+ * @param {(String|Dialect)} [options.dialect] - The dialect of the CSV string, either the name of one of the dialects or a dialect object. The delimiter option takes precedence over the delimiter of the dialect.
+ * @param {String} [options.matchBy='position'] - How columns are matched to cells, either "position" to match columns to cells in the same order, or "header" to match the header and aliases of each column to the header line of the CSV string, ignoring case and whitespace. The first line is always read as the header when matching by header.
+ * @param {String} [options.extraHeaders='ignore'] - What to do with headers which do not match any column when matching by header, either "ignore" or "error".
+ * @param {Boolean} [options.unflatten] - Whether keys are paths to nested values, such as "customer.address.city" or "items[0].sku", which are built into nested objects. This is true by default when columns are given, and false when columns are taken from the header.
+ * @param {String} [options.columnCount='truncate'] - How lines with a different number of cells than there are columns are handled, or than there are headers when matching by header. Either "strict" to raise a ColumnCountError, "pad" to read missing cells as empty values, or "truncate" to ignore extra cells and leave values for missing cells out.
+ * @param {String} [options.extraCells] - The key to assign an array of any cells past the last column to, such as "_extra". Extra cells are ignored if this is not given.
+ * @param {(String|String[]|function(String, Number): String)} [options.headerTransform] - How headers are turned into keys when columns are taken from the header, either "camelCase", "snake_case", "trim" or "lowercase", an array of these which are applied in order, or a function which takes a header and its index and returns a key.
+ * @param {String} [options.duplicateHeaders] - What to do with headers which have the same key when columns are taken from the header, either "error" to throw an error, "suffix" to add a number to each repeated key such as "notes_2", or "array" to collect their values into an array. The last value is kept if this is not given.
+ * @param {function(String[], Number): (String[]|null|undefined)} [options.beforeRow] - Function called with the raw cells of each line and its one-based row number before they are parsed, which returns cells to parse instead of them, or null to skip the line.
+ * @param {function(Object, String[]): (Object|null|undefined)} [options.afterRow] - Function called with each object and the raw cells it was parsed from, which returns an object to use instead of it, or null to skip it.
+ * @param {RowValidator} [options.validateRow] - Function for checking each object against rules which involve more than one value, such as an end date being after a start date. It is called after the values of the object are checked and before afterRow.
+ * @param {String} [options.encoding='auto'] - The encoding of buffers, either "utf8", "utf16le" or "windows-1252". When this is "auto", the encoding is taken from the byte order mark at the start of the first buffer, and buffers without one are read as UTF-16LE if their first characters have a zero byte after them, or as UTF-8.
+ * @returns {AsyncIterableIterator<Object>} Async iterator of objects.
+ * @public
+ * @memberof salsacsv
+ *
+ * @example
+ * for await (const order of parseAsync(fs.createReadStream('orders.csv'), columns)) {
+ *     console.log(order);
+ * }
+ */
+export function parseAsync(readable: (AsyncIterable<(Buffer | string)> | Iterable<(Buffer | string)>), columns?: Column[], options?: {
+    includeHeader?: boolean;
+    includeEmptyValues?: boolean;
+    delimiter?: string;
+    dialect?: (string | Dialect);
+    matchBy?: string;
+    extraHeaders?: string;
+    unflatten?: boolean;
+    columnCount?: string;
+    extraCells?: string;
+    headerTransform?: (string | string[] | ((arg0: string, arg1: number) => string));
+    duplicateHeaders?: string;
+    beforeRow?: (arg0: string[], arg1: number) => (string[] | null | undefined);
+    afterRow?: (arg0: any, arg1: string[]) => (any | null | undefined);
+    validateRow?: RowValidator;
+    encoding?: string;
+}): AsyncIterableIterator<any>;
+/**
+ * Creates a transform stream which converts objects into CSV text. Objects are written to the
+ * stream and lines of CSV are read from it, using the same rules as toCSV. The text read from the
+ * stream is the same as what toCSV would return for the same objects.
+ * @param {Column[]} [columns] - An array containing columns. Columns are detected from the first object if not given.
+ * @param {Object} [options={}] - Formatting options.
+ * @param {Boolean} [options.includeHeader] - Whether the CSV has a header or not.
+ * @param {String} [options.delimiter=','] - The delimiter for the CSV string.
+ * @param {(String|Dialect)} [options.dialect] - The dialect for the CSV string, either the name of one of the dialects or a dialect object. The delimiter option takes precedence over the delimiter of the dialect.
+ * @param {Boolean} [options.flatten] - Whether to flatten nested objects and arrays into columns with path keys, such as "customer.address.city" or "items[0].sku", when columns are not given.
+ * @param {Boolean} [options.sanitizeFormulas=true] - Whether to neutralize values which spreadsheet applications would read as formulas, such as "=HYPERLINK(...)", "+cmd" or SUM(...) prefixed with an at sign, by placing a single quote before them. Columns with formula set to true are not sanitized.
+ * @param {String} [options.quote='auto'] - How columns without their own quote setting are quoted, either "auto" to quote values using the quoting of the dialect, "always" to quote every value, or "never" to only quote values which contain delimiters, quotes or line breaks.
+ * @param {function(String): Boolean} [options.isLiteral=isSpreadsheetLiteral] - Function which checks whether a string is read as a value, such as a date, by spreadsheet applications. Strings which are literals are not quoted when the dialect quotes strings.
+ * @param {function(Object): (Object|null|undefined)} [options.beforeRow] - Function called with each object before it is written, which returns an object to write instead of it, or null to leave it out. Objects which are left out are not counted in row numbers.
+ * @returns {Transform} Transform stream in object mode on its writable side.
+ * @public
+ * @memberof salsacsv
+ *
+ * @example
+ * ordersCursor
+ *     .pipe(createFormatStream(columns, {
+ *         includeHeader: true
+ *     }))
+ *     .pipe(fs.createWriteStream('orders.csv'));
+ */
+export function createFormatStream(columns?: Column[], options?: {
+    includeHeader?: boolean;
+    delimiter?: string;
+    dialect?: (string | Dialect);
+    flatten?: boolean;
+    sanitizeFormulas?: boolean;
+    quote?: string;
+    isLiteral?: (arg0: string) => boolean;
+    beforeRow?: (arg0: any) => (any | null | undefined);
+}): Transform;
+/**
+ * Converts objects from an object stream, async iterable or iterable into CSV text. Objects are
+ * only read from the source as lines are consumed.
+ * @param {(AsyncIterable<Object>|Iterable<Object>)} rows - Object stream or iterable of objects to form rows from.
+ * @param {Column[]} [columns] - An array containing columns. Columns are detected from the first object if not given.
+ * @param {Object} [options={}] - Formatting options.
+ * @param {Boolean} [options.includeHeader] - Whether the CSV has a header or not.
+ * @param {String} [options.delimiter=','] - The delimiter for the CSV string.
+ * @param {(String|Dialect)} [options.dialect] - The dialect for the CSV string, either the name of one of the dialects or a dialect object. The delimiter option takes precedence over the delimiter of the dialect.
+ * @param {Boolean} [options.flatten] - Whether to flatten nested objects and arrays into columns with path keys, such as "customer.address.city" or "items[0].sku", when columns are not given.
+ * @param {Boolean} [options.sanitizeFormulas=true] - Whether to neutralize values which spreadsheet applications would read as formulas, such as "=HYPERLINK(...)", "+cmd" or SUM(...) prefixed with an at sign, by placing a single quote before them. Columns with formula set to true are not sanitized.
+ * @param {String} [options.quote='auto'] - How columns without their own quote setting are quoted, either "auto" to quote values using the quoting of the dialect, "always" to quote every value, or "never" to only quote values which contain delimiters, quotes or line breaks.
+ * @param {function(String): Boolean} [options.isLiteral=isSpreadsheetLiteral] - Function which checks whether a string is read as a value, such as a date, by spreadsheet applications. Strings which are literals are not quoted when the dialect quotes strings.
+ * @param {function(Object): (Object|null|undefined)} [options.beforeRow] - Function called with each object before it is written, which returns an object to write instead of it, or null to leave it out. Objects which are left out are not counted in row numbers.
+ * @returns {AsyncIterableIterator<String>} Async iterator of CSV text, one line at a time.
+ * @public
+ * @memberof salsacsv
+ *
+ * @example
+ * // stream the results of a database cursor into a file
+ * Readable.from(formatAsync(ordersCursor, columns))
+ *     .pipe(fs.createWriteStream('orders.csv'));
+ */
+export function formatAsync(rows: (AsyncIterable<any> | Iterable<any>), columns?: Column[], options?: {
+    includeHeader?: boolean;
+    delimiter?: string;
+    dialect?: (string | Dialect);
+    flatten?: boolean;
+    sanitizeFormulas?: boolean;
+    quote?: string;
+    isLiteral?: (arg0: string) => boolean;
+    beforeRow?: (arg0: any) => (any | null | undefined);
+}): AsyncIterableIterator<string>;
 /**
  * Gets the cell label.
  * @param {Number} rowNumber - Zero-based row number.
@@ -166,3 +1223,425 @@ export function fromCSV(csvStr: string, columns?: Column[], options?: {
  * cellLabel(0, 3); // A3
  */
 export function cellLabel(rowNumber: number, columnNumber: number): string;
+/**
+ * Guesses the dialect of a CSV string by looking at a sample of lines from the start of it.
+ *
+ * Each combination of delimiter (",", ";", tab and "|") and quote character ('"' and "'") is
+ * tried, and the one which splits the lines into the most consistent number of cells is chosen.
+ * The result can be given as the dialect option when parsing. Setting the delimiter option to
+ * "auto" does this automatically.
+ * @param {String} csvStr - CSV string.
+ * @returns {SniffedDialect} The detected dialect.
+ * @public
+ * @memberof salsacsv
+ *
+ * @example
+ * sniff('Name;Price\nCat Chow;5,29\nPizza;6,99');
+ * // { delimiter: ';', quote: '"', escape: '"', lineTerminator: '\n', hasHeader: true }
+ * @example
+ * // sniff the dialect automatically
+ * fromCSV('Name;Price\nCat Chow;5,29\nPizza;6,99', null, {
+ *     delimiter: 'auto'
+ * });
+ * // [{ Name: 'Cat Chow', Price: '5,29' }, { Name: 'Pizza', Price: '6,99' }]
+ */
+export function sniff(csvStr: string): SniffedDialect;
+/**
+ * Checks whether a string looks like a value which spreadsheet applications read as something other than text.
+ * This includes dates and times, such as "2019-08-25", "8/25/2019", "2019-08-25T10:30:00Z" and "10:30 PM", and
+ * numbers. Numbers with leading zeros, such as "00123", are not included, as the zeros would be lost.
+ *
+ * Strings which are literals are not quoted when quoting strings. A different function can be given as
+ * the isLiteral option when writing CSV.
+ * @param {String} value - Value.
+ * @returns {Boolean} Whether the value is a literal.
+ * @public
+ * @memberof salsacsv
+ *
+ * @example
+ * isSpreadsheetLiteral('2019-08-25'); // true
+ * isSpreadsheetLiteral('5.29'); // true
+ * isSpreadsheetLiteral('00123'); // false
+ * @example
+ * // quote strings which look like dates, but not times
+ * toCSV(rows, columns, {
+ *     isLiteral: (value) => /^\d{1,2}:\d{2}$/.test(value)
+ * });
+ */
+export function isSpreadsheetLiteral(value: string): boolean;
+/**
+ * Named dialects which can be given as the "dialect" option.
+ * @type {Object<string, Dialect>}
+ * @public
+ * @memberof salsacsv
+ *
+ * @example
+ * toCSV(rows, columns, {
+ *     dialect: 'excel'
+ * });
+ * @example
+ * // extend a dialect
+ * toCSV(rows, columns, {
+ *     dialect: {
+ *         ...dialects.excel,
+ *         delimiter: ';'
+ *     }
+ * });
+ */
+export const dialects: {
+    [x: string]: Dialect;
+};
+export namespace types {
+    /**
+     * Numbers, optionally rounded to a number of decimal places.
+     * @param {Object} [options={}] - Options.
+     * @param {Number} [options.precision] - The number of decimal places to round to when converting and parsing.
+     * @returns {ColumnType} Column type.
+     * @memberof salsacsv.types
+     *
+     * @example
+     * types.number({
+     *     precision: 2
+     * });
+     */
+    export function number(options?: {
+        precision?: number;
+    }): ColumnType;
+    /**
+     * Integers. Values which are not integers raise a ValidationError when converting, rather than
+     * being rounded.
+     * @returns {ColumnType} Column type.
+     * @memberof salsacsv.types
+     */
+    export function integer(): ColumnType;
+    /**
+     * Currency stored as integers in the smallest unit of the currency, such as cents, and written as decimals.
+     * @param {Object} [options={}] - Options.
+     * @param {Number} [options.precision=2] - The number of decimal places of the currency.
+     * @returns {ColumnType} Column type.
+     * @memberof salsacsv.types
+     *
+     * @example
+     * // 529 is written as 5.29, and 5.29 is parsed as 529
+     * types.currency();
+     */
+    export function currency(options?: {
+        precision?: number;
+    }): ColumnType;
+    /**
+     * Booleans, written and read using tokens.
+     * @param {Object} [options={}] - Options.
+     * @param {String[]} [options.trueValues=['true']] - Tokens for true. The first is used when converting.
+     * @param {String[]} [options.falseValues=['false']] - Tokens for false. The first is used when converting.
+     * @param {Boolean} [options.ignoreCase=true] - Whether tokens are matched regardless of case when parsing.
+     * @returns {ColumnType} Column type.
+     * @memberof salsacsv.types
+     *
+     * @example
+     * types.boolean({
+     *     trueValues: ['Yes', 'Y'],
+     *     falseValues: ['No', 'N']
+     * });
+     */
+    export function boolean(options?: {
+        trueValues?: string[];
+        falseValues?: string[];
+        ignoreCase?: boolean;
+    }): ColumnType;
+    /**
+     * Dates, written and read using a format string. Only the parts of the date in the format are kept.
+     * @param {Object} [options={}] - Options.
+     * @param {String} [options.format='YYYY-MM-DDTHH:mm:ss.SSSZ'] - Format string, using the tokens "YYYY" (year), "MM" and "M" (month),
+     * "DD" and "D" (day), "HH" and "H" (hours), "mm" (minutes), "ss" (seconds), "SSS" (milliseconds) and "Z" (offset from UTC).
+     * Tokens with one letter are not padded with zeros.
+     * @param {String} [options.timezone='utc'] - The timezone dates are written in, and read in if there is no offset in the format. Either "local", "utc" or an offset such as "+02:00".
+     * @returns {ColumnType} Column type.
+     * @memberof salsacsv.types
+     *
+     * @example
+     * types.date({
+     *     format: 'YYYY-MM-DD',
+     *     timezone: 'local'
+     * });
+     */
+    export function date(options?: {
+        format?: string;
+        timezone?: string;
+    }): ColumnType;
+    /**
+     * Values from a set of values, which can be mapped to different text in CSV.
+     * @param {(Array|Object|Map)} values - An array of values, or an object or map where keys are values and values are the text of each value in CSV.
+     * @returns {ColumnType} Column type.
+     * @memberof salsacsv.types
+     *
+     * @example
+     * types.enum({
+     *     active: 'Active',
+     *     suspended: 'Suspended'
+     * });
+     */
+    function _enum(values: (any[] | any | Map<any, any>)): ColumnType;
+    export { _enum as enum };
+    /**
+     * Values which are encoded as JSON.
+     * @returns {ColumnType} Column type.
+     * @memberof salsacsv.types
+     *
+     * @example
+     * types.json();
+     */
+    export function json(): ColumnType;
+}
+/**
+ * Error thrown when CSV text is malformed.
+ * @public
+ * @memberof salsacsv
+ */
+export class CSVSyntaxError extends Error {
+    /**
+     * @param {String} message - Error message.
+     * @param {Object} position - Position of the error.
+     * @param {Number} position.line - One-based line number in the text.
+     * @param {Number} position.column - One-based column number in the line.
+     */
+    constructor(message: string, position: {
+        line: number;
+        column: number;
+    });
+    /**
+     * One-based line number in the text.
+     * @type {Number}
+     */
+    line: number;
+    /**
+     * One-based column number in the line.
+     * @type {Number}
+     */
+    column: number;
+}
+/**
+ * Error for a cell which could not be converted into a value when parsing CSV.
+ * @public
+ * @memberof salsacsv
+ */
+export class CellError extends Error {
+    /**
+     * @param {String} message - Error message.
+     * @param {Object} details - Details of the cell.
+     * @param {Number} details.row - One-based row number in the CSV, including the header.
+     * @param {Number} details.column - Zero-based column number in the CSV.
+     * @param {String} [details.key] - The key of the column.
+     * @param {String} [details.header] - The header of the column.
+     * @param {*} [details.value] - The value of the cell.
+     */
+    constructor(message: string, details: {
+        row: number;
+        column: number;
+        key?: string;
+        header?: string;
+        value?: any;
+    });
+    /**
+     * One-based row number in the CSV, including the header.
+     * @type {Number}
+     */
+    row: number;
+    /**
+     * Zero-based column number in the CSV.
+     * @type {Number}
+     */
+    column: number;
+    /**
+     * The key of the column.
+     * @type {(String|undefined)}
+     */
+    key: (string | undefined);
+    /**
+     * The header of the column.
+     * @type {(String|undefined)}
+     */
+    header: (string | undefined);
+    /**
+     * The value of the cell. When parsing, this is the raw text of the cell, which is undefined if the cell is missing.
+     * @type {*}
+     */
+    value: any;
+    /**
+     * The spreadsheet label of the cell, e.g. "C14".
+     * @type {String}
+     */
+    cell: string;
+}
+/**
+ * Error for a cell of a required column which is empty.
+ * @public
+ * @memberof salsacsv
+ */
+export class RequiredError extends CellError {
+    /**
+     * @param {Object} details - Details of the cell.
+     * @param {Number} details.row - One-based row number in the CSV, including the header.
+     * @param {Number} details.column - Zero-based column number in the CSV.
+     * @param {String} [details.key] - The key of the column.
+     * @param {String} [details.header] - The header of the column.
+     * @param {String} [details.value] - The raw value of the cell.
+     */
+    constructor(details: {
+        row: number;
+        column: number;
+        key?: string;
+        header?: string;
+        value?: string;
+    });
+}
+/**
+ * Error for a cell which the parser of its column threw an error for.
+ * @public
+ * @memberof salsacsv
+ */
+export class ParseError extends CellError {
+    /**
+     * @param {*} cause - The error thrown by the parser.
+     * @param {Object} details - Details of the cell.
+     * @param {Number} details.row - One-based row number in the CSV, including the header.
+     * @param {Number} details.column - Zero-based column number in the CSV.
+     * @param {String} [details.key] - The key of the column.
+     * @param {String} [details.header] - The header of the column.
+     * @param {String} [details.value] - The raw value of the cell.
+     */
+    constructor(cause: any, details: {
+        row: number;
+        column: number;
+        key?: string;
+        header?: string;
+        value?: string;
+    });
+    /**
+     * The error thrown by the parser.
+     * @type {*}
+     */
+    cause: any;
+}
+/**
+ * Error for a line which does not have as many cells as there are columns.
+ * @public
+ * @memberof salsacsv
+ */
+export class ColumnCountError extends CellError {
+    /**
+     * @param {Object} details - Details of the first missing or extra cell.
+     * @param {Number} details.row - One-based row number in the CSV, including the header.
+     * @param {Number} details.column - Zero-based column number in the CSV.
+     * @param {String} [details.key] - The key of the column.
+     * @param {String} [details.header] - The header of the column.
+     * @param {String} [details.value] - The raw value of the cell.
+     * @param {Object} counts - Number of cells.
+     * @param {Number} counts.expected - The number of cells expected.
+     * @param {Number} counts.actual - The number of cells in the line.
+     */
+    constructor(details: {
+        row: number;
+        column: number;
+        key?: string;
+        header?: string;
+        value?: string;
+    }, counts: {
+        expected: number;
+        actual: number;
+    });
+    /**
+     * The number of cells expected.
+     * @type {Number}
+     */
+    expected: number;
+    /**
+     * The number of cells in the line.
+     * @type {Number}
+     */
+    actual: number;
+}
+/**
+ * Error for a value which breaks one of the rules of its column.
+ * @public
+ * @memberof salsacsv
+ */
+export class ValidationError extends CellError {
+    /**
+     * @param {String} rule - The rule which was broken, which is the name of the property of the column.
+     * @param {String} reason - Why the value is not valid.
+     * @param {Object} details - Details of the cell.
+     * @param {Number} details.row - One-based row number in the CSV, including the header.
+     * @param {Number} details.column - Zero-based column number in the CSV.
+     * @param {String} [details.key] - The key of the column.
+     * @param {String} [details.header] - The header of the column.
+     * @param {*} [details.value] - The value of the cell.
+     */
+    constructor(rule: string, reason: string, details: {
+        row: number;
+        column: number;
+        key?: string;
+        header?: string;
+        value?: any;
+    });
+    /**
+     * The rule which was broken, which is the name of the property of the column, e.g. "max".
+     * @type {String}
+     */
+    rule: string;
+}
+/**
+ * Error for a row which the validateRow function given in options rejected.
+ * @public
+ * @memberof salsacsv
+ */
+export class RowValidationError extends CellError {
+    /**
+     * @param {String} reason - Why the row is not valid.
+     * @param {Object} details - Details of the row.
+     * @param {Number} details.row - One-based row number in the CSV, including the header.
+     * @param {String[]} [details.value] - The raw cells of the row.
+     */
+    constructor(reason: string, details: {
+        row: number;
+        value?: string[];
+    });
+}
+/**
+ * Error for a line of fixed-width text which is not as long as the widths of the columns added together.
+ * @public
+ * @memberof salsacsv
+ */
+export class LineLengthError extends CellError {
+    /**
+     * @param {Object} details - Details of the field the line ends in, or of the text past the last field.
+     * @param {Number} details.row - One-based row number in the text, including the header.
+     * @param {Number} details.column - Zero-based column number of the field.
+     * @param {String} [details.key] - The key of the column.
+     * @param {String} [details.header] - The header of the column.
+     * @param {String} [details.value] - The text of the line from the start of the field.
+     * @param {Object} lengths - Number of characters.
+     * @param {Number} lengths.expected - The number of characters expected.
+     * @param {Number} lengths.actual - The number of characters in the line.
+     */
+    constructor(details: {
+        row: number;
+        column: number;
+        key?: string;
+        header?: string;
+        value?: string;
+    }, lengths: {
+        expected: number;
+        actual: number;
+    });
+    /**
+     * The number of characters expected.
+     * @type {Number}
+     */
+    expected: number;
+    /**
+     * The number of characters in the line.
+     * @type {Number}
+     */
+    actual: number;
+}
+import { Transform } from "stream";
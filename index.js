@@ -1,13 +1,657 @@
+const {Transform} = require('stream');
+const {StringDecoder} = require('string_decoder');
+const path = require('path');
+const zlib = require('zlib');
+
+/**
+ * Error thrown when CSV text is malformed.
+ * @public
+ * @memberof salsacsv
+ */
+class CSVSyntaxError extends Error {
+    /**
+     * @param {String} message - Error message.
+     * @param {Object} position - Position of the error.
+     * @param {Number} position.line - One-based line number in the text.
+     * @param {Number} position.column - One-based column number in the line.
+     */
+    constructor(message, position) {
+        super(message);
+        
+        this.name = 'CSVSyntaxError';
+        /**
+         * One-based line number in the text.
+         * @type {Number}
+         */
+        this.line = position.line;
+        /**
+         * One-based column number in the line.
+         * @type {Number}
+         */
+        this.column = position.column;
+    }
+}
+
+/**
+ * Error for a cell which could not be converted into a value when parsing CSV.
+ * @public
+ * @memberof salsacsv
+ */
+class CellError extends Error {
+    /**
+     * @param {String} message - Error message.
+     * @param {Object} details - Details of the cell.
+     * @param {Number} details.row - One-based row number in the CSV, including the header.
+     * @param {Number} details.column - Zero-based column number in the CSV.
+     * @param {String} [details.key] - The key of the column.
+     * @param {String} [details.header] - The header of the column.
+     * @param {*} [details.value] - The value of the cell.
+     */
+    constructor(message, details) {
+        super(message);
+        
+        this.name = 'CellError';
+        /**
+         * One-based row number in the CSV, including the header.
+         * @type {Number}
+         */
+        this.row = details.row;
+        /**
+         * Zero-based column number in the CSV.
+         * @type {Number}
+         */
+        this.column = details.column;
+        /**
+         * The key of the column.
+         * @type {(String|undefined)}
+         */
+        this.key = details.key;
+        /**
+         * The header of the column.
+         * @type {(String|undefined)}
+         */
+        this.header = details.header;
+        /**
+         * The value of the cell. When parsing, this is the raw text of the cell, which is undefined if the cell is missing.
+         * @type {*}
+         */
+        this.value = details.value;
+        /**
+         * The spreadsheet label of the cell, e.g. "C14".
+         * @type {String}
+         */
+        this.cell = cellLabel(details.row, details.column);
+    }
+}
+
+/**
+ * Error for a cell of a required column which is empty.
+ * @public
+ * @memberof salsacsv
+ */
+class RequiredError extends CellError {
+    /**
+     * @param {Object} details - Details of the cell.
+     * @param {Number} details.row - One-based row number in the CSV, including the header.
+     * @param {Number} details.column - Zero-based column number in the CSV.
+     * @param {String} [details.key] - The key of the column.
+     * @param {String} [details.header] - The header of the column.
+     * @param {String} [details.value] - The raw value of the cell.
+     */
+    constructor(details) {
+        super(`Required column ${details.key} is empty in cell ${cellLabel(details.row, details.column)}`, details);
+        
+        this.name = 'RequiredError';
+    }
+}
+
+/**
+ * Error for a cell which the parser of its column threw an error for.
+ * @public
+ * @memberof salsacsv
+ */
+class ParseError extends CellError {
+    /**
+     * @param {*} cause - The error thrown by the parser.
+     * @param {Object} details - Details of the cell.
+     * @param {Number} details.row - One-based row number in the CSV, including the header.
+     * @param {Number} details.column - Zero-based column number in the CSV.
+     * @param {String} [details.key] - The key of the column.
+     * @param {String} [details.header] - The header of the column.
+     * @param {String} [details.value] - The raw value of the cell.
+     */
+    constructor(cause, details) {
+        const reason = cause instanceof Error ? cause.message : String(cause);
+        
+        super(`Could not parse column ${details.key} in cell ${cellLabel(details.row, details.column)}: ${reason}`, details);
+        
+        this.name = 'ParseError';
+        /**
+         * The error thrown by the parser.
+         * @type {*}
+         */
+        this.cause = cause;
+    }
+}
+
+/**
+ * Error for a line which does not have as many cells as there are columns.
+ * @public
+ * @memberof salsacsv
+ */
+class ColumnCountError extends CellError {
+    /**
+     * @param {Object} details - Details of the first missing or extra cell.
+     * @param {Number} details.row - One-based row number in the CSV, including the header.
+     * @param {Number} details.column - Zero-based column number in the CSV.
+     * @param {String} [details.key] - The key of the column.
+     * @param {String} [details.header] - The header of the column.
+     * @param {String} [details.value] - The raw value of the cell.
+     * @param {Object} counts - Number of cells.
+     * @param {Number} counts.expected - The number of cells expected.
+     * @param {Number} counts.actual - The number of cells in the line.
+     */
+    constructor(details, counts) {
+        super(`Row ${details.row} has ${counts.actual} cells but ${counts.expected} were expected`, details);
+        
+        this.name = 'ColumnCountError';
+        /**
+         * The number of cells expected.
+         * @type {Number}
+         */
+        this.expected = counts.expected;
+        /**
+         * The number of cells in the line.
+         * @type {Number}
+         */
+        this.actual = counts.actual;
+    }
+}
+
+/**
+ * Error for a value which breaks one of the rules of its column.
+ * @public
+ * @memberof salsacsv
+ */
+class ValidationError extends CellError {
+    /**
+     * @param {String} rule - The rule which was broken, which is the name of the property of the column.
+     * @param {String} reason - Why the value is not valid.
+     * @param {Object} details - Details of the cell.
+     * @param {Number} details.row - One-based row number in the CSV, including the header.
+     * @param {Number} details.column - Zero-based column number in the CSV.
+     * @param {String} [details.key] - The key of the column.
+     * @param {String} [details.header] - The header of the column.
+     * @param {*} [details.value] - The value of the cell.
+     */
+    constructor(rule, reason, details) {
+        super(`Invalid value for column ${details.key} in cell ${cellLabel(details.row, details.column)}: ${reason}`, details);
+        
+        this.name = 'ValidationError';
+        /**
+         * The rule which was broken, which is the name of the property of the column, e.g. "max".
+         * @type {String}
+         */
+        this.rule = rule;
+    }
+}
+
+/**
+ * Error for a row which the validateRow function given in options rejected.
+ * @public
+ * @memberof salsacsv
+ */
+class RowValidationError extends CellError {
+    /**
+     * @param {String} reason - Why the row is not valid.
+     * @param {Object} details - Details of the row.
+     * @param {Number} details.row - One-based row number in the CSV, including the header.
+     * @param {String[]} [details.value] - The raw cells of the row.
+     */
+    constructor(reason, details) {
+        // the cell of the error is the first cell of the row
+        super(`Invalid row ${details.row}: ${reason}`, Object.assign({
+            column: 0
+        }, details));
+        
+        this.name = 'RowValidationError';
+    }
+}
+
+/**
+ * Error for a line of fixed-width text which is not as long as the widths of the columns added together.
+ * @public
+ * @memberof salsacsv
+ */
+class LineLengthError extends CellError {
+    /**
+     * @param {Object} details - Details of the field the line ends in, or of the text past the last field.
+     * @param {Number} details.row - One-based row number in the text, including the header.
+     * @param {Number} details.column - Zero-based column number of the field.
+     * @param {String} [details.key] - The key of the column.
+     * @param {String} [details.header] - The header of the column.
+     * @param {String} [details.value] - The text of the line from the start of the field.
+     * @param {Object} lengths - Number of characters.
+     * @param {Number} lengths.expected - The number of characters expected.
+     * @param {Number} lengths.actual - The number of characters in the line.
+     */
+    constructor(details, lengths) {
+        super(`Row ${details.row} is ${lengths.actual} characters long but ${lengths.expected} were expected`, details);
+        
+        this.name = 'LineLengthError';
+        /**
+         * The number of characters expected.
+         * @type {Number}
+         */
+        this.expected = lengths.expected;
+        /**
+         * The number of characters in the line.
+         * @type {Number}
+         */
+        this.actual = lengths.actual;
+    }
+}
+
+/**
+ * The dialect used when no dialect is given.
+ * @type {Dialect}
+ * @private
+ */
+const DEFAULT_DIALECT = {
+    delimiter: ',',
+    quote: '"',
+    escape: '"',
+    lineTerminator: '\n',
+    quoting: 'strings'
+};
+
+/**
+ * Named dialects which can be given as the "dialect" option.
+ * @type {Object<string, Dialect>}
+ * @public
+ * @memberof salsacsv
+ *
+ * @example
+ * toCSV(rows, columns, {
+ *     dialect: 'excel'
+ * });
+ * @example
+ * // extend a dialect
+ * toCSV(rows, columns, {
+ *     dialect: {
+ *         ...dialects.excel,
+ *         delimiter: ';'
+ *     }
+ * });
+ */
+const dialects = {
+    // strictly follows RFC 4180, values are only quoted when they need to be
+    rfc4180: {
+        delimiter: ',',
+        quote: '"',
+        escape: '"',
+        lineTerminator: '\r\n',
+        quoting: 'minimal'
+    },
+    // the same as the default dialect, but with Windows line breaks
+    excel: {
+        delimiter: ',',
+        quote: '"',
+        escape: '"',
+        lineTerminator: '\r\n',
+        quoting: 'strings'
+    },
+    'excel-tab': {
+        delimiter: '\t',
+        quote: '"',
+        escape: '"',
+        lineTerminator: '\r\n',
+        quoting: 'strings'
+    },
+    unix: {
+        delimiter: ',',
+        quote: '"',
+        escape: '"',
+        lineTerminator: '\n',
+        quoting: 'all'
+    }
+};
+
+/**
+ * Delimiters which are considered when sniffing, in order of preference.
+ * @type {String[]}
+ * @private
+ */
+const SNIFF_DELIMITERS = [',', ';', '\t', '|'];
+
+/**
+ * Quote characters which are considered when sniffing, in order of preference.
+ * @type {String[]}
+ * @private
+ */
+const SNIFF_QUOTES = ['"', '\''];
+
+/**
+ * The maximum number of characters and lines taken from the start of the CSV string when sniffing.
+ * @type {Object}
+ * @private
+ */
+const SNIFF_SAMPLE_SIZE = {
+    characters: 65536,
+    lines: 20
+};
+
+/**
+ * Matches the words in a header, splitting on spaces, punctuation and changes of case. This is
+ * created from a string since the documentation parser does not read unicode property escapes.
+ * @type {RegExp}
+ * @private
+ */
+const HEADER_WORD_PATTERN = new RegExp('\\p{Lu}+(?!\\p{Ll})|\\p{Lu}?\\p{Ll}+|\\p{N}+|\\p{L}+', 'gu');
+
+/**
+ * Transforms which can be given by name as the headerTransform option.
+ * @type {Object<string, function(String): String>}
+ * @private
+ */
+const HEADER_TRANSFORMS = {
+    trim: (header) => header.trim(),
+    lowercase: (header) => header.toLowerCase(),
+    camelCase: (header) => {
+        return (header.match(HEADER_WORD_PATTERN) || [])
+            .map((word, index) => {
+                word = word.toLowerCase();
+                
+                return index === 0 ? word : word.charAt(0).toUpperCase() + word.slice(1);
+            })
+            .join('');
+    },
+    snake_case: (header) => {
+        return (header.match(HEADER_WORD_PATTERN) || [])
+            .map((word) => word.toLowerCase())
+            .join('_');
+    }
+};
+
+/**
+ * Checks for each type which can be given as the type of a column.
+ * @type {Object<string, function(*): Boolean>}
+ * @private
+ */
+const COLUMN_TYPES = {
+    string: (value) => typeof value === 'string',
+    number: (value) => typeof value === 'number' && !isNaN(value),
+    integer: (value) => Number.isInteger(value),
+    boolean: (value) => typeof value === 'boolean',
+    date: (value) => value instanceof Date && !isNaN(value.getTime())
+};
+// the JSON Schema for each type of column, dates are written as strings in JSON
+const JSON_SCHEMA_TYPES = {
+    string: {
+        type: 'string'
+    },
+    number: {
+        type: 'number'
+    },
+    integer: {
+        type: 'integer'
+    },
+    boolean: {
+        type: 'boolean'
+    },
+    date: {
+        type: 'string',
+        format: 'date-time'
+    }
+};
+
+/**
+ * Properties of columns which are rules for validating values.
+ * @type {String[]}
+ * @private
+ */
+const COLUMN_RULES = [
+    'type',
+    'min',
+    'max',
+    'minLength',
+    'maxLength',
+    'pattern',
+    'enum',
+    'unique',
+    'validate'
+];
+
+/**
+ * Gets the dialect from options.
+ * @param {Object} [options={}] - Options.
+ * @param {(String|Dialect)} [options.dialect] - Name of dialect or dialect.
+ * @param {String} [options.delimiter] - Delimiter, which takes precedence over the delimiter of the dialect.
+ * @returns {Dialect} Dialect with all of its properties.
+ * @private
+ */
+function getDialect(options = {}) {
+    let {dialect} = options;
+    
+    if (typeof dialect === 'string') {
+        if (!Object.prototype.hasOwnProperty.call(dialects, dialect)) {
+            throw new Error(`Unknown dialect ${dialect}`);
+        }
+        
+        dialect = dialects[dialect];
+    }
+    
+    const result = Object.assign({}, DEFAULT_DIALECT);
+    
+    // undefined properties do not replace the defaults
+    Object.keys(dialect || {}).forEach((key) => {
+        if (dialect[key] != null) {
+            result[key] = dialect[key];
+        }
+    });
+    
+    if (options.delimiter) {
+        result.delimiter = options.delimiter;
+    }
+    
+    if (!dialect || dialect.escape == null) {
+        // quotes are escaped by doubling them unless told otherwise
+        result.escape = result.quote;
+    }
+    
+    if (!['strings', 'all', 'nonnumeric', 'minimal', 'none'].includes(result.quoting)) {
+        throw new Error(`Unknown quoting ${result.quoting}`);
+    }
+    
+    return result;
+}
+
 /**
  * Escapes a string in CSV.
  * @param {String} str - String.
+ * @param {Dialect} [dialect] - Dialect.
  * @returns {String} Escaped string.
  * @private
  */
-function escapeCSV(str) {
-    // quotes are replaced with double quotes to escape them
+function escapeCSV(str, dialect = DEFAULT_DIALECT) {
+    const {quote, escape} = dialect;
+    let escaped = str.toString();
+    
+    if (escape !== quote) {
+        // the escape character also needs to be escaped
+        escaped = escaped.split(escape).join(escape + escape);
+    }
+    
+    // by default, quotes are replaced with double quotes to escape them
     // https://www.freeformatter.com/csv-escape.html
-    return `"${str.toString().replace(/"/g, '""')}"`;
+    return quote + escaped.split(quote).join(escape + quote) + quote;
+}
+
+/**
+ * Checks whether a string contains characters which would need it to be quoted.
+ * @param {String} str - String.
+ * @param {Dialect} dialect - Dialect.
+ * @returns {Boolean} Whether the string contains special characters.
+ * @private
+ */
+function hasSpecialCharacters(str, dialect) {
+    const {delimiter, quote, escape} = dialect;
+    
+    return Boolean(
+        str.includes(delimiter) ||
+        str.includes(quote) ||
+        str.includes(escape) ||
+        str.includes('\n') ||
+        str.includes('\r')
+    );
+}
+
+/**
+ * Neutralizes a value which spreadsheet applications would read as a formula by placing a single quote before it.
+ * Numbers such as "-5" are left as they are.
+ * @param {*} cellValue - Value of cell.
+ * @returns {*} Value of cell which is safe to open in spreadsheet applications.
+ * @private
+ */
+function sanitizeFormula(cellValue) {
+    const isFormula = Boolean(
+        typeof cellValue === 'string' &&
+        FORMULA_PATTERN.test(cellValue) &&
+        !NUMBER_PATTERN.test(cellValue)
+    );
+    
+    if (isFormula) {
+        return `'${cellValue}`;
+    }
+    
+    return cellValue;
+}
+
+/**
+ * Checks whether a string looks like a value which spreadsheet applications read as something other than text.
+ * This includes dates and times, such as "2019-08-25", "8/25/2019", "2019-08-25T10:30:00Z" and "10:30 PM", and
+ * numbers. Numbers with leading zeros, such as "00123", are not included, as the zeros would be lost.
+ *
+ * Strings which are literals are not quoted when quoting strings. A different function can be given as
+ * the isLiteral option when writing CSV.
+ * @param {String} value - Value.
+ * @returns {Boolean} Whether the value is a literal.
+ * @public
+ * @memberof salsacsv
+ *
+ * @example
+ * isSpreadsheetLiteral('2019-08-25'); // true
+ * isSpreadsheetLiteral('5.29'); // true
+ * isSpreadsheetLiteral('00123'); // false
+ * @example
+ * // quote strings which look like dates, but not times
+ * toCSV(rows, columns, {
+ *     isLiteral: (value) => /^\d{1,2}:\d{2}$/.test(value)
+ * });
+ */
+function isSpreadsheetLiteral(value) {
+    return Boolean(
+        typeof value === 'string' &&
+        (
+            DATE_LITERAL_PATTERN.test(value) ||
+            (
+                NUMBER_PATTERN.test(value) &&
+                // leading zeros would be lost
+                !/^[-+]?0\d/.test(value)
+            )
+        )
+    );
+}
+
+/**
+ * Formats the value of a cell for CSV using the quoting of the dialect.
+ * @param {*} cellValue - Value of cell.
+ * @param {Dialect} dialect - Dialect.
+ * @param {Boolean} [isHeader] - Whether the value is a header.
+ * @param {Object} [policy={}] - How the value is quoted.
+ * @param {String} [policy.quote='auto'] - Either "auto" to quote using the quoting of the dialect, "always" or "never".
+ * @param {function(String): Boolean} [policy.isLiteral=isSpreadsheetLiteral] - Function which checks whether a string is read as a value by spreadsheet applications.
+ * @returns {(String|Number)} Formatted value.
+ * @private
+ */
+function formatCell(cellValue, dialect, isHeader, policy = {}) {
+    const {quote = 'auto', isLiteral = isSpreadsheetLiteral} = policy;
+    const isString = typeof cellValue === 'string';
+    let shouldQuote;
+    
+    switch (quote === 'auto' ? dialect.quoting : quote) {
+        case 'always': {
+            shouldQuote = true;
+        } break;
+        case 'never': {
+            // values which would break the line are still quoted, unless they can be escaped instead
+            shouldQuote = Boolean(
+                dialect.quoting !== 'none' &&
+                isString &&
+                hasSpecialCharacters(cellValue, dialect)
+            );
+        } break;
+        case 'all': {
+            shouldQuote = true;
+        } break;
+        case 'nonnumeric': {
+            shouldQuote = typeof cellValue !== 'number';
+        } break;
+        case 'minimal': {
+            shouldQuote = isString && hasSpecialCharacters(cellValue, dialect);
+        } break;
+        case 'none': {
+            shouldQuote = false;
+        } break;
+        default: {
+            // whether the cell value should be escaped or not
+            shouldQuote = Boolean(
+                // strings should be escaped
+                isString &&
+                // but only if the string is not empty
+                cellValue.length > 0 &&
+                (
+                    // headers are always escaped
+                    isHeader ||
+                    // values which would break the line must be escaped
+                    hasSpecialCharacters(cellValue, dialect) ||
+                    (
+                        // and is not a formula
+                        !/^=/.test(cellValue) &&
+                        // and also is not read as a value, such as a date
+                        !isLiteral(cellValue)
+                    )
+                )
+            );
+        } break;
+    }
+    
+    if (shouldQuote) {
+        // escape strings
+        return escapeCSV(cellValue, dialect);
+    }
+    
+    const mustEscapeUnquoted = Boolean(
+        dialect.quoting === 'none' &&
+        !shouldQuote &&
+        isString &&
+        hasSpecialCharacters(cellValue, dialect)
+    );
+    
+    if (mustEscapeUnquoted) {
+        const {delimiter, quote, escape} = dialect;
+        
+        if (escape === quote) {
+            throw new Error(`Value ${JSON.stringify(cellValue)} must be quoted or escaped, but the dialect has no escape character`);
+        }
+        
+        // place the escape character before each special character
+        return [escape, delimiter, quote, '\n', '\r'].reduce((escaped, char) => {
+            return escaped.split(char).join(escape + char);
+        }, cellValue);
+    }
+    
+    return cellValue;
 }
 
 /**
@@ -41,33 +685,94 @@ function detectColumn(column) {
 }
 
 /**
- * Detects columns from a CSV string.
- * @param {String} csvStr - CSV string.
+ * Creates a function for turning headers into keys.
+ * @param {(String|String[]|function(String, Number): String)} [headerTransform] - The name of a transform, an array of names of transforms which are applied in order, or a function which takes a header and its index and returns a key.
+ * @returns {function(String, Number): String} Function which takes a header and its index and returns a key.
+ * @throws {Error} When a transform is unknown.
+ * @private
+ */
+function createHeaderTransform(headerTransform) {
+    if (typeof headerTransform === 'function') {
+        return headerTransform;
+    }
+    
+    const transforms = (headerTransform === undefined ? [] : [].concat(headerTransform)).map((name) => {
+        if (!Object.prototype.hasOwnProperty.call(HEADER_TRANSFORMS, name)) {
+            throw new Error(`Unknown headerTransform ${name}`);
+        }
+        
+        return HEADER_TRANSFORMS[name];
+    });
+    
+    return (header) => {
+        const key = transforms.reduce((key, transform) => transform(key), header);
+        
+        // headers with nothing left are used as they are
+        return key === '' ? header : key;
+    };
+}
+
+/**
+ * Detects columns from the cells of the first line of a CSV.
+ * @param {String[]} line - Cells of the first line.
  * @param {Object} options - Options.
- * @param {Boolean} [options.includeHeader] - Whether the CSV has a header or not.
- * @param {String} [options.delimiter=','] - The delimiter of the CSV string.
+ * @param {Boolean} [options.includeHeader] - Whether the line is a header or not.
+ * @param {(String|String[]|function(String, Number): String)} [options.headerTransform] - How headers are turned into keys.
+ * @param {String} [options.duplicateHeaders] - Either "error", "suffix" or "array".
  * @returns {Column[]} Array of columns.
+ * @throws {Error} When there are duplicate headers and duplicateHeaders is "error".
  * @private
  */
-function detectColumnsFromCSV(csvStr, options = {}) {
-    const {includeHeader} = options;
-    const delimiter = options.delimiter || ',';
-    const firstLine = csvStr.split('\n')[0];
-    // get first line
-    const split = csvToArray(firstLine, delimiter)[0] || [];
-    let columns;
+function detectColumnsFromLine(line, options = {}) {
+    const {includeHeader, duplicateHeaders} = options;
     
-    // first line is header values
-    if (includeHeader) {
-        columns = split;
-    } else {
+    if (!includeHeader) {
         // setup some column names
-        columns = split.map((value, i) => {
-            return `col${(i + 1)}`;
+        return line.map((value, i) => {
+            return detectColumn(`col${(i + 1)}`);
         });
     }
     
-    return columns.map(detectColumn);
+    if (![undefined, 'error', 'suffix', 'array'].includes(duplicateHeaders)) {
+        throw new Error(`Unknown duplicateHeaders ${duplicateHeaders}`);
+    }
+    
+    const transformHeader = createHeaderTransform(options.headerTransform);
+    // first line is header values
+    const keys = line.map((header, index) => header === '' ? '' : transformHeader(header, index));
+    const duplicateKeys = keys.filter((key, index) => key !== '' && keys.indexOf(key) !== index);
+    
+    if (duplicateHeaders === 'error' && duplicateKeys.length > 0) {
+        const headers = line.filter((header, index) => duplicateKeys.includes(keys[index]));
+        
+        throw new Error(`Duplicate headers ${headers.map((header) => `"${header}"`).join(', ')}`);
+    }
+    
+    return line.map((header, index) => {
+        let key = keys[index];
+        
+        if (duplicateHeaders === 'suffix' && keys.indexOf(key) !== index) {
+            // the second "notes" becomes "notes_2", skipping keys which are taken
+            let count = 2;
+            
+            while (keys.includes(`${key}_${count}`)) {
+                count++;
+            }
+            
+            key = `${key}_${count}`;
+            keys[index] = key;
+        }
+        
+        const column = detectColumn(key);
+        
+        if (column === null) {
+            return null;
+        }
+        
+        return Object.assign({
+            header
+        }, column);
+    });
 }
 
 /**
@@ -75,12 +780,32 @@ function detectColumnsFromCSV(csvStr, options = {}) {
  * @param {Object[]} rows - Array of objects to take columns from.
  * @param {Object} options - Options.
  * @param {Boolean} [options.includeHeader] - Whether the CSV has a header or not.
+ * @param {Boolean} [options.flatten] - Whether to flatten nested objects and arrays into columns with path keys.
+ * @param {Boolean} [options.sanitizeFormulas=true] - Whether to neutralize values which spreadsheet applications would read as formulas, such as "=HYPERLINK(...)", "+cmd" or SUM(...) prefixed with an at sign, by placing a single quote before them. Columns with formula set to true are not sanitized.
+ * @param {String} [options.quote='auto'] - How columns without their own quote setting are quoted, either "auto" to quote values using the quoting of the dialect, "always" to quote every value, or "never" to only quote values which contain delimiters, quotes or line breaks.
+ * @param {function(String): Boolean} [options.isLiteral=isSpreadsheetLiteral] - Function which checks whether a string is read as a value, such as a date, by spreadsheet applications. Strings which are literals are not quoted when the dialect quotes strings.
  * @returns {Column[]} Array of columns.
  * @private
  */
 function detectColumnsFromJSON(rows, options) {
-    const {includeHeader} = options;
-    const keys = Object.keys(rows[0] || {});
+    const {includeHeader, flatten} = options;
+    let keys;
+    
+    if (flatten) {
+        // rows may have different nested values, so the keys of every row are used
+        const keySet = rows.reduce((keySet, row) => {
+            getLeafPaths(row || {})
+                .filter((path) => path.length > 0)
+                .forEach((path) => keySet.add(formatKeyPath(path)));
+            
+            return keySet;
+        }, new Set());
+        
+        keys = Array.from(keySet);
+    } else {
+        keys = Object.keys(rows[0] || {});
+    }
+    
     const format = (column, i) => {
         const canIncludeHeader = Boolean(
             column !== null &&
@@ -122,366 +847,5160 @@ function columnLabel(columnNumber) {
 }
 
 /**
- * Converts a CSV string into an array of arrays where each line is split by its delimiter.
+ * Gets the zero-based number of a column given its label.
+ * @param {String} label - Column letters.
+ * @returns {Number} Zero-based column number.
+ * @private
  *
- * @param {String} str - String to parse.
- * @param {String} [delimiter=','] - Delimiter.
- * @returns {Array[]} Array of arrays for each line in string.
+ * @example
+ * parseColumnLabel('AA'); // 26
+ */
+function parseColumnLabel(label) {
+    return label.split('').reduce((columnNumber, letter) => {
+        return columnNumber * 26 + letter.charCodeAt(0) - 64;
+    }, 0) - 1;
+}
+
+/**
+ * Splits a key into the path of properties it refers to. Keys can use dots and brackets,
+ * e.g. "customer.address.city", "items[0].sku" or 'meta["first.name"]'.
+ * @param {String} key - Key.
+ * @returns {Array<(String|Number)>} Array of property names, where array indexes are numbers.
  * @private
  */
-function csvToArray(str, delimiter = ',') {
-    // Source:
-    // https://www.bennadel.com/blog/1504-ask-ben-parsing-csv-strings-with-javascript-exec-regular-expression-command.htm
-    // https://gist.github.com/bennadel/9753411#file-code-1-htm 
-    // Create a regular expression to parse the CSV values
-    const objPattern = new RegExp(
-        (
-            // delimiters
-            `(\\${delimiter}|\\r?\\n|\\r|^)` +
-            // quoted fields
-            '(?:"([^"]*(?:""[^"]*)*)"|' +
-            // standard fields (numbers, dates, unqouted text fields)
-            `([^"\\${delimiter}\\r\\n]*))`
-        ),
-        'gi'
-    );
+function parseKeyPath(key) {
+    const pattern = /\[(\d+)\]|\[("(?:[^"\\]|\\.)*")\]|([^.[\]]+)/g;
+    const path = [];
+    let match;
     
-    // Create an array to hold our data. Give the array
-    // a default empty first row
-    let results = [[]];
-    // Create an array to hold our individual pattern
-    // matching groups
-    let matches = null;
-    
-    // Keep looping over the regular expression matches
-    // until we can no longer find a match
-    while (matches = objPattern.exec(str)) {
-        // Get the delimiter that was found
-        const matchedDelimiter = matches[1];
-        const hasRowDelimiter = Boolean(
-            matchedDelimiter.length > 0 &&
-            matchedDelimiter !== delimiter
-        );
-        let value;
-        
-        // Check to see if the given delimiter has a length
-        // (is not the start of string) and if it matches
-        // field delimiter. If id does not, then we know
-        // that this delimiter is a row delimiter
-        if (hasRowDelimiter) {
-            // Since we have reached a new row of data,
-            // add an empty row to our data array
-            results.push([]);
-        }
-        
-        // Now that we have our delimiter out of the way,
-        // let's check to see which kind of value we
-        // captured (quoted or unquoted)
-        if (matches[2]) {
-            // We found a quoted value. When we capture
-            // this value, unescape any double quotes
-            value = matches[2].replace(/""/g, '"');
+    while ((match = pattern.exec(key)) !== null) {
+        const [, index, quoted, name] = match;
+        
+        if (index !== undefined) {
+            path.push(Number(index));
+        } else if (quoted !== undefined) {
+            path.push(JSON.parse(quoted));
         } else {
-            // we found a non-quoted value
-            value = matches[3];
+            path.push(name);
         }
-        
-        // Now that we have our value string, let's add
-        // it to the data array
-        results[results.length - 1].push(value);
     }
     
-    // Return the parsed data
-    return results;
+    return path;
 }
 
 /**
- * Converts an array of objects to a CSV string.
- * @param {Object[]} rows - Array of objects to form rows from.
- * @param {Column[]} columns - An array containing columns.
- * @param {Object} [options={}] - Parsing options.
- * @param {Boolean} [options.includeHeader] - Whether the CSV has a header or not, the first line will be skipped if this is set to true.
- * @param {String} [options.delimiter=','] - The delimiter for the CSV string.
- * @returns {String} CSV string.
- * @public
- * @memberof salsacsv
- *
+ * Joins a path of properties into a key.
+ * @param {Array<(String|Number)>} path - Array of property names, where array indexes are numbers.
+ * @returns {String} Key.
+ * @private
+ */
+function formatKeyPath(path) {
+    return path.map((name, index) => {
+        if (typeof name === 'number') {
+            return `[${name}]`;
+        } else if (/^[^.[\]"]+$/.test(name)) {
+            return index === 0 ? name : `.${name}`;
+        }
+        
+        // names containing special characters are quoted
+        return `[${JSON.stringify(name)}]`;
+    }).join('');
+}
+
+/**
+ * Gets a value from an object using a key, which can be a path to a nested value.
+ * @param {Object} obj - Object.
+ * @param {String} key - Key.
+ * @param {Array<(String|Number)>} path - The path of the key.
+ * @returns {*} Value.
+ * @private
+ */
+function getValueAtKey(obj, key, path) {
+    if (key == null) {
+        return undefined;
+    } else if (key in obj) {
+        // the key is a property of the object itself
+        return obj[key];
+    }
+    
+    return path.reduce((value, name) => {
+        return value == null ? undefined : value[name];
+    }, obj);
+}
+
+/**
+ * Sets a value on an object using a path, creating nested objects and arrays as needed.
+ * @param {Object} obj - Object.
+ * @param {Array<(String|Number)>} path - Array of property names, where array indexes are numbers.
+ * @param {*} value - Value.
+ * @private
+ */
+function setValueAtPath(obj, path, value) {
+    const lastIndex = path.length - 1;
+    
+    path.reduce((target, name, index) => {
+        if (index === lastIndex) {
+            target[name] = value;
+        } else if (target[name] == null || typeof target[name] !== 'object') {
+            // arrays are created for array indexes
+            target[name] = typeof path[index + 1] === 'number' ? [] : {};
+        }
+        
+        return target[name];
+    }, obj);
+}
+
+/**
+ * Gets the path of the key of each column.
+ * @param {Column[]} columns - An array containing columns.
+ * @returns {Array<Array<(String|Number)>>} Array of paths, which are empty for columns without keys.
+ * @private
+ */
+function getKeyPaths(columns) {
+    return columns.map((column) => {
+        const hasKey = Boolean(
+            column != null &&
+            column.key != null
+        );
+        
+        return hasKey ? parseKeyPath(String(column.key)) : [];
+    });
+}
+
+/**
+ * Gets the paths of every value in an object which is not an object or array itself.
+ * @param {Object} obj - Object.
+ * @param {Array<(String|Number)>} [path=[]] - Path to the object.
+ * @returns {Array<Array<(String|Number)>>} Array of paths.
+ * @private
+ */
+function getLeafPaths(obj, path = []) {
+    const canFlatten = Boolean(
+        obj !== null &&
+        typeof obj === 'object' &&
+        // dates are values
+        !(obj instanceof Date) &&
+        // empty objects and arrays are kept as they are
+        Object.keys(obj).length > 0
+    );
+    
+    if (!canFlatten) {
+        return [path];
+    }
+    
+    return Object.keys(obj).reduce((paths, name) => {
+        const childPath = path.concat(Array.isArray(obj) ? Number(name) : name);
+        
+        return paths.concat(getLeafPaths(obj[name], childPath));
+    }, []);
+}
+
+/**
+ * Converts a CSV string into an array of arrays where each line is split by its delimiter.
+ *
+ * @param {String} str - String to parse.
+ * @param {Object} [options={}] - Options for the tokenizer.
+ * @returns {Array[]} Array of arrays for each line in string.
+ * @private
+ */
+function csvToArray(str, options = {}) {
+    const tokenizer = createTokenizer(options);
+    
+    return [
+        ...tokenizer.write(str),
+        ...tokenizer.end()
+    ];
+}
+
+/**
+ * Finds the position in CSV text after reading up to an index of a piece of the text.
+ * @param {Object} position - Position at the start of the piece.
+ * @param {String} str - Piece of text.
+ * @param {Number} end - Index in the piece to read up to.
+ * @returns {Object} Position at the index.
+ * @private
+ */
+function advancePosition(position, str, end) {
+    const {afterCarriageReturn} = position;
+    let {line, lineStart} = position;
+    // finds the next index of a character, or the end if it is not found before the end
+    const findNext = (char, fromIndex) => {
+        const index = str.indexOf(char, fromIndex);
+        
+        return index === -1 ? end : Math.min(index, end);
+    };
+    // the characters are searched for separately as this is much faster than checking every character
+    let lineFeedIndex = findNext('\n', 0);
+    let carriageReturnIndex = findNext('\r', 0);
+    
+    while (lineFeedIndex < end || carriageReturnIndex < end) {
+        const isLineFeed = lineFeedIndex < carriageReturnIndex;
+        const index = isLineFeed ? lineFeedIndex : carriageReturnIndex;
+        const isPrecededByCarriageReturn = Boolean(
+            isLineFeed &&
+            (
+                index === 0 ?
+                    afterCarriageReturn :
+                    str[index - 1] === '\r'
+            )
+        );
+        
+        // a line feed after a carriage return is part of the same line break
+        if (!isPrecededByCarriageReturn) {
+            line++;
+        }
+        
+        lineStart = position.offset + index + 1;
+        
+        if (isLineFeed) {
+            lineFeedIndex = findNext('\n', index + 1);
+        } else {
+            carriageReturnIndex = findNext('\r', index + 1);
+        }
+    }
+    
+    return {
+        line,
+        lineStart,
+        afterCarriageReturn: end > 0 ? str[end - 1] === '\r' : afterCarriageReturn,
+        offset: position.offset + end
+    };
+}
+
+/**
+ * Creates a tokenizer which splits CSV text into lines of cells as it is written to.
+ *
+ * The text is read in a single pass following RFC 4180. It can be written in any number of
+ * pieces; quoted cells, delimiters and line breaks are allowed to span across pieces. Lines can be
+ * broken by "\r\n", "\n" or "\r" and blank lines are skipped.
+ *
+ * If the escape character is the same as the quote character, quotes are escaped by doubling them
+ * inside of quoted cells. Otherwise, the escape character causes the character after it to be
+ * taken as it is, in both quoted and unquoted cells.
+ * @param {Object} [options={}] - Options.
+ * @param {String} [options.delimiter=','] - Delimiter, which may be more than one character.
+ * @param {String} [options.quote='"'] - Quote character.
+ * @param {String} [options.escape] - Escape character, which is the quote character if not given.
+ * @param {Number} [options.maxLines] - The maximum number of lines to read, any text after is ignored.
+ * @returns {Object} Object with a "write" function for writing text to the tokenizer and an "end" function for ending it, each returning an array of lines that were completed.
+ * @throws {CSVSyntaxError} When a quoted cell is not terminated or a quote is found where one is not expected.
+ * @private
+ */
+function createTokenizer(options = {}) {
+    const delimiter = options.delimiter || ',';
+    // no limit if this is 0
+    const maxLines = options.maxLines || 0;
+    const QUOTE = options.quote || '"';
+    const ESCAPE = options.escape || QUOTE;
+    const QUOTE_CODE = QUOTE.charCodeAt(0);
+    const hasEscape = ESCAPE !== QUOTE;
+    // this will never match a character if quotes are escaped by doubling them
+    const ESCAPE_CODE = hasEscape ? ESCAPE.charCodeAt(0) : -1;
+    const LINE_FEED_CODE = 10;
+    const CARRIAGE_RETURN_CODE = 13;
+    const DELIMITER_CODE = delimiter.charCodeAt(0);
+    const isSingleCharacterDelimiter = delimiter.length === 1;
+    // at the start of a cell
+    const CELL_START = 0;
+    // inside of a cell that is not quoted
+    const UNQUOTED = 1;
+    // inside of a quoted cell
+    const QUOTED = 2;
+    // a quote was found inside of a quoted cell
+    // this is either an escaped quote or the end of the cell
+    const QUOTE_IN_QUOTED = 3;
+    // an escape character was found at the end of a piece
+    const ESCAPED = 4;
+    let state = CELL_START;
+    // the state to return to after an escaped character
+    let escapedState = CELL_START;
+    let lines = [];
+    let line = [];
+    let cell = '';
+    // the number of lines read, not including blank lines
+    let lineCount = 0;
+    // whether the maximum number of lines has been read
+    let isFull = false;
+    // whether the last line break was a carriage return, which may be followed by a line feed
+    let afterCarriageReturn = false;
+    // text held back from the end of the last piece which may be the start of a delimiter
+    let pending = '';
+    // position at the start of the current piece
+    // positions are only worked out when needed, which keeps reading fast
+    let position = {
+        line: 1,
+        lineStart: 0,
+        afterCarriageReturn: false,
+        offset: 0
+    };
+    // the last piece read and how much of it was read
+    // the position is only advanced past it when another piece is read, so a single piece costs nothing
+    let lastPiece = null;
+    // position of the quote which started the current quoted cell, if it started in an earlier piece
+    let quotePosition = null;
+    const getPosition = (str, index) => {
+        const {line, lineStart, offset} = advancePosition(position, str, index);
+        
+        return {
+            line,
+            column: offset - lineStart + 1
+        };
+    };
+    const syntaxError = (message, {line, column}) => {
+        return new CSVSyntaxError(`${message} at line ${line}, column ${column}`, {
+            line,
+            column
+        });
+    };
+    const endCell = () => {
+        line.push(cell);
+        cell = '';
+        state = CELL_START;
+        quotePosition = null;
+    };
+    const endLine = () => {
+        endCell();
+        lines.push(line);
+        line = [];
+        lineCount++;
+        isFull = lineCount === maxLines;
+    };
+    const takeLines = () => {
+        const completed = lines;
+        
+        lines = [];
+        
+        return completed;
+    };
+    // finds the index of the next quote or escape character, or -1 if there are none
+    const findQuoteOrEscape = (str, fromIndex) => {
+        const quoteIndex = str.indexOf(QUOTE, fromIndex);
+        
+        if (!hasEscape) {
+            return quoteIndex;
+        }
+        
+        const escapeIndex = str.indexOf(ESCAPE, fromIndex);
+        
+        if (quoteIndex === -1 || escapeIndex === -1) {
+            return Math.max(quoteIndex, escapeIndex);
+        }
+        
+        return Math.min(quoteIndex, escapeIndex);
+    };
+    // checks whether the delimiter is at the given index
+    // returns null if the string ends partway through what may be the delimiter
+    const isDelimiterAt = (str, index, isLastPiece) => {
+        if (isSingleCharacterDelimiter) {
+            return str.charCodeAt(index) === DELIMITER_CODE;
+        }
+        
+        const isPartial = Boolean(
+            !isLastPiece &&
+            str.length - index < delimiter.length &&
+            delimiter.startsWith(str.slice(index))
+        );
+        
+        if (isPartial) {
+            return null;
+        }
+        
+        return str.startsWith(delimiter, index);
+    };
+    // reads a piece of text, returning any text at the end that should be held back for the next piece
+    const read = (str, isLastPiece) => {
+        const length = str.length;
+        // index of the opening quote of the current quoted cell in this piece
+        let quoteIndex = -1;
+        // held back text
+        let rest = '';
+        let i = 0;
+        // the state is kept in local variables while reading as this is considerably faster
+        let currentState = state;
+        let currentLine = line;
+        let currentCell = cell;
+        
+        while (i < length && !isFull) {
+            if (currentState === ESCAPED) {
+                // the escape character was at the end of the last piece
+                currentCell += str[i];
+                currentState = escapedState;
+                i++;
+                continue;
+            }
+            
+            if (currentState === CELL_START) {
+                const code = str.charCodeAt(i);
+                
+                if (afterCarriageReturn) {
+                    afterCarriageReturn = false;
+                    
+                    if (code === LINE_FEED_CODE) {
+                        // this completes a "\r\n" line break
+                        i++;
+                        continue;
+                    }
+                }
+                
+                if (currentLine.length === 0 && (code === LINE_FEED_CODE || code === CARRIAGE_RETURN_CODE)) {
+                    // nothing has been read on this line, so it is blank and is skipped
+                    afterCarriageReturn = code === CARRIAGE_RETURN_CODE;
+                    i++;
+                    continue;
+                }
+                
+                if (code === QUOTE_CODE) {
+                    quoteIndex = i;
+                    currentState = QUOTED;
+                    i++;
+                } else {
+                    currentState = UNQUOTED;
+                }
+            }
+            
+            if (currentState === UNQUOTED) {
+                // take everything up to the next special character
+                // this is the hottest loop, so the checks are kept as simple as possible
+                let end = i;
+                
+                while (end < length) {
+                    const code = str.charCodeAt(end);
+                    
+                    if (code === DELIMITER_CODE || code === LINE_FEED_CODE || code === CARRIAGE_RETURN_CODE || code === QUOTE_CODE || code === ESCAPE_CODE) {
+                        break;
+                    }
+                    
+                    end++;
+                }
+                
+                currentCell += str.slice(i, end);
+                i = end;
+                
+                if (i === length) {
+                    // the cell may continue in the next piece
+                    break;
+                }
+                
+                const endCode = str.charCodeAt(i);
+                
+                if (endCode === ESCAPE_CODE) {
+                    // take the next character as it is
+                    if (i + 1 === length) {
+                        escapedState = UNQUOTED;
+                        currentState = ESCAPED;
+                        i = length;
+                        break;
+                    }
+                    
+                    currentCell += str[i + 1];
+                    i += 2;
+                    continue;
+                }
+                
+                if (endCode === QUOTE_CODE) {
+                    throw syntaxError('Unexpected quote in unquoted cell', getPosition(str, i));
+                }
+            } else if (currentState === QUOTED) {
+                // take everything up to the next quote or escape character
+                const nextIndex = findQuoteOrEscape(str, i);
+                
+                if (nextIndex === -1) {
+                    // the rest of this piece belongs to the cell
+                    currentCell += str.slice(i);
+                    i = length;
+                    break;
+                }
+                
+                currentCell += str.slice(i, nextIndex);
+                
+                if (str.charCodeAt(nextIndex) === ESCAPE_CODE) {
+                    // take the next character as it is
+                    if (nextIndex + 1 === length) {
+                        escapedState = QUOTED;
+                        currentState = ESCAPED;
+                        i = length;
+                        break;
+                    }
+                    
+                    currentCell += str[nextIndex + 1];
+                    i = nextIndex + 2;
+                    continue;
+                }
+                
+                i = nextIndex + 1;
+                currentState = QUOTE_IN_QUOTED;
+                
+                if (i === length) {
+                    // the next piece will tell us whether this quote is escaped
+                    break;
+                }
+            }
+            
+            const code = str.charCodeAt(i);
+            
+            if (currentState === QUOTE_IN_QUOTED && code === QUOTE_CODE && !hasEscape) {
+                // two quotes in a row is an escaped quote
+                currentCell += QUOTE;
+                currentState = QUOTED;
+                i++;
+                continue;
+            }
+            
+            // we are at the end of a cell
+            const isLineBreak = code === LINE_FEED_CODE || code === CARRIAGE_RETURN_CODE;
+            const isDelimiter = isLineBreak || (
+                isSingleCharacterDelimiter ?
+                    code === DELIMITER_CODE :
+                    isDelimiterAt(str, i, isLastPiece)
+            );
+            
+            if (isDelimiter === null) {
+                // wait for the next piece to know whether this is a delimiter
+                rest = str.slice(i);
+                break;
+            } else if (isDelimiter) {
+                currentLine.push(currentCell);
+                currentCell = '';
+                currentState = CELL_START;
+                
+                if (quotePosition !== null) {
+                    quotePosition = null;
+                }
+                
+                if (isLineBreak) {
+                    lines.push(currentLine);
+                    currentLine = [];
+                    lineCount++;
+                    isFull = lineCount === maxLines;
+                    afterCarriageReturn = code === CARRIAGE_RETURN_CODE;
+                    i++;
+                } else {
+                    i += delimiter.length;
+                }
+            } else if (currentState === UNQUOTED) {
+                // this is only the first character of the delimiter, so it is part of the cell
+                currentCell += str[i];
+                i++;
+            } else {
+                throw syntaxError('Unexpected character after closing quote', getPosition(str, i));
+            }
+        }
+        
+        state = currentState;
+        line = currentLine;
+        cell = currentCell;
+        
+        const inQuotedCell = Boolean(
+            quotePosition === null &&
+            quoteIndex !== -1 &&
+            (
+                state === QUOTED ||
+                state === QUOTE_IN_QUOTED ||
+                (
+                    state === ESCAPED &&
+                    escapedState === QUOTED
+                )
+            )
+        );
+        
+        if (inQuotedCell) {
+            // the quoted cell continues into the next piece
+            // keep its position in case it is never terminated
+            quotePosition = getPosition(str, quoteIndex);
+        }
+        
+        return rest;
+    };
+    const updatePosition = () => {
+        if (lastPiece !== null) {
+            position = advancePosition(position, lastPiece.str, lastPiece.end);
+            lastPiece = null;
+        }
+    };
+    const write = (str) => {
+        const text = pending + str;
+        
+        updatePosition();
+        pending = read(text, false);
+        lastPiece = {
+            str: text,
+            end: text.length - pending.length
+        };
+        
+        return takeLines();
+    };
+    const end = () => {
+        if (pending.length > 0) {
+            updatePosition();
+            read(pending, true);
+            pending = '';
+        }
+        
+        
+        if (isFull) {
+            return takeLines();
+        }
+        
+        if (state === ESCAPED) {
+            // there is nothing after the escape character, so it is taken as it is
+            cell += ESCAPE;
+            state = escapedState;
+        }
+        
+        if (state === QUOTED) {
+            throw syntaxError('Unterminated quoted cell', quotePosition);
+        }
+        
+        const hasPendingLine = Boolean(
+            state !== CELL_START ||
+            line.length > 0
+        );
+        
+        if (hasPendingLine) {
+            endLine();
+        }
+        
+        return takeLines();
+    };
+    
+    return {
+        write,
+        end
+    };
+}
+
+/**
+ * Splits a sample of CSV into lines, ignoring any incomplete line at the end of the sample.
+ * @param {String} sample - Sample of CSV string.
+ * @param {Dialect} dialect - Dialect to split the sample with.
+ * @param {Boolean} isComplete - Whether the sample is the entire CSV string.
+ * @returns {(Array[]|null)} Array of arrays for each line in the sample, or null if the sample could not be read using the dialect.
+ * @private
+ */
+function splitSample(sample, dialect, isComplete) {
+    const tokenizer = createTokenizer(Object.assign({}, dialect, {
+        maxLines: SNIFF_SAMPLE_SIZE.lines
+    }));
+    
+    try {
+        const lines = tokenizer.write(sample);
+        
+        return isComplete ? lines.concat(tokenizer.end()) : lines;
+    } catch (error) {
+        if (error instanceof CSVSyntaxError) {
+            return null;
+        }
+        
+        throw error;
+    }
+}
+
+/**
+ * Counts the quotes in a sample which are at the start of a cell.
+ * @param {String} sample - Sample of CSV string.
+ * @param {String} delimiter - Delimiter.
+ * @param {String} quote - Quote character.
+ * @returns {Number} Number of quotes.
+ * @private
+ */
+function countQuotedCells(sample, delimiter, quote) {
+    return [delimiter, '\n', '\r'].reduce((count, boundary) => {
+        return count + sample.split(boundary + quote).length - 1;
+    }, sample.startsWith(quote) ? 1 : 0);
+}
+
+/**
+ * Checks whether a value from CSV looks like a number.
+ * @param {String} value - Value.
+ * @returns {Boolean} Whether the value looks like a number.
+ * @private
+ */
+function isNumeric(value) {
+    // decimal commas are also accepted
+    return /^[-+]?(\d+([.,]\d*)?|[.,]\d+)([eE][-+]?\d+)?$/.test(value.trim());
+}
+
+/**
+ * Guesses whether the first line of CSV is a header by comparing it to the lines after it.
+ *
+ * A column votes for a header when its values are numbers but its first value is not, or when
+ * its values all have the same length and its first value has a different length.
+ * @param {Array[]} lines - Array of arrays for each line.
+ * @returns {Boolean} Whether the first line looks like a header.
+ * @private
+ */
+function detectHeader(lines) {
+    const [firstLine, ...rest] = lines;
+    
+    if (!firstLine || rest.length === 0) {
+        return false;
+    }
+    
+    const votes = firstLine.reduce((votes, firstValue, columnIndex) => {
+        const values = rest
+            .map((line) => line[columnIndex])
+            .filter((value) => value !== undefined && value !== '');
+        
+        if (values.length === 0) {
+            // nothing to compare to
+            return votes;
+        }
+        
+        if (values.every(isNumeric)) {
+            return votes + (isNumeric(firstValue) ? -1 : 1);
+        }
+        
+        const {length} = values[0];
+        
+        if (values.every((value) => value.length === length)) {
+            return votes + (firstValue.length !== length ? 1 : -1);
+        }
+        
+        return votes;
+    }, 0);
+    
+    return votes > 0;
+}
+
+/**
+ * Detects the line terminator used in a sample of CSV.
+ * @param {String} sample - Sample of CSV string.
+ * @returns {String} Line terminator.
+ * @private
+ */
+function detectLineTerminator(sample) {
+    const match = sample.match(/\r\n|\n|\r/);
+    
+    return match ? match[0] : '\n';
+}
+
+/**
+ * Replaces an "auto" delimiter in options with the dialect sniffed from the CSV string.
+ * @param {String} csvStr - CSV string, or the start of it.
+ * @param {Object} options - Parsing options.
+ * @returns {Object} Parsing options.
+ * @private
+ */
+function resolveAutoDelimiter(csvStr, options = {}) {
+    const dialect = getDialect(options);
+    
+    if (dialect.delimiter !== 'auto') {
+        return options;
+    }
+    
+    const sniffed = sniff(csvStr);
+    // properties given in a dialect object are kept
+    const given = typeof options.dialect === 'object' && options.dialect || {};
+    const quote = given.quote || sniffed.quote;
+    const includeHeader = options.includeHeader === undefined ? sniffed.hasHeader : options.includeHeader;
+    
+    return Object.assign({}, options, {
+        delimiter: sniffed.delimiter,
+        dialect: Object.assign({}, dialect, {
+            delimiter: sniffed.delimiter,
+            quote,
+            escape: given.escape || quote,
+            lineTerminator: given.lineTerminator || sniffed.lineTerminator
+        }),
+        includeHeader
+    });
+}
+
+/**
+ * Gets how columns are matched to cells from options.
+ * @param {Object} options - Parsing options.
+ * @param {String} [options.matchBy='position'] - How columns are matched to cells.
+ * @returns {String} Either "position" or "header".
+ * @private
+ */
+function getMatchBy(options = {}) {
+    const {matchBy = 'position'} = options;
+    
+    if (!['position', 'header'].includes(matchBy)) {
+        throw new Error(`Unknown matchBy ${matchBy}`);
+    }
+    
+    return matchBy;
+}
+
+/**
+ * Normalizes a header so that headers which differ only by case or whitespace are matched.
+ * @param {String} header - Header.
+ * @returns {String} Normalized header.
+ * @private
+ */
+function normalizeHeader(header) {
+    return String(header)
+        .trim()
+        .replace(/\s+/g, ' ')
+        .toLowerCase();
+}
+
+/**
+ * Finds the index of the cell for each column using the header line of a CSV string.
+ * @param {Column[]} columns - Array of columns.
+ * @param {String[]} headerLine - Array of headers from the first line.
+ * @param {Object} options - Parsing options.
+ * @param {String} [options.extraHeaders='ignore'] - Either "ignore" or "error".
+ * @returns {Number[]} Array containing the index of the cell for each column, or -1 for columns which have no cell.
+ * @throws {Error} When the headers of required columns are missing, or when there are unexpected headers and extraHeaders is "error".
+ * @private
+ */
+function matchColumnsToHeader(columns, headerLine, options = {}) {
+    const {extraHeaders = 'ignore'} = options;
+    
+    if (!['ignore', 'error'].includes(extraHeaders)) {
+        throw new Error(`Unknown extraHeaders ${extraHeaders}`);
+    }
+    
+    const normalizedLine = headerLine.map(normalizeHeader);
+    // headers for required columns which could not be found
+    const missingHeaders = [];
+    const cellIndexes = columns.map((column) => {
+        if (column == null) {
+            // there is nothing to match
+            return -1;
+        }
+        
+        // columns without a header are matched using their key
+        const {header = column.key, aliases = []} = column;
+        const cellIndex = [header, ...aliases]
+            .filter((name) => typeof name === 'string')
+            // the header takes priority over aliases
+            .map((name) => normalizedLine.indexOf(normalizeHeader(name)))
+            .find((index) => index !== -1);
+        
+        if (cellIndex === undefined) {
+            if (column.required) {
+                missingHeaders.push(header);
+            }
+            
+            return -1;
+        }
+        
+        return cellIndex;
+    });
+    const formatHeaders = (headers) => {
+        return headers.map((header) => `"${header}"`).join(', ');
+    };
+    
+    if (missingHeaders.length > 0) {
+        throw new Error(`Missing required headers ${formatHeaders(missingHeaders)}`);
+    }
+    
+    if (extraHeaders === 'error') {
+        const unexpectedHeaders = headerLine.filter((header, index) => {
+            return Boolean(
+                header !== '' &&
+                !cellIndexes.includes(index)
+            );
+        });
+        
+        if (unexpectedHeaders.length > 0) {
+            throw new Error(`Unexpected headers ${formatHeaders(unexpectedHeaders)}`);
+        }
+    }
+    
+    return cellIndexes;
+}
+
+/**
+ * Pattern for numbers in CSV, which may be negative and have decimal places and an exponent.
+ * @type {RegExp}
+ * @private
+ */
+const NUMBER_PATTERN = /^[-+]?(\d+\.?\d*|\.\d+)([eE][-+]?\d+)?$/;
+
+/**
+ * Pattern for dates and times which spreadsheet applications read as values, such as "2019-08-25",
+ * "8/25/2019", "2019-08-25T10:30:00.000Z" or "10:30 PM".
+ * @type {RegExp}
+ * @private
+ */
+const DATE_LITERAL_PATTERN = /^(\d+[-/]\d+[-/]\d+([T ]\d{1,2}:\d{2}(:\d{2}(\.\d+)?)?(\s?[AaPp][Mm])?(Z|[-+]\d{2}:?\d{2})?)?|\d{1,2}:\d{2}(:\d{2}(\.\d+)?)?(\s?[AaPp][Mm])?)$/;
+
+/**
+ * Values which can be given as the quote option of columns.
+ * @type {String[]}
+ * @private
+ */
+const QUOTE_POLICIES = ['auto', 'always', 'never'];
+
+/**
+ * Pattern for strings which spreadsheet applications may read as formulas, based on their first character.
+ * @type {RegExp}
+ * @private
+ */
+const FORMULA_PATTERN = /^[=+\-@\t\r]/;
+
+/**
+ * Tokens which can be used in date formats, with the pattern each token matches when parsing.
+ * @type {Object<string, String>}
+ * @private
+ */
+const DATE_TOKENS = {
+    YYYY: '\\d{4}',
+    SSS: '\\d{3}',
+    MM: '\\d{2}',
+    DD: '\\d{2}',
+    HH: '\\d{2}',
+    mm: '\\d{2}',
+    ss: '\\d{2}',
+    M: '\\d{1,2}',
+    D: '\\d{1,2}',
+    H: '\\d{1,2}',
+    Z: 'Z|[-+]\\d{2}:?\\d{2}'
+};
+
+/**
+ * The number of days from 1899-12-30, which dates in spreadsheets are counted from, to 1970-01-01.
+ * @type {Number}
+ * @private
+ */
+const XLSX_EPOCH_DAYS = 25569;
+
+/**
+ * Namespaces of the parts of XLSX workbooks.
+ * @type {Object<string, String>}
+ * @private
+ */
+const XLSX_NAMESPACES = {
+    main: 'http://schemas.openxmlformats.org/spreadsheetml/2006/main',
+    relationships: 'http://schemas.openxmlformats.org/officeDocument/2006/relationships',
+    packageRelationships: 'http://schemas.openxmlformats.org/package/2006/relationships',
+    contentTypes: 'http://schemas.openxmlformats.org/package/2006/content-types'
+};
+
+/**
+ * Number formats of dates in XLSX workbooks when their columns do not have a number format.
+ * @type {Object<string, String>}
+ * @private
+ */
+const XLSX_DATE_FORMATS = {
+    date: 'yyyy-mm-dd',
+    dateTime: 'yyyy-mm-dd hh:mm:ss'
+};
+
+/**
+ * Ranges of the IDs of number formats built into spreadsheet applications which format numbers as dates or times.
+ * @type {Array<Number[]>}
+ * @private
+ */
+const XLSX_DATE_FORMAT_IDS = [
+    [14, 22],
+    [27, 36],
+    [45, 47],
+    [50, 58]
+];
+
+/**
+ * The index of the style of the header in XLSX workbooks.
+ * @type {Number}
+ * @private
+ */
+const XLSX_HEADER_STYLE = 1;
+
+/**
+ * Pattern for names of sheets which spreadsheet applications accept.
+ * @type {RegExp}
+ * @private
+ */
+const XLSX_SHEET_NAME_PATTERN = /^[^[\]:*?/\\]{1,31}$/;
+
+/**
+ * Entities for characters which must be escaped in XML.
+ * @type {Object<string, String>}
+ * @private
+ */
+const XML_ENTITIES = {
+    '&': '&amp;',
+    '<': '&lt;',
+    '>': '&gt;',
+    '"': '&quot;'
+};
+
+/**
+ * Characters for the entities which can be read from XML.
+ * @type {Object<string, String>}
+ * @private
+ */
+const XML_CHARACTERS = {
+    amp: '&',
+    lt: '<',
+    gt: '>',
+    quot: '"',
+    apos: '\''
+};
+
+/**
+ * Pattern for characters which cannot be written in XML.
+ * @type {RegExp}
+ * @private
+ */
+const INVALID_XML_PATTERN = /[^\t\n\r -\uD7FF\uE000-\uFFFD\u{10000}-\u{10FFFF}]/gu;
+
+/**
+ * Signatures of the records in zip archives.
+ * @type {Object<string, Number>}
+ * @private
+ */
+const ZIP_SIGNATURES = {
+    localFile: 0x04034B50,
+    centralDirectory: 0x02014B50,
+    endOfCentralDirectory: 0x06054B50
+};
+
+/**
+ * Table for calculating CRC-32 checksums of the files in zip archives.
+ * @type {Number[]}
+ * @private
+ */
+const CRC32_TABLE = Array.from({length: 256}, (value, n) => {
+    let crc = n;
+    
+    for (let i = 0; i < 8; i++) {
+        crc = crc & 1 ? 0xEDB88320 ^ (crc >>> 1) : crc >>> 1;
+    }
+    
+    return crc >>> 0;
+});
+
+/**
+ * Alignments of values in the fields of fixed-width text.
+ * @type {String[]}
+ * @private
+ */
+const FIXED_WIDTH_ALIGNMENTS = ['left', 'right'];
+
+/**
+ * Functions for creating the writers of formats which can be given as the format option, by name.
+ * @type {Object<string, function(Column[], Object): Writer>}
+ * @private
+ */
+const WRITERS = {
+    csv: (columns, options) => createCSVWriter(columns, options),
+    ndjson: (columns, options) => createNDJSONWriter(columns, options),
+    markdown: (columns) => createMarkdownWriter(columns),
+    html: (columns) => createHTMLWriter(columns)
+};
+
+/**
+ * Characters which are escaped with a backslash in Markdown tables.
+ * @type {RegExp}
+ * @private
+ */
+const MARKDOWN_ESCAPE_PATTERN = /[\\`*_[\]<>|~&]/g;
+
+/**
+ * Delimiter cells of Markdown tables for the alignments of columns.
+ * @type {Object<string, String>}
+ * @private
+ */
+const MARKDOWN_ALIGNMENTS = {
+    left: ':---',
+    right: '---:'
+};
+
+/**
+ * Entities for characters which must be escaped in HTML.
+ * @type {Object<string, String>}
+ * @private
+ */
+const HTML_ENTITIES = {
+    '&': '&amp;',
+    '<': '&lt;',
+    '>': '&gt;',
+    '"': '&quot;',
+    '\'': '&#39;'
+};
+
+/**
+ * Encodings which CSV can be read and written in.
+ * @type {String[]}
+ * @private
+ */
+const ENCODINGS = ['utf8', 'utf16le', 'windows-1252'];
+
+/**
+ * The byte order mark, which is written at the start of text to give its encoding.
+ * @type {String}
+ * @private
+ */
+const BYTE_ORDER_MARK = '\uFEFF';
+
+/**
+ * The bytes of the byte order mark in the encodings which have one.
+ * @type {Object<string, Buffer>}
+ * @private
+ */
+const BYTE_ORDER_MARKS = {
+    utf8: Buffer.from([0xEF, 0xBB, 0xBF]),
+    utf16le: Buffer.from([0xFF, 0xFE])
+};
+
+/**
+ * Code points of the characters for the bytes from 0x80 to 0x9F in Windows-1252, which are the
+ * same as Latin-1 for every other byte.
+ * @type {Number[]}
+ * @private
+ */
+const WINDOWS_1252_CODE_POINTS = [
+    0x20AC, 0x0081, 0x201A, 0x0192, 0x201E, 0x2026, 0x2020, 0x2021,
+    0x02C6, 0x2030, 0x0160, 0x2039, 0x0152, 0x008D, 0x017D, 0x008F,
+    0x0090, 0x2018, 0x2019, 0x201C, 0x201D, 0x2022, 0x2013, 0x2014,
+    0x02DC, 0x2122, 0x0161, 0x203A, 0x0153, 0x009D, 0x017E, 0x0178
+];
+
+/**
+ * Parses a number from a cell.
+ * @param {(String|Number)} value - Value of cell.
+ * @returns {Number} Number.
+ * @throws {Error} When the value is not a number.
+ * @private
+ */
+function parseNumber(value) {
+    // numbers read from XLSX workbooks are already numbers
+    if (typeof value === 'number') {
+        return value;
+    }
+    
+    const trimmed = value.trim();
+    
+    if (!NUMBER_PATTERN.test(trimmed)) {
+        throw new Error(`${JSON.stringify(value)} is not a number`);
+    }
+    
+    return Number(trimmed);
+}
+
+/**
+ * Rounds a number to a number of decimal places.
+ * @param {Number} value - Number.
+ * @param {Number} [precision] - Number of decimal places, the number is not rounded if this is not given.
+ * @returns {Number} Rounded number.
+ * @private
+ */
+function roundNumber(value, precision) {
+    if (precision === undefined) {
+        return value;
+    }
+    
+    return Number(value.toFixed(precision));
+}
+
+/**
+ * Wraps a converter so that it is only called for values which are not null or undefined.
+ * @param {Converter} converter - Converter.
+ * @returns {Converter} Converter.
+ * @private
+ */
+function skipEmpty(converter) {
+    return (value, details) => {
+        if (value == null) {
+            return value;
+        }
+        
+        return converter(value, details);
+    };
+}
+
+/**
+ * Parses a timezone into its offset from UTC.
+ * @param {String} timezone - Either "local", "utc" or an offset such as "+02:00".
+ * @returns {(Number|null)} Offset from UTC in minutes, or null for local time.
+ * @throws {Error} When the timezone is not known.
+ * @private
+ */
+function parseTimezone(timezone) {
+    if (timezone === 'local') {
+        return null;
+    }
+    
+    if (/^(utc|z)$/i.test(timezone)) {
+        return 0;
+    }
+    
+    const match = /^([-+])(\d{2}):?(\d{2})$/.exec(timezone);
+    
+    if (!match) {
+        throw new Error(`Unknown timezone ${timezone}`);
+    }
+    
+    const [, sign, hours, minutes] = match;
+    
+    return (sign === '-' ? -1 : 1) * (Number(hours) * 60 + Number(minutes));
+}
+
+/**
+ * Formats an offset from UTC.
+ * @param {Number} offset - Offset from UTC in minutes.
+ * @returns {String} Offset such as "+02:00", or "Z" for UTC.
+ * @private
+ */
+function formatTimezone(offset) {
+    if (offset === 0) {
+        return 'Z';
+    }
+    
+    const sign = offset < 0 ? '-' : '+';
+    const absolute = Math.abs(offset);
+    const pad = (value) => String(value).padStart(2, '0');
+    
+    return `${sign}${pad(Math.floor(absolute / 60))}:${pad(absolute % 60)}`;
+}
+
+/**
+ * Gets the parts of a date in a timezone.
+ * @param {Date} date - Date.
+ * @param {(Number|null)} offset - Offset from UTC in minutes, or null for local time.
+ * @returns {Object} Object containing the year, month, day, hours, minutes, seconds, milliseconds and offset of the date.
+ * @private
+ */
+function getDateParts(date, offset) {
+    if (offset === null) {
+        return {
+            year: date.getFullYear(),
+            month: date.getMonth() + 1,
+            day: date.getDate(),
+            hours: date.getHours(),
+            minutes: date.getMinutes(),
+            seconds: date.getSeconds(),
+            milliseconds: date.getMilliseconds(),
+            offset: -date.getTimezoneOffset()
+        };
+    }
+    
+    // shift the date so that its UTC time is the time in the timezone
+    const shifted = new Date(date.getTime() + offset * 60000);
+    
+    return {
+        year: shifted.getUTCFullYear(),
+        month: shifted.getUTCMonth() + 1,
+        day: shifted.getUTCDate(),
+        hours: shifted.getUTCHours(),
+        minutes: shifted.getUTCMinutes(),
+        seconds: shifted.getUTCSeconds(),
+        milliseconds: shifted.getUTCMilliseconds(),
+        offset
+    };
+}
+
+/**
+ * Creates a date from its parts in a timezone.
+ * @param {Object} parts - Object containing the year, month, day, hours, minutes, seconds and milliseconds of the date.
+ * @param {(Number|null)} offset - Offset from UTC in minutes, or null for local time.
+ * @returns {Date} Date.
+ * @private
+ */
+function createDateFromParts(parts, offset) {
+    const {year, month, day, hours, minutes, seconds, milliseconds} = parts;
+    // the setters are used as two-digit years would otherwise be treated as 1900 to 1999
+    const date = new Date(0);
+    
+    if (offset === null) {
+        date.setFullYear(year, month - 1, day);
+        date.setHours(hours, minutes, seconds, milliseconds);
+        
+        return date;
+    }
+    
+    date.setUTCFullYear(year, month - 1, day);
+    date.setUTCHours(hours, minutes, seconds, milliseconds);
+    
+    // shift the date from the timezone back to UTC
+    return new Date(date.getTime() - offset * 60000);
+}
+
+/**
+ * Creates functions for formatting and parsing dates using a format string.
+ * @param {String} format - Format string, using the tokens "YYYY", "MM", "M", "DD", "D", "HH", "H", "mm", "ss", "SSS" and "Z".
+ * @param {String} timezone - Either "local", "utc" or an offset such as "+02:00".
+ * @returns {Object} Object with a "format" function for converting a date into a string and a "parse" function for converting a string into a date.
+ * @private
+ */
+function createDateFormat(format, timezone) {
+    const offset = parseTimezone(timezone);
+    const tokenPattern = new RegExp(Object.keys(DATE_TOKENS).join('|'), 'g');
+    // the tokens in the order they appear in the format
+    const tokens = format.match(tokenPattern) || [];
+    const escapeRegExp = (str) => str.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+    const pattern = new RegExp('^' + format
+        .split(tokenPattern)
+        .map(escapeRegExp)
+        .reduce((pattern, literal, index) => {
+            return pattern + `(${DATE_TOKENS[tokens[index - 1]]})` + literal;
+        }) + '$');
+    const pad = (value, length) => String(value).padStart(length, '0');
+    const formatters = {
+        YYYY: (parts) => pad(parts.year, 4),
+        SSS: (parts) => pad(parts.milliseconds, 3),
+        MM: (parts) => pad(parts.month, 2),
+        DD: (parts) => pad(parts.day, 2),
+        HH: (parts) => pad(parts.hours, 2),
+        mm: (parts) => pad(parts.minutes, 2),
+        ss: (parts) => pad(parts.seconds, 2),
+        M: (parts) => String(parts.month),
+        D: (parts) => String(parts.day),
+        H: (parts) => String(parts.hours),
+        Z: (parts) => formatTimezone(parts.offset)
+    };
+    // the part of the date that is set by each token
+    const partNames = {
+        YYYY: 'year',
+        SSS: 'milliseconds',
+        MM: 'month',
+        DD: 'day',
+        HH: 'hours',
+        mm: 'minutes',
+        ss: 'seconds',
+        M: 'month',
+        D: 'day',
+        H: 'hours'
+    };
+    const formatDate = (date) => {
+        const parts = getDateParts(date, offset);
+        
+        return format.replace(tokenPattern, (token) => formatters[token](parts));
+    };
+    const parseDate = (str) => {
+        const match = pattern.exec(str.trim());
+        
+        if (!match) {
+            throw new Error(`${JSON.stringify(str)} does not match the date format ${format}`);
+        }
+        
+        const parts = {
+            year: 1970,
+            month: 1,
+            day: 1,
+            hours: 0,
+            minutes: 0,
+            seconds: 0,
+            milliseconds: 0
+        };
+        // an offset in the string takes precedence over the timezone
+        let dateOffset = offset;
+        
+        tokens.forEach((token, index) => {
+            const value = match[index + 1];
+            
+            if (token === 'Z') {
+                dateOffset = parseTimezone(value);
+            } else {
+                parts[partNames[token]] = Number(value);
+            }
+        });
+        
+        const date = createDateFromParts(parts, dateOffset);
+        const dateParts = getDateParts(date, dateOffset);
+        const isValid = Boolean(
+            dateParts.month === parts.month &&
+            dateParts.day === parts.day &&
+            dateParts.hours === parts.hours
+        );
+        
+        // dates such as February 30th roll over into the next month
+        if (!isValid) {
+            throw new Error(`${JSON.stringify(str)} is not a valid date`);
+        }
+        
+        return date;
+    };
+    
+    return {
+        format: formatDate,
+        parse: parseDate
+    };
+}
+
+/**
+ * Gets the format of an ISO 8601 date for types.date.
+ * @param {String} value - Value.
+ * @returns {(String|null)} Format, or null if the value is not an ISO 8601 date.
+ * @private
+ */
+function inferDateFormat(value) {
+    const match = /^\d{4}-\d{2}-\d{2}(T\d{2}:\d{2}(:\d{2}(\.\d{3})?)?)?(Z|[-+]\d{2}:\d{2})?$/.exec(value);
+    
+    if (!match) {
+        return null;
+    }
+    
+    const [, time, seconds, milliseconds, offset] = match;
+    
+    return [
+        'YYYY-MM-DD',
+        time ? 'THH:mm' : '',
+        seconds ? ':ss' : '',
+        milliseconds ? '.SSS' : '',
+        offset ? 'Z' : ''
+    ].join('');
+}
+
+/**
+ * Infers the type of a column from a sample of its values.
+ * @param {String[]} values - Values of the column, which are undefined for missing cells.
+ * @returns {(ColumnType|null)} Column type, or null if the values are text.
+ * @private
+ */
+function inferColumnType(values) {
+    const filled = values.filter((value) => value !== undefined && value !== '');
+    // numbers with leading zeros are kept as text
+    const isNumber = (value) => NUMBER_PATTERN.test(value) && !/^[-+]?0\d/.test(value);
+    const isInteger = (value) => /^[-+]?\d+$/.test(value) && Number.isSafeInteger(Number(value));
+    const isBoolean = (value) => /^(true|false)$/i.test(value);
+    const dateFormats = new Set(filled.map(inferDateFormat));
+    const [dateFormat] = dateFormats;
+    // the types to check, in order
+    const candidates = [
+        {
+            test: (value) => isNumber(value) && isInteger(value),
+            createType: () => types.integer()
+        },
+        {
+            test: isNumber,
+            createType: () => types.number()
+        },
+        {
+            test: isBoolean,
+            createType: () => types.boolean()
+        },
+        {
+            test: () => dateFormats.size === 1 && dateFormat !== null,
+            createType: () => types.date({
+                format: dateFormat,
+                // dates without times are in UTC and dates with times are in local time, as in Date.parse
+                timezone: /H/.test(dateFormat) ? 'local' : 'utc'
+            })
+        }
+    ];
+    
+    if (filled.length === 0) {
+        return null;
+    }
+    
+    const candidate = candidates.find(({test, createType}) => {
+        if (!filled.every(test)) {
+            return false;
+        }
+        
+        const {parser} = createType();
+        
+        // the values must also be valid, e.g. a date such as 2019-02-30 is not
+        return filled.every((value) => {
+            try {
+                parser(value);
+                
+                return true;
+            } catch (error) {
+                return false;
+            }
+        });
+    });
+    
+    return candidate ? candidate.createType() : null;
+}
+
+/**
+ * Gets the JSON Schema of the values of a column.
+ * @param {Column} column - Column.
+ * @returns {Object} JSON Schema.
+ * @private
+ */
+function getColumnSchema(column) {
+    const {header, type, min, max, minLength, maxLength, pattern} = column;
+    const allowedValues = column.enum;
+    // values are strings unless they are parsed
+    const valueType = type !== undefined ? type : column.parser ? null : 'string';
+    const schema = {};
+    
+    if (valueType !== null && !JSON_SCHEMA_TYPES[valueType]) {
+        throw new Error(`Unknown type ${valueType}`);
+    }
+    
+    if (header) {
+        schema.title = String(header);
+    }
+    
+    Object.assign(schema, JSON_SCHEMA_TYPES[valueType]);
+    
+    // dates cannot be compared in JSON Schema
+    if (typeof min === 'number') {
+        schema.minimum = min;
+    }
+    
+    if (typeof max === 'number') {
+        schema.maximum = max;
+    }
+    
+    if (minLength !== undefined) {
+        schema.minLength = minLength;
+    }
+    
+    if (maxLength !== undefined) {
+        schema.maxLength = maxLength;
+    }
+    
+    if (pattern !== undefined) {
+        schema.pattern = pattern.source;
+    }
+    
+    if (allowedValues !== undefined) {
+        schema.enum = allowedValues.map((value) => {
+            return value instanceof Date ? value.toISOString() : value;
+        });
+    }
+    
+    return schema;
+}
+
+/**
+ * Calls functions which may return promises, with at most the given number waiting at once.
+ * @param {Array<function(): *>} tasks - Functions to call.
+ * @param {Number} concurrency - The number of functions which can be waited on at once.
+ * @returns {Promise<Object[]>} Promise resolving to an object for each function, with either the "value" it resolved with or the "error" it threw.
+ * @private
+ */
+async function settleConcurrently(tasks, concurrency) {
+    const results = new Array(tasks.length);
+    let nextIndex = 0;
+    // each worker calls the next function once the last one it called has settled
+    const work = async () => {
+        while (nextIndex < tasks.length) {
+            const index = nextIndex++;
+            
+            try {
+                results[index] = {
+                    value: await tasks[index]()
+                };
+            } catch (error) {
+                results[index] = {
+                    error
+                };
+            }
+        }
+    };
+    const workers = Array.from({
+        length: Math.min(concurrency, tasks.length)
+    }, work);
+    
+    await Promise.all(workers);
+    
+    return results;
+}
+
+/**
+ * Creates two copies of columns for calling their parsers or converters, which may return promises,
+ * outside of a row parser or line formatter. The "collecting" columns only record each call that would
+ * be made, and only keep the properties needed to make the same calls. Once "settle" has waited for
+ * every recorded call, the "settled" columns give the result of the call for each cell, or throw its
+ * error.
+ * @param {Column[]} columns - An array containing columns.
+ * @param {String} name - The name of the function, either "parser" or "converter".
+ * @returns {Object} Object with "collecting" and "settled" columns, and a "settle" function which takes the number of calls that can be waited on at once.
+ * @private
+ */
+function createDeferredColumns(columns, name) {
+    const tasks = [];
+    const cellKeys = [];
+    const results = new Map();
+    // calls are matched to cells by their row and the index of their column
+    const getCellKey = (details, columnIndex) => `${details.row}:${columnIndex}`;
+    const collecting = columns.map((column, columnIndex) => {
+        if (column == null) {
+            return column;
+        }
+        
+        const fn = column[name];
+        // rules are left out so that nothing else is called
+        const collectingColumn = {
+            key: column.key,
+            // converters can refer to columns by their header
+            header: column.header,
+            parseEmpty: column.parseEmpty
+        };
+        
+        if (typeof fn === 'function') {
+            collectingColumn[name] = (value, details) => {
+                tasks.push(() => fn(value, details));
+                cellKeys.push(getCellKey(details, columnIndex));
+            };
+        }
+        
+        return collectingColumn;
+    });
+    const settled = columns.map((column, columnIndex) => {
+        if (column == null || typeof column[name] !== 'function') {
+            return column;
+        }
+        
+        return Object.assign({}, column, {
+            [name]: (value, details) => {
+                const result = results.get(getCellKey(details, columnIndex));
+                
+                if ('error' in result) {
+                    throw result.error;
+                }
+                
+                return result.value;
+            }
+        });
+    });
+    const settle = async (concurrency = 10) => {
+        if (!(concurrency >= 1)) {
+            throw new Error(`Invalid concurrency ${concurrency}`);
+        }
+        
+        const settledTasks = await settleConcurrently(tasks, concurrency);
+        
+        settledTasks.forEach((result, index) => {
+            results.set(cellKeys[index], result);
+        });
+    };
+    
+    return {
+        collecting,
+        settled,
+        settle
+    };
+}
+
+/**
+ * Creates the helpers given to converters for getting the labels of cells by the key or header of
+ * their column, so that formulas do not depend on the order of columns.
+ * @param {Column[]} columns - An array containing columns.
+ * @param {Number} startIndex - The number of lines before the first row, which is 1 if there is a header.
+ * @param {Number} [rowCount] - The number of rows, which is needed for ranges.
+ * @returns {function(Number): Object} Function which takes a one-based row number, including the header, and returns the "ref" and "range" helpers for that row.
+ * @private
+ */
+function createCellReferences(columns, startIndex, rowCount = null) {
+    const columnIndexes = new Map();
+    
+    // keys take precedence over headers, and the first column with a key or header is used
+    ['key', 'header'].forEach((name) => {
+        columns.forEach((column, columnIndex) => {
+            const value = column && column[name];
+            
+            if (value != null && !columnIndexes.has(value)) {
+                columnIndexes.set(value, columnIndex);
+            }
+        });
+    });
+    
+    const getColumnIndex = (column) => {
+        if (!columnIndexes.has(column)) {
+            throw new Error(`Unknown column ${column}`);
+        }
+        
+        return columnIndexes.get(column);
+    };
+    const range = (column) => {
+        const columnIndex = getColumnIndex(column);
+        
+        if (rowCount === null) {
+            throw new Error('Ranges are not available when the number of rows is not known');
+        }
+        
+        return `${cellLabel(startIndex + 1, columnIndex)}:${cellLabel(startIndex + rowCount, columnIndex)}`;
+    };
+    
+    return (row) => {
+        const ref = (column, options = {}) => {
+            const columnIndex = getColumnIndex(column);
+            const {offset = 0} = options;
+            // the row given in options is one-based and does not include the header
+            const rowNumber = options.row !== undefined ? options.row + startIndex : row + offset;
+            
+            if (!Number.isInteger(rowNumber) || rowNumber <= startIndex) {
+                throw new Error(`Invalid row ${options.row !== undefined ? options.row : rowNumber - startIndex}`);
+            }
+            
+            return cellLabel(rowNumber, columnIndex);
+        };
+        
+        return {
+            ref,
+            range
+        };
+    };
+}
+
+/**
+ * Creates a function for getting the value of each cell in a row from an object, using the
+ * converters of the columns.
+ * @param {Column[]} columns - An array containing columns.
+ * @param {Number} startIndex - The number of lines before the first row, which is 1 if there is a header.
+ * @param {Number} [rowCount] - The number of rows, which converters need for ranges.
+ * @returns {function(Object, Number): Array} Function which takes an object and a zero-based row index and returns the value of each cell, which is undefined for columns which are not valid.
+ * @private
+ */
+function createRowConverter(columns, startIndex, rowCount = null) {
+    const paths = getKeyPaths(columns);
+    const getReferences = createCellReferences(columns, startIndex, rowCount);
+    
+    return (obj, rowIndex) => {
+        const row = rowIndex + startIndex + 1;
+        const {ref, range} = getReferences(row);
+        
+        return columns.map((column, columnIndex) => {
+            if (column == null) {
+                return undefined;
+            }
+            
+            const {key, converter} = column;
+            const value = getValueAtKey(obj, key, paths[columnIndex]);
+            
+            if (typeof converter !== 'function') {
+                return value;
+            }
+            
+            // convert the cell value
+            return converter(value, {
+                obj,
+                key,
+                row,
+                column: columnIndex,
+                ref,
+                range
+            });
+        });
+    };
+}
+
+/**
+ * Creates a function for converting an object into a line of CSV using the given columns.
+ * @param {Column[]} columns - An array containing columns.
+ * @param {Object} [options={}] - Formatting options.
+ * @param {Boolean} [options.includeHeader] - Whether the CSV has a header or not.
+ * @param {String} [options.delimiter=','] - The delimiter for the CSV string.
+ * @param {(String|Dialect)} [options.dialect] - The dialect for the CSV string.
+ * @param {Boolean} [options.sanitizeFormulas=true] - Whether to neutralize values which would be read as formulas.
+ * @param {String} [options.quote='auto'] - How columns are quoted, either "auto", "always" or "never".
+ * @param {function(String): Boolean} [options.isLiteral] - Function which checks whether a string is read as a value by spreadsheet applications.
+ * @param {Number} [rowCount] - The number of rows, which converters need for ranges.
+ * @returns {function(Object, Number): String} Function which takes an object and a zero-based row index and returns a line of CSV.
+ * @private
+ */
+function createLineFormatter(columns, options = {}, rowCount = null) {
+    const {includeHeader} = options;
+    const startIndex = includeHeader ? 1 : 0;
+    const convertRow = createRowConverter(columns, startIndex, rowCount);
+    const formatValues = createValuesFormatter(columns, options);
+    
+    return (obj, rowIndex) => formatValues(convertRow(obj, rowIndex));
+}
+
+/**
+ * Creates a function for joining the converted values of a row into a line of CSV.
+ * @param {Column[]} columns - An array containing columns.
+ * @param {Object} [options={}] - Formatting options.
+ * @param {String} [options.delimiter=','] - The delimiter for the CSV string.
+ * @param {(String|Dialect)} [options.dialect] - The dialect for the CSV string.
+ * @param {Boolean} [options.sanitizeFormulas=true] - Whether to neutralize values which would be read as formulas.
+ * @param {String} [options.quote='auto'] - How columns are quoted, either "auto", "always" or "never".
+ * @param {function(String): Boolean} [options.isLiteral] - Function which checks whether a string is read as a value by spreadsheet applications.
+ * @returns {function(Array): String} Function which takes the value of each cell and returns a line of CSV.
+ * @private
+ */
+function createValuesFormatter(columns, options = {}) {
+    const {sanitizeFormulas = true, isLiteral} = options;
+    // how each column is quoted
+    const policies = columns.map((column) => {
+        const quote = column && column.quote || options.quote || 'auto';
+        
+        if (!QUOTE_POLICIES.includes(quote)) {
+            throw new Error(`Unknown quote ${quote}`);
+        }
+        
+        return {
+            quote,
+            isLiteral
+        };
+    });
+    const dialect = getDialect(options);
+    const getLine = (cellValues) => {
+        const processColumn = (column, columnIndex) => {
+            // the column is invalid
+            if (column == null) {
+                // empty cell
+                return '';
+            }
+            
+            let cellValue = cellValues[columnIndex];
+            const canClear = Boolean(
+                // cell value is null or undefined
+                cellValue == null ||
+                // cell value is an object
+                typeof cellValue === 'object'
+            );
+            
+            // we do not want to store these values to plain text
+            if (canClear) {
+                // make it an empty string instead
+                cellValue = '';
+            }
+            
+            if (sanitizeFormulas && !column.formula) {
+                // values from untrusted columns must not be read as formulas
+                cellValue = sanitizeFormula(cellValue);
+            }
+            
+            return formatCell(cellValue, dialect, false, policies[columnIndex]);
+        };
+        // collect line from columns
+        const result = columns
+            .map(processColumn)
+            .join(dialect.delimiter);
+        
+        return result;
+    };
+    
+    return getLine;
+}
+
+/**
+ * Formats the header line for the given columns.
+ * @param {Column[]} columns - An array containing columns.
+ * @param {Dialect} dialect - The dialect for the CSV string.
+ * @returns {String} Header line.
+ * @private
+ */
+function formatHeader(columns, dialect) {
+    return columns.map((column) => {
+        const header = getHeader(column);
+        
+        if (header.length > 0) {
+            return formatCell(header, dialect, true);
+        } else {
+            return '';
+        }
+    }).join(dialect.delimiter);
+}
+
+/**
+ * Gets the header of a column for writing, which is empty if the column does not have a header
+ * which is a string.
+ * @param {Column} column - Column.
+ * @returns {String} Header.
+ * @private
+ */
+function getHeader(column) {
+    const header = (
+        column &&
+        column.header
+    );
+    
+    return typeof header === 'string' ? header : '';
+}
+
+/**
+ * Creates a function for checking values against the rules of the given columns.
+ * @param {Column[]} columns - An array containing columns.
+ * @returns {(function(*, Number, Object, Object): (ValidationError|null)|null)} Function which takes a value, the index of its column, the object it belongs to and the details of its cell, and returns an error if the value breaks a rule. Null is returned if no columns have rules.
+ * @throws {Error} When the type of a column is unknown.
+ * @private
+ */
+function createCellValidator(columns) {
+    const hasRules = columns.some((column) => {
+        return Boolean(
+            column != null &&
+            COLUMN_RULES.some((rule) => column[rule] !== undefined)
+        );
+    });
+    
+    if (!hasRules) {
+        // nothing to check
+        return null;
+    }
+    
+    columns.forEach((column) => {
+        if (column != null && column.type !== undefined && !COLUMN_TYPES[column.type]) {
+            throw new Error(`Unknown type ${column.type}`);
+        }
+    });
+    
+    // the cell each value was first seen in, for each column
+    const seenCells = columns.map(() => new Map());
+    const formatRuleValue = (value) => {
+        return value instanceof Date ? value.toISOString() : JSON.stringify(value);
+    };
+    // gets the rule that is broken by the value and the reason why
+    const checkRules = (value, column, columnIndex, details) => {
+        const {type, min, max, minLength, maxLength, pattern, unique, validate} = column;
+        const allowedValues = column.enum;
+        
+        if (type !== undefined && !COLUMN_TYPES[type](value)) {
+            return ['type', `must be ${/^[aeiou]/.test(type) ? 'an' : 'a'} ${type}`];
+        }
+        
+        if (min !== undefined && value < min) {
+            return ['min', `must be at least ${formatRuleValue(min)}`];
+        }
+        
+        if (max !== undefined && value > max) {
+            return ['max', `must be at most ${formatRuleValue(max)}`];
+        }
+        
+        if (minLength !== undefined && !(value.length >= minLength)) {
+            return ['minLength', `must have a length of at least ${minLength}`];
+        }
+        
+        if (maxLength !== undefined && !(value.length <= maxLength)) {
+            return ['maxLength', `must have a length of at most ${maxLength}`];
+        }
+        
+        if (pattern !== undefined) {
+            // global patterns keep the position of their last match
+            pattern.lastIndex = 0;
+            
+            if (!pattern.test(String(value))) {
+                return ['pattern', `must match ${pattern}`];
+            }
+        }
+        
+        if (allowedValues !== undefined && !allowedValues.includes(value)) {
+            return ['enum', `must be one of ${allowedValues.map(formatRuleValue).join(', ')}`];
+        }
+        
+        if (typeof validate === 'function') {
+            let result;
+            
+            try {
+                result = validate(value, details);
+            } catch (error) {
+                result = error instanceof Error ? error.message : String(error);
+            }
+            
+            if (result === false) {
+                return ['validate', 'is not valid'];
+            } else if (typeof result === 'string') {
+                return ['validate', result];
+            }
+        }
+        
+        if (unique) {
+            // dates are compared by their time
+            const uniqueValue = value instanceof Date ? value.getTime() : value;
+            const seenCell = seenCells[columnIndex].get(uniqueValue);
+            
+            if (seenCell !== undefined) {
+                return ['unique', `must be unique, but is also in cell ${seenCell}`];
+            }
+            
+            seenCells[columnIndex].set(uniqueValue, cellLabel(details.row, details.column));
+        }
+        
+        return null;
+    };
+    const validateCell = (value, columnIndex, obj, cellDetails) => {
+        const column = columns[columnIndex];
+        const isEmpty = Boolean(
+            value == null ||
+            value === ''
+        );
+        
+        if (isEmpty) {
+            // empty values are only checked by "required"
+            return null;
+        }
+        
+        const brokenRule = checkRules(value, column, columnIndex, {
+            obj,
+            key: column.key,
+            row: cellDetails.row,
+            column: cellDetails.column
+        });
+        
+        if (brokenRule === null) {
+            return null;
+        }
+        
+        const [rule, reason] = brokenRule;
+        
+        return new ValidationError(rule, reason, cellDetails);
+    };
+    
+    return validateCell;
+}
+
+/**
+ * Creates a function for converting a line of cells into an object using the given columns.
+ * @param {Column[]} columns - An array containing columns.
+ * @param {Object} [options={}] - Parsing options.
+ * @param {Boolean} [options.includeHeader] - Whether the CSV has a header or not.
+ * @param {Boolean} [options.includeEmptyValues] - Whether to assign empty values to object or not.
+ * @param {Boolean} [options.unflatten=true] - Whether keys are paths to nested values.
+ * @param {String} [options.columnCount='truncate'] - How lines with a different number of cells are handled, either "strict", "pad" or "truncate".
+ * @param {String} [options.extraCells] - The key to assign cells past the last column to.
+ * @param {String} [options.duplicateHeaders] - Values of columns with the same key are collected into arrays if this is "array".
+ * @param {function(String[], Number): (String[]|null|undefined)} [options.beforeRow] - Function called with the cells of each line before they are parsed.
+ * @param {function(Object, String[]): (Object|null|undefined)} [options.afterRow] - Function called with each object once it is parsed.
+ * @param {RowValidator} [options.validateRow] - Function for checking each object once it is parsed.
+ * @param {Number[]} [cellIndexes] - The index of the cell for each column. Columns are matched to cells by position if this is not given.
+ * @param {Number} [cellCount] - The number of cells expected in each line, which is the number of cells needed to fill every column if not given.
+ * @returns {function(String[], Number, CellError[]=): (Object|null)} Function which takes an array of cells, a zero-based row index and optionally an array to collect errors into instead of throwing them, and returns an object, or null if the row is skipped.
+ * @private
+ */
+function createRowParser(columns, options = {}, cellIndexes = null, cellCount = null) {
+    const {includeEmptyValues, includeHeader, unflatten = true, columnCount = 'truncate', extraCells, duplicateHeaders} = options;
+    const {beforeRow, afterRow, validateRow} = options;
+    const startIndex = includeHeader ? 1 : 0;
+    // keys are used as they are when not unflattening
+    const paths = unflatten ? getKeyPaths(columns) : columns.map((column) => [column && column.key]);
+    const keys = columns.map((column) => column && column.key);
+    // whether each column shares its key with another column and its values are collected into an array
+    const isRepeated = keys.map((key) => {
+        return Boolean(
+            duplicateHeaders === 'array' &&
+            key &&
+            keys.indexOf(key) !== keys.lastIndexOf(key)
+        );
+    });
+    const validateCell = createCellValidator(columns);
+    
+    if (!['strict', 'pad', 'truncate'].includes(columnCount)) {
+        throw new Error(`Unknown columnCount ${columnCount}`);
+    }
+    
+    if (cellCount === null) {
+        // the number of cells needed to fill every column
+        cellCount = cellIndexes ? Math.max(-1, ...cellIndexes) + 1 : columns.length;
+    }
+    
+    const getRow = (line, rowIndex, errors = null) => {
+        const row = rowIndex + startIndex + 1;
+        const addError = (error) => {
+            if (errors === null) {
+                throw error;
+            }
+            
+            errors.push(error);
+        };
+        const errorCount = errors === null ? 0 : errors.length;
+        const cells = line;
+        
+        if (typeof beforeRow === 'function') {
+            const changedLine = beforeRow(line, row);
+            
+            if (changedLine === null) {
+                // skip this row
+                return null;
+            } else if (changedLine !== undefined) {
+                line = changedLine;
+            }
+        }
+        
+        if (columnCount === 'strict' && line.length !== cellCount) {
+            // the details are for the first missing or extra cell
+            addError(new ColumnCountError({
+                row,
+                column: Math.min(line.length, cellCount),
+                value: line[cellCount]
+            }, {
+                expected: cellCount,
+                actual: line.length
+            }));
+            
+            return {};
+        }
+        
+        // cells past the last column
+        const extraValues = line.slice(cellCount);
+        
+        if (columnCount === 'pad' && line.length < cellCount) {
+            // missing cells are empty
+            line = line.concat(new Array(cellCount - line.length).fill(''));
+        }
+        
+        const getCellDetails = (column, columnIndex) => {
+            const cellIndex = cellIndexes ? cellIndexes[columnIndex] : columnIndex;
+            
+            return {
+                row,
+                column: cellIndex,
+                key: column.key,
+                header: column.header,
+                value: line[cellIndex]
+            };
+        };
+        const processColumn = (result, column, columnIndex) => {
+            const validColumn = Boolean(
+                column != null &&
+                column.key
+            );
+            
+            // column is not valid for taking value from
+            if (!validColumn) {
+                // skip this column
+                return result;
+            }
+            
+            // get the value from the line
+            const {key, required, parser, parseEmpty} = column;
+            const details = getCellDetails(column, columnIndex);
+            const cellIndex = details.column;
+            let cellValue = details.value;
+            // can we parse the cell?
+            const canParse = Boolean(
+                // a value exists on the line
+                // this includes empty values
+                cellValue !== undefined &&
+                // parser is a function
+                typeof parser === 'function' &&
+                (
+                    // we allow parsing of empty values
+                    parseEmpty ||
+                    // value is not empty
+                    cellValue !== ''
+                )
+            );
+            
+            if (canParse) {
+                try {
+                    // parse value using parsing function
+                    cellValue = parser(cellValue, {
+                        key,
+                        row,
+                        column: cellIndex
+                    });
+                } catch (error) {
+                    addError(new ParseError(error, details));
+                    
+                    return result;
+                }
+            }
+            
+            // the cell value is empty
+            const isEmpty = Boolean (
+                // the value is null or undefined
+                cellValue == null ||
+                // the value is a blank string
+                cellValue === ''
+            );
+            // determine if the value can be assigned to the object
+            const canAssign = Boolean(
+                // we allow empty values
+                includeEmptyValues ||
+                !isEmpty
+            );
+            // there's an error in this column...
+            const hasError = (
+                required &&
+                isEmpty
+            );
+            
+            if (hasError && cellIndex >= line.length) {
+                // the line ends before this column
+                addError(new ColumnCountError(details, {
+                    expected: cellCount,
+                    actual: line.length
+                }));
+            } else if (hasError) {
+                // the value for this column is missing
+                addError(new RequiredError(details));
+            } else if (isRepeated[columnIndex]) {
+                // empty values are kept so that each value stays in the same position
+                const values = getValueAtKey(result, key, paths[columnIndex]) || [];
+                
+                setValueAtPath(result, paths[columnIndex], values.concat([cellValue]));
+            } else if (canAssign) {
+                // we don't want to assign keys with empty values unless specified in options
+                setValueAtPath(result, paths[columnIndex], cellValue);
+            }
+            
+            return result;
+        };
+        // collect object from columns
+        const result = columns.reduce(processColumn, {});
+        
+        if (extraCells && extraValues.length > 0) {
+            result[extraCells] = extraValues;
+        }
+        
+        if (validateCell !== null) {
+            // check the parsed values against the rules of their columns
+            columns.forEach((column, columnIndex) => {
+                if (column == null || !column.key) {
+                    return;
+                }
+                
+                const value = getValueAtKey(result, column.key, paths[columnIndex]);
+                const error = validateCell(value, columnIndex, result, getCellDetails(column, columnIndex));
+                
+                if (error !== null) {
+                    addError(error);
+                }
+            });
+        }
+        
+        const hasErrors = errors !== null && errors.length > errorCount;
+        
+        // rows with errors in their cells are not checked any further
+        if (typeof validateRow === 'function' && !hasErrors) {
+            let reason;
+            
+            try {
+                reason = validateRow(result, {
+                    row,
+                    cells
+                });
+            } catch (error) {
+                reason = error instanceof Error ? error.message : String(error);
+            }
+            
+            if (reason === false || typeof reason === 'string') {
+                addError(new RowValidationError(reason === false ? 'is not valid' : reason, {
+                    row,
+                    value: cells
+                }));
+                
+                return null;
+            }
+        }
+        
+        if (typeof afterRow === 'function' && !hasErrors) {
+            const changedResult = afterRow(result, cells);
+            
+            // null skips this row
+            return changedResult === undefined ? result : changedResult;
+        }
+        
+        return result;
+    };
+    
+    return getRow;
+}
+
+/**
+ * Converts an array of objects to a CSV string.
+ * @template {('utf8'|'utf16le'|'windows-1252'|undefined)} [E=undefined]
+ * @param {Object[]} rows - Array of objects to form rows from.
+ * @param {Column[]} columns - An array containing columns.
+ * @param {Object} [options={}] - Parsing options.
+ * @param {Boolean} [options.includeHeader] - Whether the CSV has a header or not, the first line will be skipped if this is set to true.
+ * @param {String} [options.delimiter=','] - The delimiter for the CSV string.
+ * @param {(String|Dialect)} [options.dialect] - The dialect for the CSV string, either the name of one of the dialects or a dialect object. The delimiter option takes precedence over the delimiter of the dialect.
+ * @param {Boolean} [options.flatten] - Whether to flatten nested objects and arrays into columns with path keys, such as "customer.address.city" or "items[0].sku", when columns are not given.
+ * @param {Boolean} [options.sanitizeFormulas=true] - Whether to neutralize values which spreadsheet applications would read as formulas, such as "=HYPERLINK(...)", "+cmd" or SUM(...) prefixed with an at sign, by placing a single quote before them. Columns with formula set to true are not sanitized.
+ * @param {String} [options.quote='auto'] - How columns without their own quote setting are quoted, either "auto" to quote values using the quoting of the dialect, "always" to quote every value, or "never" to only quote values which contain delimiters, quotes or line breaks.
+ * @param {function(String): Boolean} [options.isLiteral=isSpreadsheetLiteral] - Function which checks whether a string is read as a value, such as a date, by spreadsheet applications. Strings which are literals are not quoted when the dialect quotes strings.
+ * @param {function(Object): (Object|null|undefined)} [options.beforeRow] - Function called with each object before it is written, which returns an object to write instead of it, or null to leave it out. Objects which are left out are not counted in row numbers.
+ * @param {Boolean} [options.validate] - Whether to check the objects against the rules of the columns before anything is written.
+ * @param {E} [options.encoding] - The encoding to write the CSV in, either "utf8", "utf16le" or "windows-1252". A buffer is returned when this is given.
+ * @param {Boolean} [options.bom] - Whether to start with a byte order mark, which spreadsheet applications such as Excel need to read UTF-8 and UTF-16 correctly. Windows-1252 does not have one.
+ * @param {Boolean} [options.sepLine] - Whether to start with a line such as "sep=,", which tells Excel what the delimiter is, and which fromCSV reads the delimiter from when its sepLine option is set.
+ * @returns {CSVOutput<E>} CSV string, or a buffer if an encoding is given.
+ * @throws {CellError} When validate is true and a value is not valid.
+ * @public
+ * @memberof salsacsv
+ *
+ * @example
+ * toCSV([
+ *     {
+ *         name: 'Cat Chow',
+ *         price: 529
+ *     }
+ * ], [
+ *     {
+ *         header: 'Name',
+ *         key: 'name'
+ *     },
+ *     {
+ *         header: 'Price',
+ *         key: 'price',
+ *         converter: (value) => value / 100
+ *     }
+ * ], {
+ *     includeHeader: true
+ * });
+ * // "Name","Price"\n"Cat Chow",5.29
+ */
+function toCSV(rows, columns, options = {}) {
+    // CSV is written in the same way as every other format
+    const csvStr = format(rows, columns, Object.assign({}, options, {
+        format: 'csv'
+    }));
+    
+    return encodeCSV(csvStr, options);
+}
+
+/**
+ * Converts an array of objects to text in the given format. Values are taken from objects using
+ * the columns in the same way as toCSV, with the same converters and headers, and are escaped for
+ * the format they are written in.
+ *
+ * The formats are "csv", "ndjson" for one JSON object per line, "markdown" for a Markdown table,
+ * and "html" for an HTML table. Other formats can be written by giving a function which creates a
+ * writer for them.
+ * @param {Object[]} rows - Array of objects to form rows from.
+ * @param {Column[]} [columns] - An array containing columns. Columns are detected from the objects if not given.
+ * @param {Object} [options={}] - Formatting options, which include the options of toCSV when writing CSV.
+ * @param {(String|function(Column[], Object): Writer)} [options.format='csv'] - The format, either "csv", "ndjson", "markdown" or "html", or a function which takes the columns and options and returns a writer.
+ * @param {Boolean} [options.includeHeader] - Whether to write the headers of the columns. Lines of NDJSON use headers as property names instead of keys when this is set, and Markdown tables have an empty header when it is not, as tables must have one.
+ * @param {Boolean} [options.flatten] - Whether to flatten nested objects and arrays into columns with path keys, such as "customer.address.city" or "items[0].sku", when columns are not given.
+ * @param {function(Object): (Object|null|undefined)} [options.beforeRow] - Function called with each object before it is written, which returns an object to write instead of it, or null to leave it out. Objects which are left out are not counted in row numbers.
+ * @param {Boolean} [options.validate] - Whether to check the objects against the rules of the columns before anything is written.
+ * @returns {String} The text.
+ * @throws {CellError} When validate is true and a value is not valid.
+ * @public
+ * @memberof salsacsv
+ *
+ * @example
+ * format([
+ *     {
+ *         name: 'Cat Chow',
+ *         price: 529
+ *     }
+ * ], [
+ *     {
+ *         header: 'Name',
+ *         key: 'name'
+ *     },
+ *     {
+ *         header: 'Price',
+ *         key: 'price',
+ *         align: 'right',
+ *         ...types.currency()
+ *     }
+ * ], {
+ *     format: 'markdown',
+ *     includeHeader: true
+ * });
+ * // | Name | Price |\n| --- | ---: |\n| Cat Chow | 5.29 |
+ */
+function format(rows, columns, options = {}) {
+    const {includeHeader} = options;
+    const createWriter = getWriter(options);
+    
+    rows = getRowsForCSV(rows, options);
+    columns = getColumnsForCSV(rows, columns, options);
+    
+    const writer = createWriter(columns, options);
+    const startIndex = includeHeader ? 1 : 0;
+    const convertRow = createRowConverter(columns, startIndex, rows.length);
+    const lines = rows.map((obj, rowIndex) => writer.row(convertRow(obj, rowIndex), rowIndex));
+    // columns without a header have an empty header, as they do in CSV
+    const header = includeHeader ? writer.header(columns.map(getHeader)) : null;
+    
+    return writer.join(lines, header);
+}
+
+/**
+ * Gets the function for creating the writer of the format given in options.
+ * @param {Object} options - Formatting options.
+ * @param {(String|function(Column[], Object): Writer)} [options.format='csv'] - The name of the format, or a function which creates a writer.
+ * @returns {function(Column[], Object): Writer} Function which takes the columns and options and returns a writer.
+ * @throws {Error} When the format is unknown.
+ * @private
+ */
+function getWriter(options) {
+    const {format = 'csv'} = options;
+    
+    if (typeof format === 'function') {
+        return format;
+    }
+    
+    if (!Object.prototype.hasOwnProperty.call(WRITERS, format)) {
+        throw new Error(`Unknown format ${format}`);
+    }
+    
+    return WRITERS[format];
+}
+
+/**
+ * Converts an array of objects to a CSV string, waiting for converters which return promises. Up to
+ * the given number of converters are waited on at once, and they are given the same details as
+ * they are by toCSV.
+ * @template {('utf8'|'utf16le'|'windows-1252'|undefined)} [E=undefined]
+ * @param {Object[]} rows - Array of objects to form rows from.
+ * @param {Column[]} columns - An array containing columns.
+ * @param {Object} [options={}] - Parsing options.
+ * @param {Boolean} [options.includeHeader] - Whether the CSV has a header or not, the first line will be skipped if this is set to true.
+ * @param {String} [options.delimiter=','] - The delimiter for the CSV string.
+ * @param {(String|Dialect)} [options.dialect] - The dialect for the CSV string, either the name of one of the dialects or a dialect object. The delimiter option takes precedence over the delimiter of the dialect.
+ * @param {Boolean} [options.flatten] - Whether to flatten nested objects and arrays into columns with path keys, such as "customer.address.city" or "items[0].sku", when columns are not given.
+ * @param {Boolean} [options.sanitizeFormulas=true] - Whether to neutralize values which spreadsheet applications would read as formulas, such as "=HYPERLINK(...)", "+cmd" or SUM(...) prefixed with an at sign, by placing a single quote before them. Columns with formula set to true are not sanitized.
+ * @param {String} [options.quote='auto'] - How columns without their own quote setting are quoted, either "auto" to quote values using the quoting of the dialect, "always" to quote every value, or "never" to only quote values which contain delimiters, quotes or line breaks.
+ * @param {function(String): Boolean} [options.isLiteral=isSpreadsheetLiteral] - Function which checks whether a string is read as a value, such as a date, by spreadsheet applications. Strings which are literals are not quoted when the dialect quotes strings.
+ * @param {function(Object): (Object|null|undefined)} [options.beforeRow] - Function called with each object before it is written, which returns an object to write instead of it, or null to leave it out. Objects which are left out are not counted in row numbers.
+ * @param {Boolean} [options.validate] - Whether to check the objects against the rules of the columns before anything is written.
+ * @param {E} [options.encoding] - The encoding to write the CSV in, either "utf8", "utf16le" or "windows-1252". A buffer is returned when this is given.
+ * @param {Boolean} [options.bom] - Whether to start with a byte order mark, which spreadsheet applications such as Excel need to read UTF-8 and UTF-16 correctly. Windows-1252 does not have one.
+ * @param {Boolean} [options.sepLine] - Whether to start with a line such as "sep=,", which tells Excel what the delimiter is, and which fromCSV reads the delimiter from when its sepLine option is set.
+ * @param {Number} [options.concurrency=10] - The number of converters which can be waited on at once.
+ * @returns {Promise<CSVOutput<E>>} Promise resolving to the CSV string, or a buffer if an encoding is given.
+ * @throws {CellError} When validate is true and a value is not valid.
+ * @public
+ * @memberof salsacsv
+ *
+ * @example
+ * await toCSVAsync(orders, [
+ *     {
+ *         header: 'Product',
+ *         key: 'productId',
+ *         // look up the SKU of the product
+ *         converter: (value) => products.getSKU(value)
+ *     }
+ * ], {
+ *     includeHeader: true,
+ *     concurrency: 5
+ * });
+ * // "Product"\n"CC-1"
+ */
+async function toCSVAsync(rows, columns, options = {}) {
+    rows = getRowsForCSV(rows, options);
+    columns = getColumnsForCSV(rows, columns, options);
+    
+    const deferred = createDeferredColumns(columns, 'converter');
+    // firstly, find the cells that need converting
+    const collectRow = createRowConverter(deferred.collecting, options.includeHeader ? 1 : 0, rows.length);
+    
+    rows.forEach(collectRow);
+    await deferred.settle(options.concurrency);
+    
+    // then write the CSV using the converted values in the same way as toCSV
+    return toCSV(rows, deferred.settled, Object.assign({}, options, {
+        // these have already been done
+        beforeRow: undefined,
+        validate: false
+    }));
+}
+
+/**
+ * Gets the objects for converting to CSV, after calling beforeRow if it is set in options.
+ * @param {Object[]} rows - Array of objects to form rows from.
+ * @param {Object} options - Formatting options.
+ * @param {function(Object): (Object|null|undefined)} [options.beforeRow] - Function called with each object, which returns null to skip it or an object to use instead of it.
+ * @returns {Object[]} Array of objects.
+ * @private
+ */
+function getRowsForCSV(rows, options) {
+    if (!Array.isArray(rows)) {
+        throw new Error('First argument is not an array');
+    }
+    
+    const {beforeRow} = options;
+    
+    if (typeof beforeRow !== 'function') {
+        return rows;
+    }
+    
+    return rows.reduce((changedRows, obj) => {
+        const changedObj = beforeRow(obj);
+        
+        if (changedObj !== null) {
+            changedRows.push(changedObj === undefined ? obj : changedObj);
+        }
+        
+        return changedRows;
+    }, []);
+}
+
+/**
+ * Gets the columns for converting an array of objects to CSV, and checks the objects against them
+ * if validate is set in options.
+ * @param {Object[]} rows - Array of objects to form rows from.
+ * @param {Column[]} [columns] - An array containing columns. Columns are detected from the objects if not given.
+ * @param {Object} [options={}] - Formatting options.
+ * @param {Boolean} [options.includeHeader] - Whether the CSV has a header or not.
+ * @param {Boolean} [options.flatten] - Whether to flatten nested objects and arrays into columns with path keys when columns are not given.
+ * @param {Boolean} [options.validate] - Whether to check the objects against the rules of the columns.
+ * @returns {Column[]} Array of columns.
+ * @throws {CellError} When validate is true and a value is not valid.
+ * @private
+ */
+function getColumnsForCSV(rows, columns, options = {}) {
+    if (!columns) {
+        columns = detectColumnsFromJSON(rows, options);
+    } else {
+        // firstly, format columns into the proper format
+        columns = columns.map(detectColumn);
+    }
+    
+    if (options.validate) {
+        const [error] = validateRows(rows, columns, options);
+        
+        if (error) {
+            throw error;
+        }
+    }
+    
+    return columns;
+}
+
+/**
+ * Adds the "sep=" line and byte order mark given in options to a CSV string, and encodes it if an
+ * encoding is given.
+ * @param {String} csvStr - CSV string.
+ * @param {Object} options - Formatting options.
+ * @param {String} [options.delimiter] - The delimiter for the CSV string, which is given in the "sep=" line.
+ * @param {(String|Dialect)} [options.dialect] - The dialect for the CSV string.
+ * @param {(BufferEncoding|'windows-1252')} [options.encoding] - The encoding of the buffer, either "utf8", "utf16le" or "windows-1252".
+ * @param {Boolean} [options.bom] - Whether to start with a byte order mark.
+ * @param {Boolean} [options.sepLine] - Whether to start with a "sep=" line giving the delimiter.
+ * @returns {*} The CSV string, or a buffer if an encoding is given, which toCSV types using the encoding.
+ * @throws {Error} When the encoding is unknown, or does not have a byte order mark when bom is set.
+ * @private
+ */
+function encodeCSV(csvStr, options) {
+    const {encoding, bom, sepLine} = options;
+    
+    if (encoding !== undefined && !ENCODINGS.includes(encoding)) {
+        throw new Error(`Unknown encoding ${encoding}`);
+    }
+    
+    if (sepLine) {
+        const dialect = getDialect(options);
+        
+        // Excel reads the delimiter from this line rather than from the settings of the system
+        csvStr = `sep=${dialect.delimiter}${dialect.lineTerminator}${csvStr}`;
+    }
+    
+    if (encoding === undefined) {
+        return bom ? BYTE_ORDER_MARK + csvStr : csvStr;
+    }
+    
+    if (bom && !BYTE_ORDER_MARKS[encoding]) {
+        throw new Error(`Encoding ${encoding} does not have a byte order mark`);
+    }
+    
+    const buffer = encoding === 'windows-1252' ? encodeWindows1252(csvStr) : Buffer.from(csvStr, encoding);
+    
+    return bom ? Buffer.concat([BYTE_ORDER_MARKS[encoding], buffer]) : buffer;
+}
+
+/**
+ * Encodes a string in Windows-1252.
+ * @param {String} str - String.
+ * @returns {Buffer} The encoded string.
+ * @throws {Error} When a character cannot be written in Windows-1252.
+ * @private
+ */
+function encodeWindows1252(str) {
+    return Buffer.from(Array.from(str, (char) => {
+        const codePoint = char.codePointAt(0);
+        
+        // these are the same as Latin-1
+        if (codePoint < 0x80 || (codePoint >= 0xA0 && codePoint <= 0xFF)) {
+            return codePoint;
+        }
+        
+        const index = WINDOWS_1252_CODE_POINTS.indexOf(codePoint);
+        
+        if (index === -1) {
+            throw new Error(`Character ${char} cannot be written in windows-1252`);
+        }
+        
+        return 0x80 + index;
+    }));
+}
+
+/**
+ * Gets the text of a converted value for formats which are plain text.
+ * @param {*} cellValue - The converted value.
+ * @returns {String} The text, which is empty for values which cannot be written.
+ * @private
+ */
+function getCellText(cellValue) {
+    const canClear = Boolean(
+        // cell value is null or undefined
+        cellValue == null ||
+        // cell value is an object
+        typeof cellValue === 'object'
+    );
+    
+    // we do not want to store these values to plain text
+    return canClear ? '' : String(cellValue);
+}
+
+/**
+ * Creates a writer for CSV.
+ * @param {Column[]} columns - An array containing columns.
+ * @param {Object} options - Formatting options, see toCSV.
+ * @returns {Writer} The writer.
+ * @private
+ */
+function createCSVWriter(columns, options) {
+    const dialect = getDialect(options);
+    
+    return {
+        header: () => formatHeader(columns, dialect),
+        row: createValuesFormatter(columns, options),
+        join: (lines, header) => {
+            return (header === null ? lines : [header, ...lines]).join(dialect.lineTerminator);
+        }
+    };
+}
+
+/**
+ * Creates a writer for NDJSON, where each row is a JSON object on its own line. Keys which are
+ * paths are written as nested objects, and headers are used as property names instead of keys
+ * when includeHeader is set.
+ * @param {Column[]} columns - An array containing columns.
+ * @param {Object} options - Formatting options.
+ * @param {Boolean} [options.includeHeader] - Whether to use the headers of the columns as property names.
+ * @returns {Writer} The writer.
+ * @private
+ */
+function createNDJSONWriter(columns, options) {
+    const {includeHeader} = options;
+    const paths = includeHeader ? columns.map((column) => column && column.header ? [column.header] : null) : getKeyPaths(columns);
+    
+    return {
+        // the headers are the property names
+        header: () => null,
+        row: (cellValues) => {
+            const obj = {};
+            
+            paths.forEach((path, columnIndex) => {
+                const cellValue = cellValues[columnIndex];
+                
+                // undefined values are left out by JSON.stringify
+                if (path !== null && cellValue !== undefined) {
+                    setValueAtPath(obj, path, cellValue);
+                }
+            });
+            
+            return JSON.stringify(obj);
+        },
+        // every line ends with a line break
+        join: (lines) => lines.map((line) => line + '\n').join('')
+    };
+}
+
+/**
+ * Creates a writer for Markdown tables. Values are escaped with backslashes, and line breaks are
+ * written as "<br>". Columns are aligned using their align property.
+ * @param {Column[]} columns - An array containing columns.
+ * @returns {Writer} The writer.
+ * @private
+ */
+function createMarkdownWriter(columns) {
+    const formatRow = (cells) => `| ${cells.join(' | ')} |`;
+    
+    return {
+        header: (headers) => formatRow(headers.map(escapeMarkdown)),
+        row: (cellValues) => formatRow(cellValues.map((cellValue) => escapeMarkdown(getCellText(cellValue)))),
+        join: (lines, header) => {
+            const delimiters = columns.map((column) => {
+                return column && MARKDOWN_ALIGNMENTS[column.align] || '---';
+            });
+            
+            // tables must have a header, so an empty one is used if there is none
+            return [
+                header === null ? formatRow(columns.map(() => '')) : header,
+                formatRow(delimiters),
+                ...lines
+            ].join('\n');
+        }
+    };
+}
+
+/**
+ * Escapes a string for a cell of a Markdown table.
+ * @param {String} str - String.
+ * @returns {String} Escaped string.
+ * @private
+ */
+function escapeMarkdown(str) {
+    return str
+        .replace(MARKDOWN_ESCAPE_PATTERN, '\\$&')
+        .replace(/\r\n|\n|\r/g, '<br>');
+}
+
+/**
+ * Creates a writer for HTML tables. Values are escaped, and line breaks are written as "<br>".
+ * Columns are aligned using their align property.
+ * @param {Column[]} columns - An array containing columns.
+ * @returns {Writer} The writer.
+ * @private
+ */
+function createHTMLWriter(columns) {
+    const attributes = columns.map((column) => {
+        return column && column.align ? ` style="text-align: ${escapeHTML(column.align)}"` : '';
+    });
+    const formatRow = (cells, tagName) => {
+        const html = cells.map((cell, columnIndex) => {
+            return `<${tagName}${attributes[columnIndex]}>${cell}</${tagName}>`;
+        }).join('');
+        
+        return `<tr>${html}</tr>`;
+    };
+    
+    return {
+        header: (headers) => formatRow(headers.map(escapeHTML), 'th'),
+        row: (cellValues) => formatRow(cellValues.map((cellValue) => escapeHTML(getCellText(cellValue))), 'td'),
+        join: (lines, header) => {
+            const head = header === null ? [] : ['<thead>', header, '</thead>'];
+            
+            return ['<table>', ...head, '<tbody>', ...lines, '</tbody>', '</table>'].join('\n');
+        }
+    };
+}
+
+/**
+ * Escapes a string for HTML.
+ * @param {String} str - String.
+ * @returns {String} Escaped string.
+ * @private
+ */
+function escapeHTML(str) {
+    return str
+        .replace(/[&<>"']/g, (char) => HTML_ENTITIES[char])
+        .replace(/\r\n|\n|\r/g, '<br>');
+}
+
+
+/**
+ * Converts an array of objects to an XLSX workbook with one sheet. Values are taken from objects
+ * using the columns in the same way as toCSV, and numbers, booleans, dates and formulas from columns
+ * with formula set to true are written as cells of their own type rather than as text. Values of
+ * columns with a type of "date" are written as dates rather than using their converters.
+ * @param {Object[]} rows - Array of objects to form rows from.
+ * @param {Column[]} [columns] - An array containing columns. Columns are detected from the objects if not given.
+ * @param {Object} [options={}] - Formatting options.
+ * @param {Boolean} [options.includeHeader] - Whether to write a header in the first row.
+ * @param {String} [options.sheetName='Sheet1'] - The name of the sheet, which can have up to 31 characters and cannot contain any of []:*?/\.
+ * @param {String} [options.timezone='utc'] - The timezone dates are written in, either "local", "utc" or an offset such as "+02:00", as dates in spreadsheets do not have a timezone.
+ * @param {Boolean} [options.flatten] - Whether to flatten nested objects and arrays into columns with path keys, such as "customer.address.city" or "items[0].sku", when columns are not given.
+ * @param {function(Object): (Object|null|undefined)} [options.beforeRow] - Function called with each object before it is written, which returns an object to write instead of it, or null to leave it out.
+ * @param {Boolean} [options.validate] - Whether to check the objects against the rules of the columns before anything is written.
+ * @returns {Buffer} The XLSX file.
+ * @throws {CellError} When validate is true and a value is not valid.
+ * @public
+ * @memberof salsacsv
+ *
+ * @example
+ * const xlsx = toXLSX(orders, [
+ *     {
+ *         header: 'Date',
+ *         key: 'date',
+ *         numberFormat: 'yyyy/m/d',
+ *         ...types.date()
+ *     },
+ *     {
+ *         header: 'Price',
+ *         key: 'price',
+ *         numberFormat: '$#,##0.00',
+ *         width: 12,
+ *         ...types.currency()
+ *     },
+ *     {
+ *         header: 'Total',
+ *         formula: true,
+ *         converter: (value, {ref}) => `=${ref('price')}*1.06`
+ *     }
+ * ], {
+ *     includeHeader: true
+ * });
+ *
+ * fs.writeFileSync('orders.xlsx', xlsx);
+ */
+function toXLSX(rows, columns, options = {}) {
+    const {includeHeader, sheetName = 'Sheet1', timezone = 'utc'} = options;
+    
+    if (typeof sheetName !== 'string' || !XLSX_SHEET_NAME_PATTERN.test(sheetName)) {
+        throw new Error(`Invalid sheetName ${sheetName}`);
+    }
+    
+    rows = getRowsForCSV(rows, options);
+    columns = getColumnsForCSV(rows, columns, options);
+    
+    const offset = parseTimezone(timezone);
+    const startIndex = includeHeader ? 1 : 0;
+    // dates are written as dates rather than as the text their converters give
+    const convertRow = createRowConverter(columns.map((column) => {
+        if (column && column.type === 'date') {
+            return Object.assign({}, column, {
+                converter: undefined
+            });
+        }
+        
+        return column;
+    }), startIndex, rows.length);
+    const strings = new Map();
+    const styles = createXLSXStyles();
+    const getStringIndex = (str) => {
+        if (!strings.has(str)) {
+            strings.set(str, strings.size);
+        }
+        
+        return strings.get(str);
+    };
+    const formatXLSXCell = (cellValue, label, column) => {
+        const {numberFormat, formula} = column;
+        
+        if (cellValue instanceof Date) {
+            if (isNaN(cellValue.getTime())) {
+                return '';
+            }
+            
+            const serial = getXLSXDateSerial(cellValue, offset);
+            const style = styles.getStyle(numberFormat || (serial % 1 === 0 ? XLSX_DATE_FORMATS.date : XLSX_DATE_FORMATS.dateTime));
+            
+            return `<c r="${label}" s="${style}"><v>${serial}</v></c>`;
+        }
+        
+        const styleAttribute = numberFormat ? ` s="${styles.getStyle(numberFormat)}"` : '';
+        
+        if (typeof cellValue === 'number') {
+            // spreadsheets cannot hold NaN or Infinity
+            return isFinite(cellValue) ? `<c r="${label}"${styleAttribute}><v>${cellValue}</v></c>` : '';
+        } else if (typeof cellValue === 'boolean') {
+            return `<c r="${label}" t="b"${styleAttribute}><v>${cellValue ? 1 : 0}</v></c>`;
+        } else if (typeof cellValue !== 'string' || cellValue.length === 0) {
+            return '';
+        } else if (formula && cellValue.startsWith('=')) {
+            return `<c r="${label}"${styleAttribute}><f>${escapeXML(cellValue.slice(1))}</f></c>`;
+        }
+        
+        // text is never read as a formula, so there is nothing to sanitize
+        return `<c r="${label}" t="s"${styleAttribute}><v>${getStringIndex(cellValue)}</v></c>`;
+    };
+    const formatXLSXRow = (cells, rowNumber) => {
+        return `<row r="${rowNumber}">${cells.join('')}</row>`;
+    };
+    const xmlRows = rows.map((obj, rowIndex) => {
+        const rowNumber = rowIndex + startIndex + 1;
+        const cellValues = convertRow(obj, rowIndex);
+        const cells = columns.map((column, columnIndex) => {
+            if (column == null) {
+                return '';
+            }
+            
+            return formatXLSXCell(cellValues[columnIndex], cellLabel(rowNumber, columnIndex), column);
+        });
+        
+        return formatXLSXRow(cells, rowNumber);
+    });
+    
+    if (includeHeader) {
+        const cells = columns.map((column, columnIndex) => {
+            const header = column && column.header;
+            
+            if (typeof header !== 'string' || header.length === 0) {
+                return '';
+            }
+            
+            return `<c r="${cellLabel(1, columnIndex)}" t="s" s="${XLSX_HEADER_STYLE}"><v>${getStringIndex(header)}</v></c>`;
+        });
+        
+        xmlRows.unshift(formatXLSXRow(cells, 1));
+    }
+    
+    const widths = columns.map((column, columnIndex) => {
+        const width = column && column.width;
+        
+        if (width === undefined) {
+            return '';
+        } else if (typeof width !== 'number' || !(width > 0)) {
+            throw new Error(`Invalid width ${width}`);
+        }
+        
+        return `<col min="${columnIndex + 1}" max="${columnIndex + 1}" width="${width}" customWidth="1"/>`;
+    }).join('');
+    const sharedStrings = Array.from(strings.keys(), (str) => {
+        // text which looks like an escaped character, such as "_x000D_", is escaped itself
+        return `<si><t xml:space="preserve">${escapeXML(str.replace(/_(x[0-9A-Fa-f]{4}_)/g, '_x005F_$1'))}</t></si>`;
+    }).join('');
+    
+    return createZip([
+        {
+            name: '[Content_Types].xml',
+            data: formatXML('Types', XLSX_NAMESPACES.contentTypes, [
+                '<Default Extension="rels" ContentType="application/vnd.openxmlformats-package.relationships+xml"/>',
+                '<Default Extension="xml" ContentType="application/xml"/>',
+                '<Override PartName="/xl/workbook.xml" ContentType="application/vnd.openxmlformats-officedocument.spreadsheetml.sheet.main+xml"/>',
+                '<Override PartName="/xl/worksheets/sheet1.xml" ContentType="application/vnd.openxmlformats-officedocument.spreadsheetml.worksheet+xml"/>',
+                '<Override PartName="/xl/styles.xml" ContentType="application/vnd.openxmlformats-officedocument.spreadsheetml.styles+xml"/>',
+                '<Override PartName="/xl/sharedStrings.xml" ContentType="application/vnd.openxmlformats-officedocument.spreadsheetml.sharedStrings+xml"/>'
+            ].join(''))
+        },
+        {
+            name: '_rels/.rels',
+            data: formatXML('Relationships', XLSX_NAMESPACES.packageRelationships, [
+                `<Relationship Id="rId1" Type="${XLSX_NAMESPACES.relationships}/officeDocument" Target="xl/workbook.xml"/>`
+            ].join(''))
+        },
+        {
+            name: 'xl/workbook.xml',
+            data: formatXML('workbook', XLSX_NAMESPACES.main, [
+                `<sheets><sheet name="${escapeXML(sheetName)}" sheetId="1" r:id="rId1"/></sheets>`,
+                // formulas are calculated when the workbook is opened, as their values are not written
+                '<calcPr fullCalcOnLoad="1"/>'
+            ].join(''), ` xmlns:r="${XLSX_NAMESPACES.relationships}"`)
+        },
+        {
+            name: 'xl/_rels/workbook.xml.rels',
+            data: formatXML('Relationships', XLSX_NAMESPACES.packageRelationships, [
+                `<Relationship Id="rId1" Type="${XLSX_NAMESPACES.relationships}/worksheet" Target="worksheets/sheet1.xml"/>`,
+                `<Relationship Id="rId2" Type="${XLSX_NAMESPACES.relationships}/styles" Target="styles.xml"/>`,
+                `<Relationship Id="rId3" Type="${XLSX_NAMESPACES.relationships}/sharedStrings" Target="sharedStrings.xml"/>`
+            ].join(''))
+        },
+        {
+            name: 'xl/worksheets/sheet1.xml',
+            data: formatXML('worksheet', XLSX_NAMESPACES.main, [
+                widths.length > 0 ? `<cols>${widths}</cols>` : '',
+                `<sheetData>${xmlRows.join('')}</sheetData>`
+            ].join(''))
+        },
+        {
+            name: 'xl/styles.xml',
+            data: styles.toXML()
+        },
+        {
+            name: 'xl/sharedStrings.xml',
+            data: formatXML('sst', XLSX_NAMESPACES.main, sharedStrings, ` uniqueCount="${strings.size}"`)
+        }
+    ]);
+}
+
+/**
+ * Creates the styles of an XLSX workbook, which are added as number formats are used.
+ * @returns {Object} Object with a "getStyle" function which takes a number format and returns the index of its style, and a "toXML" function which returns the styles part of the workbook.
+ * @private
+ */
+function createXLSXStyles() {
+    // the first number format that is not built in
+    const firstNumberFormatId = 164;
+    const numberFormats = [];
+    const getStyle = (numberFormat) => {
+        let index = numberFormats.indexOf(numberFormat);
+        
+        if (index === -1) {
+            index = numberFormats.push(numberFormat) - 1;
+        }
+        
+        // styles for number formats come after the default style and the style of the header
+        return index + 2;
+    };
+    const toXML = () => {
+        const formatXfs = numberFormats.map((numberFormat, index) => {
+            return `<xf numFmtId="${firstNumberFormatId + index}" fontId="0" fillId="0" borderId="0" xfId="0" applyNumberFormat="1"/>`;
+        });
+        const formats = numberFormats.map((numberFormat, index) => {
+            return `<numFmt numFmtId="${firstNumberFormatId + index}" formatCode="${escapeXML(numberFormat)}"/>`;
+        });
+        
+        return formatXML('styleSheet', XLSX_NAMESPACES.main, [
+            formats.length > 0 ? `<numFmts count="${formats.length}">${formats.join('')}</numFmts>` : '',
+            '<fonts count="2"><font><sz val="11"/><name val="Calibri"/></font><font><b/><sz val="11"/><name val="Calibri"/></font></fonts>',
+            '<fills count="2"><fill><patternFill patternType="none"/></fill><fill><patternFill patternType="gray125"/></fill></fills>',
+            '<borders count="1"><border><left/><right/><top/><bottom/><diagonal/></border></borders>',
+            '<cellStyleXfs count="1"><xf numFmtId="0" fontId="0" fillId="0" borderId="0"/></cellStyleXfs>',
+            `<cellXfs count="${formatXfs.length + 2}">`,
+            '<xf numFmtId="0" fontId="0" fillId="0" borderId="0" xfId="0"/>',
+            // the header is bold
+            '<xf numFmtId="0" fontId="1" fillId="0" borderId="0" xfId="0" applyFont="1"/>',
+            formatXfs.join(''),
+            '</cellXfs>',
+            '<cellStyles count="1"><cellStyle name="Normal" xfId="0" builtinId="0"/></cellStyles>'
+        ].join(''));
+    };
+    
+    return {
+        getStyle,
+        toXML
+    };
+}
+
+/**
+ * Gets the serial number of a date in a spreadsheet, which is the number of days since 1899-12-30
+ * in the timezone, with the time as the fraction of the day.
+ * @param {Date} date - The date.
+ * @param {Number} [offset] - The offset of the timezone from UTC in minutes, or null for the local timezone.
+ * @returns {Number} The serial number of the date.
+ * @private
+ */
+function getXLSXDateSerial(date, offset) {
+    const {year, month, day, hours, minutes, seconds, milliseconds} = getDateParts(date, offset);
+    const time = Date.UTC(year, month - 1, day, hours, minutes, seconds, milliseconds);
+    
+    return time / 86400000 + XLSX_EPOCH_DAYS;
+}
+
+/**
+ * Formats an XML part of an XLSX workbook.
+ * @param {String} name - The name of the root element.
+ * @param {String} namespace - The namespace of the root element.
+ * @param {String} content - The content of the root element.
+ * @param {String} [attributes=''] - Other attributes of the root element.
+ * @returns {String} XML string.
+ * @private
+ */
+function formatXML(name, namespace, content, attributes = '') {
+    return `<?xml version="1.0" encoding="UTF-8" standalone="yes"?>\n<${name} xmlns="${namespace}"${attributes}>${content}</${name}>`;
+}
+
+/**
+ * Escapes a string for XML, removing characters which cannot be written in XML.
+ * @param {String} str - String.
+ * @returns {String} Escaped string.
+ * @private
+ */
+function escapeXML(str) {
+    return str
+        .replace(INVALID_XML_PATTERN, '')
+        .replace(/[&<>"]/g, (char) => XML_ENTITIES[char]);
+}
+
+/**
+ * Gets the CRC-32 checksum of a buffer.
+ * @param {Buffer} buffer - Buffer.
+ * @returns {Number} The checksum, as an unsigned integer.
+ * @private
+ */
+function crc32(buffer) {
+    let crc = 0xFFFFFFFF;
+    
+    for (let i = 0; i < buffer.length; i++) {
+        crc = CRC32_TABLE[(crc ^ buffer[i]) & 0xFF] ^ (crc >>> 8);
+    }
+    
+    return (crc ^ 0xFFFFFFFF) >>> 0;
+}
+
+/**
+ * Creates a zip archive containing the given files, each compressed using deflate.
+ * @param {Object[]} files - The files, each with a "name" and "data" as a string or buffer.
+ * @returns {Buffer} The zip archive.
+ * @private
+ */
+function createZip(files) {
+    const localParts = [];
+    const centralParts = [];
+    let localSize = 0;
+    
+    files.forEach(({name, data}) => {
+        const nameBuffer = Buffer.from(name, 'utf8');
+        const content = Buffer.isBuffer(data) ? data : Buffer.from(data, 'utf8');
+        const compressed = zlib.deflateRawSync(content);
+        // the fields which are the same in the local header and the central directory
+        const fields = Buffer.alloc(26);
+        
+        // version needed to extract
+        fields.writeUInt16LE(20, 0);
+        // names are UTF-8
+        fields.writeUInt16LE(0x0800, 2);
+        // compressed using deflate
+        fields.writeUInt16LE(8, 4);
+        // the time and date are always 1980-01-01 00:00, so the same files give the same archive
+        fields.writeUInt16LE(0, 6);
+        fields.writeUInt16LE(0x21, 8);
+        fields.writeUInt32LE(crc32(content), 10);
+        fields.writeUInt32LE(compressed.length, 14);
+        fields.writeUInt32LE(content.length, 18);
+        fields.writeUInt16LE(nameBuffer.length, 22);
+        
+        const localHeader = Buffer.alloc(4);
+        const centralHeader = Buffer.alloc(46);
+        
+        localHeader.writeUInt32LE(ZIP_SIGNATURES.localFile, 0);
+        centralHeader.writeUInt32LE(ZIP_SIGNATURES.centralDirectory, 0);
+        // version made by
+        centralHeader.writeUInt16LE(20, 4);
+        fields.copy(centralHeader, 6);
+        centralHeader.writeUInt32LE(localSize, 42);
+        localParts.push(localHeader, fields, nameBuffer, compressed);
+        centralParts.push(centralHeader, nameBuffer);
+        localSize += localHeader.length + fields.length + nameBuffer.length + compressed.length;
+    });
+    
+    const centralDirectory = Buffer.concat(centralParts);
+    const end = Buffer.alloc(22);
+    
+    end.writeUInt32LE(ZIP_SIGNATURES.endOfCentralDirectory, 0);
+    end.writeUInt16LE(files.length, 8);
+    end.writeUInt16LE(files.length, 10);
+    end.writeUInt32LE(centralDirectory.length, 12);
+    end.writeUInt32LE(localSize, 16);
+    
+    return Buffer.concat([...localParts, centralDirectory, end]);
+}
+
+/**
+ * Reads the files in a zip archive.
+ * @param {Buffer} buffer - The zip archive.
+ * @returns {function(String): (Buffer|null)} Function which takes the name of a file and returns its contents, or null if there is no file with the name.
+ * @throws {Error} When the buffer is not a zip archive.
+ * @private
+ */
+function createZipReader(buffer) {
+    const entries = new Map();
+    // the end of central directory record is at the end of the archive, before a comment of up to 65535 bytes
+    let endOffset = buffer.length - 22;
+    
+    while (endOffset >= Math.max(0, buffer.length - 65557) && buffer.readUInt32LE(endOffset) !== ZIP_SIGNATURES.endOfCentralDirectory) {
+        endOffset--;
+    }
+    
+    if (endOffset < Math.max(0, buffer.length - 65557)) {
+        throw new Error('Buffer is not a zip archive');
+    }
+    
+    const entryCount = buffer.readUInt16LE(endOffset + 10);
+    let offset = buffer.readUInt32LE(endOffset + 16);
+    
+    for (let i = 0; i < entryCount; i++) {
+        if (buffer.readUInt32LE(offset) !== ZIP_SIGNATURES.centralDirectory) {
+            throw new Error('Buffer is not a zip archive');
+        }
+        
+        const nameLength = buffer.readUInt16LE(offset + 28);
+        const name = buffer.toString('utf8', offset + 46, offset + 46 + nameLength);
+        
+        entries.set(name, {
+            method: buffer.readUInt16LE(offset + 10),
+            compressedSize: buffer.readUInt32LE(offset + 20),
+            localOffset: buffer.readUInt32LE(offset + 42)
+        });
+        // skip the name, extra field and comment
+        offset += 46 + nameLength + buffer.readUInt16LE(offset + 30) + buffer.readUInt16LE(offset + 32);
+    }
+    
+    return (name) => {
+        const entry = entries.get(name);
+        
+        if (!entry) {
+            return null;
+        }
+        
+        const {method, compressedSize, localOffset} = entry;
+        // the name and extra field of the local header can differ from the central directory
+        const start = localOffset + 30 + buffer.readUInt16LE(localOffset + 26) + buffer.readUInt16LE(localOffset + 28);
+        const data = buffer.slice(start, start + compressedSize);
+        
+        if (method === 0) {
+            return data;
+        } else if (method === 8) {
+            return zlib.inflateRawSync(data);
+        }
+        
+        throw new Error(`Unknown compression method ${method} for ${name}`);
+    };
+}
+
+/**
+ * Finds the elements with the given name in XML, with or without a namespace prefix. Elements are
+ * expected not to contain elements with the same name.
+ * @param {String} xml - XML string.
+ * @param {String} name - The name of the elements.
+ * @returns {Object[]} Array of elements, each with its "attributes" by name and its "content" as XML.
+ * @private
+ */
+function findXMLElements(xml, name) {
+    const pattern = new RegExp(`<(?:[\\w.-]+:)?${name}(?=[\\s/>])([^>]*?)(?:/>|>([\\s\\S]*?)</(?:[\\w.-]+:)?${name}>)`, 'g');
+    const elements = [];
+    let match;
+    
+    while ((match = pattern.exec(xml)) !== null) {
+        const attributes = {};
+        const attributePattern = /([\w:.-]+)\s*=\s*(?:"([^"]*)"|'([^']*)')/g;
+        let attributeMatch;
+        
+        while ((attributeMatch = attributePattern.exec(match[1])) !== null) {
+            const value = attributeMatch[2] !== undefined ? attributeMatch[2] : attributeMatch[3];
+            
+            // the namespace prefix is left out, so "r:id" is "id"
+            attributes[attributeMatch[1].replace(/^[\w.-]+:/, '')] = decodeXML(value);
+        }
+        
+        elements.push({
+            attributes,
+            content: match[2] || ''
+        });
+    }
+    
+    return elements;
+}
+
+/**
+ * Decodes the entities in text from XML, and the escaped characters of XLSX workbooks such as "_x000D_".
+ * @param {String} str - Text from XML.
+ * @returns {String} Decoded text.
+ * @private
+ */
+function decodeXML(str) {
+    return str
+        .replace(/_x([0-9A-Fa-f]{4})_/g, (match, code) => String.fromCharCode(parseInt(code, 16)))
+        .replace(/&(#x[0-9A-Fa-f]+|#\d+|amp|lt|gt|quot|apos);/g, (match, entity) => {
+            if (entity[0] === '#') {
+                return String.fromCodePoint(entity[1] === 'x' ? parseInt(entity.slice(2), 16) : parseInt(entity.slice(1), 10));
+            }
+            
+            return XML_CHARACTERS[entity];
+        });
+}
+
+/**
+ * Gets the text of a string in an XLSX workbook, which can be split into runs of formatted text.
+ * @param {String} xml - The XML of the string.
+ * @returns {String} The text of the string.
+ * @private
+ */
+function getXLSXText(xml) {
+    // phonetic guides are not part of the text
+    const text = xml.replace(/<(?:[\w.-]+:)?rPh[\s>][\s\S]*?<\/(?:[\w.-]+:)?rPh>/g, '');
+    
+    return findXMLElements(text, 't').map((element) => decodeXML(element.content)).join('');
+}
+
+/**
+ * Checks whether a number format of an XLSX workbook formats numbers as dates or times.
+ * @param {Number} numberFormatId - The ID of the number format.
+ * @param {String} [formatCode] - The code of the number format if it is not built in.
+ * @returns {Boolean} Whether the number format is for dates.
+ * @private
+ */
+function isXLSXDateFormat(numberFormatId, formatCode) {
+    if (formatCode === undefined) {
+        return XLSX_DATE_FORMAT_IDS.some(([min, max]) => numberFormatId >= min && numberFormatId <= max);
+    }
+    
+    // leave out text in quotes, escaped characters, colors and conditions before looking for date tokens
+    const tokens = formatCode.replace(/"[^"]*"|\\.|_.|\*.|\[[^\]]*\]/g, '');
+    
+    return /[dmyhs]/i.test(tokens);
+}
+
+/**
+ * Gets the path of a part of an XLSX workbook from the target of a relationship.
+ * @param {String} source - The path of the part the relationship is from.
+ * @param {String} target - The target of the relationship.
+ * @returns {String} The path of the part.
+ * @private
+ */
+function resolveXLSXPath(source, target) {
+    if (target.startsWith('/')) {
+        return target.slice(1);
+    }
+    
+    return path.posix.normalize(path.posix.join(path.posix.dirname(source), target));
+}
+
+/**
+ * Gets the targets of the relationships of a part of an XLSX workbook.
+ * @param {function(String): (Buffer|null)} readFile - Function for reading files from the workbook.
+ * @param {String} source - The path of the part.
+ * @returns {Object[]} Array of relationships, each with an "id", the "type" and the "path" of its target.
+ * @private
+ */
+function readXLSXRelationships(readFile, source) {
+    const file = readFile(path.posix.join(path.posix.dirname(source), '_rels', `${path.posix.basename(source)}.rels`));
+    
+    if (file === null) {
+        return [];
+    }
+    
+    return findXMLElements(file.toString('utf8'), 'Relationship').map(({attributes}) => {
+        return {
+            id: attributes.Id,
+            type: attributes.Type,
+            path: resolveXLSXPath(source, attributes.Target || '')
+        };
+    });
+}
+
+/**
+ * Reads the cells of a sheet of an XLSX workbook.
+ * @param {Buffer} buffer - The XLSX file.
+ * @param {Object} [options={}] - Options.
+ * @param {(String|Number)} [options.sheet=0] - The name of the sheet to read, or its zero-based index.
+ * @param {String} [options.timezone='utc'] - The timezone dates are read in.
+ * @returns {Array[]} The cells of each row from the first row, which are strings, numbers, booleans or dates. Rows with no cells are empty arrays.
+ * @throws {Error} When the buffer is not an XLSX file or the sheet does not exist.
+ * @private
+ */
+function readXLSXSheet(buffer, options = {}) {
+    const {sheet = 0, timezone = 'utc'} = options;
+    const offset = parseTimezone(timezone);
+    const readFile = createZipReader(buffer);
+    const readXML = (file) => {
+        const contents = readFile(file);
+        
+        return contents === null ? '' : contents.toString('utf8');
+    };
+    const documentRelationship = readXLSXRelationships(readFile, '').find(({type}) => /\/officeDocument$/.test(type));
+    const workbookPath = documentRelationship ? documentRelationship.path : 'xl/workbook.xml';
+    const workbook = readXML(workbookPath);
+    
+    if (workbook === '') {
+        throw new Error('Buffer is not an XLSX file');
+    }
+    
+    const relationships = readXLSXRelationships(readFile, workbookPath);
+    const getPartPath = (type) => {
+        const relationship = relationships.find((relationship) => relationship.type.endsWith(`/${type}`));
+        
+        return relationship ? relationship.path : null;
+    };
+    const sheets = findXMLElements(workbook, 'sheet').map(({attributes}) => attributes);
+    const sheetAttributes = typeof sheet === 'number' ? sheets[sheet] : sheets.find(({name}) => name === sheet);
+    
+    if (!sheetAttributes) {
+        throw new Error(`Unknown sheet ${sheet}`);
+    }
+    
+    const sheetRelationship = relationships.find(({id}) => id === sheetAttributes.id);
+    const sharedStringsPath = getPartPath('sharedStrings');
+    const stylesPath = getPartPath('styles');
+    const sharedStrings = sharedStringsPath ? findXMLElements(readXML(sharedStringsPath), 'si').map(({content}) => getXLSXText(content)) : [];
+    // the number formats of the styles which format numbers as dates
+    const styles = stylesPath ? readXML(stylesPath) : '';
+    const formatCodes = findXMLElements(styles, 'numFmt').reduce((formatCodes, {attributes}) => {
+        formatCodes[attributes.numFmtId] = attributes.formatCode;
+        
+        return formatCodes;
+    }, {});
+    const cellFormats = findXMLElements(styles, 'cellXfs').map(({content}) => content).join('');
+    const dateStyles = findXMLElements(cellFormats, 'xf').map(({attributes}) => {
+        const numberFormatId = Number(attributes.numFmtId || 0);
+        
+        return isXLSXDateFormat(numberFormatId, formatCodes[numberFormatId]);
+    });
+    // dates are counted from 1904-01-01 rather than 1899-12-30 in some workbooks
+    const workbookProperties = findXMLElements(workbook, 'workbookPr')[0];
+    const epochDays = workbookProperties && /^(1|true)$/.test(workbookProperties.attributes.date1904) ? XLSX_EPOCH_DAYS - 1462 : XLSX_EPOCH_DAYS;
+    const getCellValue = ({attributes, content}) => {
+        const {t: type = 'n', s: style = 0} = attributes;
+        const valueElement = findXMLElements(content, 'v')[0];
+        const value = valueElement ? decodeXML(valueElement.content) : '';
+        
+        if (type === 'inlineStr') {
+            return getXLSXText(findXMLElements(content, 'is').map((element) => element.content).join(''));
+        } else if (!valueElement) {
+            const formula = findXMLElements(content, 'f')[0];
+            
+            // formulas are given as they are when no value has been calculated
+            return formula && formula.content !== '' ? `=${decodeXML(formula.content)}` : '';
+        } else if (type === 's') {
+            return sharedStrings[Number(value)];
+        } else if (type === 'b') {
+            return value === '1' || value === 'true';
+        } else if (type === 'd') {
+            return getXLSXISODate(value, offset);
+        } else if (type !== 'n' || value === '') {
+            // text from formulas, and errors such as "#DIV/0!"
+            return value;
+        } else if (dateStyles[style]) {
+            return getXLSXSerialDate(Number(value), offset, epochDays);
+        }
+        
+        return Number(value);
+    };
+    const lines = [];
+    let rowNumber = 0;
+    
+    findXMLElements(sheetRelationship ? readXML(sheetRelationship.path) : '', 'row').forEach(({attributes, content}) => {
+        // rows and cells are numbered from the previous one when they have no reference
+        rowNumber = attributes.r ? Number(attributes.r) : rowNumber + 1;
+        
+        const line = [];
+        let columnIndex = -1;
+        
+        findXMLElements(content, 'c').forEach((cell) => {
+            const match = /^([A-Z]+)\d+$/.exec(cell.attributes.r || '');
+            
+            columnIndex = match ? parseColumnLabel(match[1]) : columnIndex + 1;
+            line[columnIndex] = getCellValue(cell);
+        });
+        
+        // cells with no value at the end of the row are left out
+        while (line.length > 0 && (line[line.length - 1] === undefined || line[line.length - 1] === '')) {
+            line.pop();
+        }
+        
+        lines[rowNumber - 1] = Array.from(line, (value) => value === undefined ? '' : value);
+    });
+    
+    return Array.from(lines, (line) => line || []);
+}
+
+/**
+ * Gets the date of a serial number in a spreadsheet.
+ * @param {Number} serial - The serial number of the date, which is the number of days since the epoch of the workbook.
+ * @param {Number} [offset] - The offset of the timezone from UTC in minutes, or null for the local timezone.
+ * @param {Number} [epochDays=XLSX_EPOCH_DAYS] - The number of days from the epoch of the workbook to 1970-01-01.
+ * @returns {Date} The date.
+ * @private
+ */
+function getXLSXSerialDate(serial, offset, epochDays = XLSX_EPOCH_DAYS) {
+    // times are rounded to the millisecond, as serial numbers are not exact
+    const time = new Date(Math.round((serial - epochDays) * 86400000));
+    
+    return createDateFromParts(getDateParts(time, 0), offset);
+}
+
+/**
+ * Gets the date of a cell containing a date in ISO 8601 format, which is in the timezone if it has no offset.
+ * @param {String} value - The value of the cell.
+ * @param {Number} [offset] - The offset of the timezone from UTC in minutes, or null for the local timezone.
+ * @returns {(Date|String)} The date, or the value if it is not a date.
+ * @private
+ */
+function getXLSXISODate(value, offset) {
+    const match = /^(\d{4})-(\d{2})-(\d{2})(?:T(\d{2}):(\d{2})(?::(\d{2})(?:\.(\d{1,3})\d*)?)?)?(Z|[-+]\d{2}:?\d{2})?$/.exec(value);
+    
+    if (!match) {
+        return value;
+    }
+    
+    const [, year, month, day, hours = 0, minutes = 0, seconds = 0, milliseconds = '0', timezone] = match;
+    
+    return createDateFromParts({
+        year: Number(year),
+        month: Number(month),
+        day: Number(day),
+        hours: Number(hours),
+        minutes: Number(minutes),
+        seconds: Number(seconds),
+        milliseconds: Number(milliseconds.padEnd(3, '0'))
+    }, timezone ? parseTimezone(timezone) : offset);
+}
+
+/**
+ * Converts an array of objects to fixed-width text, where each column is a field with the width of
+ * the column. Values are taken from objects using the columns in the same way as toCSV, and are
+ * padded to the width of their column.
+ * @param {Object[]} rows - Array of objects to form rows from.
+ * @param {Column[]} columns - An array containing columns, which each must have a width. Columns without a key are written as padding.
+ * @param {Object} [options={}] - Formatting options.
+ * @param {Boolean} [options.includeHeader] - Whether to write the headers of the columns in the first line, which are cut to the width of their column and padded with spaces.
+ * @param {String} [options.lineTerminator='\n'] - The text between lines.
+ * @param {String} [options.overflow='error'] - What to do with values which are longer than the width of their column, either "error" to raise a ValidationError with a rule of "width", or "truncate" to cut them to the width of their column. Truncation is silent unless errorMode is "collect", in which case each truncated value is reported with a ValidationError in the errors and its row is still written.
+ * @param {String} [options.errorMode='throw'] - What to do when a value cannot be written, either "throw" to throw the first error, or "collect" to return every error along with the text of the rows which had none.
+ * @param {function(Object): (Object|null|undefined)} [options.beforeRow] - Function called with each object before it is written, which returns an object to write instead of it, or null to leave it out.
+ * @param {Boolean} [options.validate] - Whether to check the objects against the rules of the columns before anything is written.
+ * @returns {(String|FixedWidthResult)} The fixed-width text, or a result containing the text and errors if errorMode is "collect".
+ * @throws {CellError} When a value is longer than the width of its column or contains a line break, and errorMode is "throw".
+ * @public
+ * @memberof salsacsv
+ *
+ * @example
+ * toFixedWidth([
+ *     {
+ *         account: '1234',
+ *         amount: 529
+ *     }
+ * ], [
+ *     {
+ *         key: 'account',
+ *         width: 8
+ *     },
+ *     {
+ *         key: 'amount',
+ *         width: 10,
+ *         align: 'right',
+ *         pad: '0'
+ *     }
+ * ]);
+ * // "1234    0000000529"
+ */
+function toFixedWidth(rows, columns, options = {}) {
+    const {includeHeader, lineTerminator = '\n', overflow = 'error', errorMode = 'throw'} = options;
+    
+    if (!['error', 'truncate'].includes(overflow)) {
+        throw new Error(`Unknown overflow ${overflow}`);
+    }
+    
+    if (!['throw', 'collect'].includes(errorMode)) {
+        throw new Error(`Unknown errorMode ${errorMode}`);
+    }
+    
+    rows = getRowsForCSV(rows, options);
+    columns = getColumnsForCSV(rows, getFixedWidthColumns(columns), options);
+    
+    const startIndex = includeHeader ? 1 : 0;
+    const convertRow = createRowConverter(columns, startIndex, rows.length);
+    const errors = [];
+    const lines = rows.reduce((lines, obj, rowIndex) => {
+        const row = rowIndex + startIndex + 1;
+        const cellValues = convertRow(obj, rowIndex);
+        let hasErrors = false;
+        const fields = columns.map((column, columnIndex) => {
+            const {key, header, width} = column;
+            const cellValue = getCellText(cellValues[columnIndex]);
+            const createError = (reason) => new ValidationError('width', reason, {
+                row,
+                column: columnIndex,
+                key,
+                header,
+                value: cellValue
+            });
+            let reason = null;
+            
+            if (/[\r\n]/.test(cellValue)) {
+                reason = 'contains a line break';
+            } else if (cellValue.length > width) {
+                if (overflow === 'error') {
+                    reason = `is longer than the width of ${width}`;
+                } else if (errorMode === 'collect') {
+                    // truncated values are still written, and are reported so that nothing is cut silently
+                    errors.push(createError(`is longer than the width of ${width} and was truncated`));
+                }
+            }
+            
+            if (reason !== null) {
+                const error = createError(reason);
+                
+                if (errorMode === 'throw') {
+                    throw error;
+                }
+                
+                errors.push(error);
+                hasErrors = true;
+            }
+            
+            return formatField(cellValue, column);
+        });
+        
+        // rows with errors are left out
+        if (!hasErrors) {
+            lines.push(fields.join(''));
+        }
+        
+        return lines;
+    }, []);
+    
+    if (includeHeader) {
+        // headers are always padded with spaces
+        lines.unshift(columns.map((column) => formatField(column.header || '', Object.assign({}, column, {
+            pad: ' '
+        }))).join(''));
+    }
+    
+    const text = lines.join(lineTerminator);
+    
+    if (errorMode === 'collect') {
+        return {
+            text,
+            errors
+        };
+    }
+    
+    return text;
+}
+
+/**
+ * Gets the columns for fixed-width text.
+ * @param {Column[]} columns - An array containing columns.
+ * @returns {Column[]} Array of columns.
+ * @throws {Error} When a column does not have a width, or its align or pad is not valid.
+ * @private
+ */
+function getFixedWidthColumns(columns) {
+    if (!Array.isArray(columns)) {
+        throw new Error('Columns are required for fixed-width text');
+    }
+    
+    return columns.map((column, columnIndex) => {
+        column = detectColumn(column) || {};
+        
+        const {width, align = 'left', pad = ' '} = column;
+        const name = column.key || column.header || columnIndex;
+        
+        if (!Number.isInteger(width) || width <= 0) {
+            throw new Error(`Invalid width ${width} for column ${name}`);
+        }
+        
+        if (!FIXED_WIDTH_ALIGNMENTS.includes(align)) {
+            throw new Error(`Unknown align ${align} for column ${name}`);
+        }
+        
+        if (typeof pad !== 'string' || pad.length !== 1) {
+            throw new Error(`Invalid pad ${pad} for column ${name}`);
+        }
+        
+        return column;
+    });
+}
+
+/**
+ * Formats a value as a field of fixed-width text, cutting it to the width of its column and padding it.
+ * @param {String} value - The value.
+ * @param {Column} column - The column of the value.
+ * @returns {String} The field.
+ * @private
+ */
+function formatField(value, column) {
+    const {width, align = 'left', pad = ' '} = column;
+    const field = value.slice(0, width);
+    
+    return align === 'right' ? field.padStart(width, pad) : field.padEnd(width, pad);
+}
+
+/**
+ * Splits a line of fixed-width text into the values of its fields, with padding removed. Any text
+ * past the last field is added after the values.
+ * @param {String} line - The line.
+ * @param {Column[]} columns - An array containing columns.
+ * @returns {String[]} The values of the fields the line reaches.
+ * @private
+ */
+function splitFixedWidthLine(line, columns) {
+    const cells = [];
+    let position = 0;
+    
+    columns.forEach((column) => {
+        // the line ends before this field
+        if (position >= line.length) {
+            return;
+        }
+        
+        const {width, align = 'left', pad = ' '} = column;
+        const field = line.slice(position, position + width);
+        let start = 0;
+        let end = field.length;
+        
+        // padding is on the opposite side to the alignment
+        if (align === 'right') {
+            while (start < end && field[start] === pad) {
+                start++;
+            }
+        } else {
+            while (end > start && field[end - 1] === pad) {
+                end--;
+            }
+        }
+        
+        cells.push(field.slice(start, end));
+        position += width;
+    });
+    
+    if (position < line.length) {
+        cells.push(line.slice(position));
+    }
+    
+    return cells;
+}
+
+/**
+ * Checks an array of objects against the rules of the given columns, such as required, type and max.
+ * The rows and columns of errors are for the CSV string which the objects would be converted into.
+ * @param {Object[]} rows - Array of objects to check.
+ * @param {Column[]} columns - An array containing columns.
+ * @param {Object} [options={}] - Options.
+ * @param {Boolean} [options.includeHeader] - Whether the CSV will have a header or not.
+ * @returns {CellError[]} Array of errors for every value which is not valid, which is empty if every value is valid.
+ * @public
+ * @memberof salsacsv
+ *
  * @example
- * toCSV([
+ * validateRows([
  *     {
  *         name: 'Cat Chow',
- *         price: 529
+ *         price: -529
  *     }
  * ], [
  *     {
  *         header: 'Name',
+ *         key: 'name',
+ *         required: true
+ *     },
+ *     {
+ *         header: 'Price',
+ *         key: 'price',
+ *         type: 'integer',
+ *         min: 0
+ *     }
+ * ], {
+ *     includeHeader: true
+ * });
+ * // [ValidationError: Invalid value for column price in cell B2: must be at least 0]
+ */
+function validateRows(rows, columns, options = {}) {
+    if (!Array.isArray(rows)) {
+        throw new Error('First argument is not an array');
+    }
+    
+    // firstly, format columns into the proper format
+    columns = columns.map(detectColumn);
+    
+    const {includeHeader} = options;
+    const startIndex = includeHeader ? 1 : 0;
+    const validateCell = createCellValidator(columns);
+    const paths = getKeyPaths(columns);
+    const errors = [];
+    
+    rows.forEach((obj, rowIndex) => {
+        columns.forEach((column, columnIndex) => {
+            if (column == null || !column.key) {
+                return;
+            }
+            
+            const {key, header, required} = column;
+            const value = getValueAtKey(obj, key, paths[columnIndex]);
+            const details = {
+                row: rowIndex + startIndex + 1,
+                column: columnIndex,
+                key,
+                header,
+                value
+            };
+            const isEmpty = Boolean(
+                value == null ||
+                value === ''
+            );
+            
+            if (required && isEmpty) {
+                errors.push(new RequiredError(details));
+            } else if (validateCell !== null) {
+                const error = validateCell(value, columnIndex, obj, details);
+                
+                if (error !== null) {
+                    errors.push(error);
+                }
+            }
+        });
+    });
+    
+    return errors;
+}
+
+
+/**
+ * Defines columns. The columns are returned as they are, but in TypeScript the key of each column and
+ * the return type of its parser are kept, which are used to type the rows returned by fromCSV. Each
+ * column must have a key.
+ * @template {String} K
+ * @template {Array<Column & {key: K}>} T
+ * @param {T} columns - Columns.
+ * @returns {T} The same columns.
+ * @public
+ * @memberof salsacsv
+ *
+ * @example
+ * const columns = defineColumns(
+ *     {
+ *         header: 'Name',
+ *         key: 'name',
+ *         required: true
+ *     },
+ *     {
+ *         header: 'Price',
+ *         key: 'price',
+ *         parser: parseFloat
+ *     }
+ * );
+ * const rows = fromCSV('"Name","Price"\n"Cat Chow",5.29', columns, {
+ *     includeHeader: true
+ * });
+ * // rows is typed as { name: string; price?: number; }[]
+ */
+function defineColumns(...columns) {
+    return columns;
+}
+
+/**
+ * Gets a JSON Schema describing the objects for the given columns, which can be used to validate
+ * them elsewhere. The schema reflects the type, min, max, minLength, maxLength, pattern and enum
+ * rules of each column, with columns that are required being required properties. The values of
+ * columns without a type are strings unless the column has a parser. Dates are strings in the
+ * date-time format, as they are in JSON.
+ * @param {Column[]} columns - An array containing columns.
+ * @param {Object} [options={}] - Options.
+ * @param {Boolean} [options.unflatten=true] - Whether keys are paths to nested values, such as "customer.address.city" or "items[0].sku", which are described as nested objects and arrays.
+ * @returns {Object} JSON Schema.
+ * @public
+ * @memberof salsacsv
+ *
+ * @example
+ * toJSONSchema([
+ *     {
+ *         header: 'Name',
+ *         key: 'name',
+ *         required: true
+ *     },
+ *     {
+ *         header: 'Price',
+ *         key: 'price',
+ *         type: 'number',
+ *         min: 0
+ *     }
+ * ]);
+ * // {
+ * //     $schema: 'http://json-schema.org/draft-07/schema#',
+ * //     type: 'object',
+ * //     properties: {
+ * //         name: { title: 'Name', type: 'string' },
+ * //         price: { title: 'Price', type: 'number', minimum: 0 }
+ * //     },
+ * //     required: ['name']
+ * // }
+ */
+function toJSONSchema(columns, options = {}) {
+    if (!Array.isArray(columns)) {
+        throw new Error('First argument is not an array');
+    }
+    
+    // firstly, format columns into the proper format
+    columns = columns.map(detectColumn);
+    
+    const {unflatten = true} = options;
+    const paths = unflatten ? getKeyPaths(columns) : columns.map((column) => {
+        return column != null && column.key != null ? [String(column.key)] : [];
+    });
+    const schema = {
+        $schema: 'http://json-schema.org/draft-07/schema#',
+        type: 'object',
+        properties: {}
+    };
+    
+    columns.forEach((column, columnIndex) => {
+        const path = paths[columnIndex];
+        let parent = schema;
+        
+        path.forEach((segment, index) => {
+            const isLast = index === path.length - 1;
+            const createSchema = () => {
+                if (isLast) {
+                    return getColumnSchema(column);
+                } else if (typeof path[index + 1] === 'number') {
+                    return {
+                        type: 'array',
+                        items: {}
+                    };
+                }
+                
+                return {
+                    type: 'object',
+                    properties: {}
+                };
+            };
+            
+            if (typeof segment === 'number') {
+                // every item in an array has the same schema
+                if (isLast || parent.items.type === undefined) {
+                    parent.items = createSchema();
+                }
+                
+                parent = parent.items;
+                
+                return;
+            }
+            
+            if (isLast || parent.properties[segment] === undefined) {
+                parent.properties[segment] = createSchema();
+            }
+            
+            if (column.required) {
+                // objects containing required values are also required
+                parent.required = parent.required || [];
+                
+                if (!parent.required.includes(segment)) {
+                    parent.required.push(segment);
+                }
+            }
+            
+            parent = parent.properties[segment];
+        });
+    });
+    
+    return schema;
+}
+
+/**
+ * Converts a CSV string into objects.
+ * @template {Column} C
+ * @template {String} E
+ * @param {(String|Buffer)} csvStr - CSV string, or a buffer which is decoded using the encoding option. A byte order mark at the start is removed.
+ * @param {C[]} [columns=[]] - An array containing columns.
+ * @param {Object} [options={}] - Parsing options.
+ * @param {Boolean} [options.includeHeader] - Whether the CSV has a header or not.
+ * @param {Boolean} [options.includeEmptyValues] - Whether to assign empty values to object or not.
+ * @param {String} [options.delimiter=','] - The delimiter of the CSV string. Use "auto" to sniff the dialect of the CSV string, which also sets includeHeader if it is not given. The delimiter is taken from the "sep=" line when sepLine is set and this is not given.
+ * @param {Boolean} [options.sepLine] - Whether the CSV string starts with a line such as "sep=,", which is written by toCSV when its sepLine option is set. The line is removed, and gives the delimiter if one is not given.
+ * @param {(String|Dialect)} [options.dialect] - The dialect of the CSV string, either the name of one of the dialects or a dialect object. The delimiter option takes precedence over the delimiter of the dialect.
+ * @param {String} [options.matchBy='position'] - How columns are matched to cells, either "position" to match columns to cells in the same order, or "header" to match the header and aliases of each column to the header line of the CSV string, ignoring case and whitespace. The first line is always read as the header when matching by header.
+ * @param {String} [options.extraHeaders='ignore'] - What to do with headers which do not match any column when matching by header, either "ignore" or "error".
+ * @param {Boolean} [options.unflatten] - Whether keys are paths to nested values, such as "customer.address.city" or "items[0].sku", which are built into nested objects. This is true by default when columns are given, and false when columns are taken from the header.
+ * @param {String} [options.columnCount='truncate'] - How lines with a different number of cells than there are columns are handled, or than there are headers when matching by header. Either "strict" to raise a ColumnCountError, "pad" to read missing cells as empty values, or "truncate" to ignore extra cells and leave values for missing cells out.
+ * @param {String} [options.extraCells] - The key to assign an array of any cells past the last column to, such as "_extra". Extra cells are ignored if this is not given.
+ * @param {(String|String[]|function(String, Number): String)} [options.headerTransform] - How headers are turned into keys when columns are taken from the header, either "camelCase", "snake_case", "trim" or "lowercase", an array of these which are applied in order, or a function which takes a header and its index and returns a key.
+ * @param {String} [options.duplicateHeaders] - What to do with headers which have the same key when columns are taken from the header, either "error" to throw an error, "suffix" to add a number to each repeated key such as "notes_2", or "array" to collect their values into an array. The last value is kept if this is not given.
+ * @param {function(String[], Number): (String[]|null|undefined)} [options.beforeRow] - Function called with the raw cells of each line and its one-based row number before they are parsed, which returns cells to parse instead of them, or null to skip the line.
+ * @param {function(Object, String[]): (Object|null|undefined)} [options.afterRow] - Function called with each object and the raw cells it was parsed from, which returns an object to use instead of it, or null to skip it.
+ * @param {RowValidator} [options.validateRow] - Function for checking each object against rules which involve more than one value, such as an end date being after a start date. It is called after the values of the object are checked and before afterRow.
+ * @param {Boolean} [options.inferTypes] - Whether to infer the types of columns when columns are not given, see inferColumns.
+ * @param {Number} [options.sampleSize=100] - The number of lines to look at when inferring types.
+ * @param {String} [options.encoding='auto'] - The encoding of a buffer, either "utf8", "utf16le" or "windows-1252". When this is "auto", the encoding is taken from the byte order mark, and buffers without one are read as UTF-16LE if most of their characters have a zero byte after them, as UTF-8, or as Windows-1252 if they are not valid UTF-8.
+ * @param {E} [options.errorMode='throw'] - What to do with errors in cells, either "throw" to throw the first error, or "collect" to return every error along with the rows that had none.
+ * @returns {ParseOutput<C, E>} Array of objects, or a result containing the rows and errors if errorMode is "collect".
+ * @throws {CSVSyntaxError} When the CSV string is malformed.
+ * @throws {CellError} When a cell cannot be parsed or breaks one of the rules of its column, and errorMode is "throw".
+ * @public
+ * @memberof salsacsv
+ * 
+ * @example
+ * fromCSV('"Name","Price"\n"Cat Chow",5.29', [
+ *     {
+ *         header: 'Name',
  *         key: 'name'
  *     },
  *     {
  *         header: 'Price',
  *         key: 'price',
- *         converter: (value) => value / 100
+ *         parser: (value) => Math.round(parseFloat(value) * 100)
  *     }
  * ], {
  *     includeHeader: true
  * });
- * // "Name","Price"\n"Cat Chow",5.29
+ * // { name: 'Cat Chow', price: 529 }
+ * @example
+ * // using no column definitions
+ * // there will be no type conversions if no parser is given, any returned values will be strings
+ * fromCSV('"Cat Chow",5.29');
+ * // { col1: 'Cat Chow', col2: '5.29' }
+ * @example
+ * // using no column definitions (use header as keys)
+ * fromCSV('"Name","Price"\n"Cat Chow",5.29', null, {
+ *     includeHeader: true
+ * });
+ * // { Name: 'Cat Chow', Price: '5.29' }
+ * @example
+ * // matching columns by header, in any order
+ * fromCSV('"Cost","Name"\n5.29,"Cat Chow"', [
+ *     {
+ *         header: 'Name',
+ *         key: 'name'
+ *     },
+ *     {
+ *         header: 'Price',
+ *         key: 'price',
+ *         aliases: ['Cost']
+ *     }
+ * ], {
+ *     matchBy: 'header'
+ * });
+ * // { name: 'Cat Chow', price: '5.29' }
+ * @example
+ * // collecting errors
+ * const {rows, errors} = fromCSV('"Name","Price"\n"Cat Chow",5.29\n,6.99', [
+ *     {
+ *         header: 'Name',
+ *         key: 'name',
+ *         required: true
+ *     },
+ *     {
+ *         header: 'Price',
+ *         key: 'price'
+ *     }
+ * ], {
+ *     includeHeader: true,
+ *     errorMode: 'collect'
+ * });
+ * // rows: [{ name: 'Cat Chow', price: '5.29' }]
+ * // errors: [RequiredError: Required column name is empty in cell A3]
+ */
+function fromCSV(csvStr, columns, options = {}) {
+    const csv = readCSV(csvStr, columns, options);
+    const getRow = csv.createGetRow(csv.columns);
+    
+    return getRows(csv.lines, getRow, csv.errorMode);
+}
+
+/**
+ * Converts a CSV string into objects, waiting for parsers which return promises. Up to the given
+ * number of parsers are waited on at once, and they are given the same details as they are by
+ * fromCSV. Errors thrown or rejected by parsers are wrapped in a ParseError.
+ * @template {Column} C
+ * @template {String} E
+ * @param {(String|Buffer)} csvStr - CSV string, or a buffer which is decoded using the encoding option. A byte order mark at the start is removed.
+ * @param {C[]} [columns=[]] - An array containing columns.
+ * @param {Object} [options={}] - Parsing options.
+ * @param {Boolean} [options.includeHeader] - Whether the CSV has a header or not.
+ * @param {Boolean} [options.includeEmptyValues] - Whether to assign empty values to object or not.
+ * @param {String} [options.delimiter=','] - The delimiter of the CSV string. Use "auto" to sniff the dialect of the CSV string, which also sets includeHeader if it is not given. The delimiter is taken from the "sep=" line when sepLine is set and this is not given.
+ * @param {Boolean} [options.sepLine] - Whether the CSV string starts with a line such as "sep=,", which is written by toCSV when its sepLine option is set. The line is removed, and gives the delimiter if one is not given.
+ * @param {(String|Dialect)} [options.dialect] - The dialect of the CSV string, either the name of one of the dialects or a dialect object. The delimiter option takes precedence over the delimiter of the dialect.
+ * @param {String} [options.matchBy='position'] - How columns are matched to cells, either "position" to match columns to cells in the same order, or "header" to match the header and aliases of each column to the header line of the CSV string, ignoring case and whitespace. The first line is always read as the header when matching by header.
+ * @param {String} [options.extraHeaders='ignore'] - What to do with headers which do not match any column when matching by header, either "ignore" or "error".
+ * @param {Boolean} [options.unflatten] - Whether keys are paths to nested values, such as "customer.address.city" or "items[0].sku", which are built into nested objects. This is true by default when columns are given, and false when columns are taken from the header.
+ * @param {String} [options.columnCount='truncate'] - How lines with a different number of cells than there are columns are handled, or than there are headers when matching by header. Either "strict" to raise a ColumnCountError, "pad" to read missing cells as empty values, or "truncate" to ignore extra cells and leave values for missing cells out.
+ * @param {String} [options.extraCells] - The key to assign an array of any cells past the last column to, such as "_extra". Extra cells are ignored if this is not given.
+ * @param {(String|String[]|function(String, Number): String)} [options.headerTransform] - How headers are turned into keys when columns are taken from the header, either "camelCase", "snake_case", "trim" or "lowercase", an array of these which are applied in order, or a function which takes a header and its index and returns a key.
+ * @param {String} [options.duplicateHeaders] - What to do with headers which have the same key when columns are taken from the header, either "error" to throw an error, "suffix" to add a number to each repeated key such as "notes_2", or "array" to collect their values into an array. The last value is kept if this is not given.
+ * @param {function(String[], Number): (String[]|null|undefined)} [options.beforeRow] - Function called with the raw cells of each line and its one-based row number before they are parsed, which returns cells to parse instead of them, or null to skip the line.
+ * @param {function(Object, String[]): (Object|null|undefined)} [options.afterRow] - Function called with each object and the raw cells it was parsed from, which returns an object to use instead of it, or null to skip it.
+ * @param {RowValidator} [options.validateRow] - Function for checking each object against rules which involve more than one value, such as an end date being after a start date. It is called after the values of the object are checked and before afterRow.
+ * @param {Boolean} [options.inferTypes] - Whether to infer the types of columns when columns are not given, see inferColumns.
+ * @param {Number} [options.sampleSize=100] - The number of lines to look at when inferring types.
+ * @param {String} [options.encoding='auto'] - The encoding of a buffer, either "utf8", "utf16le" or "windows-1252". When this is "auto", the encoding is taken from the byte order mark, and buffers without one are read as UTF-16LE if most of their characters have a zero byte after them, as UTF-8, or as Windows-1252 if they are not valid UTF-8.
+ * @param {Number} [options.concurrency=10] - The number of parsers which can be waited on at once.
+ * @param {E} [options.errorMode='throw'] - What to do with errors in cells, either "throw" to reject with the first error, or "collect" to resolve with every error along with the rows that had none.
+ * @returns {Promise<ParseOutput<C, E>>} Promise resolving to an array of objects, or a result containing the rows and errors if errorMode is "collect".
+ * @throws {CSVSyntaxError} When the CSV string is malformed.
+ * @throws {CellError} When a cell cannot be parsed or breaks one of the rules of its column, and errorMode is "throw".
+ * @public
+ * @memberof salsacsv
+ *
+ * @example
+ * await fromCSVAsync('"SKU","Quantity"\n"CC-1",2', [
+ *     {
+ *         header: 'SKU',
+ *         key: 'productId',
+ *         // look up the ID of the product
+ *         parser: (value) => products.getId(value)
+ *     },
+ *     {
+ *         header: 'Quantity',
+ *         key: 'quantity',
+ *         parser: parseInt
+ *     }
+ * ], {
+ *     includeHeader: true,
+ *     concurrency: 5
+ * });
+ * // [{ productId: 4021, quantity: 2 }]
+ */
+async function fromCSVAsync(csvStr, columns, options = {}) {
+    const csv = readCSV(csvStr, columns, options);
+    const deferred = createDeferredColumns(csv.columns, 'parser');
+    const changedLines = new Map();
+    // beforeRow is called once for each row, since rows are read twice
+    const beforeRow = options.beforeRow && ((line, row) => {
+        if (!changedLines.has(row)) {
+            changedLines.set(row, options.beforeRow(line, row));
+        }
+        
+        return changedLines.get(row);
+    });
+    // firstly, find the cells that need parsing
+    const collectRow = csv.createGetRow(deferred.collecting, {
+        beforeRow,
+        afterRow: undefined,
+        validateRow: undefined
+    });
+    
+    csv.lines.forEach((line, rowIndex) => collectRow(line, rowIndex, []));
+    await deferred.settle(options.concurrency);
+    
+    // then build our objects using the parsed values
+    const getRow = csv.createGetRow(deferred.settled, {
+        beforeRow
+    });
+    
+    return getRows(csv.lines, getRow, csv.errorMode);
+}
+
+/**
+ * Converts a sheet of an XLSX workbook into an array of objects, in the same way as fromCSV. Numbers,
+ * booleans and dates are given to parsers and assigned to objects as they are, rather than as
+ * text, and cells containing formulas give the value calculated when the workbook was last saved,
+ * or the formula starting with "=" if there is no value. Empty rows are skipped, and errors give
+ * the location of their cell in the sheet.
+ * @param {Buffer} buffer - The XLSX file.
+ * @param {Column[]} [columns] - An array containing columns. Columns are detected from the first row if not given.
+ * @param {Object} [options={}] - Parsing options.
+ * @param {(String|Number)} [options.sheet=0] - The name of the sheet to read, or its zero-based index.
+ * @param {String} [options.timezone='utc'] - The timezone dates are read in, either "local", "utc" or an offset such as "+02:00", as dates in spreadsheets do not have a timezone.
+ * @param {Boolean} [options.includeHeader] - Whether the sheet has a header or not, the first row will be skipped if this is set to true.
+ * @param {Boolean} [options.includeEmptyValues] - Whether to assign empty values to object or not.
+ * @param {String} [options.matchBy='position'] - How columns are matched to cells, either "position" to match each column to the cell at the same position, or "header" to match columns to cells using the header. The first row is always the header when matching by header.
+ * @param {String} [options.extraHeaders='ignore'] - What to do with headers which do not match a column when matching by header, either "ignore" or "error".
+ * @param {Boolean} [options.unflatten] - Whether keys are paths to nested values, such as "customer.address.city" or "items[0].sku". Defaults to true when columns are given, and false when columns are taken from the header.
+ * @param {String} [options.columnCount='truncate'] - How rows with a different number of cells than there are columns are handled, see fromCSV.
+ * @param {String} [options.extraCells] - The key to assign an array of the cells past the last column to.
+ * @param {(String|String[]|function(String, Number): String)} [options.headerTransform] - How headers are turned into keys when columns are taken from the header, see fromCSV.
+ * @param {String} [options.duplicateHeaders] - What to do with headers which have the same key when columns are taken from the header, see fromCSV.
+ * @param {String} [options.errorMode='throw'] - What to do when a value cannot be parsed, either "throw" to throw the first error, or "collect" to return every error along with the rows which had none.
+ * @param {function(Array, Number): (Array|null|undefined)} [options.beforeRow] - Function called with the cells of each row and its one-based row number before they are parsed, which returns cells to parse instead of them, or null to skip the row.
+ * @param {function(Object, Array): (Object|null|undefined)} [options.afterRow] - Function called with each object and the cells it was parsed from, which returns an object to use instead of it, or null to skip it.
+ * @param {RowValidator} [options.validateRow] - Function for checking each object against rules which involve more than one value. It is called after the values of the object are checked and before afterRow.
+ * @returns {(Object[]|ParseResult<Column>)} Array of objects, or an object with the rows and errors if errorMode is "collect".
+ * @throws {CellError} When a value cannot be parsed and errorMode is "throw".
+ * @public
+ * @memberof salsacsv
+ *
+ * @example
+ * fromXLSX(fs.readFileSync('orders.xlsx'), [
+ *     {
+ *         header: 'Date',
+ *         key: 'date',
+ *         required: true
+ *     },
+ *     {
+ *         header: 'Price',
+ *         key: 'price',
+ *         ...types.currency()
+ *     }
+ * ], {
+ *     sheet: 'Orders',
+ *     matchBy: 'header'
+ * });
+ * // [{ date: 2019-08-25T00:00:00.000Z, price: 349 }]
+ */
+function fromXLSX(buffer, columns, options = {}) {
+    if (!Buffer.isBuffer(buffer)) {
+        throw new Error('First argument is not a buffer');
+    }
+    
+    options = resolveMatchByHeader(options);
+    
+    const allLines = readXLSXSheet(buffer, options);
+    
+    if (options.includeHeader && allLines.length > 0) {
+        // headers are always matched as text
+        allLines[0] = allLines[0].map((value) => value instanceof Date ? value.toISOString() : String(value));
+    }
+    
+    const xlsx = readLines(allLines, columns, options);
+    const parseRow = xlsx.createGetRow(xlsx.columns);
+    // rows with no cells are skipped, and are still counted so that row numbers match the sheet
+    const getRow = (line, rowIndex, errors) => {
+        return line.length === 0 ? null : parseRow(line, rowIndex, errors);
+    };
+    
+    return getRows(xlsx.lines, getRow, xlsx.errorMode);
+}
+
+/**
+ * Converts fixed-width text into an array of objects, in the same way as fromCSV, where each column
+ * is a field with the width of the column. Padding is removed from values before they are parsed,
+ * and blank lines are skipped.
+ * @param {String} text - The fixed-width text.
+ * @param {Column[]} columns - An array containing columns, which each must have a width. Columns without a key are skipped.
+ * @param {Object} [options={}] - Parsing options.
+ * @param {Boolean} [options.includeHeader] - Whether the text has a header or not, the first line will be skipped if this is set to true.
+ * @param {Boolean} [options.includeEmptyValues] - Whether to assign empty values to object or not.
+ * @param {String} [options.lineLength='loose'] - How lines which are not as long as the widths of the columns added together are handled, either "strict" to raise a LineLengthError, or "loose" to read short lines as if they were padded and ignore text past the last column.
+ * @param {String} [options.extraCells] - The key to assign an array containing the text past the last column to.
+ * @param {Boolean} [options.unflatten=true] - Whether keys are paths to nested values, such as "customer.address.city" or "items[0].sku".
+ * @param {String} [options.errorMode='throw'] - What to do when a value cannot be parsed, either "throw" to throw the first error, or "collect" to return every error along with the rows which had none.
+ * @param {function(String[], Number): (String[]|null|undefined)} [options.beforeRow] - Function called with the values of the fields of each line and its one-based row number before they are parsed, which returns values to parse instead of them, or null to skip the line.
+ * @param {function(Object, String[]): (Object|null|undefined)} [options.afterRow] - Function called with each object and the values it was parsed from, which returns an object to use instead of it, or null to skip it.
+ * @param {RowValidator} [options.validateRow] - Function for checking each object against rules which involve more than one value. It is called after the values of the object are checked and before afterRow.
+ * @returns {(Object[]|ParseResult<Column>)} Array of objects, or an object with the rows and errors if errorMode is "collect".
+ * @throws {CellError} When a value cannot be parsed and errorMode is "throw".
+ * @public
+ * @memberof salsacsv
+ *
+ * @example
+ * fromFixedWidth('1234    0000000529', [
+ *     {
+ *         key: 'account',
+ *         width: 8
+ *     },
+ *     {
+ *         key: 'amount',
+ *         width: 10,
+ *         align: 'right',
+ *         pad: '0',
+ *         parser: parseInt
+ *     }
+ * ]);
+ * // [{ account: '1234', amount: 529 }]
+ */
+function fromFixedWidth(text, columns, options = {}) {
+    if (typeof text !== 'string') {
+        throw new Error('First argument is not a string');
+    }
+    
+    const {lineLength = 'loose', includeHeader} = options;
+    
+    if (!['strict', 'loose'].includes(lineLength)) {
+        throw new Error(`Unknown lineLength ${lineLength}`);
+    }
+    
+    columns = getFixedWidthColumns(columns);
+    
+    const expectedLength = columns.reduce((length, column) => length + column.width, 0);
+    const startIndex = includeHeader ? 1 : 0;
+    const textLines = text.split(/\r\n|\n|\r/);
+    const fixedWidth = readLines(textLines.map((line) => splitFixedWidthLine(line, columns)), columns, Object.assign({}, options, {
+        // fields are always matched by position, and short lines are read as if they were padded
+        matchBy: 'position',
+        columnCount: 'pad'
+    }));
+    const parseRow = fixedWidth.createGetRow(fixedWidth.columns);
+    const getRow = (line, rowIndex, errors = null) => {
+        const textLine = textLines[rowIndex + startIndex];
+        
+        if (textLine.trim() === '') {
+            // blank lines are skipped, and are still counted so that row numbers match the text
+            return null;
+        }
+        
+        if (lineLength === 'strict' && textLine.length !== expectedLength) {
+            const error = createLineLengthError(textLine, columns, rowIndex + startIndex + 1);
+            
+            if (errors === null) {
+                throw error;
+            }
+            
+            errors.push(error);
+            
+            return {};
+        }
+        
+        return parseRow(line, rowIndex, errors);
+    };
+    
+    return getRows(fixedWidth.lines, getRow, fixedWidth.errorMode);
+}
+
+/**
+ * Creates an error for a line of fixed-width text which is too short or too long.
+ * @param {String} line - The line.
+ * @param {Column[]} columns - An array containing columns.
+ * @param {Number} row - One-based row number.
+ * @returns {LineLengthError} The error, for the field the line ends in, or the text past the last field.
+ * @private
  */
-function toCSV(rows, columns, options = {}) {
-    if (!Array.isArray(rows)) {
-        throw new Error('First argument is not an array');
+function createLineLengthError(line, columns, row) {
+    let position = 0;
+    let columnIndex = 0;
+    
+    // find the field the line ends in
+    while (columnIndex < columns.length && position + columns[columnIndex].width <= line.length) {
+        position += columns[columnIndex].width;
+        columnIndex++;
+    }
+    
+    const column = columns[columnIndex] || {};
+    
+    return new LineLengthError({
+        row,
+        column: columnIndex,
+        key: column.key,
+        header: column.header,
+        value: line.slice(position)
+    }, {
+        expected: position + columns.slice(columnIndex).reduce((length, column) => length + column.width, 0),
+        actual: line.length
+    });
+}
+
+/**
+ * Reads the lines of a CSV string and gets the columns for converting them into objects.
+ * @param {(String|Buffer)} csvStr - CSV string or buffer.
+ * @param {Column[]} [columns] - An array containing columns. Columns are detected from the CSV string if not given.
+ * @param {Object} [options={}] - Parsing options.
+ * @returns {Object} Object with the lines after the header, the columns, the errorMode, and a "createGetRow" function which creates a row parser for the given columns.
+ * @private
+ */
+function readCSV(csvStr, columns, options = {}) {
+    const csv = readSepLine(decodeCSV(csvStr, options), options);
+    
+    csvStr = csv.csvStr;
+    options = csv.options;
+    
+    // sniff the dialect if the delimiter is "auto"
+    options = resolveMatchByHeader(resolveAutoDelimiter(csvStr, options));
+    
+    if (!columns && options.inferTypes) {
+        // infer our columns from a sample of lines
+        columns = inferColumns(csvStr, options);
+        options = Object.assign({
+            unflatten: false
+        }, options);
+    }
+    
+    // convert the CSV string into an array of arrays for each line
+    return readLines(csvToArray(csvStr, getDialect(options)), columns, options);
+}
+
+/**
+ * Decodes CSV from a buffer in the encoding given in options, or in the encoding of its byte order
+ * mark. Buffers without a byte order mark are read as UTF-16LE if they have its zero bytes, and
+ * otherwise as UTF-8, or as Windows-1252 if they are not valid UTF-8. The byte order mark is
+ * removed from buffers and strings.
+ * @param {(String|Buffer)} csv - CSV string or buffer.
+ * @param {Object} options - Parsing options.
+ * @param {String} [options.encoding='auto'] - The encoding of the buffer, either "utf8", "utf16le", "windows-1252" or "auto".
+ * @returns {String} CSV string.
+ * @throws {Error} When the CSV is not a string or buffer, or the encoding is unknown.
+ * @private
+ */
+function decodeCSV(csv, options) {
+    const {encoding = 'auto'} = options;
+    
+    if (typeof csv === 'string') {
+        return csv.startsWith(BYTE_ORDER_MARK) ? csv.slice(BYTE_ORDER_MARK.length) : csv;
+    }
+    
+    if (!Buffer.isBuffer(csv)) {
+        throw new Error('First argument is not a string or buffer');
+    }
+    
+    if (encoding !== 'auto' && !ENCODINGS.includes(encoding)) {
+        throw new Error(`Unknown encoding ${encoding}`);
+    }
+    
+    let buffer = csv;
+    let name = encoding;
+    
+    if (name === 'auto') {
+        name = findByteOrderMark(buffer) || (hasUTF16Bytes(buffer) ? 'utf16le' : (
+            // invalid sequences are replaced when decoding, so they are not encoded to the same bytes
+            Buffer.from(buffer.toString('utf8'), 'utf8').equals(buffer) ? 'utf8' : 'windows-1252'
+        ));
+    }
+    
+    if (findByteOrderMark(buffer) === name) {
+        buffer = buffer.slice(BYTE_ORDER_MARKS[name].length);
+    }
+    
+    if (name === 'windows-1252') {
+        return decodeWindows1252(buffer);
+    }
+    
+    return buffer.toString(name);
+}
+
+/**
+ * Finds the encoding of the byte order mark at the start of a buffer.
+ * @param {Buffer} buffer - Buffer.
+ * @returns {(String|undefined)} The encoding, or undefined if the buffer does not start with a byte order mark.
+ * @private
+ */
+function findByteOrderMark(buffer) {
+    return Object.keys(BYTE_ORDER_MARKS).find((name) => {
+        const bytes = BYTE_ORDER_MARKS[name];
+        
+        return buffer.slice(0, bytes.length).equals(bytes);
+    });
+}
+
+/**
+ * Checks whether a buffer looks like UTF-16LE without a byte order mark. Most characters in CSV,
+ * such as delimiters, quotes and line breaks, are ASCII, which is followed by a zero byte in the
+ * encoding, and text in UTF-8 or Windows-1252 does not have zero bytes.
+ * @param {Buffer} buffer - Buffer.
+ * @returns {Boolean} Whether more than half of the characters have a zero byte at an odd offset.
+ * @private
+ */
+function hasUTF16Bytes(buffer) {
+    const charCount = Math.floor(buffer.length / 2);
+    let zeroCount = 0;
+    
+    for (let i = 1; i < buffer.length; i += 2) {
+        if (buffer[i] === 0) {
+            zeroCount++;
+        }
+    }
+    
+    return charCount > 0 && zeroCount * 2 > charCount;
+}
+
+/**
+ * Decodes a buffer in Windows-1252.
+ * @param {Buffer} buffer - Buffer.
+ * @returns {String} The decoded string.
+ * @private
+ */
+function decodeWindows1252(buffer) {
+    return Array.from(buffer, (byte) => {
+        const isDifferent = Boolean(
+            byte >= 0x80 &&
+            byte <= 0x9F
+        );
+        
+        // every other byte is the same as Latin-1
+        return String.fromCharCode(isDifferent ? WINDOWS_1252_CODE_POINTS[byte - 0x80] : byte);
+    }).join('');
+}
+
+/**
+ * Creates a decoder for CSV which is read in chunks, such as from a stream, in the same way as
+ * decodeCSV. When the encoding is "auto", it is taken from the byte order mark at the start of the
+ * first buffer, and is UTF-16LE if there is none and the first bytes have its zero bytes, or UTF-8
+ * otherwise, as Windows-1252 can only be told apart from UTF-8 using the whole CSV. The byte order
+ * mark is removed from buffers and strings.
+ * @param {Object} options - Parsing options.
+ * @param {String} [options.encoding='auto'] - The encoding of buffers, either "utf8", "utf16le", "windows-1252" or "auto".
+ * @returns {Object} Object with a "write" function for decoding a chunk and an "end" function for ending the CSV, each returning the text which was decoded.
+ * @throws {Error} When the encoding is unknown.
+ * @private
+ */
+function createChunkDecoder(options) {
+    const {encoding = 'auto'} = options;
+    
+    if (encoding !== 'auto' && !ENCODINGS.includes(encoding)) {
+        throw new Error(`Unknown encoding ${encoding}`);
+    }
+    
+    // bytes are held here until there are enough of them to find the encoding
+    let buffered = Buffer.alloc(0);
+    // this is created once we know our encoding
+    let decoder = null;
+    // the byte order mark is only removed from the start of the CSV
+    let isStart = true;
+    const removeByteOrderMark = (str) => {
+        if (isStart && str.length > 0) {
+            isStart = false;
+            
+            return str.startsWith(BYTE_ORDER_MARK) ? str.slice(BYTE_ORDER_MARK.length) : str;
+        }
+        
+        return str;
+    };
+    const begin = () => {
+        const name = encoding === 'auto' ? findByteOrderMark(buffered) || (hasUTF16Bytes(buffered) ? 'utf16le' : 'utf8') : encoding;
+        
+        // each byte is a character in Windows-1252, so no bytes need to be held on to
+        decoder = name === 'windows-1252' ? {
+            write: decodeWindows1252,
+            end: () => ''
+        } : new StringDecoder(name);
+        
+        return decoder.write(buffered);
+    };
+    const write = (chunk) => {
+        if (typeof chunk === 'string') {
+            return removeByteOrderMark(chunk);
+        }
+        
+        if (decoder === null) {
+            buffered = Buffer.concat([buffered, chunk]);
+            
+            // the longest byte order mark is three bytes long, and four bytes hold two UTF-16 characters
+            if (buffered.length < 4) {
+                // wait for more bytes
+                return '';
+            }
+            
+            return removeByteOrderMark(begin());
+        }
+        
+        return removeByteOrderMark(decoder.write(chunk));
+    };
+    const end = () => {
+        const str = decoder === null ? begin() : '';
+        
+        // the decoder may be holding on to an incomplete character
+        return removeByteOrderMark(str + decoder.end());
+    };
+    
+    return {
+        write,
+        end
+    };
+}
+
+/**
+ * Removes the "sep=" line, which is written when sepLine is set, from the start of a CSV string if
+ * sepLine is set in options. Excel reads the delimiter from this line, and so do we unless a
+ * delimiter is given in options.
+ * @param {String} csvStr - CSV string.
+ * @param {Object} options - Parsing options.
+ * @param {String} [options.delimiter] - The delimiter of the CSV string.
+ * @param {Boolean} [options.sepLine] - Whether the CSV string starts with a "sep=" line.
+ * @returns {{csvStr: String, options: Object}} Object with the CSV string after the "sep=" line, and the options to read it with.
+ * @private
+ */
+function readSepLine(csvStr, options) {
+    // the line gives a delimiter of a single character, like the ones toCSV writes
+    const match = options.sepLine ? /^sep=(.)(\r\n|\n|\r)/.exec(csvStr) : null;
+    
+    if (match === null) {
+        return {
+            csvStr,
+            options
+        };
+    }
+    
+    return {
+        csvStr: csvStr.slice(match[0].length),
+        options: options.delimiter === undefined ? Object.assign({}, options, {
+            delimiter: match[1]
+        }) : options
+    };
+}
+
+/**
+ * Gets the options for reading lines, where the first line is always the header when matching
+ * columns by header.
+ * @param {Object} options - Parsing options.
+ * @returns {Object} Parsing options.
+ * @private
+ */
+function resolveMatchByHeader(options) {
+    if (getMatchBy(options) === 'header') {
+        return Object.assign({}, options, {
+            includeHeader: true
+        });
+    }
+    
+    return options;
+}
+
+/**
+ * Gets the columns for converting lines of cells into objects, which are read from CSV or XLSX.
+ * @param {Array[]} allLines - The cells of every line, including the header.
+ * @param {Column[]} [columns] - An array containing columns. Columns are detected from the first line if not given.
+ * @param {Object} [options={}] - Parsing options.
+ * @returns {Object} Object with the lines after the header, the columns, the errorMode, and a "createGetRow" function which creates a row parser for the given columns and options to override.
+ * @private
+ */
+function readLines(allLines, columns, options = {}) {
+    options = resolveMatchByHeader(options);
+    
+    const matchBy = getMatchBy(options);
+    const {errorMode = 'throw', includeHeader} = options;
+    const startIndex = includeHeader ? 1 : 0;
+    
+    if (!['throw', 'collect'].includes(errorMode)) {
+        throw new Error(`Unknown errorMode ${errorMode}`);
     }
     
     if (!columns) {
-        columns = detectColumnsFromJSON(rows, options);
+        // take our columns from the first line
+        columns = detectColumnsFromLine(allLines[0] || [], options);
+        // headers are used as keys as they are unless specified in options
+        options = Object.assign({
+            unflatten: false
+        }, options);
     } else {
         // firstly, format columns into the proper format
         columns = columns.map(detectColumn);
     }
     
-    const {includeHeader} = options;
-    const delimiter = options.delimiter || ',';
-    const startIndex = includeHeader ? 1 : 0;
-    const getLine = (obj, rowIndex) => {
-        const processColumn = (column, columnIndex) => {
-            // the column is invalid
-            if (column == null) {
-                // empty cell
-                return '';
+    // find the cell for each column when matching by header
+    const cellIndexes = matchBy === 'header' ? matchColumnsToHeader(columns, allLines[0] || [], options) : null;
+    // lines should have as many cells as the header when matching by header
+    const cellCount = matchBy === 'header' ? (allLines[0] || []).length : null;
+    // this will skip the first line if includeHeader is true
+    const lines = allLines.slice(startIndex);
+    
+    return {
+        lines,
+        columns,
+        errorMode,
+        createGetRow: (rowColumns, rowOptions) => {
+            return createRowParser(rowColumns, Object.assign({}, options, rowOptions), cellIndexes, cellCount);
+        }
+    };
+}
+
+/**
+ * Converts lines of cells into objects.
+ * @param {Array<String[]>} lines - Lines of cells.
+ * @param {function(String[], Number, CellError[]=): Object} getRow - Row parser.
+ * @param {String} errorMode - Either "throw" or "collect".
+ * @returns {*} Array of objects, or a result containing the rows and errors if errorMode is "collect", which the functions calling this type using their columns and errorMode.
+ * @private
+ */
+function getRows(lines, getRow, errorMode) {
+    if (errorMode === 'collect') {
+        const errors = [];
+        const rows = [];
+        
+        lines.forEach((line, rowIndex) => {
+            const errorCount = errors.length;
+            const row = getRow(line, rowIndex, errors);
+            
+            // rows with errors are left out
+            if (errors.length === errorCount && row !== null) {
+                rows.push(row);
             }
+        });
+        
+        return {
+            rows,
+            errors
+        };
+    }
+    
+    const rows = lines
+        .map((line, rowIndex) => getRow(line, rowIndex))
+        // rows skipped by hooks are null
+        .filter((row) => row !== null);
+    
+    return rows;
+}
+
+/**
+ * Infers columns from a CSV string by looking at a sample of its lines. The type of each column is
+ * either an integer, a number, a boolean or an ISO 8601 date using types, or text. Empty values of
+ * typed columns, and of columns where every value in the sample is empty, are parsed as null.
+ *
+ * The columns can be given to fromCSV and toCSV, or changed and saved for later.
+ * @param {(String|Buffer)} csvStr - CSV string, or a buffer which is decoded using the encoding option. A byte order mark at the start is removed.
+ * @param {Object} [options={}] - Parsing options.
+ * @param {Boolean} [options.includeHeader] - Whether the CSV has a header or not. Headers are used as keys if it does.
+ * @param {String} [options.delimiter=','] - The delimiter of the CSV string. Use "auto" to sniff the dialect of the CSV string, which also sets includeHeader if it is not given. The delimiter is taken from the "sep=" line when sepLine is set and this is not given.
+ * @param {Boolean} [options.sepLine] - Whether the CSV string starts with a line such as "sep=,", which is written by toCSV when its sepLine option is set. The line is removed, and gives the delimiter if one is not given.
+ * @param {(String|Dialect)} [options.dialect] - The dialect of the CSV string, either the name of one of the dialects or a dialect object. The delimiter option takes precedence over the delimiter of the dialect.
+ * @param {(String|String[]|function(String, Number): String)} [options.headerTransform] - How headers are turned into keys, see fromCSV.
+ * @param {String} [options.duplicateHeaders] - What to do with headers which have the same key, see fromCSV.
+ * @param {Number} [options.sampleSize=100] - The number of lines to look at, not including the header.
+ * @param {String} [options.encoding='auto'] - The encoding of a buffer, either "utf8", "utf16le" or "windows-1252". When this is "auto", the encoding is taken from the byte order mark, and buffers without one are read as UTF-16LE if most of their characters have a zero byte after them, as UTF-8, or as Windows-1252 if they are not valid UTF-8.
+ * @returns {Column[]} Array of columns.
+ * @public
+ * @memberof salsacsv
+ *
+ * @example
+ * inferColumns('"Name","Price","In Stock"\n"Cat Chow",5.29,true', {
+ *     includeHeader: true
+ * });
+ * // [
+ * //     { header: 'Name', key: 'Name' },
+ * //     { header: 'Price', key: 'Price', type: 'number', parser: [Function], converter: [Function], parseEmpty: true },
+ * //     { header: 'In Stock', key: 'In Stock', type: 'boolean', parser: [Function], converter: [Function], parseEmpty: true }
+ * // ]
+ */
+function inferColumns(csvStr, options = {}) {
+    const csv = readSepLine(decodeCSV(csvStr, options), options);
+    
+    csvStr = csv.csvStr;
+    options = csv.options;
+    
+    // sniff the dialect if the delimiter is "auto"
+    options = resolveAutoDelimiter(csvStr, options);
+    
+    const {includeHeader, sampleSize = 100} = options;
+    const dialect = getDialect(options);
+    const startIndex = includeHeader ? 1 : 0;
+    const lines = csvToArray(csvStr, Object.assign({}, dialect, {
+        maxLines: sampleSize + startIndex
+    }));
+    const sample = lines.slice(startIndex);
+    const columns = detectColumnsFromLine(lines[0] || [], options);
+    
+    return columns.map((column, columnIndex) => {
+        if (column === null) {
+            // the header is empty
+            return null;
+        }
+        
+        const inferred = Object.assign({}, column);
+        const values = sample.map((line) => line[columnIndex]);
+        const type = inferColumnType(values);
+        const isEmpty = values.every((value) => !value);
+        
+        if (type === null && !isEmpty) {
+            // values are text
+            return inferred;
+        }
+        
+        const parser = type ? type.parser : (value) => value;
+        
+        return Object.assign(inferred, type, {
+            // empty values are null
+            parser: (value, details) => value === '' ? null : parser(value, details),
+            parseEmpty: true
+        });
+    });
+}
+
+/**
+ * Guesses the dialect of a CSV string by looking at a sample of lines from the start of it.
+ *
+ * Each combination of delimiter (",", ";", tab and "|") and quote character ('"' and "'") is
+ * tried, and the one which splits the lines into the most consistent number of cells is chosen.
+ * The result can be given as the dialect option when parsing. Setting the delimiter option to
+ * "auto" does this automatically.
+ * @param {String} csvStr - CSV string.
+ * @returns {SniffedDialect} The detected dialect.
+ * @public
+ * @memberof salsacsv
+ *
+ * @example
+ * sniff('Name;Price\nCat Chow;5,29\nPizza;6,99');
+ * // { delimiter: ';', quote: '"', escape: '"', lineTerminator: '\n', hasHeader: true }
+ * @example
+ * // sniff the dialect automatically
+ * fromCSV('Name;Price\nCat Chow;5,29\nPizza;6,99', null, {
+ *     delimiter: 'auto'
+ * });
+ * // [{ Name: 'Cat Chow', Price: '5,29' }, { Name: 'Pizza', Price: '6,99' }]
+ */
+function sniff(csvStr) {
+    if (typeof csvStr !== 'string') {
+        throw new Error('First argument is not a string');
+    }
+    
+    const sample = csvStr.slice(0, SNIFF_SAMPLE_SIZE.characters);
+    const isComplete = sample.length === csvStr.length;
+    const candidates = [];
+    
+    SNIFF_DELIMITERS.forEach((delimiter) => {
+        SNIFF_QUOTES.forEach((quote) => {
+            const lines = splitSample(sample, {
+                delimiter,
+                quote,
+                escape: quote
+            }, isComplete);
             
-            const {key, converter} = column;
-            let cellValue = obj[key];
-            
-            if (typeof converter === 'function') {
-                // convert the cell value
-                cellValue = converter(cellValue, {
-                    obj,
-                    key,
-                    row: rowIndex + startIndex + 1,
-                    column: columnIndex
-                });
+            if (lines === null || lines.length === 0) {
+                // the sample could not be read this way
+                return;
             }
             
-            const canClear = Boolean(
-                // cell value is null or undefined
-                cellValue == null ||
-                // cell value is an object
-                typeof cellValue === 'object'
-            );
+            // count the lines for each number of cells
+            const frequencies = lines.reduce((frequencies, line) => {
+                frequencies[line.length] = (frequencies[line.length] || 0) + 1;
+                
+                return frequencies;
+            }, {});
+            // the most common number of cells
+            const [cellCount] = Object.keys(frequencies).map(Number).sort((a, b) => {
+                return frequencies[b] - frequencies[a] || b - a;
+            });
             
-            // we do not want to store these values to plain text
-            if (canClear) {
-                // make it an empty string instead
-                cellValue = '';
+            candidates.push({
+                delimiter,
+                quote,
+                lines,
+                cellCount,
+                // how many lines have the most common number of cells
+                consistency: frequencies[cellCount] / lines.length,
+                quotedCellCount: countQuotedCells(sample, delimiter, quote)
+            });
+        });
+    });
+    
+    // candidates which split lines into more than one cell are preferred
+    // the order of candidates is kept for ties, as the sort is stable
+    const [best] = candidates.sort((a, b) => {
+        return (
+            Number(b.cellCount > 1) - Number(a.cellCount > 1) ||
+            b.consistency - a.consistency ||
+            b.cellCount - a.cellCount ||
+            b.quotedCellCount - a.quotedCellCount
+        );
+    });
+    const delimiter = best ? best.delimiter : DEFAULT_DIALECT.delimiter;
+    const quote = best ? best.quote : DEFAULT_DIALECT.quote;
+    
+    return {
+        delimiter,
+        quote,
+        escape: quote,
+        lineTerminator: detectLineTerminator(sample),
+        hasHeader: best ? detectHeader(best.lines) : false
+    };
+}
+
+/**
+ * Creates a transform stream which converts objects into CSV text. Objects are written to the
+ * stream and lines of CSV are read from it, using the same rules as toCSV. The text read from the
+ * stream is the same as what toCSV would return for the same objects.
+ * @param {Column[]} [columns] - An array containing columns. Columns are detected from the first object if not given.
+ * @param {Object} [options={}] - Formatting options.
+ * @param {Boolean} [options.includeHeader] - Whether the CSV has a header or not.
+ * @param {String} [options.delimiter=','] - The delimiter for the CSV string.
+ * @param {(String|Dialect)} [options.dialect] - The dialect for the CSV string, either the name of one of the dialects or a dialect object. The delimiter option takes precedence over the delimiter of the dialect.
+ * @param {Boolean} [options.flatten] - Whether to flatten nested objects and arrays into columns with path keys, such as "customer.address.city" or "items[0].sku", when columns are not given.
+ * @param {Boolean} [options.sanitizeFormulas=true] - Whether to neutralize values which spreadsheet applications would read as formulas, such as "=HYPERLINK(...)", "+cmd" or SUM(...) prefixed with an at sign, by placing a single quote before them. Columns with formula set to true are not sanitized.
+ * @param {String} [options.quote='auto'] - How columns without their own quote setting are quoted, either "auto" to quote values using the quoting of the dialect, "always" to quote every value, or "never" to only quote values which contain delimiters, quotes or line breaks.
+ * @param {function(String): Boolean} [options.isLiteral=isSpreadsheetLiteral] - Function which checks whether a string is read as a value, such as a date, by spreadsheet applications. Strings which are literals are not quoted when the dialect quotes strings.
+ * @param {function(Object): (Object|null|undefined)} [options.beforeRow] - Function called with each object before it is written, which returns an object to write instead of it, or null to leave it out. Objects which are left out are not counted in row numbers.
+ * @returns {Transform} Transform stream in object mode on its writable side.
+ * @public
+ * @memberof salsacsv
+ *
+ * @example
+ * ordersCursor
+ *     .pipe(createFormatStream(columns, {
+ *         includeHeader: true
+ *     }))
+ *     .pipe(fs.createWriteStream('orders.csv'));
+ */
+function createFormatStream(columns, options = {}) {
+    const formatter = createCSVFormatter(columns, options);
+    
+    return new Transform({
+        writableObjectMode: true,
+        transform(obj, encoding, callback) {
+            let str;
+            
+            try {
+                str = formatter.write(obj);
+            } catch (error) {
+                return callback(error);
             }
             
-            // whether the cell value should be escaped or not
-            const shouldEscape = Boolean(
-                // strings shoyld be escaped
-                typeof cellValue === 'string' &&
-                // but only if the string is not empty
-                cellValue.length > 0 &&
-                // and is not a formula
-                !/^=/.test(cellValue) &&
-                // and also does not look like a date
-                // TODO probably use a more comprehensive date pattern test
-                !/^\d+[-\/]\d+[-\/]\d+$/.test(cellValue)
-            );
+            callback(null, str);
+        },
+        flush(callback) {
+            let str;
             
-            if (shouldEscape) {
-                // escape strings
-                cellValue = escapeCSV(cellValue);
+            try {
+                str = formatter.end();
+            } catch (error) {
+                return callback(error);
             }
             
-            return cellValue;
-        };
-        // collect line from columns
-        const result = columns
-            .map(processColumn)
-            .join(delimiter);
+            callback(null, str);
+        }
+    });
+}
+
+/**
+ * Converts objects from an object stream, async iterable or iterable into CSV text. Objects are
+ * only read from the source as lines are consumed.
+ * @param {(AsyncIterable<Object>|Iterable<Object>)} rows - Object stream or iterable of objects to form rows from.
+ * @param {Column[]} [columns] - An array containing columns. Columns are detected from the first object if not given.
+ * @param {Object} [options={}] - Formatting options.
+ * @param {Boolean} [options.includeHeader] - Whether the CSV has a header or not.
+ * @param {String} [options.delimiter=','] - The delimiter for the CSV string.
+ * @param {(String|Dialect)} [options.dialect] - The dialect for the CSV string, either the name of one of the dialects or a dialect object. The delimiter option takes precedence over the delimiter of the dialect.
+ * @param {Boolean} [options.flatten] - Whether to flatten nested objects and arrays into columns with path keys, such as "customer.address.city" or "items[0].sku", when columns are not given.
+ * @param {Boolean} [options.sanitizeFormulas=true] - Whether to neutralize values which spreadsheet applications would read as formulas, such as "=HYPERLINK(...)", "+cmd" or SUM(...) prefixed with an at sign, by placing a single quote before them. Columns with formula set to true are not sanitized.
+ * @param {String} [options.quote='auto'] - How columns without their own quote setting are quoted, either "auto" to quote values using the quoting of the dialect, "always" to quote every value, or "never" to only quote values which contain delimiters, quotes or line breaks.
+ * @param {function(String): Boolean} [options.isLiteral=isSpreadsheetLiteral] - Function which checks whether a string is read as a value, such as a date, by spreadsheet applications. Strings which are literals are not quoted when the dialect quotes strings.
+ * @param {function(Object): (Object|null|undefined)} [options.beforeRow] - Function called with each object before it is written, which returns an object to write instead of it, or null to leave it out. Objects which are left out are not counted in row numbers.
+ * @returns {AsyncIterableIterator<String>} Async iterator of CSV text, one line at a time.
+ * @public
+ * @memberof salsacsv
+ *
+ * @example
+ * // stream the results of a database cursor into a file
+ * Readable.from(formatAsync(ordersCursor, columns))
+ *     .pipe(fs.createWriteStream('orders.csv'));
+ */
+async function* formatAsync(rows, columns, options = {}) {
+    const formatter = createCSVFormatter(columns, options);
+    
+    for await (const obj of rows) {
+        const str = formatter.write(obj);
         
-        return result;
-    };
-    // build our lines
-    let lines = rows.map(getLine);
+        if (str.length > 0) {
+            yield str;
+        }
+    }
+    
+    const str = formatter.end();
+    
+    if (str.length > 0) {
+        yield str;
+    }
+}
+
+/**
+ * Creates a transform stream which parses CSV text into objects. Buffers or strings are written
+ * to the stream and objects are read from it, using the same rules as fromCSV.
+ * @param {Column[]} [columns] - An array containing columns. Columns are detected from the first line if not given.
+ * @param {Object} [options={}] - Parsing options.
+ * @param {Boolean} [options.includeHeader] - Whether the CSV has a header or not.
+ * @param {Boolean} [options.includeEmptyValues] - Whether to assign empty values to object or not.
+ * @param {String} [options.delimiter=','] - The delimiter of the CSV string. Use "auto" to sniff the dialect of the CSV string, which also sets includeHeader if it is not given.
+ * @param {(String|Dialect)} [options.dialect] - The dialect of the CSV string, either the name of one of the dialects or a dialect object. The delimiter option takes precedence over the delimiter of the dialect.
+ * @param {String} [options.matchBy='position'] - How columns are matched to cells, either "position" to match columns to cells in the same order, or "header" to match the header and aliases of each column to the header line of the CSV string, ignoring case and whitespace. The first line is always read as the header when matching by header.
+ * @param {String} [options.extraHeaders='ignore'] - What to do with headers which do not match any column when matching by header, either "ignore" or "error".
+ * @param {Boolean} [options.unflatten] - Whether keys are paths to nested values, such as "customer.address.city" or "items[0].sku", which are built into nested objects. This is true by default when columns are given, and false when columns are taken from the header.
+ * @param {String} [options.columnCount='truncate'] - How lines with a different number of cells than there are columns are handled, or than there are headers when matching by header. Either "strict" to raise a ColumnCountError, "pad" to read missing cells as empty values, or "truncate" to ignore extra cells and leave values for missing cells out.
+ * @param {String} [options.extraCells] - The key to assign an array of any cells past the last column to, such as "_extra". Extra cells are ignored if this is not given.
+ * @param {(String|String[]|function(String, Number): String)} [options.headerTransform] - How headers are turned into keys when columns are taken from the header, either "camelCase", "snake_case", "trim" or "lowercase", an array of these which are applied in order, or a function which takes a header and its index and returns a key.
+ * @param {String} [options.duplicateHeaders] - What to do with headers which have the same key when columns are taken from the header, either "error" to throw an error, "suffix" to add a number to each repeated key such as "notes_2", or "array" to collect their values into an array. The last value is kept if this is not given.
+ * @param {function(String[], Number): (String[]|null|undefined)} [options.beforeRow] - Function called with the raw cells of each line and its one-based row number before they are parsed, which returns cells to parse instead of them, or null to skip the line.
+ * @param {function(Object, String[]): (Object|null|undefined)} [options.afterRow] - Function called with each object and the raw cells it was parsed from, which returns an object to use instead of it, or null to skip it.
+ * @param {RowValidator} [options.validateRow] - Function for checking each object against rules which involve more than one value, such as an end date being after a start date. It is called after the values of the object are checked and before afterRow.
+ * @param {String} [options.encoding='auto'] - The encoding of buffers, either "utf8", "utf16le" or "windows-1252". When this is "auto", the encoding is taken from the byte order mark at the start of the first buffer, and buffers without one are read as UTF-16LE if their first characters have a zero byte after them, or as UTF-8.
+ * @returns {Transform} Transform stream in object mode on its readable side.
+ * @public
+ * @memberof salsacsv
+ *
+ * @example
+ * fs.createReadStream('orders.csv')
+ *     .pipe(createParseStream(columns, {
+ *         includeHeader: true
+ *     }))
+ *     .on('data', (order) => {
+ *         console.log(order);
+ *     });
+ */
+function createParseStream(columns, options = {}) {
+    const parser = createCSVParser(columns, options);
+    const decoder = createChunkDecoder(options);
     
-    // we want to include the header
-    if (includeHeader) {
-        // build the header
-        const header = columns.map((column) => {
-            const header = (
-                column &&
-                column.header
-            );
+    return new Transform({
+        // strings are given to us as they are written
+        decodeStrings: false,
+        readableObjectMode: true,
+        transform(chunk, encoding, callback) {
+            let rows;
             
-            if (typeof header === 'string' && header.length > 0) {
-                return escapeCSV(header);
-            } else {
-                return '';
+            try {
+                rows = parser.write(decoder.write(chunk));
+            } catch (error) {
+                return callback(error);
             }
-        }).join(delimiter);
-        
-        // include the header before the lines
-        lines = [header, ...lines];
-    }
-    
-    // tie the lines together with line breaks
-    const result = lines.join('\n');
-    
-    // all done, don't we feel accomplished?
-    // no? well, alright then...
-    return result;
+            
+            rows.forEach((row) => this.push(row));
+            callback();
+        },
+        flush(callback) {
+            let rows;
+            
+            try {
+                rows = [
+                    ...parser.write(decoder.end()),
+                    ...parser.end()
+                ];
+            } catch (error) {
+                return callback(error);
+            }
+            
+            rows.forEach((row) => this.push(row));
+            callback();
+        }
+    });
 }
 
-
 /**
- * Converts a CSV string into objects.
- * @param {String} csvStr - CSV string.
- * @param {Column[]} [columns=[]] - An array containing columns.
+ * Parses CSV text from a readable stream or an iterable of Buffers or strings. Rows are only
+ * read from the source as they are consumed.
+ * @param {(AsyncIterable<(Buffer|String)>|Iterable<(Buffer|String)>)} readable - Readable stream or iterable of chunks.
+ * @param {Column[]} [columns] - An array containing columns. Columns are detected from the first line if not given.
  * @param {Object} [options={}] - Parsing options.
  * @param {Boolean} [options.includeHeader] - Whether the CSV has a header or not.
  * @param {Boolean} [options.includeEmptyValues] - Whether to assign empty values to object or not.
- * @param {String} [options.delimiter=','] - The delimiter of the CSV string.
- * @returns {Object[]} Array of objects.
+ * @param {String} [options.delimiter=','] - The delimiter of the CSV string. Use "auto" to sniff the dialect of the CSV string, which also sets includeHeader if it is not given.
+ * @param {(String|Dialect)} [options.dialect] - The dialect of the CSV string, either the name of one of the dialects or a dialect object. The delimiter option takes precedence over the delimiter of the dialect.
+ * @param {String} [options.matchBy='position'] - How columns are matched to cells, either "position" to match columns to cells in the same order, or "header" to match the header and aliases of each column to the header line of the CSV string, ignoring case and whitespace. The first line is always read as the header when matching by header.
+ * @param {String} [options.extraHeaders='ignore'] - What to do with headers which do not match any column when matching by header, either "ignore" or "error".
+ * @param {Boolean} [options.unflatten] - Whether keys are paths to nested values, such as "customer.address.city" or "items[0].sku", which are built into nested objects. This is true by default when columns are given, and false when columns are taken from the header.
+ * @param {String} [options.columnCount='truncate'] - How lines with a different number of cells than there are columns are handled, or than there are headers when matching by header. Either "strict" to raise a ColumnCountError, "pad" to read missing cells as empty values, or "truncate" to ignore extra cells and leave values for missing cells out.
+ * @param {String} [options.extraCells] - The key to assign an array of any cells past the last column to, such as "_extra". Extra cells are ignored if this is not given.
+ * @param {(String|String[]|function(String, Number): String)} [options.headerTransform] - How headers are turned into keys when columns are taken from the header, either "camelCase", "snake_case", "trim" or "lowercase", an array of these which are applied in order, or a function which takes a header and its index and returns a key.
+ * @param {String} [options.duplicateHeaders] - What to do with headers which have the same key when columns are taken from the header, either "error" to throw an error, "suffix" to add a number to each repeated key such as "notes_2", or "array" to collect their values into an array. The last value is kept if this is not given.
+ * @param {function(String[], Number): (String[]|null|undefined)} [options.beforeRow] - Function called with the raw cells of each line and its one-based row number before they are parsed, which returns cells to parse instead of them, or null to skip the line.
+ * @param {function(Object, String[]): (Object|null|undefined)} [options.afterRow] - Function called with each object and the raw cells it was parsed from, which returns an object to use instead of it, or null to skip it.
+ * @param {RowValidator} [options.validateRow] - Function for checking each object against rules which involve more than one value, such as an end date being after a start date. It is called after the values of the object are checked and before afterRow.
+ * @param {String} [options.encoding='auto'] - The encoding of buffers, either "utf8", "utf16le" or "windows-1252". When this is "auto", the encoding is taken from the byte order mark at the start of the first buffer, and buffers without one are read as UTF-16LE if their first characters have a zero byte after them, or as UTF-8.
+ * @returns {AsyncIterableIterator<Object>} Async iterator of objects.
  * @public
  * @memberof salsacsv
- * 
- * @example
- * fromCSV('"Name","Price"\n"Cat Chow",5.29', [
- *     {
- *         header: 'Name',
- *         key: 'name'
- *     },
- *     {
- *         header: 'Price',
- *         key: 'price',
- *         parser: (value) => Math.round(parseFloat(value) * 100)
- *     }
- * ], {
- *     includeHeader: true
- * });
- * // { name: 'Cat Chow', price: 529 }
- * @example
- * // using no column definitions
- * // there will be no type conversions if no parser is given, any returned values will be strings
- * fromCSV('"Cat Chow",5.29');
- * // { col1: 'Cat Chow', col2: '5.29' }
+ *
  * @example
- * // using no column definitions (use header as keys)
- * fromCSV('"Name","Price"\n"Cat Chow",5.29', null, {
- *     includeHeader: true
- * });
- * // { Name: 'Cat Chow', Price: '5.29' }
+ * for await (const order of parseAsync(fs.createReadStream('orders.csv'), columns)) {
+ *     console.log(order);
+ * }
  */
-function fromCSV(csvStr, columns, options = {}) {
-    if (typeof csvStr !== 'string') {
-        throw new Error('First argument is not a string');
-    }
+async function* parseAsync(readable, columns, options = {}) {
+    const parser = createCSVParser(columns, options);
+    const decoder = createChunkDecoder(options);
     
-    csvStr = csvStr
-        // clear lines that are empty
-        .replace(/\n{2,}/g, '\n')
-        // remove newlines at beginning and end of file
-        .replace(/(\n$|^\n)/, '');
+    for await (const chunk of readable) {
+        yield* parser.write(decoder.write(chunk));
+    }
     
-    const {includeEmptyValues, includeHeader} = options;
-    const delimiter = options.delimiter || ',';
+    yield* parser.write(decoder.end());
+    yield* parser.end();
+}
+
+/**
+ * Creates a formatter which converts objects into CSV text one at a time.
+ * @param {Column[]} [columns] - An array containing columns. Columns are detected from the first object if not given.
+ * @param {Object} [options={}] - Formatting options.
+ * @param {Boolean} [options.includeHeader] - Whether the CSV has a header or not.
+ * @param {String} [options.delimiter=','] - The delimiter for the CSV string.
+ * @param {(String|Dialect)} [options.dialect] - The dialect for the CSV string.
+ * @param {Boolean} [options.flatten] - Whether to flatten nested objects and arrays into columns when columns are not given.
+ * @param {Boolean} [options.sanitizeFormulas=true] - Whether to neutralize values which would be read as formulas.
+ * @param {String} [options.quote='auto'] - How columns are quoted, either "auto", "always" or "never".
+ * @param {function(String): Boolean} [options.isLiteral] - Function which checks whether a string is read as a value by spreadsheet applications.
+ * @param {function(Object): (Object|null|undefined)} [options.beforeRow] - Function called with each object before it is written.
+ * @returns {Object} Object with a "write" function for converting an object and an "end" function for ending the CSV, each returning the text to be output.
+ * @private
+ */
+function createCSVFormatter(columns, options = {}) {
+    const {includeHeader, beforeRow} = options;
+    const dialect = getDialect(options);
     const startIndex = includeHeader ? 1 : 0;
-    const useDefaultColumns = Boolean(
-        // no columns given
-        !columns &&
-        // csv string is not empty
-        csvStr.length > 0
-    );
+    // this is created once we know our columns
+    let getLine = null;
+    // the number of lines output, including the header
+    let lineCount = 0;
+    // each line is preceded by a line break, except for the first
+    const prefixLine = (line) => {
+        const str = lineCount > 0 ? dialect.lineTerminator + line : line;
+        
+        lineCount++;
+        
+        return str;
+    };
+    const begin = (obj) => {
+        if (!columns) {
+            // take our columns from the first object
+            columns = detectColumnsFromJSON([obj], options);
+        } else {
+            // firstly, format columns into the proper format
+            columns = columns.map(detectColumn);
+        }
+        
+        getLine = createLineFormatter(columns, options);
+        
+        return includeHeader ? prefixLine(formatHeader(columns, dialect)) : '';
+    };
+    const write = (obj) => {
+        if (typeof beforeRow === 'function') {
+            const changedObj = beforeRow(obj);
+            
+            if (changedObj === null) {
+                // leave this object out
+                return '';
+            } else if (changedObj !== undefined) {
+                obj = changedObj;
+            }
+        }
+        
+        const header = getLine === null ? begin(obj) : '';
+        
+        // the header is not included in the row index
+        return header + prefixLine(getLine(obj, lineCount - startIndex));
+    };
+    const end = () => {
+        // no objects were written, but we still know what our header is
+        if (getLine === null && columns) {
+            return begin();
+        }
+        
+        return '';
+    };
     
-    if (useDefaultColumns) {
-        columns = detectColumnsFromCSV(csvStr, options);
-    } else {
-        // firstly, format columns into the proper format
-        columns = columns.map(detectColumn);
-    }
+    return {
+        write,
+        end
+    };
+}
+
+/**
+ * Creates a parser which converts CSV text into objects as it is written to.
+ * @param {Column[]} [columns] - An array containing columns. Columns are detected from the first line if not given.
+ * @param {Object} [options={}] - Parsing options.
+ * @param {Boolean} [options.includeHeader] - Whether the CSV has a header or not.
+ * @param {Boolean} [options.includeEmptyValues] - Whether to assign empty values to object or not.
+ * @param {String} [options.delimiter=','] - The delimiter of the CSV string. Use "auto" to sniff the dialect of the CSV string, which also sets includeHeader if it is not given.
+ * @param {(String|Dialect)} [options.dialect] - The dialect of the CSV string.
+ * @param {String} [options.matchBy='position'] - Either "position" or "header".
+ * @param {String} [options.extraHeaders='ignore'] - Either "ignore" or "error".
+ * @param {Boolean} [options.unflatten] - Whether keys are paths to nested values.
+ * @param {String} [options.columnCount='truncate'] - Either "strict", "pad" or "truncate".
+ * @param {String} [options.extraCells] - The key to assign cells past the last column to.
+ * @param {(String|String[]|function(String, Number): String)} [options.headerTransform] - How headers are turned into keys.
+ * @param {String} [options.duplicateHeaders] - Either "error", "suffix" or "array".
+ * @param {function(String[], Number): (String[]|null|undefined)} [options.beforeRow] - Function called with the cells of each line before they are parsed.
+ * @param {function(Object, String[]): (Object|null|undefined)} [options.afterRow] - Function called with each object once it is parsed.
+ * @param {RowValidator} [options.validateRow] - Function for checking each object once it is parsed.
+ * @returns {Object} Object with a "write" function for writing text to the parser and an "end" function for ending it, each returning an array of objects that were completed.
+ * @private
+ */
+function createCSVParser(columns, options = {}) {
+    // when sniffing, text is held here until there is enough of it to sniff
+    let buffered = getDialect(options).delimiter === 'auto' ? '' : null;
+    // these are created once we know our dialect
+    let tokenizer = null;
+    let startIndex = 0;
+    // this is created once we know our columns
+    let getRow = null;
+    // the number of lines read, including the header
+    let lineCount = 0;
     
-    // this will skip the first line if includeHeader is true
-    // convert the CSV string into an array of arrays for each line
-    const csvLines = csvToArray(csvStr, delimiter).slice(startIndex);
-    const getRow = (line, rowIndex) => {
-        const processColumn = (result, column, columnIndex) => {
-            const validColumn = Boolean(
-                column != null &&
-                column.key
-            );
-            
-            // column is not valid for taking value from
-            if (!validColumn) {
-                // skip this column
-                return result;
+    const matchBy = getMatchBy(options);
+    
+    const begin = (sample) => {
+        // sniff the dialect if the delimiter is "auto"
+        options = resolveAutoDelimiter(sample, options);
+        
+        if (matchBy === 'header') {
+            // the first line is always the header when matching by header
+            options = Object.assign({}, options, {
+                includeHeader: true
+            });
+        }
+        
+        tokenizer = createTokenizer(getDialect(options));
+        startIndex = options.includeHeader ? 1 : 0;
+        
+        if (columns) {
+            // firstly, format columns into the proper format
+            columns = columns.map(detectColumn);
+        }
+    };
+    const createGetRow = (firstLine) => {
+        if (!columns) {
+            // take our columns from the first line
+            columns = detectColumnsFromLine(firstLine, options);
+            // headers are used as keys as they are unless specified in options
+            options = Object.assign({
+                unflatten: false
+            }, options);
+        }
+        
+        // find the cell for each column when matching by header
+        const cellIndexes = matchBy === 'header' ? matchColumnsToHeader(columns, firstLine, options) : null;
+        // lines should have as many cells as the header when matching by header
+        const cellCount = matchBy === 'header' ? firstLine.length : null;
+        
+        return createRowParser(columns, options, cellIndexes, cellCount);
+    };
+    const parseLines = (lines) => {
+        const rows = [];
+        
+        lines.forEach((line) => {
+            if (getRow === null) {
+                getRow = createGetRow(line);
             }
             
-            // get the value from the line
-            const {key, required, parser, parseEmpty} = column;
-            let cellValue = line[columnIndex];
-            // can we parse the cell?
-            const canParse = Boolean(
-                // a value exists on the line
-                // this includes empty values
-                cellValue !== undefined &&
-                // parser is a function
-                typeof parser === 'function' &&
-                (
-                    // we allow parsing of empty values
-                    parseEmpty ||
-                    // value is not empty
-                    cellValue !== ''
-                )
-            );
-            
-            if (canParse) {
-                // parse value using parsing function
-                cellValue = parser(cellValue, {
-                    key,
-                    row: rowIndex + startIndex + 1,
-                    column: columnIndex
-                });
+            // this will skip the first line if includeHeader is true
+            if (lineCount >= startIndex) {
+                const row = getRow(line, lineCount - startIndex);
+                
+                // rows skipped by hooks are null
+                if (row !== null) {
+                    rows.push(row);
+                }
             }
             
-            // the cell value is empty
-            const isEmpty = Boolean (
-                // the value is null or undefined
-                cellValue == null ||
-                // the value is a blank string
-                cellValue === ''
-            );
-            // determine if the value can be assigned to the object
-            const canAssign = Boolean(
-                // we allow empty values
-                includeEmptyValues ||
-                !isEmpty
-            );
-            // there's an error in this column...
-            const hasError = (
-                required &&
-                isEmpty
-            );
+            lineCount++;
+        });
+        
+        return rows;
+    };
+    const write = (str) => {
+        if (buffered !== null) {
+            buffered += str;
             
-            if (hasError) {
-                // throw the error that the value for this column is missing
-                throw new Error(`Required column ${key} is empty`);
-            } else if (canAssign) {
-                // we don't want to assign keys with empty values unless specified in options
-                result[key] = cellValue;
+            if (buffered.length < SNIFF_SAMPLE_SIZE.characters) {
+                // wait for more text
+                return [];
             }
             
-            return result;
-        };
-        // collect object from columns
-        const result = columns.reduce(processColumn, {});
+            str = buffered;
+            buffered = null;
+            begin(str);
+        }
         
-        return result;
+        return parseLines(tokenizer.write(str));
+    };
+    const end = () => {
+        let lines;
+        
+        if (buffered !== null) {
+            // the whole CSV string is shorter than the sample
+            const str = buffered;
+            
+            buffered = null;
+            begin(str);
+            lines = tokenizer.write(str).concat(tokenizer.end());
+        } else {
+            lines = tokenizer.end();
+        }
+        
+        const rows = parseLines(lines);
+        
+        if (getRow === null && columns) {
+            // there were no lines, but the columns still need to be checked against the header
+            createGetRow([]);
+        }
+        
+        return rows;
     };
-    const rows = csvLines.map(getRow);
     
-    return rows;
+    if (buffered === null) {
+        begin('');
+    }
+    
+    return {
+        write,
+        end
+    };
 }
 
 /**
@@ -499,15 +6018,367 @@ function cellLabel(rowNumber, columnNumber) {
     return columnLabel(columnNumber) + rowNumber;
 }
 
+/**
+ * Ready-made column types, each with a parser and a converter so that values are converted into CSV and
+ * parsed back into the same values. Each type also includes rules, so values can be checked using
+ * validateRows before they are written. Spread a type into a column to use it.
+ * @namespace types
+ * @public
+ * @memberof salsacsv
+ *
+ * @example
+ * const columns = [
+ *     {
+ *         header: 'Date',
+ *         key: 'date',
+ *         ...types.date({
+ *             format: 'YYYY/M/D'
+ *         })
+ *     },
+ *     {
+ *         header: 'Price',
+ *         key: 'price',
+ *         // 529 is written as 5.29
+ *         ...types.currency()
+ *     }
+ * ];
+ */
+const types = {
+    /**
+     * Numbers, optionally rounded to a number of decimal places.
+     * @param {Object} [options={}] - Options.
+     * @param {Number} [options.precision] - The number of decimal places to round to when converting and parsing.
+     * @returns {ColumnType} Column type.
+     * @memberof salsacsv.types
+     *
+     * @example
+     * types.number({
+     *     precision: 2
+     * });
+     */
+    number(options = {}) {
+        const {precision} = options;
+        
+        return {
+            type: 'number',
+            parser: (value) => roundNumber(parseNumber(value), precision),
+            converter: skipEmpty((value) => roundNumber(Number(value), precision))
+        };
+    },
+    /**
+     * Integers. Values which are not integers raise a ValidationError when converting, rather than
+     * being rounded.
+     * @returns {ColumnType} Column type.
+     * @memberof salsacsv.types
+     */
+    integer() {
+        return {
+            type: 'integer',
+            parser: (value) => {
+                const number = parseNumber(value);
+                
+                if (!Number.isInteger(number)) {
+                    throw new Error(`${JSON.stringify(value)} is not an integer`);
+                }
+                
+                return number;
+            },
+            converter: skipEmpty((value, details) => {
+                const number = Number(value);
+                
+                // rounding would change the value
+                if (!Number.isInteger(number)) {
+                    throw new ValidationError('type', 'must be an integer', {
+                        row: details.row,
+                        column: details.column,
+                        key: details.key,
+                        value
+                    });
+                }
+                
+                return number;
+            })
+        };
+    },
+    /**
+     * Currency stored as integers in the smallest unit of the currency, such as cents, and written as decimals.
+     * @param {Object} [options={}] - Options.
+     * @param {Number} [options.precision=2] - The number of decimal places of the currency.
+     * @returns {ColumnType} Column type.
+     * @memberof salsacsv.types
+     *
+     * @example
+     * // 529 is written as 5.29, and 5.29 is parsed as 529
+     * types.currency();
+     */
+    currency(options = {}) {
+        const {precision = 2} = options;
+        const factor = Math.pow(10, precision);
+        
+        return {
+            type: 'integer',
+            parser: (value) => Math.round(parseNumber(value) * factor),
+            converter: skipEmpty((value) => roundNumber(Number(value) / factor, precision))
+        };
+    },
+    /**
+     * Booleans, written and read using tokens.
+     * @param {Object} [options={}] - Options.
+     * @param {String[]} [options.trueValues=['true']] - Tokens for true. The first is used when converting.
+     * @param {String[]} [options.falseValues=['false']] - Tokens for false. The first is used when converting.
+     * @param {Boolean} [options.ignoreCase=true] - Whether tokens are matched regardless of case when parsing.
+     * @returns {ColumnType} Column type.
+     * @memberof salsacsv.types
+     *
+     * @example
+     * types.boolean({
+     *     trueValues: ['Yes', 'Y'],
+     *     falseValues: ['No', 'N']
+     * });
+     */
+    boolean(options = {}) {
+        const {
+            trueValues = ['true'],
+            falseValues = ['false'],
+            ignoreCase = true
+        } = options;
+        const normalize = (value) => ignoreCase ? value.trim().toLowerCase() : value.trim();
+        const trueTokens = trueValues.map(normalize);
+        const falseTokens = falseValues.map(normalize);
+        
+        return {
+            type: 'boolean',
+            parser: (value) => {
+                if (typeof value === 'boolean') {
+                    return value;
+                }
+                
+                const token = normalize(value);
+                
+                if (trueTokens.includes(token)) {
+                    return true;
+                } else if (falseTokens.includes(token)) {
+                    return false;
+                }
+                
+                throw new Error(`${JSON.stringify(value)} is not one of ${trueValues.concat(falseValues).map((value) => JSON.stringify(value)).join(', ')}`);
+            },
+            converter: skipEmpty((value) => value ? trueValues[0] : falseValues[0])
+        };
+    },
+    /**
+     * Dates, written and read using a format string. Only the parts of the date in the format are kept.
+     * @param {Object} [options={}] - Options.
+     * @param {String} [options.format='YYYY-MM-DDTHH:mm:ss.SSSZ'] - Format string, using the tokens "YYYY" (year), "MM" and "M" (month),
+     * "DD" and "D" (day), "HH" and "H" (hours), "mm" (minutes), "ss" (seconds), "SSS" (milliseconds) and "Z" (offset from UTC).
+     * Tokens with one letter are not padded with zeros.
+     * @param {String} [options.timezone='utc'] - The timezone dates are written in, and read in if there is no offset in the format. Either "local", "utc" or an offset such as "+02:00".
+     * @returns {ColumnType} Column type.
+     * @memberof salsacsv.types
+     *
+     * @example
+     * types.date({
+     *     format: 'YYYY-MM-DD',
+     *     timezone: 'local'
+     * });
+     */
+    date(options = {}) {
+        const {
+            format = 'YYYY-MM-DDTHH:mm:ss.SSSZ',
+            timezone = 'utc'
+        } = options;
+        const dateFormat = createDateFormat(format, timezone);
+        /**
+         * Parses a date from CSV.
+         * @param {(String|Date)} value - Value of cell, which is already a date when read from an XLSX workbook.
+         * @returns {Date} Date.
+         * @private
+         */
+        const parseDate = (value) => value instanceof Date ? value : dateFormat.parse(value);
+        
+        return {
+            type: 'date',
+            parser: parseDate,
+            converter: skipEmpty(dateFormat.format)
+        };
+    },
+    /**
+     * Values from a set of values, which can be mapped to different text in CSV.
+     * @param {(Array|Object|Map)} values - An array of values, or an object or map where keys are values and values are the text of each value in CSV.
+     * @returns {ColumnType} Column type.
+     * @memberof salsacsv.types
+     *
+     * @example
+     * types.enum({
+     *     active: 'Active',
+     *     suspended: 'Suspended'
+     * });
+     */
+    enum(values) {
+        let map;
+        
+        if (Array.isArray(values)) {
+            map = new Map(values.map((value) => [value, String(value)]));
+        } else if (values instanceof Map) {
+            map = values;
+        } else {
+            map = new Map(Object.entries(values));
+        }
+        
+        // the value for the text of each value
+        const reversed = new Map(Array.from(map, ([value, text]) => [text, value]));
+        const allowedValues = Array.from(map.keys());
+        
+        return {
+            enum: allowedValues,
+            parser: (text) => {
+                // numbers read from XLSX workbooks are matched to their text
+                if (!reversed.has(text) && typeof text === 'number') {
+                    text = String(text);
+                }
+                
+                if (!reversed.has(text)) {
+                    throw new Error(`${JSON.stringify(text)} is not one of ${Array.from(reversed.keys()).map((text) => JSON.stringify(text)).join(', ')}`);
+                }
+                
+                return reversed.get(text);
+            },
+            converter: skipEmpty((value) => map.has(value) ? map.get(value) : value)
+        };
+    },
+    /**
+     * Values which are encoded as JSON.
+     * @returns {ColumnType} Column type.
+     * @memberof salsacsv.types
+     *
+     * @example
+     * types.json();
+     */
+    json() {
+        return {
+            parser: (value) => JSON.parse(value),
+            converter: skipEmpty((value) => JSON.stringify(value))
+        };
+    }
+};
+
 /**
  * An object describing the format of a column.
  * @typedef {Object} Column
  * @property {String} [header] - The header to be used for this column.
- * @property {String} [key] - The object key for this column.
- * @property {Boolean} [required] - Indicates whether the value should be defined when getting value from CSV. Throws an error if the resulting value is null, undefined, or an empty string.
+ * @property {String[]} [aliases] - Other headers which are matched to this column when matching columns by header.
+ * @property {String} [key] - The object key for this column, which can be a path to a nested value using dots and brackets, such as "customer.address.city" or "items[0].sku".
+ * @property {Boolean} [required] - Indicates whether the value should be defined when getting value from CSV or validating objects. Throws an error if the resulting value is null, undefined, or an empty string.
  * @property {Converter} [converter] - The function called to convert value to CSV.
+ * @property {String} [quote='auto'] - How values of this column are quoted when writing CSV, either "auto" to quote values using the quoting of the dialect, "always" to quote every value, or "never" to only quote values which contain delimiters, quotes or line breaks.
+ * @property {Boolean} [formula] - Whether the values of this column are trusted to be formulas, which are not sanitized when writing CSV.
+ * @property {String} [numberFormat] - The number format of the cells of this column when writing XLSX, such as "#,##0.00" or "yyyy/m/d".
+ * @property {Number} [width] - The width of this column in characters, which is the width of its field in fixed-width text and its width when writing XLSX.
+ * @property {String} [align='left'] - The side of its field a value is placed on in fixed-width text, either "left" or "right", which also aligns the column in Markdown and HTML tables.
+ * @property {String} [pad=' '] - The character fields are padded with in fixed-width text, which is removed from the side opposite the alignment when reading.
  * @property {Parser} [parser] - The function called to parse value from CSV. Will not be called unless parseEmpty is set to true.
  * @property {Boolean} [parseEmpty] - Whether to parse empty values or not.
+ * @property {String} [type] - The type that values must be, which is checked after parsing. Either "string", "number", "integer", "boolean" or "date".
+ * @property {(Number|Date)} [min] - The minimum value.
+ * @property {(Number|Date)} [max] - The maximum value.
+ * @property {Number} [minLength] - The minimum length of values.
+ * @property {Number} [maxLength] - The maximum length of values.
+ * @property {RegExp} [pattern] - A pattern that values must match.
+ * @property {Array} [enum] - The values which are allowed.
+ * @property {Boolean} [unique] - Whether each value must be different from the values in every other row.
+ * @property {Validator} [validate] - A function for checking values.
+ */
+
+/**
+ * An object describing how CSV is written and read.
+ * @typedef {Object} Dialect
+ * @property {String} [delimiter=','] - The delimiter between cells, which may be more than one character.
+ * @property {String} [quote='"'] - The character used to quote cells.
+ * @property {String} [escape] - The character used to escape quotes inside of quoted cells, which is the quote character if not given. Quotes are escaped by doubling them when this is the quote character, otherwise this character escapes the character after it in both quoted and unquoted cells.
+ * @property {String} [lineTerminator='\n'] - The line break written between lines. Any line break is accepted when reading.
+ * @property {String} [quoting='strings'] - Which values are quoted when writing. "strings" quotes strings which are not formulas or dates, "all" quotes every value, "nonnumeric" quotes every value which is not a number, "minimal" only quotes values containing special characters, and "none" never quotes values, escaping special characters with the escape character instead.
+ */
+
+/**
+ * An object for writing rows in a format, which is created for the columns and options by the
+ * function given as the format option of format.
+ * @typedef {Object} Writer
+ * @property {function(String[]): (String|null)} header - Function which takes the header of each column, which is empty for columns without one, and returns the header, or null if the format does not have one. It is only called when includeHeader is set.
+ * @property {function(Array, Number): String} row - Function which takes the converted value of each cell in a row and the zero-based index of the row, and returns the row.
+ * @property {function(String[], (String|null)): String} join - Function which takes the rows and the header, which is null if there is none, and returns the text.
+ */
+
+/**
+ * An object parsed from CSV using the given columns. Values are typed by the return types of the
+ * parsers of the columns, and are strings for columns without parsers. Values of columns which are
+ * not required may be missing. Keys which are paths to nested values are not expanded.
+ * @template {Column} C
+ * @typedef {{[K in NonNullable<Extract<C, {required: true}>['key']>]: ColumnValue<Extract<C, {key?: K}>>} & {[K in NonNullable<Exclude<C, {required: true}>['key']>]?: ColumnValue<Extract<C, {key?: K}>>}} Row
+ * @ignore
+ */
+
+/**
+ * The type of the values of a column.
+ * @template {Column} C
+ * @typedef {C extends {parser?: infer P}
+ *     ? (P extends function(...*): infer V
+ *         ? (V extends Promise<infer U>
+ *             ? U
+ *             : V)
+ *         : String)
+ *     : String} ColumnValue
+ * @ignore
+ */
+
+/**
+ * What fromCSV returns, which is a result containing the rows and errors if errorMode is "collect".
+ * @template {Column} C
+ * @template {String} E
+ * @typedef {E extends 'collect'
+ *     ? ParseResult<C>
+ *     : Array<Row<C>>} ParseOutput
+ * @ignore
+ */
+
+/**
+ * The result of parsing CSV when errors are collected.
+ * @template {Column} C
+ * @typedef {Object} ParseResult
+ * @property {Array<Row<C>>} rows - Array of objects for the rows which had no errors.
+ * @property {CellError[]} errors - Array of errors for every cell which could not be parsed, in the order they appear.
+ */
+
+/**
+ * The result of writing fixed-width text when errors are collected.
+ * @typedef {Object} FixedWidthResult
+ * @property {String} text - The fixed-width text of the rows which had no errors, and of rows with truncated values.
+ * @property {CellError[]} errors - Array of errors for every value which could not be written or was truncated, in the order they appear.
+ */
+
+/**
+ * What toCSV returns, which is a buffer if an encoding is given.
+ * @template {('utf8'|'utf16le'|'windows-1252'|undefined)} E
+ * @typedef {E extends undefined ? String : Buffer} CSVOutput
+ * @ignore
+ */
+
+/**
+ * A dialect detected by sniffing a CSV string.
+ * @typedef {Object} SniffedDialect
+ * @property {String} delimiter - The delimiter between cells.
+ * @property {String} quote - The character used to quote cells.
+ * @property {String} escape - The character used to escape quotes inside of quoted cells.
+ * @property {String} lineTerminator - The line break between lines.
+ * @property {Boolean} hasHeader - Whether the first line looks like a header.
+ */
+
+/**
+ * A column type from types, which can be spread into a column.
+ * @typedef {Object} ColumnType
+ * @property {Parser} parser - The function called to parse value from CSV.
+ * @property {Converter} converter - The function called to convert value to CSV.
+ * @property {String} [type] - The type of values.
+ * @property {Array} [enum] - The values which are allowed.
  */
 
 /**
@@ -515,7 +6386,7 @@ function cellLabel(rowNumber, columnNumber) {
  * @callback Converter
  * @param {String} [value] - Value from object.
  * @param {ConverterDetails} [details] - Details of cell.
- * @returns {(String|Number|null|undefined)} Value of cell. 
+ * @returns {(String|Number|null|undefined|Promise<(String|Number|null|undefined)>)} Value of cell, which can be a promise resolving to the value when using toCSVAsync.
  */
 
 /**
@@ -525,14 +6396,16 @@ function cellLabel(rowNumber, columnNumber) {
  * @property {String} [key] - The key of the value we want to take from the object for this column.
  * @property {Number} [row] - Row number.
  * @property {Number} [column] - Column number.
+ * @property {function(String, Object=): String} [ref] - Function which takes the key or header of a column and gives the label of its cell in this row, such as "C2". The label of another row is given when the options have a one-based "row" not including the header, or an "offset" from this row.
+ * @property {function(String): String} [range] - Function which takes the key or header of a column and gives the range of its cells in every row, such as "C2:C4". Ranges are not available when formatting streams.
  */
 
 /**
  * Function to parse value from raw CSV.
  * @callback Parser
- * @param {String} [value] - Value of cell.
+ * @param {String} value - Value of cell. Cells read from XLSX workbooks can also be numbers, booleans or dates.
  * @param {ParserDetails} [details] - Details of cell.
- * @returns {*} Parsed value from CSV string.
+ * @returns {*} Parsed value from CSV string, which can be a promise resolving to the value when using fromCSVAsync.
  */
 
 /**
@@ -543,12 +6416,71 @@ function cellLabel(rowNumber, columnNumber) {
  * @property {Number} [column] - Column number.
  */
 
+/**
+ * Function to check a value against the rules of a column. Empty values are not checked.
+ * @callback Validator
+ * @param {*} value - Value from object, which has been parsed if it is from CSV.
+ * @param {ValidatorDetails} details - Details of cell.
+ * @returns {(Boolean|String|undefined)} False or a message describing why the value is not valid if it is not valid.
+ */
+
+/**
+ * Details of a value which is being checked by a validator.
+ * @typedef {Object} ValidatorDetails
+ * @property {Object} obj - The object the value belongs to.
+ * @property {String} key - The key of the value in the object.
+ * @property {Number} row - Row number.
+ * @property {Number} column - Column number.
+ */
+
+/**
+ * Function to check an object parsed from a row against rules which involve more than one of its values.
+ * @callback RowValidator
+ * @param {Object} obj - The object parsed from the row.
+ * @param {RowValidatorDetails} details - Details of the row.
+ * @returns {(Boolean|String|undefined)} False or a message describing why the row is not valid if it is not valid.
+ */
+
+/**
+ * Details of a row which is being checked by a row validator.
+ * @typedef {Object} RowValidatorDetails
+ * @property {Number} row - Row number.
+ * @property {String[]} cells - The raw cells of the row.
+ */
+
 /**
  * Used for converting data to and from CSV.
  * @module salsacsv
  */
 module.exports = {
     toCSV,
+    format,
+    toCSVAsync,
+    toXLSX,
+    toFixedWidth,
     fromCSV,
-    cellLabel
+    fromCSVAsync,
+    fromXLSX,
+    fromFixedWidth,
+    inferColumns,
+    validateRows,
+    defineColumns,
+    toJSONSchema,
+    createParseStream,
+    parseAsync,
+    createFormatStream,
+    formatAsync,
+    cellLabel,
+    sniff,
+    isSpreadsheetLiteral,
+    dialects,
+    types,
+    CSVSyntaxError,
+    CellError,
+    RequiredError,
+    ParseError,
+    ColumnCountError,
+    ValidationError,
+    RowValidationError,
+    LineLengthError
 };
\ No newline at end of file
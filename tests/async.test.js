@@ -0,0 +1,148 @@
+'use strict';
+
+// tests for parsers and converters which return promises
+
+const {toCSV, fromCSV, toCSVAsync, fromCSVAsync, ParseError} = require('..');
+const ordersData = require('./data/orders');
+
+// resolves with the value after the given number of milliseconds
+const delay = (ms, value) => new Promise((resolve) => setTimeout(() => resolve(value), ms));
+// products by SKU, as they would be from a lookup service
+const products = {
+    'CC-1': 4021,
+    'WA-2': 4022
+};
+// creates a lookup which records how many lookups are waited on at once
+const createLookup = () => {
+    const lookup = async (sku, details) => {
+        lookup.active++;
+        lookup.maxActive = Math.max(lookup.maxActive, lookup.active);
+        lookup.details.push(details);
+        await delay(5);
+        lookup.active--;
+        
+        if (!products[sku]) {
+            throw new Error(`No product with SKU ${sku}`);
+        }
+        
+        return products[sku];
+    };
+    
+    lookup.active = 0;
+    lookup.maxActive = 0;
+    lookup.details = [];
+    
+    return lookup;
+};
+
+it('Waits for parsers which return promises', async () => {
+    const lookup = createLookup();
+    const csv = 'SKU,Quantity\nCC-1,2\nWA-2,1\nCC-1,5';
+    const rows = await fromCSVAsync(csv, [
+        {
+            header: 'SKU',
+            key: 'productId',
+            parser: lookup
+        },
+        {
+            header: 'Quantity',
+            key: 'quantity',
+            parser: (value) => delay(1, parseInt(value))
+        }
+    ], {
+        includeHeader: true,
+        concurrency: 2
+    });
+    
+    expect(rows).toEqual([
+        { productId: 4021, quantity: 2 },
+        { productId: 4022, quantity: 1 },
+        { productId: 4021, quantity: 5 }
+    ]);
+    expect(lookup.maxActive).toBe(2);
+    expect(lookup.details).toEqual([
+        { key: 'productId', row: 2, column: 0 },
+        { key: 'productId', row: 3, column: 0 },
+        { key: 'productId', row: 4, column: 0 }
+    ]);
+});
+
+it('Gives the same results as fromCSV and toCSV for columns which are not async', async () => {
+    const {data, columns} = ordersData;
+    const options = {
+        includeHeader: true
+    };
+    const csv = toCSV(data, columns, options);
+    
+    expect(await toCSVAsync(data, columns, options)).toBe(csv);
+    expect(await fromCSVAsync(csv, columns, options)).toEqual(fromCSV(csv, columns, options));
+});
+
+it('Wraps errors from parsers which return promises', async () => {
+    const columns = [
+        {
+            header: 'SKU',
+            key: 'productId',
+            parser: createLookup()
+        }
+    ];
+    const csv = 'SKU\nCC-1\nXX-9\nWA-2';
+    
+    await expect(fromCSVAsync(csv, columns, {
+        includeHeader: true
+    })).rejects.toThrow(new ParseError(new Error('No product with SKU XX-9'), {
+        row: 3,
+        column: 0,
+        key: 'productId'
+    }));
+    
+    const {rows, errors} = await fromCSVAsync(csv, columns, {
+        includeHeader: true,
+        errorMode: 'collect'
+    });
+    
+    expect(rows).toEqual([{ productId: 4021 }, { productId: 4022 }]);
+    expect(errors.map(({cell, value}) => ({cell, value}))).toEqual([{ cell: 'A3', value: 'XX-9' }]);
+});
+
+it('Waits for converters which return promises', async () => {
+    const skus = {
+        4021: 'CC-1',
+        4022: 'WA-2'
+    };
+    const csv = await toCSVAsync([
+        {
+            productId: 4021,
+            quantity: 2
+        },
+        {
+            productId: 4022,
+            quantity: 1
+        }
+    ], [
+        {
+            header: 'SKU',
+            key: 'productId',
+            converter: (value) => delay(5, skus[value])
+        },
+        {
+            header: 'Quantity',
+            key: 'quantity'
+        },
+        {
+            header: 'Cell',
+            converter: (value, {row, column}) => Promise.resolve(`${row}:${column}`)
+        }
+    ], {
+        includeHeader: true,
+        concurrency: 1
+    });
+    
+    expect(csv).toBe('"SKU","Quantity","Cell"\n"CC-1",2,"2:2"\n"WA-2",1,"3:2"');
+});
+
+it('Rejects concurrency which is not valid', async () => {
+    await expect(toCSVAsync([{}], ['name'], {
+        concurrency: 0
+    })).rejects.toThrow('Invalid concurrency 0');
+});
@@ -0,0 +1,92 @@
+'use strict';
+
+// tests for the command-line tool
+
+const path = require('path');
+const {spawnSync} = require('child_process');
+const {toCSV} = require('..');
+const ordersData = require('./data/orders');
+
+const bin = path.join(__dirname, '..', 'bin', 'salsacsv.js');
+const columnsModule = path.join(__dirname, 'data', 'orders.js');
+// runs the command with the given arguments and input
+const run = (args, input) => {
+    const {status, stdout, stderr} = spawnSync(process.execPath, [bin, ...args], {
+        input,
+        encoding: 'utf8'
+    });
+    
+    return {
+        status,
+        stdout,
+        stderr
+    };
+};
+const ordersCSV = toCSV(ordersData.data, ordersData.columns, {
+    includeHeader: true
+});
+
+it('Converts CSV to JSON using a column module', () => {
+    const {status, stdout} = run(['--header', '--columns', columnsModule], ordersCSV);
+    
+    expect(status).toBe(0);
+    expect(JSON.parse(stdout)).toEqual(JSON.parse(JSON.stringify(ordersData.data)));
+});
+
+it('Converts CSV to NDJSON and back again', () => {
+    const ndjson = run(['-H', '-c', columnsModule, '--to', 'ndjson'], ordersCSV).stdout;
+    
+    expect(ndjson.trim().split('\n').map((line) => JSON.parse(line).name)).toEqual(['Cat Chow', 'Water', 'Light Bulbs']);
+    expect(run(['-H', '-c', columnsModule, '--from=ndjson'], ndjson)).toEqual({
+        status: 0,
+        stdout: ordersCSV + '\n',
+        stderr: ''
+    });
+});
+
+it('Passes options to the parser', () => {
+    const {stdout} = run(['--delimiter', ';', '--header', '--include-empty'], 'a;b\n1;\n');
+    
+    expect(JSON.parse(stdout)).toEqual([
+        {
+            a: '1',
+            b: ''
+        }
+    ]);
+});
+
+it('Reads .tsv files as tab-separated unless a delimiter is given', () => {
+    const tsv = path.join(__dirname, 'data', 'items.tsv');
+    
+    expect(JSON.parse(run([tsv, '-H'], '').stdout)).toEqual([
+        {
+            a: '1',
+            b: '2'
+        }
+    ]);
+    expect(JSON.parse(run([tsv, '-H', '-d', ','], '').stdout)).toEqual([
+        {
+            'a\tb': '1\t2'
+        }
+    ]);
+});
+
+it('Reports values which are not valid', () => {
+    const {status, stdout, stderr} = run(['-H', '-c', columnsModule], 'Date,Name,Price\n2019/8/25,,3.49\n2019/8/26,Water,\n');
+    
+    expect(status).toBe(1);
+    expect(stdout).toBe('');
+    expect(stderr).toBe([
+        'salsacsv: 2 errors in stdin',
+        '  Required column name is empty in cell B2',
+        '  Required column price is empty in cell C3',
+        ''
+    ].join('\n'));
+});
+
+it('Rejects unknown options', () => {
+    const {status, stderr} = run(['--bogus'], '');
+    
+    expect(status).toBe(2);
+    expect(stderr).toMatch('Unknown option --bogus');
+});
@@ -147,4 +147,85 @@ it('Ignores object values', () => {
     
     expect(csv)
         .toEqual('"name","price","data"\n"Cat Chow",529,\n"Pizza",699,');
-});
\ No newline at end of file
+});
+
+it('Keeps blank lines inside of quoted cells', () => {
+    const csv = '"Cat Chow","Tasty\n\nand cheap"\r\n\r\n"Pizza","Hot"';
+    const parsed = fromCSV(csv, ['name', 'notes']);
+    
+    expect(parsed)
+        .toEqual([
+            {
+                name: 'Cat Chow',
+                notes: 'Tasty\n\nand cheap'
+            },
+            {
+                name: 'Pizza',
+                notes: 'Hot'
+            }
+        ]);
+});
+
+it('Detects columns from a header with line breaks', () => {
+    const csv = '"Product\nName","Price"\n"Cat Chow",5.29';
+    const parsed = fromCSV(csv, null, {
+        includeHeader: true
+    });
+    
+    expect(parsed)
+        .toEqual([
+            {
+                'Product\nName': 'Cat Chow',
+                Price: '5.29'
+            }
+        ]);
+});
+
+it('Parses using a multi-character delimiter', () => {
+    const csv = '"Cat::Chow"::5.29\nPizza::6.99';
+    const parsed = fromCSV(csv, ['name', 'price'], {
+        delimiter: '::'
+    });
+    
+    expect(parsed)
+        .toEqual([
+            {
+                name: 'Cat::Chow',
+                price: '5.29'
+            },
+            {
+                name: 'Pizza',
+                price: '6.99'
+            }
+        ]);
+});
+
+it('Reports malformed quotes with their positions', () => {
+    const getError = (csv) => {
+        try {
+            fromCSV(csv);
+        } catch (error) {
+            return error;
+        }
+    };
+    
+    expect(getError('"Cat Chow",5.29\n"Pizza,6.99'))
+        .toMatchObject({
+            name: 'CSVSyntaxError',
+            message: 'Unterminated quoted cell at line 2, column 1',
+            line: 2,
+            column: 1
+        });
+    expect(getError('"Cat Chow",5.29\r\nPiz"za,6.99'))
+        .toMatchObject({
+            message: 'Unexpected quote in unquoted cell at line 2, column 4',
+            line: 2,
+            column: 4
+        });
+    expect(getError('"Cat\nChow"s,5.29'))
+        .toMatchObject({
+            message: 'Unexpected character after closing quote at line 2, column 6',
+            line: 2,
+            column: 6
+        });
+});
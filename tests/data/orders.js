@@ -73,6 +73,8 @@ const columns = [
     // this is a special column for CSV-only to show the total of an item with tax
     {
         header: 'Total',
+        // this column is trusted to contain formulas, so they are not sanitized
+        formula: true,
         // this generates a spreadsheet formula to take the price cell and the tax cell
         // and add them together
         converter: (value, {row, column}) => {
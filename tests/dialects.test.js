@@ -0,0 +1,159 @@
+'use strict';
+
+// tests for writing and reading CSV using dialects
+
+const {toCSV, fromCSV, dialects} = require('..');
+const ordersData = require('./data/orders');
+
+const products = [
+    {
+        name: 'Cat Chow',
+        price: 5.29
+    },
+    {
+        name: 'Pizza, "Large"',
+        price: 6.99
+    }
+];
+const productColumns = [
+    {
+        header: 'Name',
+        key: 'name'
+    },
+    {
+        header: 'Price',
+        key: 'price',
+        parser: Number
+    }
+];
+// converts to CSV and back using the same options
+const roundTrip = (rows, columns, options) => {
+    return fromCSV(toCSV(rows, columns, options), columns, options);
+};
+
+it('Writes CSV using the excel dialect', () => {
+    const csv = toCSV(products, productColumns, {
+        includeHeader: true,
+        dialect: 'excel'
+    });
+    
+    expect(csv)
+        .toBe('"Name","Price"\r\n"Cat Chow",5.29\r\n"Pizza, ""Large""",6.99');
+});
+
+it('Writes CSV using the excel-tab dialect', () => {
+    const csv = toCSV(products, productColumns, {
+        dialect: 'excel-tab'
+    });
+    
+    expect(csv)
+        .toBe('"Cat Chow"\t5.29\r\n"Pizza, ""Large"""\t6.99');
+});
+
+it('Only quotes values when needed using the rfc4180 dialect', () => {
+    const csv = toCSV(products, productColumns, {
+        includeHeader: true,
+        dialect: 'rfc4180'
+    });
+    
+    expect(csv)
+        .toBe('Name,Price\r\nCat Chow,5.29\r\n"Pizza, ""Large""",6.99');
+});
+
+it('Quotes all values using the unix dialect', () => {
+    const csv = toCSV(products, productColumns, {
+        dialect: 'unix'
+    });
+    
+    expect(csv)
+        .toBe('"Cat Chow","5.29"\n"Pizza, ""Large""","6.99"');
+});
+
+it('Quotes non-numeric values', () => {
+    const csv = toCSV([
+        {
+            name: '=SUM(A1:A2)',
+            price: 5.29
+        }
+    ], productColumns, {
+        dialect: {
+            quoting: 'nonnumeric'
+        },
+        sanitizeFormulas: false
+    });
+    
+    expect(csv)
+        .toBe('"=SUM(A1:A2)",5.29');
+});
+
+it('Writes and reads single quotes with backslash escaping', () => {
+    const rows = [
+        {
+            name: 'It\'s a \\ "cat"',
+            price: 5.29
+        }
+    ];
+    const options = {
+        dialect: {
+            quote: '\'',
+            escape: '\\'
+        }
+    };
+    
+    expect(toCSV(rows, productColumns, options))
+        .toBe('\'It\\\'s a \\\\ "cat"\',5.29');
+    expect(roundTrip(rows, productColumns, options))
+        .toEqual(rows);
+});
+
+it('Escapes special characters without quoting', () => {
+    const options = {
+        dialect: {
+            escape: '\\',
+            quoting: 'none'
+        }
+    };
+    
+    expect(toCSV(products, productColumns, options))
+        .toBe('Cat Chow,5.29\nPizza\\, \\"Large\\",6.99');
+    expect(roundTrip(products, productColumns, options))
+        .toEqual(products);
+});
+
+it('Throws an error when a value cannot be escaped without quoting', () => {
+    expect(() => toCSV(products, productColumns, {
+        dialect: {
+            quoting: 'none'
+        }
+    }))
+        .toThrow('must be quoted or escaped');
+});
+
+it('Converts to and from CSV using each dialect', () => {
+    const {columns, data} = ordersData;
+    
+    Object.keys(dialects).forEach((dialect) => {
+        expect(roundTrip(data, columns, {
+            includeHeader: true,
+            dialect
+        }))
+            .toEqual(data);
+    });
+});
+
+it('Uses the delimiter option over the delimiter of the dialect', () => {
+    const csv = toCSV(products, productColumns, {
+        delimiter: ';',
+        dialect: 'excel'
+    });
+    
+    expect(csv)
+        .toBe('"Cat Chow";5.29\r\n"Pizza, ""Large""";6.99');
+});
+
+it('Throws an error for unknown dialects', () => {
+    expect(() => toCSV(products, productColumns, {
+        dialect: 'lotus'
+    }))
+        .toThrow('Unknown dialect lotus');
+});
@@ -0,0 +1,244 @@
+'use strict';
+
+// tests for reading and writing CSV in other encodings
+
+const {Readable} = require('stream');
+const {toCSV, toCSVAsync, fromCSV, inferColumns, createParseStream, parseAsync} = require('..');
+
+const rows = [
+    {
+        name: 'Crème brûlée',
+        price: '€5.29'
+    },
+    {
+        name: 'Café “Noir”',
+        price: '€1.29'
+    }
+];
+const columns = [
+    {
+        header: 'Name',
+        key: 'name'
+    },
+    {
+        header: 'Price',
+        key: 'price'
+    }
+];
+const options = {
+    includeHeader: true
+};
+const csvStr = toCSV(rows, columns, options);
+
+// splits a buffer into chunks of one byte, so that characters and byte order marks are split across chunks
+const toByteChunks = (buffer) => Array.from(buffer, (byte) => Buffer.from([byte]));
+// collects every object from an async iterator
+const collectAsync = async (iterator) => {
+    const objs = [];
+    
+    for await (const obj of iterator) {
+        objs.push(obj);
+    }
+    
+    return objs;
+};
+
+it('Writes buffers in the given encoding with a byte order mark', () => {
+    const utf8 = toCSV(rows, columns, Object.assign({
+        encoding: 'utf8',
+        bom: true
+    }, options));
+    const utf16 = toCSV(rows, columns, Object.assign({
+        encoding: 'utf16le',
+        bom: true
+    }, options));
+    
+    expect(Buffer.isBuffer(utf8)).toBe(true);
+    expect([...utf8.slice(0, 4)]).toEqual([0xEF, 0xBB, 0xBF, 0x22]);
+    expect(utf8.slice(3).toString('utf8')).toBe(csvStr);
+    expect([...utf16.slice(0, 4)]).toEqual([0xFF, 0xFE, 0x22, 0x00]);
+    expect(utf16.slice(2).toString('utf16le')).toBe(csvStr);
+    // strings start with the byte order mark character
+    expect(toCSV(rows, columns, {
+        bom: true
+    }).charCodeAt(0)).toBe(0xFEFF);
+});
+
+it('Writes buffers in Windows-1252', () => {
+    const buffer = toCSV(rows.slice(1), columns, {
+        encoding: 'windows-1252'
+    });
+    
+    expect([...buffer]).toEqual([0x22, 0x43, 0x61, 0x66, 0xE9, 0x20, 0x93, 0x4E, 0x6F, 0x69, 0x72, 0x94, 0x22, 0x2C, 0x22, 0x80, 0x31, 0x2E, 0x32, 0x39, 0x22]);
+    expect(() => toCSV([{ name: 'Cat Chow 🐱' }], columns, {
+        encoding: 'windows-1252'
+    })).toThrow('Character 🐱 cannot be written in windows-1252');
+    expect(() => toCSV(rows, columns, {
+        encoding: 'windows-1252',
+        bom: true
+    })).toThrow('Encoding windows-1252 does not have a byte order mark');
+    expect(() => toCSV(rows, columns, {
+        encoding: 'ascii'
+    })).toThrow('Unknown encoding ascii');
+});
+
+it('Writes a sep line with the delimiter', async () => {
+    const sepOptions = Object.assign({
+        sepLine: true,
+        delimiter: ';',
+        encoding: 'utf8',
+        bom: true
+    }, options);
+    const buffer = toCSV(rows, columns, sepOptions);
+    
+    expect(buffer.slice(3).toString('utf8')).toBe('sep=;\n"Name";"Price"\n"Crème brûlée";"€5.29"\n"Café “Noir”";"€1.29"');
+    expect((await toCSVAsync(rows, columns, sepOptions)).equals(buffer)).toBe(true);
+});
+
+it('Reads the delimiter from a sep line', () => {
+    const buffer = toCSV(rows, null, {
+        includeHeader: true,
+        sepLine: true,
+        delimiter: ';',
+        encoding: 'utf8',
+        bom: true
+    });
+    
+    const sepOptions = Object.assign({
+        sepLine: true
+    }, options);
+    
+    expect(fromCSV(buffer, null, sepOptions)).toEqual(rows);
+    expect(inferColumns(buffer, sepOptions).map((column) => column.key)).toEqual(['name', 'price']);
+    // a delimiter which is given is used instead
+    expect(fromCSV('sep=;\n"Name","Price"', null, Object.assign({
+        delimiter: ','
+    }, sepOptions))).toEqual([]);
+    expect(fromCSV('sep=;\n"Name";"Price"\n"Water";"€1.29"', columns, sepOptions)).toEqual([
+        {
+            name: 'Water',
+            price: '€1.29'
+        }
+    ]);
+});
+
+it('Only reads a sep line when sepLine is set', () => {
+    // without sepLine the first line is read like any other
+    expect(fromCSV('sep=x,1\nb,2', ['a', 'b'])).toEqual([
+        {
+            a: 'sep=x',
+            b: '1'
+        },
+        {
+            a: 'b',
+            b: '2'
+        }
+    ]);
+    // a sep line gives a single character
+    expect(fromCSV('sep=x,1\nb,2', ['a', 'b'], {
+        sepLine: true
+    })).toEqual([
+        {
+            a: 'sep=x',
+            b: '1'
+        },
+        {
+            a: 'b',
+            b: '2'
+        }
+    ]);
+    expect(fromCSV('sep=;\nb;2', ['a', 'b'], {
+        sepLine: true
+    })).toEqual([
+        {
+            a: 'b',
+            b: '2'
+        }
+    ]);
+});
+
+it('Reads buffers in the encoding of their byte order mark', () => {
+    ['utf8', 'utf16le'].forEach((encoding) => {
+        const buffer = toCSV(rows, columns, Object.assign({
+            encoding,
+            bom: true
+        }, options));
+        
+        expect(fromCSV(buffer, columns, options)).toEqual(rows);
+    });
+    // the byte order mark is removed from strings
+    expect(fromCSV(toCSV(rows, null, {
+        includeHeader: true,
+        bom: true
+    }), null, options)).toEqual(rows);
+});
+
+it('Reads buffers without a byte order mark as UTF-8 or Windows-1252', () => {
+    const windows1252 = toCSV(rows, columns, Object.assign({
+        encoding: 'windows-1252'
+    }, options));
+    
+    expect(fromCSV(Buffer.from(csvStr, 'utf8'), columns, options)).toEqual(rows);
+    expect(fromCSV(windows1252, columns, options)).toEqual(rows);
+    expect(fromCSV(windows1252, columns, Object.assign({
+        encoding: 'windows-1252'
+    }, options))).toEqual(rows);
+    expect(inferColumns(windows1252, options).map((column) => column.key)).toEqual(['Name', 'Price']);
+    expect(() => fromCSV(windows1252, columns, {
+        encoding: 'latin2'
+    })).toThrow('Unknown encoding latin2');
+    expect(() => fromCSV(1234, columns)).toThrow('First argument is not a string or buffer');
+});
+
+it('Reads UTF-16LE without a byte order mark from its zero bytes', async () => {
+    const utf16 = toCSV(rows, columns, Object.assign({
+        encoding: 'utf16le'
+    }, options));
+    
+    expect(fromCSV(Buffer.from('a,b\n1,2', 'utf16le'), null, options)).toEqual([
+        {
+            a: '1',
+            b: '2'
+        }
+    ]);
+    expect(fromCSV(utf16, columns, options)).toEqual(rows);
+    expect(inferColumns(utf16, options).map((column) => column.key)).toEqual(['Name', 'Price']);
+    expect(await collectAsync(parseAsync(toByteChunks(utf16), columns, options))).toEqual(rows);
+});
+
+it('Reads streams in the encoding of their byte order mark', async () => {
+    for (const encoding of ['utf8', 'utf16le']) {
+        const buffer = toCSV(rows, null, Object.assign({
+            encoding,
+            bom: true
+        }, options));
+        
+        // headers are read without the byte order mark
+        expect(await collectAsync(parseAsync(toByteChunks(buffer), null, options))).toEqual(rows);
+        expect(await collectAsync(Readable.from(toByteChunks(buffer)).pipe(createParseStream(null, options)))).toEqual(rows);
+    }
+});
+
+it('Reads streams in the given encoding', async () => {
+    const windows1252 = toCSV(rows, columns, Object.assign({
+        encoding: 'windows-1252'
+    }, options));
+    const utf16 = toCSV(rows, columns, Object.assign({
+        encoding: 'utf16le'
+    }, options));
+    
+    expect(await collectAsync(parseAsync(toByteChunks(windows1252), columns, Object.assign({
+        encoding: 'windows-1252'
+    }, options)))).toEqual(rows);
+    expect(await collectAsync(parseAsync(toByteChunks(utf16), columns, Object.assign({
+        encoding: 'utf16le'
+    }, options)))).toEqual(rows);
+    // strings are read as they are, without the byte order mark
+    expect(await collectAsync(parseAsync([toCSV(rows, null, {
+        includeHeader: true,
+        bom: true
+    })], null, options))).toEqual(rows);
+    expect(() => createParseStream(columns, {
+        encoding: 'latin2'
+    })).toThrow('Unknown encoding latin2');
+});
@@ -0,0 +1,136 @@
+'use strict';
+
+// tests for errors in cells when parsing CSV
+
+const {
+    fromCSV,
+    CellError,
+    RequiredError,
+    ParseError,
+    ColumnCountError
+} = require('..');
+
+const parseNumber = (value) => {
+    const number = Number(value);
+    
+    if (isNaN(number)) {
+        throw new Error(`${value} is not a number`);
+    }
+    
+    return number;
+};
+const productColumns = [
+    {
+        header: 'Name',
+        key: 'name',
+        required: true
+    },
+    {
+        header: 'Price',
+        key: 'price',
+        parser: parseNumber
+    },
+    {
+        header: 'Quantity',
+        key: 'quantity',
+        required: true,
+        parser: parseNumber
+    }
+];
+const csv = [
+    'Name,Price,Quantity',
+    'Cat Chow,5.29,1',
+    ',six,2',
+    'Pizza,6.99',
+    'Bread,2.50,4'
+].join('\n');
+
+it('Throws the first error with its cell', () => {
+    expect.assertions(3);
+    
+    try {
+        fromCSV(csv, productColumns, {
+            includeHeader: true
+        });
+    } catch (error) {
+        expect(error).toBeInstanceOf(RequiredError);
+        expect(error).toBeInstanceOf(CellError);
+        expect(error.message).toBe('Required column name is empty in cell A3');
+    }
+});
+
+it('Collects every error when errorMode is "collect"', () => {
+    const {rows, errors} = fromCSV(csv, productColumns, {
+        includeHeader: true,
+        errorMode: 'collect'
+    });
+    
+    expect(rows).toEqual([
+        {
+            name: 'Cat Chow',
+            price: 5.29,
+            quantity: 1
+        },
+        {
+            name: 'Bread',
+            price: 2.5,
+            quantity: 4
+        }
+    ]);
+    expect(errors.map((error) => error.constructor)).toEqual([
+        RequiredError,
+        ParseError,
+        ColumnCountError
+    ]);
+    expect(errors.map((error) => {
+        const {row, column, key, header, value, cell} = error;
+        
+        return {row, column, key, header, value, cell};
+    })).toEqual([
+        {
+            row: 3,
+            column: 0,
+            key: 'name',
+            header: 'Name',
+            value: '',
+            cell: 'A3'
+        },
+        {
+            row: 3,
+            column: 1,
+            key: 'price',
+            header: 'Price',
+            value: 'six',
+            cell: 'B3'
+        },
+        {
+            row: 4,
+            column: 2,
+            key: 'quantity',
+            header: 'Quantity',
+            value: undefined,
+            cell: 'C4'
+        }
+    ]);
+});
+
+it('Keeps the error thrown by a parser', () => {
+    const {errors} = fromCSV('Cat Chow,six,1', productColumns, {
+        errorMode: 'collect'
+    });
+    const [error] = errors;
+    
+    expect(error.message).toBe('Could not parse column price in cell B1: six is not a number');
+    expect(error.cause).toEqual(new Error('six is not a number'));
+});
+
+it('Counts cells in lines which are too short', () => {
+    const {errors} = fromCSV('Cat Chow', productColumns, {
+        errorMode: 'collect'
+    });
+    const [error] = errors;
+    
+    expect(error.message).toBe('Row 1 has 1 cells but 3 were expected');
+    expect(error.expected).toBe(3);
+    expect(error.actual).toBe(1);
+});
@@ -0,0 +1,190 @@
+'use strict';
+
+// tests for writing and reading fixed-width text
+
+const {toFixedWidth, fromFixedWidth, types, ValidationError, RequiredError, ParseError, LineLengthError} = require('..');
+
+const payments = [
+    {
+        account: '1234',
+        name: 'Cat Chow',
+        amount: 529,
+        paid: new Date(Date.UTC(2019, 7, 25))
+    },
+    {
+        account: '98765',
+        name: 'Water',
+        amount: 12900,
+        paid: new Date(Date.UTC(2019, 7, 26))
+    }
+];
+const columns = [
+    {
+        header: 'Account',
+        key: 'account',
+        width: 8
+    },
+    {
+        header: 'Name',
+        key: 'name',
+        width: 10,
+        required: true
+    },
+    // a filler field
+    {
+        width: 2
+    },
+    {
+        header: 'Amount',
+        key: 'amount',
+        width: 9,
+        align: 'right',
+        pad: '0',
+        ...types.integer()
+    },
+    {
+        header: 'Paid',
+        key: 'paid',
+        width: 8,
+        ...types.date({
+            format: 'YYYYMMDD'
+        })
+    }
+];
+const text = [
+    '1234    Cat Chow    00000052920190825',
+    '98765   Water       00001290020190826'
+].join('\n');
+
+it('Writes fields padded to the width of their column', () => {
+    expect(toFixedWidth(payments, columns)).toBe(text);
+    expect(toFixedWidth(payments.slice(0, 1), columns, {
+        includeHeader: true,
+        lineTerminator: '\r\n'
+    })).toBe([
+        'Account Name           AmountPaid    ',
+        '1234    Cat Chow    00000052920190825'
+    ].join('\r\n'));
+});
+
+it('Reports values which are longer than the width of their column', () => {
+    const rows = [
+        {
+            account: '123456789',
+            name: 'Light Bulbs'
+        },
+        {
+            account: '1234',
+            name: 'Water'
+        }
+    ];
+    const error = (() => {
+        try {
+            toFixedWidth(rows, columns.slice(0, 2));
+        } catch (error) {
+            return error;
+        }
+    })();
+    
+    expect(error).toBeInstanceOf(ValidationError);
+    expect(error.message).toBe('Invalid value for column account in cell A1: is longer than the width of 8');
+    expect(error.rule).toBe('width');
+    
+    const {text, errors} = toFixedWidth(rows, columns.slice(0, 2), {
+        errorMode: 'collect'
+    });
+    
+    expect(text).toBe('1234    Water     ');
+    expect(errors.map((error) => error.cell)).toEqual(['A1', 'B1']);
+    expect(toFixedWidth(rows, columns.slice(0, 2), {
+        overflow: 'truncate'
+    })).toBe('12345678Light Bulb\n1234    Water     ');
+    // line breaks cannot be written even when truncating
+    expect(() => toFixedWidth([{ name: 'Cat\nChow' }], columns.slice(0, 2), {
+        overflow: 'truncate'
+    })).toThrow('Invalid value for column name in cell B1: contains a line break');
+});
+
+it('Reports values which are truncated when errors are collected', () => {
+    const {text, errors} = toFixedWidth([
+        {
+            account: '123456789',
+            name: 'Light Bulbs'
+        },
+        {
+            account: '1234',
+            name: 'Water\nIce'
+        }
+    ], columns.slice(0, 2), {
+        overflow: 'truncate',
+        errorMode: 'collect'
+    });
+    
+    // rows with truncated values are still written
+    expect(text).toBe('12345678Light Bulb');
+    expect(errors.map((error) => [error.rule, error.row, error.column, error.cell])).toEqual([
+        ['width', 1, 0, 'A1'],
+        ['width', 1, 1, 'B1'],
+        ['width', 2, 1, 'B2']
+    ]);
+    expect(errors[0].message).toBe('Invalid value for column account in cell A1: is longer than the width of 8 and was truncated');
+    expect(errors[0].value).toBe('123456789');
+});
+
+it('Throws errors for columns which cannot be used for fixed-width text', () => {
+    expect(() => toFixedWidth(payments)).toThrow('Columns are required for fixed-width text');
+    expect(() => toFixedWidth(payments, ['account'])).toThrow('Invalid width undefined for column account');
+    expect(() => fromFixedWidth(text, [{ key: 'account', width: 8, align: 'center' }])).toThrow('Unknown align center for column account');
+    expect(() => fromFixedWidth(text, [{ key: 'account', width: 8, pad: '' }])).toThrow('Invalid pad  for column account');
+    expect(() => toFixedWidth(payments, columns, {
+        overflow: 'wrap'
+    })).toThrow('Unknown overflow wrap');
+});
+
+it('Reads the objects written to fixed-width text', () => {
+    expect(fromFixedWidth(toFixedWidth(payments, columns, {
+        includeHeader: true
+    }), columns, {
+        includeHeader: true
+    })).toEqual(payments);
+});
+
+it('Reads short lines as if they were padded and skips blank lines', () => {
+    const {rows, errors} = fromFixedWidth([
+        '1234    Cat Chow',
+        '',
+        '98765',
+        '4321    Water       000000abc'
+    ].join('\r\n'), columns, {
+        errorMode: 'collect'
+    });
+    
+    expect(rows).toEqual([
+        { account: '1234', name: 'Cat Chow' }
+    ]);
+    expect(errors.map((error) => [error.constructor, error.cell])).toEqual([
+        [RequiredError, 'B3'],
+        [ParseError, 'D4']
+    ]);
+});
+
+it('Reports lines which are not the expected length when lineLength is strict', () => {
+    const {rows, errors} = fromFixedWidth([
+        text,
+        '1234    Cat Chow',
+        '1234    Cat Chow    00000052920190825 extra'
+    ].join('\n'), columns, {
+        lineLength: 'strict',
+        errorMode: 'collect'
+    });
+    
+    expect(rows).toEqual(payments);
+    expect(errors[0]).toBeInstanceOf(LineLengthError);
+    expect(errors[0].message).toBe('Row 3 is 16 characters long but 37 were expected');
+    expect([errors[0].cell, errors[0].value]).toEqual(['B3', 'Cat Chow']);
+    expect([errors[1].cell, errors[1].value, errors[1].expected, errors[1].actual]).toEqual(['F4', ' extra', 37, 43]);
+    // text past the last column is ignored unless extraCells is given
+    expect(fromFixedWidth('1234    Cat Chow    00000052920190825 extra', columns, {
+        extraCells: 'extra'
+    })[0].extra).toEqual([' extra']);
+});
@@ -0,0 +1,143 @@
+'use strict';
+
+// tests for writing objects in formats other than CSV
+
+const {format, toCSV, types} = require('..');
+
+const orders = [
+    {
+        name: 'Cat Chow | *Large*',
+        price: 529,
+        customer: {
+            email: 'cat@example.com'
+        }
+    },
+    {
+        name: '<b>Water</b> & "Ice"\nfor 2',
+        price: 129,
+        customer: {}
+    }
+];
+const columns = [
+    {
+        header: 'Name',
+        key: 'name'
+    },
+    {
+        header: 'Price',
+        key: 'price',
+        align: 'right',
+        ...types.currency()
+    },
+    {
+        header: 'Email',
+        key: 'customer.email'
+    }
+];
+
+it('Writes CSV by default using the same writer as toCSV', () => {
+    const options = {
+        includeHeader: true,
+        dialect: 'rfc4180'
+    };
+    
+    expect(format(orders, columns, options)).toBe(toCSV(orders, columns, options));
+    expect(format(orders, columns, Object.assign({
+        format: 'csv'
+    }, options))).toBe('Name,Price,Email\r\nCat Chow | *Large*,5.29,cat@example.com\r\n"<b>Water</b> & ""Ice""\nfor 2",1.29,');
+});
+
+it('Writes NDJSON with converted values', () => {
+    expect(format(orders, columns, {
+        format: 'ndjson'
+    })).toBe([
+        '{"name":"Cat Chow | *Large*","price":5.29,"customer":{"email":"cat@example.com"}}',
+        '{"name":"<b>Water</b> & \\"Ice\\"\\nfor 2","price":1.29}',
+        ''
+    ].join('\n'));
+    // headers are used as property names
+    expect(format(orders.slice(0, 1), columns, {
+        format: 'ndjson',
+        includeHeader: true
+    })).toBe('{"Name":"Cat Chow | *Large*","Price":5.29,"Email":"cat@example.com"}\n');
+});
+
+it('Writes Markdown tables with escaped values', () => {
+    expect(format(orders, columns, {
+        format: 'markdown',
+        includeHeader: true
+    })).toBe([
+        '| Name | Price | Email |',
+        '| --- | ---: | --- |',
+        '| Cat Chow \\| \\*Large\\* | 5.29 | cat@example.com |',
+        '| \\<b\\>Water\\</b\\> \\& "Ice"<br>for 2 | 1.29 |  |'
+    ].join('\n'));
+    // tables must have a header
+    expect(format([], columns, {
+        format: 'markdown'
+    })).toBe('|  |  |  |\n| --- | ---: | --- |');
+});
+
+it('Writes HTML tables with escaped values', () => {
+    expect(format(orders.slice(1), columns, {
+        format: 'html',
+        includeHeader: true
+    })).toBe([
+        '<table>',
+        '<thead>',
+        '<tr><th>Name</th><th style="text-align: right">Price</th><th>Email</th></tr>',
+        '</thead>',
+        '<tbody>',
+        '<tr><td>&lt;b&gt;Water&lt;/b&gt; &amp; &quot;Ice&quot;<br>for 2</td><td style="text-align: right">1.29</td><td></td></tr>',
+        '</tbody>',
+        '</table>'
+    ].join('\n'));
+});
+
+it('Writes headers which are not strings as empty headers like in CSV', () => {
+    const rows = [
+        {
+            a: 'Water',
+            b: 1.29
+        }
+    ];
+    const headerColumns = [
+        {
+            header: 5,
+            key: 'a'
+        },
+        {
+            header: 'Price',
+            key: 'b'
+        }
+    ];
+    const options = {
+        includeHeader: true
+    };
+    
+    expect(toCSV(rows, headerColumns, options)).toBe(',"Price"\n"Water",1.29');
+    expect(format(rows, headerColumns, Object.assign({
+        format: 'markdown'
+    }, options))).toBe('|  | Price |\n| --- | --- |\n| Water | 1.29 |');
+    expect(format(rows, headerColumns, Object.assign({
+        format: 'html'
+    }, options))).toBe('<table>\n<thead>\n<tr><th></th><th>Price</th></tr>\n</thead>\n<tbody>\n<tr><td>Water</td><td>1.29</td></tr>\n</tbody>\n</table>');
+});
+
+it('Writes formats using writers which are given', () => {
+    const tsv = () => {
+        return {
+            header: (headers) => headers.join('\t'),
+            row: (cellValues, rowIndex) => [rowIndex + 1, ...cellValues].join('\t'),
+            join: (lines, header) => [header, ...lines].join('\n')
+        };
+    };
+    
+    expect(format(orders.slice(0, 1), columns.slice(0, 2), {
+        format: tsv,
+        includeHeader: true
+    })).toBe('Name\tPrice\n1\tCat Chow | *Large*\t5.29');
+    expect(() => format(orders, columns, {
+        format: 'xml'
+    })).toThrow('Unknown format xml');
+});
@@ -0,0 +1,56 @@
+'use strict';
+
+// tests for sanitizing values which spreadsheet applications would read as formulas
+
+const {toCSV, fromCSV} = require('..');
+const ordersData = require('./data/orders');
+
+const commentColumns = [
+    {
+        header: 'Comment',
+        key: 'comment'
+    }
+];
+const comments = [
+    '=HYPERLINK("http://example.com","Click")',
+    '+cmd|\' /C calc\'!A0',
+    '-2+3',
+    '@SUM(A1:A2)',
+    '\tTabbed',
+    '-5.25',
+    'Fine'
+].map((comment) => ({comment}));
+
+it('Neutralizes values which would be read as formulas', () => {
+    expect(toCSV(comments, commentColumns).split('\n')).toEqual([
+        '"\'=HYPERLINK(""http://example.com"",""Click"")"',
+        '"\'+cmd|\' /C calc\'!A0"',
+        '"\'-2+3"',
+        '"\'@SUM(A1:A2)"',
+        '"\'\tTabbed"',
+        '-5.25',
+        '"Fine"'
+    ]);
+});
+
+it('Writes formulas in trusted columns', () => {
+    const csv = toCSV(ordersData.data, ordersData.columns, {
+        includeHeader: true
+    });
+    
+    expect(csv.split('\n')[1]).toBe('2019/8/25,"Cat Chow",3.49,0.21,=C2+D2');
+    expect(toCSV(comments.slice(0, 1), [
+        {
+            key: 'comment',
+            formula: true
+        }
+    ])).toBe('"=HYPERLINK(""http://example.com"",""Click"")"');
+});
+
+it('Writes values as they are when sanitizing is turned off', () => {
+    const csv = toCSV(comments, commentColumns, {
+        sanitizeFormulas: false
+    });
+    
+    expect(fromCSV(csv, commentColumns)).toEqual(comments);
+});
@@ -0,0 +1,162 @@
+'use strict';
+
+// tests for matching columns to cells using the header line, and for taking keys from it
+
+const {fromCSV, inferColumns, createParseStream} = require('..');
+
+const productColumns = [
+    {
+        header: 'Name',
+        key: 'name',
+        required: true
+    },
+    {
+        header: 'Price',
+        key: 'price',
+        aliases: ['Cost', 'Unit Price'],
+        parser: parseFloat
+    },
+    {
+        header: 'Description',
+        key: 'description'
+    }
+];
+
+it('Matches columns by header when the columns are reordered', () => {
+    const csv = 'Price,Description,Name\n5.29,Cat food,Cat Chow\n6.99,,Pizza';
+    
+    expect(fromCSV(csv, productColumns, {
+        matchBy: 'header'
+    })).toEqual([
+        {
+            name: 'Cat Chow',
+            price: 5.29,
+            description: 'Cat food'
+        },
+        {
+            name: 'Pizza',
+            price: 6.99
+        }
+    ]);
+});
+
+it('Matches columns by aliases, ignoring case and whitespace', () => {
+    const csv = ' unit  PRICE ,name\n5.29,Cat Chow';
+    
+    expect(fromCSV(csv, productColumns, {
+        matchBy: 'header'
+    })).toEqual([
+        {
+            name: 'Cat Chow',
+            price: 5.29
+        }
+    ]);
+});
+
+it('Throws an error when the headers of required columns are missing', () => {
+    expect(() => {
+        fromCSV('Price,Description\n5.29,Cat food', productColumns, {
+            matchBy: 'header'
+        });
+    }).toThrow('Missing required headers "Name"');
+    expect(() => {
+        fromCSV('', productColumns, {
+            matchBy: 'header'
+        });
+    }).toThrow('Missing required headers "Name"');
+});
+
+it('Reports unexpected headers', () => {
+    const csv = 'Name,Price,Quantity\nCat Chow,5.29,2';
+    
+    expect(fromCSV(csv, productColumns, {
+        matchBy: 'header'
+    })).toEqual([
+        {
+            name: 'Cat Chow',
+            price: 5.29
+        }
+    ]);
+    expect(() => {
+        fromCSV(csv, productColumns, {
+            matchBy: 'header',
+            extraHeaders: 'error'
+        });
+    }).toThrow('Unexpected headers "Quantity"');
+});
+
+it('Matches columns by header in streams', () => {
+    const stream = createParseStream(productColumns, {
+        matchBy: 'header'
+    });
+    const result = new Promise((resolve, reject) => {
+        const rows = [];
+        
+        stream
+            .on('data', (row) => rows.push(row))
+            .on('error', reject)
+            .on('end', () => resolve(rows));
+    });
+    
+    stream.write('Cost,Na');
+    stream.write('me\n5.29,Cat Chow\n');
+    stream.end();
+    
+    return result.then((rows) => {
+        expect(rows).toEqual([
+            {
+                name: 'Cat Chow',
+                price: 5.29
+            }
+        ]);
+    });
+});
+
+it('Transforms headers into keys', () => {
+    const csv = ' Unit Price ,SKU ID,unit_count\n5.29,CC-1,10';
+    
+    expect(fromCSV(csv, null, {
+        includeHeader: true,
+        headerTransform: 'camelCase'
+    })).toEqual([{ unitPrice: '5.29', skuId: 'CC-1', unitCount: '10' }]);
+    expect(fromCSV(csv, null, {
+        includeHeader: true,
+        headerTransform: 'snake_case'
+    })).toEqual([{ unit_price: '5.29', sku_id: 'CC-1', unit_count: '10' }]);
+    expect(fromCSV(csv, null, {
+        includeHeader: true,
+        headerTransform: ['trim', 'lowercase']
+    })).toEqual([{ 'unit price': '5.29', 'sku id': 'CC-1', unit_count: '10' }]);
+    expect(fromCSV(csv, null, {
+        includeHeader: true,
+        headerTransform: (header, index) => `${index}:${header.trim()}`
+    })).toEqual([{ '0:Unit Price': '5.29', '1:SKU ID': 'CC-1', '2:unit_count': '10' }]);
+    expect(inferColumns(csv, {
+        includeHeader: true,
+        headerTransform: 'camelCase'
+    })[0]).toMatchObject({
+        header: ' Unit Price ',
+        key: 'unitPrice',
+        type: 'number'
+    });
+    expect(() => fromCSV(csv, null, {
+        includeHeader: true,
+        headerTransform: 'kebab-case'
+    })).toThrow('Unknown headerTransform kebab-case');
+});
+
+it('Handles duplicate headers', () => {
+    const csv = 'Name,Notes,Notes,notes\n"Cat Chow","Dry","Chicken",';
+    const parse = (duplicateHeaders) => {
+        return fromCSV(csv, null, {
+            includeHeader: true,
+            headerTransform: 'camelCase',
+            duplicateHeaders
+        });
+    };
+    
+    expect(parse()).toEqual([{ name: 'Cat Chow', notes: 'Chicken' }]);
+    expect(parse('suffix')).toEqual([{ name: 'Cat Chow', notes: 'Dry', notes_2: 'Chicken' }]);
+    expect(parse('array')).toEqual([{ name: 'Cat Chow', notes: ['Dry', 'Chicken', ''] }]);
+    expect(() => parse('error')).toThrow('Duplicate headers "Notes", "Notes", "notes"');
+});
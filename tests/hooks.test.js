@@ -0,0 +1,197 @@
+'use strict';
+
+// tests for the beforeRow, afterRow and validateRow hooks
+
+const {
+    toCSV,
+    fromCSV,
+    toCSVAsync,
+    fromCSVAsync,
+    parseAsync,
+    formatAsync,
+    RowValidationError,
+    CellError
+} = require('..');
+
+const columns = [
+    {
+        header: 'Name',
+        key: 'name'
+    },
+    {
+        header: 'Start',
+        key: 'start',
+        parser: parseInt
+    },
+    {
+        header: 'End',
+        key: 'end',
+        parser: parseInt
+    }
+];
+const csv = 'Name,Start,End\n# a comment\nMorning,9,12\nNight,22,6';
+const skipComments = (cells) => cells[0].startsWith('#') ? null : undefined;
+const validateRow = (obj) => obj.end > obj.start || 'end must be after start';
+
+it('Skips and changes lines with beforeRow', () => {
+    const rows = fromCSV(csv, columns, {
+        includeHeader: true,
+        beforeRow: (cells, row) => {
+            if (cells[0].startsWith('#')) {
+                return null;
+            }
+            
+            return [`${cells[0]} (row ${row})`, ...cells.slice(1)];
+        }
+    });
+    
+    expect(rows).toEqual([
+        { name: 'Morning (row 3)', start: 9, end: 12 },
+        { name: 'Night (row 4)', start: 22, end: 6 }
+    ]);
+});
+
+it('Changes and skips objects with afterRow', () => {
+    const rows = fromCSV(csv, columns, {
+        includeHeader: true,
+        beforeRow: skipComments,
+        afterRow: (obj, cells) => {
+            if (obj.name === 'Night') {
+                return null;
+            }
+            
+            return Object.assign({}, obj, {
+                hours: obj.end - obj.start,
+                raw: cells.join('|')
+            });
+        }
+    });
+    
+    expect(rows).toEqual([
+        { name: 'Morning', start: 9, end: 12, hours: 3, raw: 'Morning|9|12' }
+    ]);
+});
+
+it('Raises errors for rows rejected by validateRow', () => {
+    const {rows, errors} = fromCSV(csv, columns, {
+        includeHeader: true,
+        errorMode: 'collect',
+        beforeRow: skipComments,
+        validateRow
+    });
+    
+    expect(rows).toEqual([
+        { name: 'Morning', start: 9, end: 12 }
+    ]);
+    expect(errors).toHaveLength(1);
+    expect(errors[0]).toBeInstanceOf(RowValidationError);
+    expect(errors[0]).toBeInstanceOf(CellError);
+    expect(errors[0].message).toBe('Invalid row 4: end must be after start');
+    expect(errors[0].row).toBe(4);
+    expect(errors[0].value).toEqual(['Night', '22', '6']);
+    expect(() => fromCSV(csv, columns, {
+        includeHeader: true,
+        beforeRow: skipComments,
+        validateRow
+    })).toThrow(RowValidationError);
+});
+
+it('Uses the messages of errors thrown by validateRow', () => {
+    const {errors} = fromCSV('a,b', ['x', 'y'], {
+        errorMode: 'collect',
+        validateRow: () => {
+            throw new Error('rejected');
+        }
+    });
+    
+    expect(errors.map((error) => error.message)).toEqual(['Invalid row 1: rejected']);
+    expect(fromCSV('a,b', ['x', 'y'], {
+        errorMode: 'collect',
+        validateRow: () => false
+    }).errors[0].message).toBe('Invalid row 1: is not valid');
+});
+
+it('Does not check rows which have errors in their cells', () => {
+    const check = jest.fn(() => true);
+    const {errors} = fromCSV('Morning,9,12\nNight,,6', columns.map((column) => {
+        return Object.assign({}, column, {
+            required: true
+        });
+    }), {
+        errorMode: 'collect',
+        validateRow: check,
+        afterRow: check
+    });
+    
+    expect(errors).toHaveLength(1);
+    expect(check).toHaveBeenCalledTimes(2);
+});
+
+it('Calls hooks when parsing streams and parsers which return promises', async () => {
+    const options = {
+        includeHeader: true,
+        beforeRow: jest.fn(skipComments),
+        afterRow: (obj) => Object.assign(obj, {
+            checked: true
+        })
+    };
+    const expected = [
+        { name: 'Morning', start: 9, end: 12, checked: true },
+        { name: 'Night', start: 22, end: 6, checked: true }
+    ];
+    const rows = [];
+    
+    for await (const row of parseAsync([csv], columns, options)) {
+        rows.push(row);
+    }
+    
+    expect(rows).toEqual(expected);
+    
+    const asyncColumns = columns.map((column) => {
+        return Object.assign({}, column, {
+            parser: column.parser && (async (value) => parseInt(value))
+        });
+    });
+    
+    options.beforeRow.mockClear();
+    expect(await fromCSVAsync(csv, asyncColumns, options)).toEqual(expected);
+    // each line is only given to beforeRow once
+    expect(options.beforeRow).toHaveBeenCalledTimes(3);
+    
+    const {errors} = await fromCSVAsync(csv, asyncColumns, Object.assign({}, options, {
+        errorMode: 'collect',
+        validateRow
+    }));
+    
+    expect(errors.map((error) => error.message)).toEqual(['Invalid row 4: end must be after start']);
+});
+
+it('Changes and leaves out objects with beforeRow when writing', async () => {
+    const rows = [
+        { name: 'Morning', start: 9, end: 12 },
+        { name: 'Draft', start: 0, end: 0 },
+        { name: 'Night', start: 22, end: 6 }
+    ];
+    const options = {
+        includeHeader: true,
+        beforeRow: (obj) => {
+            if (obj.name === 'Draft') {
+                return null;
+            }
+            
+            return Object.assign({}, obj, {
+                name: obj.name.toUpperCase()
+            });
+        }
+    };
+    const expected = '"Name","Start","End"\n"MORNING",9,12\n"NIGHT",22,6';
+    let str = '';
+    
+    for await (const line of formatAsync(rows, columns, options)) {
+        str += line;
+    }
+    
+    expect(toCSV(rows, columns, options)).toBe(expected);
+    expect(await toCSVAsync(rows, columns, options)).toBe(expected);
+    expect(str).toBe(expected);
+});
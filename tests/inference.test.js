@@ -0,0 +1,91 @@
+'use strict';
+
+// tests for inferring columns from CSV
+
+const {toCSV, fromCSV, inferColumns} = require('..');
+
+const csv = [
+    'id,name,price,active,born,updated,code,notes',
+    '1,Cat Chow,5.29,true,2019-08-25,2019-08-25T10:00:00Z,00123,',
+    '2,Dog Chow,,FALSE,2019-08-26,2019-08-26T11:30:00Z,00456,'
+].join('\n');
+
+it('Infers the types of columns', () => {
+    const columns = inferColumns(csv, {
+        includeHeader: true
+    });
+    
+    expect(columns.map(({header, key, type}) => ({header, key, type}))).toEqual([
+        { header: 'id', key: 'id', type: 'integer' },
+        { header: 'name', key: 'name', type: undefined },
+        { header: 'price', key: 'price', type: 'number' },
+        { header: 'active', key: 'active', type: 'boolean' },
+        { header: 'born', key: 'born', type: 'date' },
+        { header: 'updated', key: 'updated', type: 'date' },
+        { header: 'code', key: 'code', type: undefined },
+        { header: 'notes', key: 'notes', type: undefined }
+    ]);
+});
+
+it('Parses CSV using inferred types', () => {
+    expect(fromCSV(csv, null, {
+        includeHeader: true,
+        includeEmptyValues: true,
+        inferTypes: true
+    })).toEqual([
+        {
+            id: 1,
+            name: 'Cat Chow',
+            price: 5.29,
+            active: true,
+            born: new Date('2019-08-25T00:00:00Z'),
+            updated: new Date('2019-08-25T10:00:00Z'),
+            code: '00123',
+            notes: null
+        },
+        {
+            id: 2,
+            name: 'Dog Chow',
+            price: null,
+            active: false,
+            born: new Date('2019-08-26T00:00:00Z'),
+            updated: new Date('2019-08-26T11:30:00Z'),
+            code: '00456',
+            notes: null
+        }
+    ]);
+});
+
+it('Keeps mixed and invalid values as text', () => {
+    const columns = inferColumns('1,2019-02-30,1.5\nx,2019-02-01,2\n01,2019-02-02,3');
+    
+    expect(columns.map(({key, type}) => ({key, type}))).toEqual([
+        { key: 'col1', type: undefined },
+        { key: 'col2', type: undefined },
+        { key: 'col3', type: 'number' }
+    ]);
+});
+
+it('Only looks at the sample of lines', () => {
+    const columns = inferColumns('value\n1\n2\nthree', {
+        includeHeader: true,
+        sampleSize: 2
+    });
+    
+    expect(columns[0].type).toBe('integer');
+});
+
+it('Round trips rows using inferred columns', () => {
+    const columns = inferColumns(csv, {
+        includeHeader: true
+    });
+    const rows = fromCSV(csv, columns, {
+        includeHeader: true
+    });
+    
+    // headers are always quoted and booleans are written in lowercase
+    expect(toCSV(rows, columns, {
+        includeHeader: true,
+        quote: 'never'
+    })).toBe(csv.replace(/^.*\n/, '"id","name","price","active","born","updated","code","notes"\n').replace('FALSE', 'false'));
+});
@@ -0,0 +1,158 @@
+'use strict';
+
+// tests for nested values using key paths
+
+const {toCSV, fromCSV, createFormatStream} = require('..');
+
+const orders = [
+    {
+        id: 1,
+        customer: {
+            name: 'Ann',
+            address: {
+                city: 'Oslo'
+            }
+        },
+        items: [
+            {
+                sku: 'CAT-1'
+            },
+            {
+                sku: 'PIZ-2'
+            }
+        ]
+    },
+    {
+        id: 2,
+        customer: {
+            name: 'Bob'
+        },
+        items: [
+            {
+                sku: 'BRD-3'
+            }
+        ]
+    }
+];
+const orderColumns = [
+    {
+        header: 'ID',
+        key: 'id',
+        parser: Number
+    },
+    {
+        header: 'City',
+        key: 'customer.address.city'
+    },
+    {
+        header: 'First SKU',
+        key: 'items[0].sku'
+    }
+];
+
+it('Reads nested values using key paths', () => {
+    expect(toCSV(orders, orderColumns)).toBe('1,"Oslo","CAT-1"\n2,,"BRD-3"');
+});
+
+it('Builds nested objects using key paths', () => {
+    const csv = toCSV(orders, orderColumns);
+    
+    expect(fromCSV(csv, orderColumns)).toEqual([
+        {
+            id: 1,
+            customer: {
+                address: {
+                    city: 'Oslo'
+                }
+            },
+            items: [
+                {
+                    sku: 'CAT-1'
+                }
+            ]
+        },
+        {
+            id: 2,
+            items: [
+                {
+                    sku: 'BRD-3'
+                }
+            ]
+        }
+    ]);
+});
+
+it('Uses keys with dots which are properties of objects', () => {
+    const rows = [
+        {
+            'unit.price': 5.29
+        }
+    ];
+    const columns = [
+        {
+            key: '["unit.price"]',
+            parser: Number
+        }
+    ];
+    
+    expect(toCSV(rows, ['unit.price'])).toBe('5.29');
+    expect(fromCSV(toCSV(rows, columns), columns)).toEqual(rows);
+});
+
+it('Flattens and unflattens objects when columns are not given', () => {
+    const csv = toCSV(orders, null, {
+        includeHeader: true,
+        flatten: true
+    });
+    
+    expect(csv.split('\n')[0]).toBe('"id","customer.name","customer.address.city","items[0].sku","items[1].sku"');
+    expect(fromCSV(csv, null, {
+        includeHeader: true,
+        unflatten: true
+    })[0]).toEqual({
+        id: '1',
+        customer: {
+            name: 'Ann',
+            address: {
+                city: 'Oslo'
+            }
+        },
+        items: [
+            {
+                sku: 'CAT-1'
+            },
+            {
+                sku: 'PIZ-2'
+            }
+        ]
+    });
+    // headers are used as keys as they are by default
+    expect(fromCSV(csv, null, {
+        includeHeader: true
+    })[1]).toEqual({
+        'id': '2',
+        'customer.name': 'Bob',
+        'items[0].sku': 'BRD-3'
+    });
+});
+
+it('Flattens objects in streams', () => {
+    const stream = createFormatStream(null, {
+        includeHeader: true,
+        flatten: true
+    });
+    const result = new Promise((resolve, reject) => {
+        let text = '';
+        
+        stream
+            .on('data', (chunk) => text += chunk)
+            .on('error', reject)
+            .on('end', () => resolve(text));
+    });
+    
+    stream.end(orders[0]);
+    
+    return result.then((text) => {
+        expect(text).toBe('"id","customer.name","customer.address.city","items[0].sku","items[1].sku"\n1,"Ann","Oslo","CAT-1","PIZ-2"');
+    });
+});
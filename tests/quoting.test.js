@@ -0,0 +1,109 @@
+'use strict';
+
+// tests for quoting columns when writing CSV
+
+const {toCSV, fromCSV, isSpreadsheetLiteral} = require('..');
+
+const products = [
+    {
+        code: '00123',
+        made: '2019-08-25',
+        time: '10:30',
+        name: 'Cat Chow',
+        price: 5.29
+    },
+    {
+        code: '12-05-2019',
+        made: '8/25/2019',
+        time: '10:30:15 PM',
+        name: 'Pizza, "Large"',
+        price: 6.99
+    }
+];
+
+it('Detects spreadsheet literals', () => {
+    expect([
+        '2019-08-25',
+        '8/25/2019',
+        '2019-08-25T10:30:00.000Z',
+        '2019-08-25 10:30:00+02:00',
+        '10:30',
+        '10:30 PM',
+        '5.29',
+        '-12',
+        '0.5'
+    ].filter(isSpreadsheetLiteral)).toHaveLength(9);
+    expect([
+        '00123',
+        '-012',
+        'Cat Chow',
+        '2019-08',
+        '',
+        5
+    ].filter(isSpreadsheetLiteral)).toHaveLength(0);
+});
+
+it('Quotes strings which are not literals by default', () => {
+    expect(toCSV(products, ['code', 'made', 'time', 'name', 'price'])).toBe([
+        '"00123",2019-08-25,10:30,"Cat Chow",5.29',
+        '12-05-2019,8/25/2019,10:30:15 PM,"Pizza, ""Large""",6.99'
+    ].join('\n'));
+});
+
+it('Quotes columns using their own setting', () => {
+    const columns = [
+        {
+            key: 'code',
+            quote: 'always'
+        },
+        {
+            key: 'made'
+        },
+        {
+            key: 'name',
+            quote: 'never'
+        },
+        {
+            key: 'price',
+            quote: 'always'
+        }
+    ];
+    const csv = toCSV(products, columns);
+    
+    expect(csv).toBe([
+        '"00123",2019-08-25,Cat Chow,"5.29"',
+        '"12-05-2019",8/25/2019,"Pizza, ""Large""","6.99"'
+    ].join('\n'));
+    // the values can still be read
+    expect(fromCSV(csv, columns)[1].name).toBe('Pizza, "Large"');
+});
+
+it('Quotes columns using a global setting', () => {
+    const columns = [
+        'code',
+        {
+            key: 'name',
+            quote: 'auto'
+        },
+        'price'
+    ];
+    
+    expect(toCSV(products, columns, {
+        quote: 'always'
+    })).toBe('"00123","Cat Chow","5.29"\n"12-05-2019","Pizza, ""Large""","6.99"');
+    expect(toCSV(products, columns, {
+        quote: 'never'
+    })).toBe('00123,"Cat Chow",5.29\n12-05-2019,"Pizza, ""Large""",6.99');
+    expect(() => toCSV(products, columns, {
+        quote: 'sometimes'
+    })).toThrow('Unknown quote sometimes');
+});
+
+it('Uses a custom literal detector', () => {
+    // only ISO dates are left unquoted
+    const isLiteral = (value) => /^\d{4}-\d{2}-\d{2}$/.test(value);
+    
+    expect(toCSV(products, ['code', 'made', 'time'], {
+        isLiteral
+    })).toBe('"00123",2019-08-25,"10:30"\n"12-05-2019","8/25/2019","10:30:15 PM"');
+});
@@ -0,0 +1,101 @@
+'use strict';
+
+// tests for lines with a different number of cells than there are columns
+
+const {fromCSV, parseAsync, ColumnCountError} = require('..');
+
+const columns = ['name', 'price', 'stock'];
+const csv = '"Cat Chow",5.29,10\n"Water",1.29\n"Light Bulbs",5.29,3,"Aisle 4","Shelf 2"';
+
+it('Ignores extra cells and leaves out missing cells by default', () => {
+    expect(fromCSV(csv, columns)).toEqual(fromCSV(csv, columns, {
+        columnCount: 'truncate'
+    }));
+    expect(fromCSV(csv, columns)).toEqual([
+        { name: 'Cat Chow', price: '5.29', stock: '10' },
+        { name: 'Water', price: '1.29' },
+        { name: 'Light Bulbs', price: '5.29', stock: '3' }
+    ]);
+});
+
+it('Raises errors for lines with the wrong number of cells when strict', () => {
+    const {rows, errors} = fromCSV(csv, columns, {
+        columnCount: 'strict',
+        errorMode: 'collect'
+    });
+    
+    expect(rows).toEqual([
+        { name: 'Cat Chow', price: '5.29', stock: '10' }
+    ]);
+    expect(errors.map((error) => error instanceof ColumnCountError)).toEqual([true, true]);
+    expect(errors.map(({message, cell, expected, actual}) => ({message, cell, expected, actual}))).toEqual([
+        {
+            message: 'Row 2 has 2 cells but 3 were expected',
+            cell: 'C2',
+            expected: 3,
+            actual: 2
+        },
+        {
+            message: 'Row 3 has 5 cells but 3 were expected',
+            cell: 'D3',
+            expected: 3,
+            actual: 5
+        }
+    ]);
+    expect(() => fromCSV(csv, columns, {
+        columnCount: 'strict'
+    })).toThrow('Row 2 has 2 cells but 3 were expected');
+});
+
+it('Expects as many cells as there are headers when matching by header', () => {
+    expect(fromCSV('Name,Price,Notes\n"Cat Chow",5.29,\n"Water",1.29', [
+        {
+            header: 'Name',
+            key: 'name'
+        }
+    ], {
+        matchBy: 'header',
+        columnCount: 'strict',
+        errorMode: 'collect'
+    }).errors.map((error) => error.message)).toEqual([
+        'Row 3 has 2 cells but 3 were expected'
+    ]);
+});
+
+it('Pads missing cells with empty values', () => {
+    expect(fromCSV(csv, columns, {
+        columnCount: 'pad',
+        includeEmptyValues: true
+    })[1]).toEqual({ name: 'Water', price: '1.29', stock: '' });
+    expect(() => fromCSV(csv, ['name', 'price', {
+        key: 'stock',
+        required: true
+    }], {
+        columnCount: 'pad'
+    })).toThrow('Required column stock is empty in cell C2');
+});
+
+it('Captures extra cells', async () => {
+    const expected = [
+        { name: 'Cat Chow', price: '5.29', stock: '10' },
+        { name: 'Water', price: '1.29' },
+        { name: 'Light Bulbs', price: '5.29', stock: '3', _extra: ['Aisle 4', 'Shelf 2'] }
+    ];
+    const options = {
+        extraCells: '_extra'
+    };
+    const rows = [];
+    
+    for await (const row of parseAsync([csv.slice(0, 30), csv.slice(30)], columns, options)) {
+        rows.push(row);
+    }
+    
+    expect(fromCSV(csv, columns, options)).toEqual(expected);
+    expect(rows).toEqual(expected);
+});
+
+it('Throws on unknown column counts', () => {
+    expect(() => fromCSV(csv, columns, {
+        columnCount: 'loose'
+    })).toThrow('Unknown columnCount loose');
+});
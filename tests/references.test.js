@@ -0,0 +1,96 @@
+'use strict';
+
+// tests for the ref and range helpers given to converters
+
+const {toCSV, toCSVAsync, formatAsync} = require('..');
+
+const rows = [
+    { name: 'Cat Chow', price: 3.49, quantity: 2 },
+    { name: 'Water', price: 1.29, quantity: 6 },
+    { name: 'Light Bulbs', price: 5.29, quantity: 1 }
+];
+const createColumns = (converter) => {
+    return [
+        {
+            header: 'Name',
+            key: 'name'
+        },
+        {
+            header: 'Price',
+            key: 'price'
+        },
+        {
+            header: 'Quantity',
+            key: 'quantity'
+        },
+        {
+            header: 'Total',
+            formula: true,
+            converter
+        }
+    ];
+};
+
+it('Gives the labels of cells in the same row by key or header', () => {
+    const columns = createColumns((value, {ref}) => `=${ref('price')}*${ref('Quantity')}`);
+    
+    expect(toCSV(rows, columns)).toBe([
+        '"Cat Chow",3.49,2,=B1*C1',
+        '"Water",1.29,6,=B2*C2',
+        '"Light Bulbs",5.29,1,=B3*C3'
+    ].join('\n'));
+    expect(toCSV(rows, columns, {
+        includeHeader: true
+    }).split('\n')[1]).toBe('"Cat Chow",3.49,2,=B2*C2');
+});
+
+it('Follows columns when they are reordered', () => {
+    const columns = createColumns((value, {ref}) => `=${ref('price')}*${ref('quantity')}`);
+    const reordered = [columns[3], columns[2], columns[0], columns[1]];
+    
+    expect(toCSV(rows.slice(0, 1), reordered)).toBe('=D1*B1,2,"Cat Chow",3.49');
+});
+
+it('Gives the labels of cells in other rows', () => {
+    const columns = createColumns((value, {row, ref}) => {
+        // a running total
+        return row === 2 ? `=${ref('price')}` : `=${ref('Total', {offset: -1})}+${ref('price')}`;
+    });
+    
+    expect(toCSV(rows, columns, {
+        includeHeader: true
+    })).toBe([
+        '"Name","Price","Quantity","Total"',
+        '"Cat Chow",3.49,2,=B2',
+        '"Water",1.29,6,=D2+B3',
+        '"Light Bulbs",5.29,1,=D3+B4'
+    ].join('\n'));
+    expect(toCSV(rows.slice(0, 2), createColumns((value, {ref}) => `=${ref('price', {row: 1})}`), {
+        includeHeader: true
+    })).toBe([
+        '"Name","Price","Quantity","Total"',
+        '"Cat Chow",3.49,2,=B2',
+        '"Water",1.29,6,=B2'
+    ].join('\n'));
+    expect(() => toCSV(rows, createColumns((value, {ref}) => ref('price', {row: 0})))).toThrow('Invalid row 0');
+    expect(() => toCSV(rows, createColumns((value, {ref}) => ref('cost')))).toThrow('Unknown column cost');
+});
+
+it('Gives ranges of the cells of a column in every row', async () => {
+    const columns = createColumns((value, {range}) => `=SUM(${range('price')})`);
+    
+    expect(toCSV(rows, columns, {
+        includeHeader: true
+    }).split('\n')[1]).toBe('"Cat Chow",3.49,2,=SUM(B2:B4)');
+    expect(toCSV(rows, columns).split('\n')[1]).toBe('"Water",1.29,6,=SUM(B1:B3)');
+    expect((await toCSVAsync(rows, createColumns(async (value, {ref, range}) => {
+        return `=${ref('Price')}/SUM(${range('price')})`;
+    }))).split('\n')[2]).toBe('"Light Bulbs",5.29,1,=B3/SUM(B1:B3)');
+    
+    // the number of rows in a stream is not known
+    await expect((async () => {
+        for await (const line of formatAsync(rows, columns)) {
+            expect(line).toBeUndefined();
+        }
+    })()).rejects.toThrow('Ranges are not available');
+});
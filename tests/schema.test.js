@@ -0,0 +1,141 @@
+'use strict';
+
+// tests for defining columns and getting JSON Schemas from them
+
+const {defineColumns, toJSONSchema, fromCSV, types} = require('..');
+
+it('Defines columns as they are', () => {
+    const name = {
+        key: 'name',
+        required: true
+    };
+    const price = {
+        key: 'price',
+        parser: parseFloat
+    };
+    const columns = defineColumns(name, price);
+    
+    expect(columns).toEqual([name, price]);
+    expect(fromCSV('"Cat Chow",5.29', columns)).toEqual([
+        {
+            name: 'Cat Chow',
+            price: 5.29
+        }
+    ]);
+});
+
+it('Gets a JSON Schema with types, rules and required properties', () => {
+    expect(toJSONSchema([
+        {
+            header: 'Name',
+            key: 'name',
+            required: true,
+            maxLength: 20,
+            pattern: /^[A-Z]/
+        },
+        {
+            key: 'price',
+            type: 'number',
+            min: 0
+        },
+        {
+            key: 'total',
+            ...types.currency()
+        },
+        {
+            key: 'date',
+            ...types.date()
+        },
+        {
+            key: 'status',
+            ...types.enum(['open', 'closed'])
+        },
+        {
+            key: 'meta',
+            ...types.json()
+        }
+    ])).toEqual({
+        $schema: 'http://json-schema.org/draft-07/schema#',
+        type: 'object',
+        properties: {
+            name: {
+                title: 'Name',
+                type: 'string',
+                maxLength: 20,
+                pattern: '^[A-Z]'
+            },
+            price: {
+                type: 'number',
+                minimum: 0
+            },
+            total: {
+                type: 'integer'
+            },
+            date: {
+                type: 'string',
+                format: 'date-time'
+            },
+            status: {
+                enum: ['open', 'closed']
+            },
+            meta: {}
+        },
+        required: ['name']
+    });
+});
+
+it('Gets a JSON Schema for nested keys', () => {
+    const columns = [
+        {
+            key: 'customer.address.city',
+            required: true
+        },
+        {
+            key: 'items[0].sku'
+        },
+        {
+            key: 'items[1].sku'
+        }
+    ];
+    
+    expect(toJSONSchema(columns).properties).toEqual({
+        customer: {
+            type: 'object',
+            properties: {
+                address: {
+                    type: 'object',
+                    properties: {
+                        city: {
+                            type: 'string'
+                        }
+                    },
+                    required: ['city']
+                }
+            },
+            required: ['address']
+        },
+        items: {
+            type: 'array',
+            items: {
+                type: 'object',
+                properties: {
+                    sku: {
+                        type: 'string'
+                    }
+                }
+            }
+        }
+    });
+    expect(Object.keys(toJSONSchema(columns, {
+        unflatten: false
+    }).properties)).toEqual(['customer.address.city', 'items[0].sku', 'items[1].sku']);
+});
+
+it('Throws on unknown types', () => {
+    expect(() => toJSONSchema([
+        {
+            key: 'name',
+            type: 'text'
+        }
+    ])).toThrow('Unknown type text');
+});
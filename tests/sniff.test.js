@@ -0,0 +1,114 @@
+'use strict';
+
+// tests for sniffing the dialect of CSV strings
+
+const {fromCSV, sniff, createParseStream} = require('..');
+
+it('Sniffs a comma-delimited CSV string', () => {
+    const csv = 'Name,Price\n"Cat Chow, Large",5.29\nPizza,6.99';
+    
+    expect(sniff(csv)).toEqual({
+        delimiter: ',',
+        quote: '"',
+        escape: '"',
+        lineTerminator: '\n',
+        hasHeader: true
+    });
+});
+
+it('Sniffs a semicolon-delimited CSV string with decimal commas', () => {
+    const csv = 'Name;Price;Quantity\nCat Chow;5,29;1\nPizza;6,99;2\nBread;2,5;10';
+    const dialect = sniff(csv);
+    
+    expect(dialect.delimiter).toBe(';');
+    expect(dialect.hasHeader).toBe(true);
+});
+
+it('Sniffs tab and pipe delimiters', () => {
+    expect(sniff('id\tname\n1\tCat Chow\n2\tPizza').delimiter).toBe('\t');
+    expect(sniff('id|name\n1|Cat Chow\n2|Pizza').delimiter).toBe('|');
+});
+
+it('Sniffs single quotes and CRLF line terminators', () => {
+    const csv = '\'Cat Chow, Large\',\'5.29\'\r\n\'Pizza\',\'6.99\'\r\n';
+    const dialect = sniff(csv);
+    
+    expect(dialect.delimiter).toBe(',');
+    expect(dialect.quote).toBe('\'');
+    expect(dialect.lineTerminator).toBe('\r\n');
+});
+
+it('Does not detect a header when the first line looks like the rest', () => {
+    expect(sniff('1,Cat Chow,5.29\n2,Pizza,6.99').hasHeader).toBe(false);
+    expect(sniff('A1,Cat Chow\nB2,Pizza\nC3,Bread').hasHeader).toBe(false);
+});
+
+it('Parses CSV using an "auto" delimiter', () => {
+    const csv = 'Name;Price\n"Cat Chow; Large";5,29\nPizza;6,99';
+    const expected = [
+        {
+            Name: 'Cat Chow; Large',
+            Price: '5,29'
+        },
+        {
+            Name: 'Pizza',
+            Price: '6,99'
+        }
+    ];
+    
+    expect(fromCSV(csv, null, {
+        delimiter: 'auto'
+    })).toEqual(expected);
+    expect(fromCSV(csv, null, {
+        dialect: {
+            delimiter: 'auto'
+        }
+    })).toEqual(expected);
+    // includeHeader is kept when given
+    expect(fromCSV(csv, null, {
+        delimiter: 'auto',
+        includeHeader: false
+    })[0]).toEqual({
+        col1: 'Name',
+        col2: 'Price'
+    });
+});
+
+it('Parses a stream using an "auto" delimiter', () => {
+    const stream = createParseStream([
+        {
+            key: 'id',
+            parser: Number
+        },
+        {
+            key: 'name'
+        }
+    ], {
+        delimiter: 'auto'
+    });
+    const result = new Promise((resolve, reject) => {
+        const rows = [];
+        
+        stream
+            .on('data', (row) => rows.push(row))
+            .on('error', reject)
+            .on('end', () => resolve(rows));
+    });
+    
+    // write one character at a time
+    'id\tname\n1\tCat Chow\n2\tPizza'.split('').forEach((chunk) => stream.write(chunk));
+    stream.end();
+    
+    return result.then((rows) => {
+        expect(rows).toEqual([
+            {
+                id: 1,
+                name: 'Cat Chow'
+            },
+            {
+                id: 2,
+                name: 'Pizza'
+            }
+        ]);
+    });
+});
@@ -0,0 +1,264 @@
+'use strict';
+
+// tests for parsing and formatting CSV using streams
+
+const {Readable} = require('stream');
+const {toCSV, fromCSV, createParseStream, parseAsync, createFormatStream, formatAsync} = require('..');
+const ordersData = require('./data/orders');
+
+// collects every object read from a parse stream
+const readAll = (stream) => {
+    return new Promise((resolve, reject) => {
+        const rows = [];
+        
+        stream
+            .on('data', (row) => rows.push(row))
+            .on('error', reject)
+            .on('end', () => resolve(rows));
+    });
+};
+
+// collects every string read from a format stream
+const readString = (stream) => {
+    return readAll(stream).then((chunks) => chunks.join(''));
+};
+// collects every string from an async iterator
+const joinAsync = async (iterator) => {
+    let str = '';
+    
+    for await (const chunk of iterator) {
+        str += chunk;
+    }
+    
+    return str;
+};
+// splits a string into chunks of the given size
+const toChunks = (str, size) => {
+    const chunks = [];
+    
+    for (let i = 0; i < str.length; i += size) {
+        chunks.push(str.slice(i, i + size));
+    }
+    
+    return chunks;
+};
+
+it('Parses the same objects as fromCSV when written one character at a time', async () => {
+    const {columns, data} = ordersData;
+    const csv = toCSV(data, columns, {
+        includeHeader: true
+    });
+    const stream = createParseStream(columns, {
+        includeHeader: true
+    });
+    const result = readAll(stream);
+    
+    toChunks(csv, 1).forEach((chunk) => stream.write(chunk));
+    stream.end();
+    
+    expect(await result)
+        .toEqual(fromCSV(csv, columns, {
+            includeHeader: true
+        }));
+});
+
+it('Handles quoted cells spanning chunks', async () => {
+    const csv = '"Name","Notes"\r\n"Cat Chow","Tasty, ""crunchy""\nand cheap"\r\n"Pizza",""\r\n';
+    
+    for (let size = 1; size <= csv.length; size++) {
+        const stream = createParseStream(null, {
+            includeHeader: true,
+            includeEmptyValues: true
+        });
+        const result = readAll(stream);
+        
+        toChunks(csv, size).forEach((chunk) => stream.write(chunk));
+        stream.end();
+        
+        expect(await result)
+            .toEqual([
+                {
+                    Name: 'Cat Chow',
+                    Notes: 'Tasty, "crunchy"\nand cheap'
+                },
+                {
+                    Name: 'Pizza',
+                    Notes: ''
+                }
+            ]);
+    }
+});
+
+it('Handles multi-character delimiters spanning chunks', async () => {
+    const csv = '"Cat::Chow"::3::49\nPizza:Pie::6::99';
+    
+    for (let size = 1; size <= csv.length; size++) {
+        const stream = createParseStream(['name', 'dollars', 'cents'], {
+            delimiter: '::'
+        });
+        const result = readAll(stream);
+        
+        toChunks(csv, size).forEach((chunk) => stream.write(chunk));
+        stream.end();
+        
+        expect(await result)
+            .toEqual([
+                {
+                    name: 'Cat::Chow',
+                    dollars: '3',
+                    cents: '49'
+                },
+                {
+                    name: 'Pizza:Pie',
+                    dollars: '6',
+                    cents: '99'
+                }
+            ]);
+    }
+});
+
+it('Reports the position of an unterminated quote written in chunks', async () => {
+    const stream = createParseStream(null);
+    const result = readAll(stream);
+    
+    toChunks('"Cat Chow",5.29\r\n"Pizza\r\n,6.99', 2).forEach((chunk) => stream.write(chunk));
+    stream.end();
+    
+    await expect(result)
+        .rejects
+        .toMatchObject({
+            line: 2,
+            column: 1
+        });
+});
+
+it('Decodes multi-byte characters split across Buffer chunks', async () => {
+    const buffer = Buffer.from('"Café",1\n"Crème brûlée",2');
+    const chunks = [];
+    
+    for (let i = 0; i < buffer.length; i++) {
+        chunks.push(buffer.slice(i, i + 1));
+    }
+    
+    const rows = await readAll(Readable.from(chunks).pipe(createParseStream(['name', {
+        key: 'amount',
+        parser: Number
+    }])));
+    
+    expect(rows)
+        .toEqual([
+            {
+                name: 'Café',
+                amount: 1
+            },
+            {
+                name: 'Crème brûlée',
+                amount: 2
+            }
+        ]);
+});
+
+it('Emits errors from required columns', async () => {
+    const stream = createParseStream([
+        {
+            key: 'name',
+            required: true
+        }
+    ]);
+    const result = readAll(stream);
+    
+    stream.end('"Cat Chow"\n""\n');
+    
+    await expect(result)
+        .rejects
+        .toThrow('Required column name is empty');
+});
+
+it('Iterates over rows from a readable using parseAsync', async () => {
+    const {columns, data} = ordersData;
+    const csv = toCSV(data, columns);
+    const rows = [];
+    
+    for await (const row of parseAsync(Readable.from(toChunks(csv, 7)), columns)) {
+        rows.push(row);
+    }
+    
+    expect(rows)
+        .toEqual(data);
+});
+
+it('Only reads from the source as rows are consumed', async () => {
+    let chunksRead = 0;
+    const source = function* () {
+        for (let i = 0; i < 100; i++) {
+            chunksRead++;
+            yield `"Row ${i}"\n`;
+        }
+    };
+    const iterator = parseAsync(source(), ['name']);
+    const {value} = await iterator.next();
+    
+    expect(value)
+        .toEqual({
+            name: 'Row 0'
+        });
+    expect(chunksRead)
+        .toBeLessThan(100);
+});
+
+it('Formats the same CSV as toCSV using a format stream', async () => {
+    const {columns, data} = ordersData;
+    const options = {
+        includeHeader: true
+    };
+    const csv = await readString(Readable.from(data).pipe(createFormatStream(columns, options)));
+    
+    // formulas should point at the same rows
+    expect(csv)
+        .toBe(toCSV(data, columns, options));
+    expect(csv.split('\n')[1])
+        .toBe('2019/8/25,"Cat Chow",3.49,0.21,=C2+D2');
+});
+
+it('Formats objects from an async generator', async () => {
+    const {columns, data} = ordersData;
+    const source = async function* () {
+        for (const order of data) {
+            yield order;
+        }
+    };
+    
+    expect(await joinAsync(formatAsync(source(), columns)))
+        .toBe(toCSV(data, columns));
+});
+
+it('Detects columns from the first object when formatting', async () => {
+    const data = [
+        {
+            name: 'Cat Chow',
+            price: 529
+        },
+        {
+            name: 'Pizza',
+            price: 699
+        }
+    ];
+    
+    expect(await joinAsync(formatAsync(data, null, {
+        includeHeader: true
+    })))
+        .toBe('"name","price"\n"Cat Chow",529\n"Pizza",699');
+});
+
+it('Outputs only the header when formatting no objects', async () => {
+    const {columns} = ordersData;
+    const stream = createFormatStream(columns, {
+        includeHeader: true
+    });
+    const result = readString(stream);
+    
+    stream.end();
+    
+    expect(await result)
+        .toBe('"Date","Name","Price","Tax","Total"');
+});
@@ -0,0 +1,168 @@
+'use strict';
+
+// tests for the ready-made column types
+
+const {toCSV, fromCSV, types, ValidationError} = require('..');
+
+// converts rows to CSV and back again using a single column
+const roundTrip = (values, type) => {
+    const columns = [
+        {
+            key: 'value',
+            ...type
+        }
+    ];
+    const csv = toCSV(values.map((value) => ({value})), columns, {
+        validate: true
+    });
+    
+    return {
+        csv,
+        values: fromCSV(csv, columns).map((row) => row.value)
+    };
+};
+
+it('Round trips numbers', () => {
+    expect(roundTrip([1.5, -20, 0, 1e-7], types.number()).values).toEqual([1.5, -20, 0, 1e-7]);
+    expect(roundTrip([1.23456, 2], types.number({
+        precision: 2
+    }))).toEqual({
+        csv: '1.23\n2',
+        values: [1.23, 2]
+    });
+    expect(roundTrip([5, -12], types.integer()).values).toEqual([5, -12]);
+});
+
+it('Throws errors for integers which would be rounded when converting', () => {
+    const columns = [
+        {
+            key: 'quantity',
+            ...types.integer()
+        }
+    ];
+    
+    expect(toCSV([{ quantity: 2 }, { quantity: '3' }], columns)).toBe('2\n3');
+    expect(() => toCSV([{ quantity: 2 }, { quantity: 1.5 }], columns)).toThrow(ValidationError);
+    expect(() => toCSV([{ quantity: 1.5 }], columns)).toThrow('Invalid value for column quantity in cell A1: must be an integer');
+});
+
+it('Round trips currency as integers', () => {
+    expect(roundTrip([349, 129, 5, 0], types.currency())).toEqual({
+        csv: '3.49\n1.29\n0.05\n0',
+        values: [349, 129, 5, 0]
+    });
+    expect(roundTrip([12345], types.currency({
+        precision: 3
+    }))).toEqual({
+        csv: '12.345',
+        values: [12345]
+    });
+});
+
+it('Round trips booleans using tokens', () => {
+    const type = types.boolean({
+        trueValues: ['Yes', 'Y'],
+        falseValues: ['No', 'N']
+    });
+    
+    expect(roundTrip([true, false], type)).toEqual({
+        csv: '"Yes"\n"No"',
+        values: [true, false]
+    });
+    expect(fromCSV('y\nNO', [{
+        key: 'value',
+        ...type
+    }])).toEqual([
+        {
+            value: true
+        },
+        {
+            value: false
+        }
+    ]);
+});
+
+it('Round trips dates using formats and timezones', () => {
+    const date = new Date(Date.UTC(2019, 7, 25, 22, 30, 15, 250));
+    
+    expect(roundTrip([date], types.date())).toEqual({
+        csv: '2019-08-25T22:30:15.250Z',
+        values: [date]
+    });
+    expect(roundTrip([date], types.date({
+        format: 'DD/MM/YYYY HH:mm:ss.SSS',
+        timezone: '+02:00'
+    }))).toEqual({
+        csv: '26/08/2019 00:30:15.250',
+        values: [date]
+    });
+    
+    const localDate = new Date(2019, 7, 5);
+    
+    expect(roundTrip([localDate], types.date({
+        format: 'YYYY/M/D',
+        timezone: 'local'
+    }))).toEqual({
+        csv: '2019/8/5',
+        values: [localDate]
+    });
+});
+
+it('Reads offsets in dates', () => {
+    const [row] = fromCSV('2019-08-25 08:00 -05:00', [{
+        key: 'date',
+        ...types.date({
+            format: 'YYYY-MM-DD HH:mm Z'
+        })
+    }]);
+    
+    expect(row.date).toEqual(new Date(Date.UTC(2019, 7, 25, 13)));
+});
+
+it('Round trips enums using maps', () => {
+    expect(roundTrip(['active', 'suspended'], types.enum({
+        active: 'Active',
+        suspended: 'Suspended'
+    }))).toEqual({
+        csv: '"Active"\n"Suspended"',
+        values: ['active', 'suspended']
+    });
+    expect(roundTrip([1, 2], types.enum(new Map([[1, 'One'], [2, 'Two']]))).values).toEqual([1, 2]);
+});
+
+it('Round trips JSON', () => {
+    const value = {
+        tags: ['cat', 'food, "dry"'],
+        weight: 2.5
+    };
+    
+    expect(roundTrip([value, [1, 2]], types.json()).values).toEqual([value, [1, 2]]);
+});
+
+it('Throws errors for values which cannot be parsed', () => {
+    const columns = [
+        {
+            key: 'price',
+            ...types.currency()
+        },
+        {
+            key: 'date',
+            ...types.date({
+                format: 'YYYY-MM-DD'
+            })
+        },
+        {
+            key: 'status',
+            ...types.enum(['active'])
+        }
+    ];
+    const {errors} = fromCSV('5.2.9,2019-02-30,inactive', columns, {
+        errorMode: 'collect'
+    });
+    
+    expect(errors.map((error) => error.message)).toEqual([
+        'Could not parse column price in cell A1: "5.2.9" is not a number',
+        'Could not parse column date in cell B1: "2019-02-30" is not a valid date',
+        'Could not parse column status in cell C1: "inactive" is not one of "active"'
+    ]);
+});
@@ -0,0 +1,154 @@
+'use strict';
+
+// tests for validating values using the rules of columns
+
+const {fromCSV, toCSV, validateRows, ValidationError, RequiredError} = require('..');
+
+const productColumns = [
+    {
+        header: 'ID',
+        key: 'id',
+        parser: Number,
+        type: 'integer',
+        unique: true
+    },
+    {
+        header: 'Name',
+        key: 'name',
+        required: true,
+        minLength: 2,
+        maxLength: 10
+    },
+    {
+        header: 'Price',
+        key: 'price',
+        parser: Number,
+        type: 'number',
+        min: 0,
+        max: 100
+    },
+    {
+        header: 'SKU',
+        key: 'sku',
+        pattern: /^[A-Z]{3}-\d+$/
+    },
+    {
+        header: 'Size',
+        key: 'size',
+        enum: ['S', 'M', 'L']
+    },
+    {
+        header: 'Quantity',
+        key: 'quantity',
+        parser: Number,
+        validate: (value) => value % 6 === 0 || 'must be a multiple of 6'
+    }
+];
+const getRules = (errors) => {
+    return errors.map((error) => [error.cell, error.rule]);
+};
+
+it('Checks the rules of columns after parsing', () => {
+    const csv = [
+        'ID,Name,Price,SKU,Size,Quantity',
+        '1,Cat Chow,5.29,CAT-1,M,12',
+        '1,Pizza,six,PIZ-2,L,6',
+        '2.5,A Very Long Name,-1,pizza,XL,5'
+    ].join('\n');
+    const {rows, errors} = fromCSV(csv, productColumns, {
+        includeHeader: true,
+        errorMode: 'collect'
+    });
+    
+    expect(rows).toEqual([
+        {
+            id: 1,
+            name: 'Cat Chow',
+            price: 5.29,
+            sku: 'CAT-1',
+            size: 'M',
+            quantity: 12
+        }
+    ]);
+    expect(getRules(errors)).toEqual([
+        ['A3', 'unique'],
+        ['C3', 'type'],
+        ['A4', 'type'],
+        ['B4', 'maxLength'],
+        ['C4', 'min'],
+        ['D4', 'pattern'],
+        ['E4', 'enum'],
+        ['F4', 'validate']
+    ]);
+    expect(errors[0].message).toBe('Invalid value for column id in cell A3: must be unique, but is also in cell A2');
+    expect(errors[7].message).toBe('Invalid value for column quantity in cell F4: must be a multiple of 6');
+});
+
+it('Throws the first broken rule', () => {
+    expect(() => {
+        fromCSV('1,Cat Chow,500', productColumns);
+    }).toThrow(new ValidationError('max', 'must be at most 100', {
+        row: 1,
+        column: 2,
+        key: 'price'
+    }));
+});
+
+it('Gives the object and cell to validate functions', () => {
+    const validate = jest.fn(() => true);
+    
+    fromCSV('"Cat Chow",5.29', [
+        {
+            key: 'name'
+        },
+        {
+            key: 'price',
+            parser: parseFloat,
+            validate
+        }
+    ]);
+    
+    expect(validate).toHaveBeenCalledWith(5.29, {
+        obj: {
+            name: 'Cat Chow',
+            price: 5.29
+        },
+        key: 'price',
+        row: 1,
+        column: 1
+    });
+});
+
+it('Validates objects before converting them to CSV', () => {
+    const rows = [
+        {
+            id: 1,
+            name: 'Cat Chow',
+            price: 5.29,
+            size: 'M'
+        },
+        {
+            id: 1,
+            price: 6.99,
+            size: 'XL'
+        }
+    ];
+    const errors = validateRows(rows, productColumns, {
+        includeHeader: true
+    });
+    
+    expect(getRules(errors)).toEqual([
+        ['A3', 'unique'],
+        ['B3', undefined],
+        ['E3', 'enum']
+    ]);
+    expect(errors[1]).toBeInstanceOf(RequiredError);
+    expect(() => {
+        toCSV(rows, productColumns, {
+            validate: true
+        });
+    }).toThrow('Invalid value for column id in cell A2: must be unique, but is also in cell A1');
+    expect(toCSV(rows.slice(0, 1), productColumns, {
+        validate: true
+    })).toBe('1,"Cat Chow",5.29,,"M",');
+});
@@ -0,0 +1,258 @@
+'use strict';
+
+// tests for writing and reading XLSX workbooks
+
+const fs = require('fs');
+const path = require('path');
+const zlib = require('zlib');
+const {toXLSX, fromXLSX, types, RequiredError, ParseError} = require('..');
+
+// reads the files in a zip archive from their local headers
+const readZip = (buffer) => {
+    const files = {};
+    let offset = 0;
+    
+    while (buffer.readUInt32LE(offset) === 0x04034B50) {
+        const compressedSize = buffer.readUInt32LE(offset + 18);
+        const nameLength = buffer.readUInt16LE(offset + 26);
+        const extraLength = buffer.readUInt16LE(offset + 28);
+        const name = buffer.toString('utf8', offset + 30, offset + 30 + nameLength);
+        const start = offset + 30 + nameLength + extraLength;
+        
+        files[name] = zlib.inflateRawSync(buffer.slice(start, start + compressedSize)).toString('utf8');
+        offset = start + compressedSize;
+    }
+    
+    return files;
+};
+// gets the cells of the sheet of a workbook by their label
+const readCells = (files) => {
+    const cells = {};
+    const pattern = /<c r="([A-Z]+\d+)"([^>]*)>(.*?)<\/c>/g;
+    let match;
+    
+    while ((match = pattern.exec(files['xl/worksheets/sheet1.xml'])) !== null) {
+        cells[match[1]] = match[2] + match[3];
+    }
+    
+    return cells;
+};
+// a workbook saved by a spreadsheet application, with formulas, rich text and a second sheet
+const inventory = fs.readFileSync(path.join(__dirname, 'data', 'inventory.xlsx'));
+const orders = [
+    {
+        date: new Date(Date.UTC(2019, 7, 25)),
+        name: 'Cat Chow & "Friends"',
+        price: 349,
+        shipped: true
+    },
+    {
+        date: new Date(Date.UTC(2019, 7, 26, 18)),
+        name: '=HYPERLINK("http://example.com")',
+        price: 129,
+        shipped: false
+    }
+];
+const columns = [
+    {
+        header: 'Date',
+        key: 'date',
+        ...types.date({
+            format: 'YYYY/M/D'
+        })
+    },
+    {
+        header: 'Name',
+        key: 'name',
+        width: 30
+    },
+    {
+        header: 'Price',
+        key: 'price',
+        numberFormat: '$#,##0.00',
+        ...types.currency()
+    },
+    {
+        header: 'Shipped',
+        key: 'shipped'
+    },
+    {
+        header: 'Share',
+        formula: true,
+        converter: (value, {ref, range}) => `=${ref('price')}/SUM(${range('price')})`
+    }
+];
+
+it('Writes a workbook with the parts of an XLSX file', () => {
+    const files = readZip(toXLSX(orders, columns, {
+        sheetName: 'Orders & Returns'
+    }));
+    
+    expect(Object.keys(files)).toEqual([
+        '[Content_Types].xml',
+        '_rels/.rels',
+        'xl/workbook.xml',
+        'xl/_rels/workbook.xml.rels',
+        'xl/worksheets/sheet1.xml',
+        'xl/styles.xml',
+        'xl/sharedStrings.xml'
+    ]);
+    expect(files['xl/workbook.xml']).toContain('<sheet name="Orders &amp; Returns" sheetId="1" r:id="rId1"/>');
+    expect(() => toXLSX(orders, columns, {
+        sheetName: 'Orders/Returns'
+    })).toThrow('Invalid sheetName Orders/Returns');
+});
+
+it('Writes values as cells of their own type', () => {
+    const files = readZip(toXLSX(orders, columns, {
+        includeHeader: true
+    }));
+    const cells = readCells(files);
+    
+    expect(cells.A1).toBe(' t="s" s="1"<v>2</v>');
+    expect(cells.A2).toBe(' s="2"<v>43702</v>');
+    // dates with times are formatted with their time
+    expect(cells.A3).toBe(' s="4"<v>43703.75</v>');
+    expect(cells.B2).toBe(' t="s"<v>0</v>');
+    // formulas from columns which are not trusted are written as text
+    expect(cells.B3).toBe(' t="s"<v>1</v>');
+    expect(cells.C2).toBe(' s="3"<v>3.49</v>');
+    expect(cells.D2).toBe(' t="b"<v>1</v>');
+    expect(cells.D3).toBe(' t="b"<v>0</v>');
+    expect(cells.E2).toBe('<f>C2/SUM(C2:C3)</f>');
+    expect(files['xl/sharedStrings.xml']).toContain('<si><t xml:space="preserve">Cat Chow &amp; &quot;Friends&quot;</t></si>');
+    expect(files['xl/styles.xml']).toContain('<numFmt numFmtId="165" formatCode="$#,##0.00"/>');
+    expect(files['xl/worksheets/sheet1.xml']).toContain('<cols><col min="2" max="2" width="30" customWidth="1"/></cols>');
+});
+
+it('Writes dates in the given timezone', () => {
+    const cells = readCells(readZip(toXLSX([orders[0]], columns.slice(0, 1), {
+        timezone: '-06:00'
+    })));
+    
+    expect(cells.A1).toBe(' s="2"<v>43701.75</v>');
+});
+
+it('Leaves out empty values and values which cannot be written', () => {
+    const cells = readCells(readZip(toXLSX([
+        {
+            a: '',
+            b: NaN,
+            c: {},
+            d: null,
+            e: 'Text'
+        }
+    ], ['a', 'b', 'c', 'd', 'e'])));
+    
+    expect(cells).toEqual({
+        E1: ' t="s"<v>0</v>'
+    });
+});
+
+it('Gives the same file for the same objects', () => {
+    expect(toXLSX(orders, columns).equals(toXLSX(orders, columns))).toBe(true);
+});
+
+it('Reads the objects written to a workbook', () => {
+    const xlsx = toXLSX(orders, columns, {
+        includeHeader: true
+    });
+    
+    expect(fromXLSX(xlsx, columns, {
+        includeHeader: true
+    })).toEqual(orders);
+});
+
+it('Reads cells as their own type', () => {
+    expect(fromXLSX(inventory, null, {
+        sheet: 'Inventory',
+        includeHeader: true
+    })).toEqual([
+        {
+            'SKU': 'CC-1',
+            'Name': 'Cat Chow & Co',
+            'Received': new Date(Date.UTC(2019, 7, 25)),
+            'Updated': new Date(Date.UTC(2019, 7, 25, 12)),
+            'Price': 3.49,
+            'In stock': true,
+            'Total': 6.98
+        },
+        {
+            'SKU': 'WA-2',
+            'Name': 'Water',
+            'Received': new Date(Date.UTC(2019, 7, 26)),
+            'Price': 1.29,
+            'In stock': false,
+            'Total': '#DIV/0!'
+        },
+        {
+            'SKU': 'LB-3',
+            'Name': 'Light Bulbs',
+            'Received': new Date(Date.UTC(2019, 7, 28)),
+            'Price': 5.29,
+            'In stock': 'yes'
+        }
+    ]);
+    expect(fromXLSX(inventory, ['note'], {
+        sheet: 0
+    })).toEqual([
+        { note: 'Checked on \r Monday' }
+    ]);
+    // dates are in the given timezone
+    expect(fromXLSX(inventory, [{header: 'Received', key: 'received'}], {
+        sheet: 'Inventory',
+        matchBy: 'header',
+        timezone: '+02:00'
+    })[0].received).toEqual(new Date('2019-08-24T22:00:00.000Z'));
+});
+
+it('Gives typed values to parsers and reports errors by cell', () => {
+    const {rows, errors} = fromXLSX(inventory, [
+        {
+            header: 'SKU',
+            key: 'sku'
+        },
+        {
+            header: 'Updated',
+            key: 'updated',
+            required: true,
+            ...types.date({
+                format: 'YYYY-MM-DD'
+            })
+        },
+        {
+            header: 'Price',
+            key: 'price',
+            ...types.currency()
+        },
+        {
+            header: 'In stock',
+            key: 'inStock',
+            ...types.boolean()
+        }
+    ], {
+        sheet: 'Inventory',
+        matchBy: 'header',
+        errorMode: 'collect'
+    });
+    
+    expect(rows).toEqual([
+        { sku: 'CC-1', updated: new Date(Date.UTC(2019, 7, 25, 12)), price: 349, inStock: true }
+    ]);
+    expect(errors.map((error) => [error.constructor, error.cell])).toEqual([
+        [RequiredError, 'D3'],
+        [RequiredError, 'D5'],
+        [ParseError, 'F5']
+    ]);
+});
+
+it('Throws errors for buffers which are not workbooks and sheets which do not exist', () => {
+    expect(() => fromXLSX('SKU,Name', ['sku'])).toThrow('First argument is not a buffer');
+    expect(() => fromXLSX(Buffer.from('SKU,Name'), ['sku'])).toThrow('Buffer is not a zip archive');
+    expect(() => fromXLSX(inventory, ['sku'], {
+        sheet: 'Orders'
+    })).toThrow('Unknown sheet Orders');
+    expect(() => fromXLSX(inventory, ['sku'], {
+        sheet: 2
+    })).toThrow('Unknown sheet 2');
+});